@@ -0,0 +1,126 @@
+/**
+ * Builds the large documents the benchmarks run against. Each fixture returns a prior version and a latest
+ * version differing by a single leaf, so that the comparison has to walk down to it, except for the one
+ * changing many records of a wide flat document.
+ */
+
+/**
+ * A deep chain of nested objects, each level holding a few scalar properties.
+ *
+ * @param {number} depth - The number of nested levels.
+ * @returns {Object} The document.
+ */
+function deepChain(depth) {
+	const root = { level: 0, label: 'level-0', flags: [true, false] };
+	let node = root;
+	for (let level = 1; level < depth; level++) {
+		node.child = { level, label: `level-${level}`, flags: [true, false] };
+		node = node.child;
+	}
+	return root;
+}
+
+/**
+ * A balanced tree of objects, each node holding some scalars and a list of children.
+ *
+ * @param {number} depth - The depth of the tree.
+ * @param {number} breadth - The number of children of each node.
+ * @returns {Object} The document.
+ */
+function wideTree(depth, breadth, id = '0') {
+	return {
+		id,
+		name: `node ${id}`,
+		tags: ['a', 'b', 'c'],
+		children:
+			depth === 0
+				? []
+				: Array.from({ length: breadth }, (_, i) =>
+						wideTree(depth - 1, breadth, `${id}.${i}`)
+				  ),
+	};
+}
+
+/**
+ * A long list of records, as returned by a paginated API.
+ *
+ * @param {number} count - The number of records.
+ * @returns {Object} The document.
+ */
+function recordList(count) {
+	return {
+		page: 1,
+		records: Array.from({ length: count }, (_, i) => ({
+			id: i,
+			email: `user${i}@example.com`,
+			address: { street: `${i} Main Street`, city: 'Springfield', zip: '12345' },
+			roles: ['reader', i % 2 ? 'writer' : 'guest'],
+		})),
+	};
+}
+
+/**
+ * A wide flat document: records of scalars keyed by their id, as a cache or an index would hold them.
+ *
+ * @param {number} count - The number of records.
+ * @returns {Object} The document.
+ */
+function flatRecords(count) {
+	return Object.fromEntries(
+		Array.from({ length: count }, (_, i) => [
+			`r${i}`,
+			{
+				id: i,
+				name: `name ${i}`,
+				email: `user${i}@example.com`,
+				active: i % 2 === 0,
+				score: i * 1.5,
+			},
+		])
+	);
+}
+
+/**
+ * Returns the fixtures, each as a `{ name, prior, latest }` pair.
+ *
+ * @returns {{ name: string, prior: Object, latest: Object }[]} The fixtures.
+ */
+function createFixtures() {
+	const chainPrior = deepChain(400);
+	const chainLatest = deepChain(400);
+	let last = chainLatest;
+	while (last.child) last = last.child;
+	last.label = 'changed';
+
+	const treePrior = wideTree(6, 4);
+	const treeLatest = wideTree(6, 4);
+	treeLatest.children[3].children[3].children[3].name = 'changed';
+
+	const listPrior = recordList(5000);
+	const listLatest = recordList(5000);
+	listLatest.records[4999].address.city = 'Shelbyville';
+
+	const flatPrior = flatRecords(100000);
+	const flatLatest = flatRecords(100000);
+	flatLatest.r500.name = 'changed';
+	const flatUpdated = flatRecords(100000);
+	for (let i = 0; i < 100000; i += 10) flatUpdated[`r${i}`].score = -1;
+
+	return [
+		{ name: 'deep chain (400 levels)', prior: chainPrior, latest: chainLatest },
+		{ name: 'wide tree (5461 nodes)', prior: treePrior, latest: treeLatest },
+		{ name: 'record list (5000 records)', prior: listPrior, latest: listLatest },
+		{
+			name: 'flat records (100000, 1 change)',
+			prior: flatPrior,
+			latest: flatLatest,
+		},
+		{
+			name: 'flat records (100000, 10000 changes)',
+			prior: flatPrior,
+			latest: flatUpdated,
+		},
+	];
+}
+
+module.exports = { createFixtures };
@@ -0,0 +1,66 @@
+const path = require('path');
+const { createDeepComparer } = require('../src/deep-comparer');
+const { createFixtures } = require('./fixtures');
+
+/**
+ * Loads the comparer of another checkout of the package, such as the last release, to time it against.
+ *
+ * @param {string} [directory] - The root directory of the checkout.
+ * @returns {Function|undefined} Its `createDeepComparer` function, or `undefined` without a directory.
+ */
+function loadBaseline(directory) {
+	if (!directory) return undefined;
+	return require(path.resolve(directory, 'src/deep-comparer'))
+		.createDeepComparer;
+}
+
+/**
+ * Runs a function several times and returns its median duration.
+ *
+ * @param {Function} run - The function to measure.
+ * @param {number} [iterations=5] - The number of runs.
+ * @returns {Promise<number>} The median duration, in milliseconds.
+ */
+async function measure(run, iterations = 5) {
+	const durations = [];
+	for (let i = 0; i < iterations; i++) {
+		const start = process.hrtime.bigint();
+		await run();
+		durations.push(Number(process.hrtime.bigint() - start) / 1e6);
+	}
+	return durations.sort((a, b) => a - b)[Math.floor(iterations / 2)];
+}
+
+/**
+ * Times whole comparisons of each fixture, on the calling thread and in worker threads, and against the
+ * comparer of the checkout given as first argument when there is one:
+ *
+ *     git worktree add ../baseline <ref> && npm run bench -- ../baseline
+ */
+async function main() {
+	const createBaseline = loadBaseline(process.argv[2]);
+	const deepCompare = createDeepComparer();
+	const parallelCompare = createDeepComparer({ parallel: { threshold: 0 } });
+	const baselineCompare = createBaseline && createBaseline();
+	const results = [];
+
+	for (const { name, prior, latest } of createFixtures()) {
+		const comparison = await measure(() => deepCompare(prior, latest));
+		const parallelComparison = await measure(() =>
+			parallelCompare(prior, latest)
+		);
+		const result = { fixture: name, 'deepCompare (ms)': comparison.toFixed(1) };
+		if (baselineCompare) {
+			const baseline = await measure(() => baselineCompare(prior, latest));
+			result['baseline (ms)'] = baseline.toFixed(1);
+			result.speedup = `${(baseline / comparison).toFixed(1)}x`;
+		}
+		result['parallel deepCompare (ms)'] = parallelComparison.toFixed(1);
+		results.push(result);
+	}
+
+	console.table(results);
+	await parallelCompare.close();
+}
+
+main();
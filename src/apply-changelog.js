@@ -0,0 +1,387 @@
+const { DiffType } = require('./constants');
+const {
+	parsePath,
+	formatPath,
+	detectPathFormat,
+} = require('./utils/parse-path');
+const { hashCompare } = require('./utils/hash-compare');
+const { ChangelogConflictError } = require('./errors');
+const { stringify } = require('./utils/canonical');
+const Helper = require('./utils/helper');
+
+const STRUCTURAL_NOTES = [
+	DiffType.Added.description,
+	DiffType.Deleted.description,
+	DiffType.Moved.description,
+];
+
+/**
+ * Checks whether two values are structurally equal.
+ *
+ * @param {*} value1 - The first value.
+ * @param {*} value2 - The second value.
+ * @returns {boolean} `true` if the values are equal.
+ */
+function areEqual(value1, value2) {
+	if (value1 === value2) return true;
+	if (value1 === undefined || value2 === undefined) return false;
+	return hashCompare(value1, value2);
+}
+
+/**
+ * Builds the entry that undoes the given changelog entry.
+ *
+ * @param {Object} entry - A changelog entry.
+ * @returns {Object} The inverse changelog entry.
+ * @throws {Error} If the entry note is unknown.
+ */
+function invertEntry(entry) {
+	switch (entry.note) {
+		case DiffType.Added.description:
+			return {
+				path: entry.path,
+				oldVal: entry.newVal,
+				note: DiffType.Deleted.description,
+			};
+		case DiffType.Deleted.description:
+			return {
+				path: entry.path,
+				newVal: entry.oldVal,
+				note: DiffType.Added.description,
+			};
+		case DiffType.Updated.description:
+			return {
+				path: entry.path,
+				oldVal: entry.newVal,
+				newVal: entry.oldVal,
+				note: DiffType.Updated.description,
+			};
+		case DiffType.TypeChanged.description:
+			return {
+				path: entry.path,
+				oldVal: entry.newVal,
+				newVal: entry.oldVal,
+				oldType: entry.newType,
+				newType: entry.oldType,
+				note: DiffType.TypeChanged.description,
+			};
+		case DiffType.Moved.description: {
+			// The element moves back to its prior index, which ends the path in the entry's own format.
+			const format = detectPathFormat(entry.path);
+			const segments = parsePath(entry.path, format);
+			segments[segments.length - 1] = entry.oldIndex;
+			return {
+				path: formatPath(segments, format),
+				oldIndex: entry.newIndex,
+				newIndex: entry.oldIndex,
+				note: DiffType.Moved.description,
+			};
+		}
+		default:
+			throw new Error(`Unknown changelog note: ${entry.note}`);
+	}
+}
+
+/**
+ * Reads, writes and removes the children of any container: objects and arrays by key or index,
+ * Maps by key and Sets by member, the latter two being addressed by `{ key }` path segments.
+ * Only own properties are read, and properties are defined rather than assigned, so that keys such as
+ * `__proto__` or `constructor` address properties of the document, never the prototypes.
+ */
+const Children = {
+	keyOf(segment) {
+		return Helper.isObject(segment) ? segment.key : segment;
+	},
+
+	findMember(set, member) {
+		const serialized = stringify(member);
+		return [...set].find((candidate) => stringify(candidate) === serialized);
+	},
+
+	has(container, segment) {
+		const key = this.keyOf(segment);
+		if (container instanceof Map) return container.has(key);
+		if (container instanceof Set) {
+			return this.findMember(container, key) !== undefined;
+		}
+		return Object.prototype.hasOwnProperty.call(container, key);
+	},
+
+	get(container, segment) {
+		const key = this.keyOf(segment);
+		if (container instanceof Map) return container.get(key);
+		if (container instanceof Set) return this.findMember(container, key);
+		return Object.prototype.hasOwnProperty.call(container, key)
+			? container[key]
+			: undefined;
+	},
+
+	set(container, segment, value) {
+		const key = this.keyOf(segment);
+		if (container instanceof Map) {
+			container.set(key, value);
+		} else if (container instanceof Set) {
+			this.delete(container, segment);
+			container.add(value);
+		} else if (Array.isArray(container) && typeof key === 'number') {
+			container[key] = value;
+		} else {
+			Helper.defineOwn(container, key, value);
+		}
+	},
+
+	delete(container, segment) {
+		const key = this.keyOf(segment);
+		if (container instanceof Map) {
+			container.delete(key);
+		} else if (container instanceof Set) {
+			container.delete(this.findMember(container, key));
+		} else {
+			delete container[key];
+		}
+	},
+};
+
+/**
+ * Walks the document down to the container holding the last segment of a path.
+ * Missing containers are created unless running in strict mode.
+ *
+ * @param {Object} holder - The object wrapping the document under the `value` key.
+ * @param {Array<string|number|Object>} segments - The segments leading to the container.
+ * @param {boolean} strict - Whether missing containers should be reported instead of created.
+ * @returns {Object|Array|Map|Set|undefined} The container, or `undefined` if it cannot be reached.
+ */
+function resolveContainer(holder, segments, strict) {
+	let current = holder;
+	for (let i = 0; i < segments.length; i++) {
+		const segment = segments[i];
+		let child = Children.get(current, segment);
+		if (!Helper.isObject(child)) {
+			if (strict || child !== undefined) return undefined;
+			const next = segments[i + 1];
+			child =
+				typeof next === 'number' ? [] : Helper.isObject(next) ? new Map() : {};
+			Children.set(current, segment, child);
+		}
+		current = child;
+	}
+	return current;
+}
+
+/**
+ * Groups changelog entries by the container they modify, in the order they must be applied:
+ * from the shallowest container to the deepest one, or the opposite when reverting.
+ * Since parents are processed first, every path is resolved against the layout it was reported in.
+ *
+ * @param {Object[]} diffs - The changelog entries.
+ * @param {boolean} [reverse=false] - Whether the entries were inverted to revert a changelog.
+ * @returns {{ parent: Array<string|number>, entries: { entry: Object, key: string|number }[] }[]} The
+ *          groups of entries, with the segments leading to their container (root excluded).
+ */
+function groupEntries(diffs, reverse = false) {
+	const groups = new Map();
+
+	diffs.forEach((entry) => {
+		const segments = parsePath(entry.path).slice(1);
+		const parent = segments.slice(0, -1);
+		const id = JSON.stringify(parent);
+		if (!groups.has(id)) groups.set(id, { parent, entries: [] });
+		groups.get(id).entries.push({ entry, key: segments[segments.length - 1] });
+	});
+
+	const ordered = [...groups.values()].sort(
+		(a, b) => a.parent.length - b.parent.length
+	);
+	return reverse ? ordered.reverse() : ordered;
+}
+
+/**
+ * Splits the entries of an array container into the ones rearranging the array (insertions,
+ * removals and moves) and the ones replacing values in place.
+ *
+ * @param {{ entry: Object, key: string|number }[]} entries - The entries of the container.
+ * @returns {{ structural: Object[], values: Object[] }} The two sets of entries.
+ */
+function splitArrayEntries(entries) {
+	const isStructural = ({ entry, key }) =>
+		typeof key === 'number' && STRUCTURAL_NOTES.includes(entry.note);
+	const structural = entries.filter(isStructural);
+	const values = entries.filter((change) => !isStructural(change));
+	return { structural, values };
+}
+
+/**
+ * Applies a changelog to a document, one container at a time (see `groupEntries`).
+ * Insertions, removals and moves inside the same array are applied as a single
+ * rearrangement: removals refer to the indexes of the array being modified, while insertions and
+ * moves refer to the indexes of the resulting array.
+ *
+ * @param {*} target - The document to apply the changelog to. It is not modified.
+ * @param {Object[]} diffs - The changelog entries.
+ * @param {boolean} strict - Whether to check that each entry matches the document.
+ * @param {boolean} reverse - Whether the entries were inverted to revert a changelog.
+ * @returns {{ result: *, conflicts: Object[] }} The resulting document and the conflicts found.
+ */
+function applyEntries(target, diffs, strict, reverse) {
+	const holder = { value: Helper.clone(target) };
+	const conflicts = [];
+
+	const conflict = (entry, reason, actual) =>
+		conflicts.push({
+			path: entry.path,
+			note: entry.note,
+			reason,
+			expected: entry.oldVal,
+			actual,
+		});
+
+	const setValue = (container, { entry, key }) => {
+		const exists = Children.has(container, key);
+		const current = Children.get(container, key);
+		switch (entry.note) {
+			case DiffType.Added.description:
+				if (strict && exists) conflict(entry, 'Path already exists', current);
+				Children.set(container, key, Helper.clone(entry.newVal));
+				break;
+			case DiffType.Deleted.description:
+			case DiffType.Updated.description:
+			case DiffType.TypeChanged.description:
+				if (strict && !exists) conflict(entry, 'Path not found');
+				else if (strict && !areEqual(current, entry.oldVal)) {
+					conflict(entry, 'Value mismatch', current);
+				}
+				if (entry.note === DiffType.Deleted.description) {
+					Children.delete(container, key);
+				} else {
+					Children.set(container, key, Helper.clone(entry.newVal));
+				}
+				break;
+			default:
+				conflict(entry, 'Unsupported change');
+		}
+	};
+
+	const rearrange = (array, changes) => {
+		const removed = new Set();
+		const slots = new Map();
+		changes.forEach(({ entry, key }) => {
+			if (entry.note === DiffType.Deleted.description) {
+				if (strict && key >= array.length) conflict(entry, 'Path not found');
+				else if (strict && !areEqual(array[key], entry.oldVal)) {
+					conflict(entry, 'Value mismatch', array[key]);
+				}
+				removed.add(key);
+			} else if (entry.note === DiffType.Moved.description) {
+				if (strict && entry.oldIndex >= array.length) {
+					conflict(entry, 'Path not found');
+				}
+				removed.add(entry.oldIndex);
+				slots.set(key, array[entry.oldIndex]);
+			} else {
+				slots.set(key, Helper.clone(entry.newVal));
+			}
+		});
+
+		const remaining = array.filter((_, i) => !removed.has(i));
+		const length = [...slots.keys()].reduce(
+			(max, key) => Math.max(max, key + 1),
+			remaining.length + slots.size
+		);
+		const rearranged = [];
+		for (let i = 0, next = 0; i < length; i++) {
+			rearranged.push(slots.has(i) ? slots.get(i) : remaining[next++]);
+		}
+		array.length = rearranged.length;
+		rearranged.forEach((elem, i) => (array[i] = elem));
+	};
+
+	groupEntries(diffs, reverse).forEach(({ parent, entries }) => {
+		const container = resolveContainer(holder, ['value', ...parent], strict);
+		if (container === undefined) {
+			entries.forEach(({ entry }) => conflict(entry, 'Parent not found'));
+			return;
+		}
+
+		if (!Array.isArray(container)) {
+			entries.forEach((change) => setValue(container, change));
+			return;
+		}
+
+		const { structural, values } = splitArrayEntries(entries);
+		if (reverse) values.forEach((change) => setValue(container, change));
+		if (structural.length) rearrange(container, structural);
+		if (!reverse) values.forEach((change) => setValue(container, change));
+	});
+
+	return { result: holder.value, conflicts };
+}
+
+/**
+ * Applies a changelog produced by `deepCompare` to the prior version of a document,
+ * returning the latest version. The given document is not modified.
+ *
+ * In strict mode every entry is checked against the document before being applied (the current value
+ * must match `oldVal`, added keys must not exist yet) and a `ChangelogConflictError` listing all the
+ * conflicts is thrown if any is found. Changelogs produced with masked keys cannot be applied
+ * losslessly, since the masked values are missing from the entries.
+ *
+ * @param {*} target - The prior version of the document.
+ * @param {Object[]} diffs - The changelog entries, as returned by `deepCompare`.
+ * @param {Object} [options] - Optional settings.
+ * @param {boolean} [options.strict=false] - Whether to verify each entry before applying it.
+ * @returns {*} The latest version of the document.
+ * @throws {ChangelogConflictError} In strict mode, if the changelog does not match the document.
+ *
+ * @example
+ * const diffs = await deepCompare(prior, latest);
+ * const rebuilt = applyChangelog(prior, diffs); // deep equals `latest`
+ */
+function applyChangelog(target, diffs, { strict = false } = {}) {
+	const { result, conflicts } = applyEntries(target, diffs, strict, false);
+	if (strict && conflicts.length) throw new ChangelogConflictError(conflicts);
+	return result;
+}
+
+/**
+ * Reverts a changelog produced by `deepCompare` from the latest version of a document,
+ * returning the prior version. The given document is not modified.
+ *
+ * @param {*} target - The latest version of the document.
+ * @param {Object[]} diffs - The changelog entries, as returned by `deepCompare`.
+ * @param {Object} [options] - Optional settings.
+ * @param {boolean} [options.strict=false] - Whether to verify each entry before reverting it.
+ * @returns {*} The prior version of the document.
+ * @throws {ChangelogConflictError} In strict mode, if the changelog does not match the document.
+ */
+function revertChangelog(target, diffs, { strict = false } = {}) {
+	const inverted = diffs.map(invertEntry);
+	const { result, conflicts } = applyEntries(target, inverted, strict, true);
+	if (strict && conflicts.length) throw new ChangelogConflictError(conflicts);
+	return result;
+}
+
+/**
+ * Applies a sequence of changelogs one after the other, e.g. to rebuild a document from its history.
+ *
+ * @param {*} target - The initial version of the document.
+ * @param {Object[][]} changelogs - The changelogs to apply, in chronological order.
+ * @param {Object} [options] - Optional settings, as for `applyChangelog`.
+ * @returns {*} The version of the document after the last changelog.
+ * @throws {ChangelogConflictError} In strict mode, if a changelog does not match the document.
+ */
+function replayChangelogs(target, changelogs, options) {
+	return changelogs.reduce(
+		(document, diffs) => applyChangelog(document, diffs, options),
+		target
+	);
+}
+
+module.exports = {
+	applyChangelog,
+	revertChangelog,
+	replayChangelogs,
+	invertEntry,
+	groupEntries,
+	splitArrayEntries,
+	Children,
+};
@@ -0,0 +1,261 @@
+const fs = require('fs');
+const { DEFAULT_ROOT, ArrayDiffMode, PathFormat } = require('./constants');
+const {
+	createDeepComparer,
+	createStreamComparer,
+	toJsonPatch,
+	Reporters,
+} = require('./deep-comparer');
+const { version } = require('../package.json');
+
+const ExitCode = {
+	Equal: 0,
+	Different: 1,
+	Error: 2,
+};
+
+const FORMATS = ['text', 'tree', 'markdown', 'html', 'json', 'patch'];
+const ARRAY_DIFF_MODES = Object.values(ArrayDiffMode);
+const PATH_FORMATS = Object.values(PathFormat);
+
+const USAGE = `Usage: deep-comparer [options] <prior> <latest>
+
+Compares two JSON files and prints their differences. Use - to read one of them from stdin.
+
+Options:
+  -i, --ignore <rule>      Ignore a key name, a path pattern such as root.items[*].updatedAt,
+                           or several comma-separated rules (repeatable)
+  -m, --mask <rule>        Hide a key from the reported values, as for --ignore (repeatable)
+  -r, --root <name>        Name of the root in the reported paths (default: ${DEFAULT_ROOT})
+  -f, --format <format>    Output format: text, tree, markdown, html, json or patch
+                           (default: text)
+      --no-color           Do not color the tree format, as when NO_COLOR is set
+  -a, --array-diff <mode>  Array comparison: index, lcs, set or multiset (default: index)
+  -p, --path-format <format>
+                           Reported paths: dotted, segments, jsonpath or pointer (default: dotted)
+  -s, --stream             Read the files incrementally, for documents too large for memory
+  -h, --help               Print this help
+  -v, --version            Print the version
+
+Exit codes: 0 when the files are equal, 1 when they differ, 2 on error.
+`;
+
+const OPTIONS = {
+	'-i': 'ignore',
+	'--ignore': 'ignore',
+	'-m': 'mask',
+	'--mask': 'mask',
+	'-r': 'root',
+	'--root': 'root',
+	'-f': 'format',
+	'--format': 'format',
+	'-a': 'arrayDiff',
+	'--array-diff': 'arrayDiff',
+	'-p': 'pathFormat',
+	'--path-format': 'pathFormat',
+};
+
+const FLAGS = {
+	'--no-color': 'noColor',
+	'-s': 'stream',
+	'--stream': 'stream',
+	'-h': 'help',
+	'--help': 'help',
+	'-v': 'version',
+	'--version': 'version',
+};
+
+/**
+ * Parses the command-line arguments.
+ *
+ * @param {string[]} args - The arguments, without the node executable and script paths.
+ * @returns {Object} The parsed arguments: `files`, `ignore`, `mask`, `root`, `format`, `arrayDiff`,
+ *          `pathFormat` and the `noColor`, `stream`, `help` and `version` flags.
+ * @throws {Error} If an argument is unknown, misses its value, or has an invalid value.
+ */
+function parseArgs(args) {
+	const parsed = {
+		files: [],
+		ignore: [],
+		mask: [],
+		root: DEFAULT_ROOT,
+		format: 'text',
+		arrayDiff: ArrayDiffMode.Index,
+		pathFormat: PathFormat.Dotted,
+	};
+
+	for (let i = 0; i < args.length; i++) {
+		const [arg, inlineValue] = args[i].startsWith('--')
+			? args[i].split(/=(.*)/s)
+			: [args[i]];
+		if (FLAGS[arg]) {
+			parsed[FLAGS[arg]] = true;
+		} else if (OPTIONS[arg]) {
+			const value = inlineValue !== undefined ? inlineValue : args[++i];
+			if (value === undefined) throw new Error(`Missing value for ${arg}`);
+			const name = OPTIONS[arg];
+			if (name === 'ignore' || name === 'mask') {
+				parsed[name].push(...value.split(',').filter(Boolean));
+			} else {
+				parsed[name] = value;
+			}
+		} else if (arg.startsWith('-') && arg !== '-') {
+			throw new Error(`Unknown option: ${arg}`);
+		} else {
+			parsed.files.push(args[i]);
+		}
+	}
+
+	if (parsed.help || parsed.version) return parsed;
+	if (parsed.files.length !== 2) {
+		throw new Error('Two files must be provided: <prior> <latest>');
+	}
+	if (parsed.files[0] === '-' && parsed.files[1] === '-') {
+		throw new Error('Only one of the files can be read from stdin.');
+	}
+	if (!FORMATS.includes(parsed.format)) {
+		throw new Error(`Unknown format: ${parsed.format}`);
+	}
+	if (!ARRAY_DIFF_MODES.includes(parsed.arrayDiff)) {
+		throw new Error(`Unknown array diff mode: ${parsed.arrayDiff}`);
+	}
+	if (!PATH_FORMATS.includes(parsed.pathFormat)) {
+		throw new Error(`Unknown path format: ${parsed.pathFormat}`);
+	}
+	if (parsed.stream && parsed.format === 'html') {
+		throw new Error(
+			'The html format needs both documents in memory and cannot be used with --stream.'
+		);
+	}
+	return parsed;
+}
+
+/**
+ * Reads a whole stream into a string.
+ *
+ * @param {Readable} stream - The stream to read.
+ * @returns {Promise<string>} The content of the stream.
+ */
+async function readStream(stream) {
+	const chunks = [];
+	for await (const chunk of stream) {
+		chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+	}
+	return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Reads and parses a JSON file, or stdin for `-`.
+ *
+ * @param {string} file - The path of the file, or `-`.
+ * @param {Readable} stdin - The standard input.
+ * @returns {Promise<*>} The parsed document.
+ * @throws {Error} If the file cannot be read or is not valid JSON.
+ */
+async function readJson(file, stdin) {
+	const text =
+		file === '-' ? await readStream(stdin) : fs.readFileSync(file, 'utf8');
+	try {
+		return JSON.parse(text);
+	} catch (e) {
+		throw new Error(`${file === '-' ? 'stdin' : file}: ${e.message}`);
+	}
+}
+
+/**
+ * Formats a changelog in the requested output format.
+ *
+ * @param {Object[]} diffs - The changelog entries.
+ * @param {Object} options - The parsed arguments (see `parseArgs`).
+ * @param {Object} context - The context of the run.
+ * @param {Object} [context.documents] - The compared documents, unless they were streamed.
+ * @param {boolean} context.colors - Whether the output may be colored.
+ * @returns {string} The formatted changelog.
+ */
+function formatDiffs(diffs, options, { documents, colors }) {
+	switch (options.format) {
+		case 'json':
+			return `${JSON.stringify(diffs, null, 2)}\n`;
+		case 'patch':
+			return `${JSON.stringify(toJsonPatch(diffs), null, 2)}\n`;
+		case 'tree':
+			return Reporters.terminal({ colors })(diffs);
+		case 'markdown':
+			return Reporters.markdown()(diffs);
+		case 'html':
+			return Reporters.html()(diffs, documents);
+		default:
+			return Reporters.text()(diffs);
+	}
+}
+
+/**
+ * Runs the command-line tool.
+ *
+ * @param {string[]} args - The arguments, without the node executable and script paths.
+ * @param {Object} [io] - The standard streams to use.
+ * @param {Readable} [io.stdin=process.stdin] - The standard input.
+ * @param {Writable} [io.stdout=process.stdout] - The standard output.
+ * @param {Writable} [io.stderr=process.stderr] - The standard error.
+ * @returns {Promise<number>} The exit code: 0 when the files are equal, 1 when they differ, 2 on error.
+ */
+async function run(args, io = {}) {
+	const {
+		stdin = process.stdin,
+		stdout = process.stdout,
+		stderr = process.stderr,
+	} = io;
+
+	try {
+		const options = parseArgs(args);
+		if (options.help) {
+			stdout.write(USAGE);
+			return ExitCode.Equal;
+		}
+		if (options.version) {
+			stdout.write(`${version}\n`);
+			return ExitCode.Equal;
+		}
+
+		const comparerOptions = {
+			keysToIgnore: options.ignore,
+			keysToMask: options.mask.length ? options.mask : undefined,
+			arrayDiff: options.arrayDiff,
+			pathFormat: options.pathFormat,
+		};
+		const [priorFile, latestFile] = options.files;
+		let diffs = [];
+		let documents;
+		if (options.stream) {
+			const streamCompare = createStreamComparer(comparerOptions);
+			const source = (file) => (file === '-' ? stdin : file);
+			for await (const diff of streamCompare(
+				source(priorFile),
+				source(latestFile),
+				options.root
+			)) {
+				diffs.push(diff);
+			}
+		} else {
+			const prior = await readJson(priorFile, stdin);
+			const latest = await readJson(latestFile, stdin);
+			diffs = await createDeepComparer(comparerOptions).compareValues(
+				prior,
+				latest,
+				options.root
+			);
+			documents = { prior, latest, root: options.root };
+		}
+
+		const colors = Boolean(
+			stdout.isTTY && !options.noColor && !('NO_COLOR' in process.env)
+		);
+		stdout.write(formatDiffs(diffs, options, { documents, colors }));
+		return diffs.length ? ExitCode.Different : ExitCode.Equal;
+	} catch (e) {
+		stderr.write(`deep-comparer: ${e.message}\n`);
+		return ExitCode.Error;
+	}
+}
+
+module.exports = { run, parseArgs, ExitCode };
@@ -0,0 +1,103 @@
+const Helper = require('./utils/helper');
+const { compilePattern } = require('./utils/path-pattern');
+
+/**
+ * Factories of common custom comparators. Each returns a function taking the two values
+ * and returning `true` if they must be considered equal.
+ */
+const Comparators = {
+	/**
+	 * Numbers are equal when their difference does not exceed the given tolerance.
+	 *
+	 * @param {number} epsilon - The maximum difference.
+	 * @returns {Function} The comparator.
+	 */
+	tolerance(epsilon) {
+		return (value1, value2) => Math.abs(value1 - value2) <= epsilon;
+	},
+
+	/**
+	 * Strings are equal regardless of their case.
+	 *
+	 * @returns {Function} The comparator.
+	 */
+	caseInsensitive() {
+		return (value1, value2) =>
+			String(value1).toLowerCase() === String(value2).toLowerCase();
+	},
+
+	/**
+	 * Strings are equal regardless of their leading and trailing whitespace.
+	 *
+	 * @returns {Function} The comparator.
+	 */
+	trimmed() {
+		return (value1, value2) => String(value1).trim() === String(value2).trim();
+	},
+
+	/**
+	 * Dates (or date strings) are equal when they fall on the same UTC day, whatever their time.
+	 *
+	 * @returns {Function} The comparator.
+	 */
+	dateOnly() {
+		const day = (value) => new Date(value).toISOString().slice(0, 10);
+		return (value1, value2) => day(value1) === day(value2);
+	},
+};
+
+/**
+ * Checks whether a value is of the type targeted by a comparator (or normalizer) rule.
+ *
+ * @param {string|Function} type - A `typeof` name, one of the kinds returned by `Helper.kindOf`
+ *        (`'date'`, `'array'`, `'map'`, `'set'`, `'regexp'`, `'binary'`, `'object'`) or a constructor.
+ * @param {*} value - The value to check.
+ * @returns {boolean} `true` if the value is of the given type.
+ */
+function isOfType(type, value) {
+	if (typeof type === 'function') return value instanceof type;
+	return Helper.kindOf(value) === type;
+}
+
+/**
+ * Compiles the custom comparator rules into a single function. Each rule holds a `compare` function
+ * and restricts it to a `path` pattern (see `compilePattern`), a value `type`, or both. The first
+ * rule applying to the compared values decides: it returns `true` when they are equal, `false` when
+ * they differ, or `undefined` to leave the decision to the built-in comparison.
+ *
+ * @param {{ path?: string, type?: string|Function, compare: Function }[]} [rules] - The comparator rules.
+ * @returns {Function} A function taking the two values and their path, returning `true`, `false`
+ *          or `undefined` if no rule applies.
+ * @throws {Error} If a rule has no `compare` function or neither a `path` nor a `type`.
+ */
+function compileComparators(rules = []) {
+	const compiled = rules.map((rule) => {
+		if (typeof rule.compare !== 'function') {
+			throw new Error('Custom comparators must provide a compare function.');
+		}
+		if (rule.path === undefined && rule.type === undefined) {
+			throw new Error('Custom comparators must target a path or a type.');
+		}
+		return {
+			matches: rule.path === undefined ? () => true : compilePattern(rule.path),
+			type: rule.type,
+			compare: rule.compare,
+		};
+	});
+
+	return (value1, value2, path) => {
+		for (const { matches, type, compare } of compiled) {
+			if (
+				(type === undefined ||
+					(isOfType(type, value1) && isOfType(type, value2))) &&
+				matches(path)
+			) {
+				const result = compare(value1, value2, path);
+				if (result !== undefined) return Boolean(result);
+			}
+		}
+		return undefined;
+	};
+}
+
+module.exports = { Comparators, compileComparators, isOfType };
@@ -2,8 +2,70 @@ const DiffType = {
 	Deleted: Symbol('Deleted'),
 	Updated: Symbol('Updated'),
 	Added: Symbol('Added'),
+	Moved: Symbol('Moved'),
+	TypeChanged: Symbol('TypeChanged'),
 };
 
 const DEFAULT_ROOT = 'root';
 
-module.exports = { DiffType, DEFAULT_ROOT };
+// The kinds of values (see `Helper.kindOf`) compared entry by entry rather than as a whole.
+const CONTAINER_KINDS = ['array', 'map', 'set', 'object'];
+
+// The identifier and version of the wire format of serialized changelogs.
+const CHANGELOG_FORMAT = 'deep-comparer/changelog';
+const CHANGELOG_FORMAT_VERSION = 1;
+
+const ArrayDiffMode = {
+	Index: 'index',
+	Lcs: 'lcs',
+	Set: 'set',
+	Multiset: 'multiset',
+};
+
+const UndefinedPolicy = {
+	Absent: 'absent',
+	Value: 'value',
+};
+
+const NodeStatus = {
+	Unchanged: 'unchanged',
+	Added: 'added',
+	Deleted: 'deleted',
+	Updated: 'updated',
+	TypeChanged: 'type-changed',
+	Moved: 'moved',
+	ContainsChanges: 'contains-changes',
+};
+
+const OutputMode = {
+	Changelog: 'changelog',
+	Tree: 'tree',
+};
+
+const PathFormat = {
+	Dotted: 'dotted',
+	Segments: 'segments',
+	JsonPath: 'jsonpath',
+	Pointer: 'pointer',
+};
+
+const ConflictType = {
+	Updated: 'update/update',
+	Deleted: 'delete/update',
+	Added: 'add/add',
+	Inserted: 'insert/insert',
+};
+
+module.exports = {
+	DiffType,
+	DEFAULT_ROOT,
+	CONTAINER_KINDS,
+	CHANGELOG_FORMAT,
+	CHANGELOG_FORMAT_VERSION,
+	ArrayDiffMode,
+	UndefinedPolicy,
+	NodeStatus,
+	OutputMode,
+	PathFormat,
+	ConflictType,
+};
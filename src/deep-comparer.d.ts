@@ -0,0 +1,592 @@
+/** The types of changes, whose `description` is the `note` of the changelog entries. */
+export declare const DiffType: {
+	readonly Deleted: symbol;
+	readonly Updated: symbol;
+	readonly Added: symbol;
+	readonly Moved: symbol;
+	readonly TypeChanged: symbol;
+};
+
+/** The `note` of a changelog entry. */
+export type DiffNote =
+	| 'Added'
+	| 'Deleted'
+	| 'Updated'
+	| 'Moved'
+	| 'TypeChanged';
+
+/** A value replaced by a reference to one of its ancestors, when the compared documents are cyclic. */
+export interface Reference {
+	$ref: string;
+}
+
+/** The kinds of values reported by type changes. */
+export type ValueKind =
+	| 'undefined'
+	| 'null'
+	| 'boolean'
+	| 'number'
+	| 'bigint'
+	| 'string'
+	| 'symbol'
+	| 'function'
+	| 'date'
+	| 'regexp'
+	| 'binary'
+	| 'array'
+	| 'map'
+	| 'set'
+	| 'object';
+
+/** A value added at `path`. */
+export interface AddedEntry<Path extends EntryPath = string> {
+	path: Path;
+	newVal: unknown;
+	note: 'Added';
+}
+
+/** A value deleted from `path`. */
+export interface DeletedEntry<Path extends EntryPath = string> {
+	path: Path;
+	oldVal: unknown;
+	note: 'Deleted';
+}
+
+/**
+ * A line of a text diff, with the `[start, end)` ranges of the characters it changes. `noNewline` marks the last
+ * line of a text without a trailing newline, when the other text has one.
+ */
+export interface TextDiffLine {
+	type: 'context' | 'removed' | 'added';
+	text: string;
+	highlights?: [number, number][];
+	noNewline?: true;
+}
+
+/** A hunk of a text diff, positioned as in unified diffs. */
+export interface TextDiffHunk {
+	oldStart: number;
+	oldLines: number;
+	newStart: number;
+	newLines: number;
+	lines: TextDiffLine[];
+}
+
+/** A line-level diff between two strings. */
+export interface TextDiff {
+	added: number;
+	removed: number;
+	hunks: TextDiffHunk[];
+}
+
+/** A value replaced at `path` by another one of the same kind, or by `null` or `undefined`. */
+export interface UpdatedEntry<Path extends EntryPath = string> {
+	path: Path;
+	oldVal: unknown;
+	newVal: unknown;
+	/** The diff of long strings, when the `textDiff` option is set. */
+	textDiff?: TextDiff;
+	note: 'Updated';
+}
+
+/** A value replaced at `path` by another one of a different kind. */
+export interface TypeChangedEntry<Path extends EntryPath = string> {
+	path: Path;
+	oldVal: unknown;
+	newVal: unknown;
+	oldType: ValueKind;
+	newType: ValueKind;
+	note: 'TypeChanged';
+}
+
+/** An array element moved from `oldIndex` to `newIndex`, reported by aligned arrays. */
+export interface MovedEntry<Path extends EntryPath = string> {
+	path: Path;
+	oldIndex: number;
+	newIndex: number;
+	note: 'Moved';
+}
+
+/**
+ * A changelog entry, as returned by `deepCompare`. Its path is a string, or an array of segments with the
+ * `'segments'` path format.
+ */
+export type ChangelogEntry<Path extends EntryPath = string> =
+	| AddedEntry<Path>
+	| DeletedEntry<Path>
+	| UpdatedEntry<Path>
+	| TypeChangedEntry<Path>
+	| MovedEntry<Path>;
+
+/** A changelog, flagged as `truncated` when `maxDiffs` stopped the comparison. */
+export type Changelog<Path extends EntryPath = string> =
+	ChangelogEntry<Path>[] & {
+		readonly truncated?: true;
+	};
+
+/** A segment of a path: an object key, an array index, or a Map key or Set member. */
+export type PathSegment = string | number | { key: unknown };
+
+/** The path of a changelog entry, in any format. */
+export type EntryPath = string | PathSegment[];
+
+/** The formats of changelog paths. */
+export type PathFormatName = 'dotted' | 'segments' | 'jsonpath' | 'pointer';
+
+/** The type of the paths written in a format: arrays of segments for `'segments'`, strings otherwise. */
+export type FormattedPath<Format extends PathFormatName | undefined> =
+	Format extends 'segments' ? PathSegment[] : string;
+
+/** A rule matching paths: a key name, a path pattern such as `root.items[*].id`, or a predicate. */
+export type PathRule = string | ((path: string, value: unknown) => boolean);
+
+/** A value type targeted by a rule: a `typeof` name, a value kind or a constructor. */
+export type TypeRule = ValueKind | (abstract new (...args: any[]) => unknown);
+
+export interface ComparatorRule {
+	path?: string;
+	type?: TypeRule;
+	compare: (value1: any, value2: any, path: string) => boolean | undefined;
+}
+
+export interface NormalizerRule {
+	path?: string;
+	type?: TypeRule;
+	normalize: (value: any, path: string) => unknown;
+}
+
+export type ArrayDiffMode = 'index' | 'lcs' | 'set' | 'multiset';
+
+/** The metrics of a comparison, passed to the instrumentation sinks once it ends. */
+export interface ComparisonEvent {
+	operation: 'deepCompare' | 'compareValues' | 'isEqual';
+	path: string;
+	duration: number;
+	nodesVisited: number;
+	hashComputations: number;
+	bytesHashed: number;
+	diffsEmitted: number;
+	truncated: boolean;
+	slowestSubtrees: { path: string; duration: number }[];
+	error?: unknown;
+}
+
+export type InstrumentationSink = (event: ComparisonEvent) => void;
+
+/** Returns what the changelog shows instead of a sensitive value. */
+export type RedactionStrategy = (value: any, path: string) => unknown;
+
+export interface RedactionRule {
+	path: PathRule;
+	strategy?: RedactionStrategy;
+}
+
+/** Finds sensitive data within strings: the matches accepted by `validate` are redacted by `strategy`. */
+export interface Detector {
+	pattern: RegExp;
+	validate?: (match: string) => boolean;
+	strategy: RedactionStrategy;
+}
+
+export interface DeepComparerOptions {
+	keysToIgnore?: PathRule[];
+	keysToMask?: PathRule[];
+	arrayDiff?: ArrayDiffMode;
+	arrayModes?: Record<string, ArrayDiffMode>;
+	arrayKeys?: Record<string, string | ((element: any) => unknown)>;
+	undefinedPolicy?: 'absent' | 'value';
+	output?: 'changelog' | 'tree';
+	comparators?: ComparatorRule[];
+	normalizers?: NormalizerRule[];
+	maxDepth?: number;
+	maxDiffs?: number;
+	timeout?: number;
+	signal?: AbortSignal;
+	/** Hashes the serialization of subtrees into a string without `:`; SHA-256 by default. */
+	digest?: (text: string) => string;
+	instrumentation?: InstrumentationSink | InstrumentationSink[];
+	textDiff?: boolean | { minLength?: number; context?: number };
+	redact?: RedactionRule[];
+	detectors?: Detector[];
+	/**
+	 * The format of the paths of the entries and diff tree nodes, `'dotted'` by default. With `'segments'`,
+	 * they are `PathSegment[]` arrays.
+	 */
+	pathFormat?: PathFormatName;
+	/** Compares the top-level subtrees of large versions in worker threads (Node.js only). */
+	parallel?: boolean | ParallelOptions;
+}
+
+export interface ParallelOptions {
+	/** The maximum number of worker threads, the number of CPUs by default. */
+	workers?: number;
+	/** The number of values below which the versions are compared on the calling thread, 100000 by default. */
+	threshold?: number;
+}
+
+export interface CallOptions {
+	signal?: AbortSignal;
+}
+
+export interface DiffTreeNode<Path extends EntryPath = string> {
+	key: string | number | { key: unknown };
+	path: Path;
+	status:
+		| 'unchanged'
+		| 'added'
+		| 'deleted'
+		| 'updated'
+		| 'type-changed'
+		| 'moved'
+		| 'contains-changes';
+	changes?: ChangelogEntry<Path>[];
+	children?: DiffTreeNode<Path>[];
+}
+
+export interface DiffStats {
+	total: number;
+	byType: Record<string, number>;
+	bySection: Record<string, number>;
+	maxDepth: number;
+}
+
+export interface DiffTreeOutput<Path extends EntryPath = string> {
+	changelog: Changelog<Path>;
+	tree: DiffTreeNode<Path>;
+	stats: DiffStats;
+}
+
+export interface DeepComparer<
+	Output = Changelog,
+	Path extends EntryPath = string,
+> {
+	(
+		prior: object,
+		latest: object,
+		root?: string,
+		callOptions?: CallOptions
+	): Promise<Output>;
+	compareValues(
+		prior: unknown,
+		latest: unknown,
+		path?: string,
+		callOptions?: CallOptions
+	): Promise<Changelog<Path>>;
+	isEqual(
+		prior: unknown,
+		latest: unknown,
+		path?: string,
+		callOptions?: CallOptions
+	): Promise<boolean>;
+	/** Terminates the worker threads of the `parallel` option. */
+	close(): Promise<void>;
+}
+
+export declare function createDeepComparer<
+	Format extends PathFormatName | undefined = undefined,
+>(
+	options: DeepComparerOptions & { output: 'tree'; pathFormat?: Format }
+): DeepComparer<DiffTreeOutput<FormattedPath<Format>>, FormattedPath<Format>>;
+export declare function createDeepComparer<
+	Format extends PathFormatName | undefined = undefined,
+>(
+	options?: DeepComparerOptions & { pathFormat?: Format }
+): DeepComparer<Changelog<FormattedPath<Format>>, FormattedPath<Format>>;
+export declare function createDeepComparer<
+	Format extends PathFormatName | undefined = undefined,
+>(
+	keysToIgnore?: PathRule[],
+	keysToMask?: PathRule[],
+	options?: DeepComparerOptions & { pathFormat?: Format }
+): DeepComparer<Changelog<FormattedPath<Format>>, FormattedPath<Format>>;
+
+export type JsonSource =
+	| string
+	| AsyncIterable<string | Uint8Array>
+	| Iterable<string | Uint8Array>;
+
+export declare function createStreamComparer<
+	Format extends PathFormatName | undefined = undefined,
+>(
+	options?: DeepComparerOptions & { pathFormat?: Format }
+): (
+	prior: JsonSource,
+	latest: JsonSource,
+	root?: string
+) => AsyncGenerator<ChangelogEntry<FormattedPath<Format>>>;
+
+export declare function isEqual(
+	prior: unknown,
+	latest: unknown,
+	options?: DeepComparerOptions
+): Promise<boolean>;
+
+export interface Conflict {
+	path: string;
+	type: 'update/update' | 'delete/update' | 'add/add' | 'insert/insert';
+	base: unknown;
+	ours: unknown;
+	theirs: unknown;
+}
+
+export type MergeStrategy = (conflict: Conflict) => unknown;
+
+export interface MergeOptions extends DeepComparerOptions {
+	resolve?:
+		| MergeStrategy
+		| { path?: string; type?: Conflict['type']; resolve: MergeStrategy }[];
+}
+
+export declare function merge<T>(
+	base: T,
+	ours: T,
+	theirs: T,
+	options?: MergeOptions
+): Promise<{
+	result: T;
+	conflicts: Conflict[];
+	resolved: (Conflict & { resolution: unknown })[];
+}>;
+
+export declare function track<
+	T extends object,
+	Format extends PathFormatName | undefined = undefined,
+>(
+	target: T,
+	options?: DeepComparerOptions & { root?: string; pathFormat?: Format }
+): { proxy: T; flush(): Promise<ChangelogEntry<FormattedPath<Format>>[]> };
+
+export interface HistoryRecord {
+	version: number;
+	timestamp: string;
+	meta: Record<string, unknown>;
+	changelog: ChangelogEntry[];
+	snapshot?: unknown;
+}
+
+export interface HistoryAdapter {
+	read(version: number): Promise<HistoryRecord | undefined>;
+	write(record: HistoryRecord): Promise<void>;
+	list(): Promise<number[]>;
+}
+
+export interface VersionDescription {
+	version: number;
+	timestamp: string;
+	meta: Record<string, unknown>;
+}
+
+export interface History {
+	commit(
+		document: object,
+		meta?: Record<string, unknown>
+	): Promise<VersionDescription & { changelog: ChangelogEntry[] }>;
+	get(version?: number): Promise<any>;
+	diff(from: number, to: number): Promise<ChangelogEntry[]>;
+	blame(
+		path: string
+	): Promise<(VersionDescription & { changes: ChangelogEntry[] })[]>;
+	versions(): Promise<VersionDescription[]>;
+	head(): Promise<number>;
+}
+
+export declare function createHistory(options?: {
+	adapter?: HistoryAdapter;
+	checkpointInterval?: number;
+	root?: string;
+	arrayDiff?: 'index' | 'lcs';
+	arrayKeys?: DeepComparerOptions['arrayKeys'];
+	undefinedPolicy?: DeepComparerOptions['undefinedPolicy'];
+}): History;
+
+export declare const HistoryAdapters: {
+	memory(): HistoryAdapter;
+	/** Stores each version as a JSON file of the directory, encoded as by `serializeChangelog`; Node.js only. */
+	file(directory: string): HistoryAdapter;
+};
+
+export declare function buildDiffTree(
+	diffs: ChangelogEntry<EntryPath>[],
+	documents?: { latest?: unknown; root?: string }
+): DiffTreeNode;
+
+export declare function getDiffStats(
+	diffs: ChangelogEntry<EntryPath>[]
+): DiffStats;
+
+export declare const NodeStatus: {
+	readonly Unchanged: 'unchanged';
+	readonly Added: 'added';
+	readonly Deleted: 'deleted';
+	readonly Updated: 'updated';
+	readonly TypeChanged: 'type-changed';
+	readonly Moved: 'moved';
+	readonly ContainsChanges: 'contains-changes';
+};
+
+export declare const ConflictType: {
+	readonly Updated: 'update/update';
+	readonly Deleted: 'delete/update';
+	readonly Added: 'add/add';
+	readonly Inserted: 'insert/insert';
+};
+
+export declare const PathFormat: {
+	readonly Dotted: 'dotted';
+	readonly Segments: 'segments';
+	readonly JsonPath: 'jsonpath';
+	readonly Pointer: 'pointer';
+};
+
+export declare const Comparators: {
+	tolerance(epsilon: number): ComparatorRule['compare'];
+	caseInsensitive(): ComparatorRule['compare'];
+	trimmed(): ComparatorRule['compare'];
+	dateOnly(): ComparatorRule['compare'];
+};
+
+export declare const Normalizers: {
+	trim(): NormalizerRule['normalize'];
+	lowercase(): NormalizerRule['normalize'];
+	isoDate(): NormalizerRule['normalize'];
+};
+
+export declare const MergeStrategies: {
+	ours(): MergeStrategy;
+	theirs(): MergeStrategy;
+	base(): MergeStrategy;
+	union(): MergeStrategy;
+};
+
+export type Reporter = (diffs: ChangelogEntry<EntryPath>[]) => string;
+
+export declare const Reporters: {
+	text(options?: { maxLength?: number }): Reporter;
+	terminal(options?: { colors?: boolean; maxLength?: number }): Reporter;
+	markdown(options?: { maxLength?: number }): Reporter;
+	html(options?: {
+		title?: string;
+	}): (
+		diffs: ChangelogEntry<EntryPath>[],
+		documents: { prior: unknown; latest: unknown; root?: string }
+	) => string;
+};
+
+export declare const RedactionStrategies: {
+	placeholder(text?: string): RedactionStrategy;
+	hash(options: { salt: string; length?: number }): RedactionStrategy;
+	partial(options?: { reveal?: number; mask?: string }): RedactionStrategy;
+};
+
+export declare const Detectors: {
+	email(options?: { strategy?: RedactionStrategy }): Detector;
+	cardNumber(options?: { strategy?: RedactionStrategy }): Detector;
+	token(options?: { strategy?: RedactionStrategy }): Detector;
+};
+
+export declare const InstrumentationSinks: {
+	console(options?: { log?: (line: string) => void }): InstrumentationSink;
+};
+
+export declare function diffText(
+	oldText: string,
+	newText: string,
+	options?: { context?: number }
+): TextDiff;
+
+export declare function formatUnifiedDiff(
+	textDiff: TextDiff,
+	options?: { from?: string; to?: string }
+): string;
+
+export interface ApplyOptions {
+	strict?: boolean;
+}
+
+export declare function applyChangelog<T>(
+	target: T,
+	diffs: ChangelogEntry<EntryPath>[],
+	options?: ApplyOptions
+): T;
+export declare function revertChangelog<T>(
+	target: T,
+	diffs: ChangelogEntry<EntryPath>[],
+	options?: ApplyOptions
+): T;
+export declare function replayChangelogs<T>(
+	target: T,
+	changelogs: ChangelogEntry<EntryPath>[][],
+	options?: ApplyOptions
+): T;
+
+export interface JsonPatchOperation {
+	op: 'add' | 'remove' | 'replace' | 'move' | 'copy' | 'test';
+	path: string;
+	from?: string;
+	value?: unknown;
+}
+
+export declare function toJsonPatch(
+	diffs: ChangelogEntry<EntryPath>[]
+): JsonPatchOperation[];
+export declare function fromJsonPatch(
+	patch: JsonPatchOperation[],
+	options?: { document?: unknown; root?: string }
+): ChangelogEntry[];
+export declare function applyJsonPatch<T>(
+	document: T,
+	patch: JsonPatchOperation[]
+): T;
+export declare function toJsonPointer(path: string): string;
+export declare function fromJsonPointer(
+	pointer: string,
+	document?: unknown,
+	root?: string
+): string;
+
+export declare function parsePath(
+	path: string | PathSegment[],
+	format?: PathFormatName
+): PathSegment[];
+export declare function formatPath(
+	segments: PathSegment[],
+	format?: Exclude<PathFormatName, 'segments'>
+): string;
+export declare function formatPath(
+	segments: PathSegment[],
+	format: 'segments'
+): PathSegment[];
+
+/** An error of a serialized changelog, located by the JSON Pointer of its `path`. */
+export interface ChangelogValidationIssue {
+	path: string;
+	message: string;
+}
+
+export declare function serializeChangelog(
+	changelog: ChangelogEntry<EntryPath>[],
+	options?: { space?: number | string }
+): string;
+export declare function deserializeChangelog<Path extends EntryPath = string>(
+	serialized: string | object
+): Changelog<Path>;
+export declare function validateChangelog(
+	serialized: string | object
+): ChangelogValidationIssue[];
+/** The JSON Schema of serialized changelogs, also published as `deep-comparer/changelog.schema.json`. */
+export declare const changelogSchema: Record<string, unknown>;
+
+export declare class ChangelogConflictError extends Error {
+	constructor(conflicts: unknown[]);
+	conflicts: unknown[];
+}
+
+export declare class ComparisonAbortedError extends Error {
+	constructor(message: string, reason: unknown);
+	reason: unknown;
+}
+
+export declare class ChangelogValidationError extends Error {
+	constructor(errors: ChangelogValidationIssue[]);
+	errors: ChangelogValidationIssue[];
+}
@@ -1,58 +1,717 @@
-const performanceLogger = require('./utils/performance-logger');
-const { hashCompare } = require('./utils/hash-compare');
-const { DiffType, DEFAULT_ROOT } = require('./constants');
+const { hashCompare, createHasher } = require('./utils/hash-compare');
+const {
+	DiffType,
+	DEFAULT_ROOT,
+	CONTAINER_KINDS,
+	ArrayDiffMode,
+	UndefinedPolicy,
+	NodeStatus,
+	OutputMode,
+	ConflictType,
+	PathFormat,
+} = require('./constants');
 const { getChangelog } = require('./utils/get-changelog');
+const { alignArrays } = require('./utils/align-arrays');
+const {
+	createPathMatcher,
+	compilePattern,
+	compileArrayKeys,
+} = require('./utils/path-pattern');
+const {
+	parsePath,
+	formatPath,
+	formatKey,
+	appendKey,
+	compilePathFormat,
+} = require('./utils/parse-path');
 const Helper = require('./utils/helper');
+const {
+	applyChangelog,
+	revertChangelog,
+	replayChangelogs,
+} = require('./apply-changelog');
+const {
+	toJsonPatch,
+	fromJsonPatch,
+	applyJsonPatch,
+	toJsonPointer,
+	fromJsonPointer,
+} = require('./json-patch');
+const { Comparators, compileComparators } = require('./comparators');
+const { Normalizers, compileNormalizers } = require('./normalizers');
+const { createStreamWalker } = require('./stream-compare');
+const { createMerger } = require('./merge');
+const { createHistoryStore, HistoryAdapters } = require('./history');
+const { createTracker } = require('./track');
+const { buildDiffTree, getDiffStats } = require('./diff-tree');
+const { MergeStrategies } = require('./merge-strategies');
+const {
+	ChangelogConflictError,
+	ComparisonAbortedError,
+	ChangelogValidationError,
+} = require('./errors');
+const { Reporters } = require('./reporters');
+const {
+	serializeChangelog,
+	deserializeChangelog,
+	validateChangelog,
+	changelogSchema,
+} = require('./serialization');
+const { diffText, formatUnifiedDiff, resolveTextDiff } = require('./text-diff');
+const {
+	RedactionStrategies,
+	Detectors,
+	compileRedaction,
+} = require('./redaction');
+const { now, yieldToEventLoop } = require('./utils/runtime');
+const {
+	InstrumentationSinks,
+	compileSinks,
+	createMetrics,
+} = require('./instrumentation');
+const { compileParallel, countValues } = require('./parallel');
+
+/**
+ * Merges the positional arguments of `createDeepComparer` into a single options object,
+ * so that both `createDeepComparer(options)` and `createDeepComparer(keysToIgnore, keysToFilter, options)`
+ * are supported.
+ *
+ * @param {Array|Object} [keysToIgnore] - The rules of keys to ignore, or the options object.
+ * @param {Array} [keysToFilter] - The rules of keys to mask.
+ * @param {Object} [options] - The remaining options.
+ * @returns {Object} The options object.
+ */
+function resolveOptions(keysToIgnore, keysToFilter, options = {}) {
+	if (Helper.isObject(keysToIgnore) && !Array.isArray(keysToIgnore)) {
+		return keysToIgnore;
+	}
+	return { ...options, keysToIgnore, keysToMask: keysToFilter };
+}
+
+// How many values a comparison that can be aborted compares between two yields to the event loop.
+const YIELD_INTERVAL = 1000;
+
+/**
+ * Creates the budget of a single comparison: the entries found so far, the limits stopping the comparison,
+ * and whether it stopped early.
+ *
+ * @param {Object} limits - The limits of the comparison.
+ * @param {number} [limits.maxDiffs=Infinity] - The number of entries after which the comparison stops.
+ * @param {boolean} [limits.probe=false] - Whether entries are only counted, not built.
+ * @param {AbortSignal} [limits.signal] - A signal aborting the comparison.
+ * @param {number} [limits.timeout] - The time allowed to the comparison, in milliseconds.
+ * @param {number} [limits.deadline] - The time at which the comparison times out, as returned by `Date.now()`.
+ * @param {Object} [limits.metrics] - The metrics recorded for the instrumentation (see `createMetrics`).
+ * @returns {Object} The budget.
+ */
+function createBudget({
+	maxDiffs = Infinity,
+	probe = false,
+	signal,
+	timeout,
+	deadline = timeout === undefined ? undefined : Date.now() + timeout,
+	metrics,
+}) {
+	return {
+		maxDiffs,
+		probe,
+		signal,
+		timeout,
+		deadline,
+		metrics,
+		count: 0,
+		visits: 0,
+		stopped: false,
+		skipped: false,
+	};
+}
+
+/**
+ * Throws if a comparison was aborted or timed out.
+ *
+ * @param {Object} budget - The budget of the comparison (see `createBudget`).
+ * @throws {ComparisonAbortedError} If the signal was aborted or the deadline is past.
+ */
+function checkBudget({ signal, timeout, deadline }) {
+	if (signal && signal.aborted) {
+		throw new ComparisonAbortedError(
+			'The comparison was aborted.',
+			signal.reason
+		);
+	}
+	if (deadline !== undefined && Date.now() > deadline) {
+		throw new ComparisonAbortedError(
+			`The comparison timed out after ${timeout} ms.`,
+			'timeout'
+		);
+	}
+}
+
+/**
+ * Tells whether a comparison can stop before reaching its end: when it only looks for a first difference, or
+ * can be aborted or time out. Such comparisons walk the versions rather than hashing whole subtrees up front,
+ * which would read both versions in full before any difference is found or any limit is checked.
+ *
+ * @param {Object} budget - The budget of the comparison (see `createBudget`).
+ * @returns {boolean} `true` if the comparison can stop early.
+ */
+function stopsEarly({ probe, signal, deadline }) {
+	return probe || Boolean(signal) || deadline !== undefined;
+}
+
+/**
+ * Compares the children of two containers. They are compared side by side, unless the comparison can
+ * be aborted, time out or is instrumented: they are then compared one after the other, so that its yields
+ * to the event loop pause the whole comparison and let the signal be aborted in between, so that the
+ * children left stop at once, and so that the time each subtree takes is its own.
+ *
+ * @param {Object} budget - The budget of the comparison (see `createBudget`).
+ * @param {Array} children - The children to compare.
+ * @param {Function} compare - An async function comparing a child, given the child and its index.
+ * @returns {Promise<Object[][]>} A promise that resolves to the changelog entries of each child.
+ */
+async function compareEach(budget, children, compare) {
+	if (!budget.signal && budget.deadline === undefined && !budget.metrics) {
+		return Promise.all(children.map(compare));
+	}
+
+	const nestedDiffs = [];
+	for (const [i, child] of children.entries()) {
+		nestedDiffs.push(await compare(child, i));
+	}
+	return nestedDiffs;
+}
+
+/**
+ * Compares two nested containers, recording the time it takes when the comparison is instrumented.
+ * The compared values themselves are not recorded, as their time is the time of the whole comparison.
+ *
+ * @param {Object} ancestors - The frames of the objects being compared above the containers.
+ * @param {string} path - The path of the containers.
+ * @param {Function} compare - A function comparing the containers.
+ * @returns {Promise<Object[]>} A promise that resolves to the changelog entries of the containers.
+ */
+async function timeSubtree(ancestors, path, compare) {
+	const { metrics } = ancestors.budget;
+	if (!metrics || ancestors.depth === 0) return await compare();
+
+	const start = now();
+	const diffs = await compare();
+	metrics.recordSubtree(path, now() - start);
+	return diffs;
+}
+
+/**
+ * Looks up a value among the objects being compared above it on one side of the comparison,
+ * so that cyclic references are reported instead of being followed endlessly.
+ *
+ * @param {Object} ancestors - The innermost frame of the objects being compared, each holding the
+ *                      `prior` and `latest` objects, their `path`, their `depth`, the `parent` frame, and
+ *                      the `hash` function and `budget` of the comparison.
+ * @param {string} side - Which side to look at: `'prior'` or `'latest'`.
+ * @param {*} value - The value to look up.
+ * @returns {*} `{ $ref: path }` if the value is one of its own ancestors, the value itself otherwise.
+ */
+function asReference(ancestors, side, value) {
+	if (!Helper.isObject(value)) return value;
+	for (let frame = ancestors; frame; frame = frame.parent) {
+		if (frame[side] === value) return { $ref: frame.path };
+	}
+	return value;
+}
 
 /**
  * @author: davic. Github: https://github.com/DavideCometa
  * Creates a deep comparer function that can be used to compare two versions of an object or array.
+ * It accepts either an options object or, for backward compatibility, the keys to ignore and to mask
+ * as positional arguments followed by the other options.
  *
- * @param {string[]} [keysToIgnore] - An optional array of keys to ignore during the comparison.
- * @param {string[]} [keysToFilter] - An optional array of keys to filter out from the output.
+ * @param {Object} [options] - Optional settings for the comparison.
+ * @param {Array<string|Function>} [options.keysToIgnore] - Rules matching the paths to ignore during the comparison:
+ *                      key names (matched anywhere), path patterns such as `root.orders[*].updatedAt` or `**.password`,
+ *                      or predicates receiving the path and the value.
+ * @param {Array<string|Function>} [options.keysToMask] - Rules, as for `keysToIgnore`, matching the keys to filter
+ *                      out from the output. The values of an entry whose path is itself masked are replaced with `***`.
+ * @param {Object[]} [options.redact] - Redaction rules, each made of a `path` rule, as for `keysToIgnore`, and a
+ *                      `strategy` (see `RedactionStrategies`): the values found at matching paths, in the entries or
+ *                      nested in their values, are replaced with what the strategy returns for them rather than removed.
+ * @param {Object[]} [options.detectors] - Detectors redacting sensitive data, such as emails or card numbers, from any
+ *                      string of the entries (see `Detectors`). Redaction applies before text diffs are computed.
+ * @param {string} [options.arrayDiff='index'] - How array elements are matched: `'index'` compares them position by
+ *                      position, `'lcs'` aligns them by content and reports insertions, removals and moves, `'set'` and
+ *                      `'multiset'` ignore their order and only report the elements removed and added (see `ArrayDiffMode`).
+ * @param {Object<string, string>} [options.arrayModes] - `arrayDiff` modes per array path pattern, overriding the
+ *                      global one, e.g. `{ 'root.users[*].roles': 'set' }`.
+ * @param {Object<string, string|Function>} [options.arrayKeys] - Identity keys (or functions returning an identity)
+ *                      per array path pattern, e.g. `{ 'root.orders[*].lines': 'id' }`.
+ *                      Arrays listed here are aligned by identity whatever the global `arrayDiff` mode.
+ * @param {string} [options.undefinedPolicy='absent'] - How keys holding `undefined` are treated: `'absent'` compares them
+ *                      as missing keys, as JSON does, `'value'` as keys holding a value of their own.
+ * @param {string} [options.output='changelog'] - What the deep comparer resolves to: `'changelog'` for the flat list
+ *                      of changes, `'tree'` for `{ changelog, tree, stats }`, adding a diff tree mirroring the compared
+ *                      versions and change statistics (see `buildDiffTree` and `getDiffStats`).
+ * @param {Object[]} [options.comparators] - Custom comparators, each made of a `compare` function restricted to a
+ *                      `path` pattern and/or a value `type` (see `compileComparators`). They are consulted before
+ *                      the built-in comparison.
+ * @param {number} [options.maxDepth] - The depth beyond which objects, arrays, Maps and Sets are not walked down:
+ *                      those found at this depth (0 being the compared values themselves) are reported as a whole
+ *                      when they differ.
+ * @param {number} [options.maxDiffs] - The number of entries after which the comparison stops. The changelog of a
+ *                      stopped comparison holds at most `maxDiffs` entries, and has a non-enumerable `truncated`
+ *                      property set to `true` when some differences may be missing.
+ * @param {number} [options.timeout] - The time allowed to each comparison, in milliseconds, after which it rejects
+ *                      with a `ComparisonAbortedError`.
+ * @param {AbortSignal} [options.signal] - A signal aborting the comparisons, which then reject with a
+ *                      `ComparisonAbortedError`. A signal can also be given to each comparison.
+ * @param {Object[]} [options.normalizers] - Normalizers, each made of a `normalize` function restricted to a `path`
+ *                      pattern and/or a value `type` (see `compileNormalizers` and `Normalizers`). Values are normalized
+ *                      before being hashed and compared, while the changelog reports them as they are.
+ * @param {Function} [options.digest] - The function hashing the serialization of subtrees, given a string and returning
+ *                      a string without `:`. SHA-256 by default, computed by Node.js when available and in plain
+ *                      JavaScript otherwise.
+ * @param {Function|Function[]} [options.instrumentation] - Sinks receiving an event with the metrics of each comparison,
+ *                      such as its duration, the nodes visited and the slowest subtrees (see `createMetrics` and
+ *                      `InstrumentationSinks`). Instrumented comparisons compare the children of a container one after the
+ *                      other, to time each subtree.
+ * @param {boolean|Object} [options.textDiff] - Attaches a `textDiff` to the updates of strings at least `minLength` long
+ *                      (200 by default): a line-level diff showing `context` unchanged lines (3 by default) around each
+ *                      change, with the characters changed within the lines (see `diffText` and `formatUnifiedDiff`).
+ *                      `true` stands for the default settings.
+ * @param {string} [options.pathFormat='dotted'] - The format of the paths of the entries and diff tree nodes: `'dotted'`
+ *                      for `root.a["b.c"][0]`, `'segments'` for `['root', 'a', 'b.c', 0]`, `'jsonpath'` for `$.a['b.c'][0]`
+ *                      or `'pointer'` for `/a/b.c/0` (see `PathFormat` and `formatPath`). Path rules and the callbacks of the
+ *                      other options still receive dotted paths.
+ * @param {boolean|Object} [options.parallel] - Compares the top-level subtrees of large versions side by side in
+ *                      worker threads (Node.js only), as described for `compareInParallel`. `true` stands for the
+ *                      default settings: `workers`, the size of the pool, is the number of CPUs by default, and
+ *                      versions holding fewer than `threshold` values together (100000 by default) are compared on
+ *                      the calling thread. Only `deepCompare` runs in parallel. The values of the entries found by the
+ *                      workers are copies, and the options the workers compare with (`keysToIgnore`, `keysToMask`,
+ *                      `arrayModes`, `arrayKeys`, `comparators`, `normalizers` and `digest`) cannot hold functions.
  * @returns {Function} A deep compare function that takes two versions of an object or array (first passed param
  *                      will be considered the prior version), and an optional path parameter to be used as root in the report.
+ *                      Its `compareValues` method compares two values of any type found at a given path, and its `isEqual`
+ *                      method tells whether they are equal, and its `close` method terminates its worker threads.
+ * @throws {Error} If a limit is not a positive integer (`maxDepth` may be 0), an instrumentation sink is not a function,
+ *                      a `textDiff` setting is not a non-negative integer, the path format is unknown, or the `parallel`
+ *                      settings are invalid or cannot be sent to worker threads.
  *
  * @example
- * const deepCompare = createDeepComparer(['keyToIgnore'], ['keyToHide']);
+ * const deepCompare = createDeepComparer({
+ *   keysToIgnore: ['keyToIgnore'],
+ *   keysToMask: ['keyToHide'],
+ *   comparators: [{ type: 'number', compare: Comparators.tolerance(0.01) }],
+ *   normalizers: [{ path: 'root.tags[*]', normalize: Normalizers.lowercase() }],
+ *   arrayModes: { 'root.tags': 'set' },
+ * });
  * const diffs = await deepCompare({ a: 1, b: 2 }, { a: 1, b: 3 });
  * console.log(diffs);
  */
-function createDeepComparer(keysToIgnore, keysToFilter) {
+function createDeepComparer(...args) {
+	const options = resolveOptions(...args);
+	const arrayDiff = options.arrayDiff || ArrayDiffMode.Index;
+	const isIgnored = createPathMatcher(options.keysToIgnore);
+	const isMasked = options.keysToMask && createPathMatcher(options.keysToMask);
+	const customCompare = compileComparators(options.comparators);
+	const normalize =
+		(options.normalizers || []).length > 0
+			? compileNormalizers(options.normalizers)
+			: undefined;
+	const keepUndefined = options.undefinedPolicy === UndefinedPolicy.Value;
+	const output = options.output || OutputMode.Changelog;
+	const report = compileSinks(options.instrumentation);
+	const textDiff = resolveTextDiff(options.textDiff);
+	const redactEntry = compileRedaction(options);
+	const formatEntryPath = compilePathFormat(options.pathFormat);
+	const { maxDepth = Infinity, maxDiffs = Infinity, timeout } = options;
+	if (maxDepth !== Infinity && !(Number.isInteger(maxDepth) && maxDepth >= 0)) {
+		throw new Error('maxDepth must be a non-negative integer.');
+	}
+	if (maxDiffs !== Infinity && !(Number.isInteger(maxDiffs) && maxDiffs > 0)) {
+		throw new Error('maxDiffs must be a positive integer.');
+	}
+	if (timeout !== undefined && !(typeof timeout === 'number' && timeout > 0)) {
+		throw new Error('timeout must be a positive number of milliseconds.');
+	}
+	const parallel = compileParallel(options.parallel, options);
+	// Returns the identity function registered for the array found at a path, if any.
+	const getArrayIdentity = compileArrayKeys(options.arrayKeys);
+
+	const arrayModes = Object.entries(options.arrayModes || {}).map(
+		([pattern, mode]) => ({ matches: compilePattern(pattern), mode })
+	);
+	[arrayDiff, ...arrayModes.map(({ mode }) => mode)].forEach((mode) => {
+		if (!Object.values(ArrayDiffMode).includes(mode)) {
+			throw new Error(`Unknown array diff mode: ${mode}`);
+		}
+	});
+	const isUnordered = (mode) =>
+		mode === ArrayDiffMode.Set || mode === ArrayDiffMode.Multiset;
+	const hasUnorderedArrays =
+		isUnordered(arrayDiff) || arrayModes.some(({ mode }) => isUnordered(mode));
+
+	/**
+	 * Returns how the array found at the given path is compared: the mode given in `arrayModes` for its
+	 * path, `'lcs'` if it has an identity in `arrayKeys`, the global `arrayDiff` mode otherwise.
+	 *
+	 * @function getArrayMode
+	 * @param {string} path - The path of the array.
+	 * @returns {string} The array diff mode (see `ArrayDiffMode`).
+	 */
+	function getArrayMode(path) {
+		const rule = arrayModes.find(({ matches }) => matches(path));
+		if (rule) return rule.mode;
+		return getArrayIdentity(path) ? ArrayDiffMode.Lcs : arrayDiff;
+	}
+
+	/**
+	 * Creates the hash function of a comparison, normalizing values and ignoring the order of unordered
+	 * arrays when the options ask for it.
+	 *
+	 * @function newHasher
+	 * @param {Object} [metrics] - The metrics of the comparison, counting the hashes computed.
+	 * @param {Object} budget - The budget of the comparison, checked while hashing when it can be aborted or
+	 *                      time out.
+	 * @returns {Function} The hash function (see `createHasher`).
+	 */
+	function newHasher(metrics, budget) {
+		return createHasher({
+			keepUndefined,
+			normalize,
+			arrayMode: hasUnorderedArrays ? getArrayMode : undefined,
+			onHash: metrics && metrics.recordHash,
+			digest: options.digest,
+			check:
+				budget.signal || budget.deadline !== undefined
+					? () => checkBudget(budget)
+					: undefined,
+		});
+	}
+
+	/**
+	 * Checks whether two containers hash equal, in which case they need no comparison. Comparisons that can
+	 * stop early (see `stopsEarly`) only reuse the hashes computed so far, such as those of the array elements
+	 * they aligned.
+	 *
+	 * @function hashEqual
+	 * @param {*} prior - The original container.
+	 * @param {*} latest - The updated container.
+	 * @param {string} path - The path of the containers.
+	 * @param {Object} ancestors - The frames of the objects being compared, holding the `hash` function and
+	 *                      the `budget`.
+	 * @returns {boolean} `true` if the containers are known to be equal.
+	 */
+	function hashEqual(prior, latest, path, ancestors) {
+		const { hash, budget } = ancestors;
+		if (!stopsEarly(budget)) return hashCompare(prior, latest, hash, path);
+		const digest = hash.peek(prior, path);
+		return digest !== undefined && digest === hash.peek(latest, path);
+	}
+
+	/**
+	 * Hashes values one after the other, so that the comparison reuses their memoized hashes. When the
+	 * comparison can be aborted, it yields to the event loop in between, so that hashing the elements of
+	 * a large array does not hold the signal back.
+	 *
+	 * @async
+	 * @function hashEach
+	 * @param {Array} values - The values.
+	 * @param {Function} pathOf - A function returning the path of a value, given the value and its index.
+	 * @param {Object} ancestors - The frames of the objects being compared, holding the `hash` function and
+	 *                      the `budget`.
+	 * @returns {Promise<void>} A promise that resolves once the values are hashed.
+	 */
+	async function hashEach(values, pathOf, ancestors) {
+		const { hash, budget } = ancestors;
+		if (!budget.signal) return;
+		for (const [i, value] of values.entries()) {
+			hash(value, pathOf(value, i));
+			if ((i + 1) % YIELD_INTERVAL === 0) {
+				await yieldToEventLoop();
+				checkBudget(budget);
+			}
+		}
+	}
+
+	/**
+	 * Checks whether an object owns a key, a key holding `undefined` being absent unless the
+	 * `undefinedPolicy` option says otherwise.
+	 *
+	 * @function isPresent
+	 * @param {Object} object - The object.
+	 * @param {string|symbol} key - The key.
+	 * @returns {boolean} `true` if the key is present.
+	 */
+	function isPresent(object, key) {
+		return (
+			Object.prototype.hasOwnProperty.call(object, key) &&
+			(keepUndefined || object[key] !== undefined)
+		);
+	}
+
+	/**
+	 * Builds the changelog entry of a value replaced by another one: a type change when neither is `null`
+	 * nor `undefined` and their kinds differ (see `Helper.kindOf`), an update otherwise. Updates of long
+	 * enough strings get a `textDiff` of their redacted versions when the option is set (see `completeEntry`).
+	 *
+	 * @function getChange
+	 * @param {*} value1 - The prior value.
+	 * @param {*} value2 - The latest value.
+	 * @param {string} path - The path of the values.
+	 * @returns {Object} The changelog entry.
+	 */
+	function getChange(value1, value2, path) {
+		const typeChanged =
+			value1 != null &&
+			value2 != null &&
+			Helper.kindOf(value1) !== Helper.kindOf(value2);
+		return completeEntry(
+			getChangelog(
+				value1,
+				value2,
+				path,
+				typeChanged ? DiffType.TypeChanged : DiffType.Updated,
+				isMasked
+			)
+		);
+	}
+
+	/**
+	 * Redacts a changelog entry, then attaches a `textDiff` to the update of long enough strings when the
+	 * option is set.
+	 *
+	 * @function completeEntry
+	 * @param {Object} entry - The changelog entry.
+	 * @returns {Object} The redacted entry.
+	 */
+	function completeEntry(entry) {
+		const redacted = redactEntry(entry);
+		const { oldVal, newVal } = redacted;
+		if (
+			textDiff &&
+			typeof oldVal === 'string' &&
+			typeof newVal === 'string' &&
+			oldVal !== newVal &&
+			Math.max(oldVal.length, newVal.length) >= textDiff.minLength
+		) {
+			redacted.textDiff = diffText(oldVal, newVal, textDiff);
+		}
+		return redacted;
+	}
+
+	/**
+	 * Counts a changelog entry against the budget of a comparison, stopping the comparison once `maxDiffs`
+	 * entries are found. When only probing for a difference, the entry is not built.
+	 *
+	 * @function emit
+	 * @param {Object} ancestors - The frames of the objects being compared, holding the `budget`.
+	 * @param {string} path - The path of the entry.
+	 * @param {Function} build - A function building the entry.
+	 * @returns {Object} The entry, or `{ path }` when probing.
+	 */
+	function emit(ancestors, path, build) {
+		const { budget } = ancestors;
+		if (++budget.count >= budget.maxDiffs) budget.stopped = true;
+		return budget.probe ? { path } : build();
+	}
+
+	/**
+	 * Counts and builds the entry of a value replaced by another one (see `getChange`).
+	 *
+	 * @function emitChange
+	 * @param {*} value1 - The prior value.
+	 * @param {*} value2 - The latest value.
+	 * @param {string} path - The path of the values.
+	 * @param {Object} ancestors - The frames of the objects being compared, holding the `budget`.
+	 * @returns {Object} The changelog entry.
+	 */
+	function emitChange(value1, value2, path, ancestors) {
+		return emit(ancestors, path, () => getChange(value1, value2, path));
+	}
+
+	/**
+	 * Counts and builds the entry of a value added or deleted.
+	 *
+	 * @function emitEntry
+	 * @param {Object} ancestors - The frames of the objects being compared, holding the `budget`.
+	 * @param {*} value - The value added or deleted.
+	 * @param {string} path - The path of the value.
+	 * @param {Symbol} diffType - `DiffType.Added` or `DiffType.Deleted`.
+	 * @returns {Object} The changelog entry.
+	 */
+	function emitEntry(ancestors, value, path, diffType) {
+		return emit(ancestors, path, () =>
+			redactEntry(getChangelog(value, undefined, path, diffType, isMasked))
+		);
+	}
+
+	/**
+	 * Checks whether two values are equal, as `compareValues` would find them, stopping at the first
+	 * difference without building any entry. The limits of the comparison still apply.
+	 *
+	 * @async
+	 * @function isEqualAt
+	 * @param {*} value1 - The first value.
+	 * @param {*} value2 - The second value.
+	 * @param {string} path - The path of the values.
+	 * @param {Object} ancestors - The frames of the objects being compared above the values.
+	 * @returns {Promise<boolean>} `true` if no difference is found.
+	 */
+	async function isEqualAt(value1, value2, path, ancestors) {
+		const { signal, deadline, timeout, metrics } = ancestors.budget;
+		const budget = createBudget({
+			maxDiffs: 1,
+			probe: true,
+			signal,
+			deadline,
+			timeout,
+			metrics,
+		});
+		const diffs = await compareValues(value1, value2, path, {
+			...ancestors,
+			budget,
+		});
+		return diffs.length === 0;
+	}
+
 	/**
-	 * Compares two values of any type and generates a changelog if they differ. It specifically handles
-	 * Date objects by comparing their time values, arrays and objects by performing deep comparisons, and
-	 * other value types by direct comparison. If a difference is detected, a changelog entry is created.
+	 * Compares two values of any type and generates a changelog if they differ. Custom comparators are
+	 * consulted first; otherwise it specifically handles Date objects by comparing their time values,
+	 * RegExps by their source and flags, typed arrays and Buffers by their bytes, arrays, Maps, Sets and
+	 * objects by performing deep comparisons, and other value types (BigInts included) by direct comparison.
+	 * A value referencing one of its own ancestors (a cycle) is not followed: it is reported as
+	 * `{ $ref: path }`, the path of that ancestor, and two such references are equal when they point to
+	 * the same path. If a difference is detected, a changelog entry is created: values of different kinds
+	 * (a number and a string, an object and an array) are reported as type changes, and `null` or `undefined`
+	 * replacing a value, or replaced by one, as updates. Both values are present: absent keys are handled by
+	 * the callers. Values are normalized before being compared, but reported as they are.
 	 *
 	 * @async
 	 * @function compareValues
 	 * @param {*} value1 - The first value to be compared.
 	 * @param {*} value2 - The second value to be compared.
 	 * @param {string} path - The path to the current value in the object, used for changelog entries.
+	 * @param {Object} ancestors - The frames of the objects being compared above the values (see `asReference`).
 	 * @returns {Promise<Object[]>} A promise that resolves to an array containing the changelog entry if a difference is found, otherwise an empty array.
 	 */
-	async function compareValues(value1, value2, path) {
+	async function compareValues(value1, value2, path, ancestors) {
+		const { budget } = ancestors;
+		checkBudget(budget);
+		if (budget.stopped) {
+			budget.skipped = true;
+			return [];
+		}
+		if (budget.metrics) budget.metrics.nodesVisited++;
+		if (budget.signal && ++budget.visits % YIELD_INTERVAL === 0) {
+			await yieldToEventLoop();
+			checkBudget(budget);
+		}
+		if (isIgnored(path, value1) || isIgnored(path, value2)) return [];
+
 		if (typeof value1 === 'function' || typeof value2 === 'function') {
 			throw new Error(`Function found at ${path}`);
 		}
 
-		if (value2 == null) {
-			return [
-				getChangelog(value1, undefined, path, DiffType.Deleted, keysToFilter),
-			];
+		if (normalize) {
+			const prior = normalize(value1, path);
+			const latest = normalize(value2, path);
+			if (prior !== value1 || latest !== value2) {
+				const diffs = await compareNormalized(prior, latest, path, ancestors);
+				if (budget.probe) return diffs;
+				return diffs.map((diff) =>
+					diff.path === path ? getChange(value1, value2, path) : diff
+				);
+			}
+		}
+		return await compareNormalized(value1, value2, path, ancestors);
+	}
+
+	/**
+	 * Compares two normalized values of any type, as described for `compareValues`.
+	 *
+	 * @async
+	 * @function compareNormalized
+	 * @param {*} value1 - The first value to be compared.
+	 * @param {*} value2 - The second value to be compared.
+	 * @param {string} path - The path to the current value in the object, used for changelog entries.
+	 * @param {Object} ancestors - The frames of the objects being compared above the values (see `asReference`).
+	 * @returns {Promise<Object[]>} A promise that resolves to the changelog entries of the differences found.
+	 */
+	async function compareNormalized(value1, value2, path, ancestors) {
+		if (value1 !== undefined && value2 !== undefined) {
+			const equal = customCompare(value1, value2, path);
+			if (equal === true) return [];
+			if (equal === false) return [emitChange(value1, value2, path, ancestors)];
 		}
 
+		const priorRef = asReference(ancestors, 'prior', value1);
+		const latestRef = asReference(ancestors, 'latest', value2);
+		// Only references substituted for cycles take this branch: NaN is not equal to itself
+		if (!Object.is(priorRef, value1) || !Object.is(latestRef, value2)) {
+			return hashCompare(priorRef, latestRef, ancestors.hash, path)
+				? []
+				: [emitChange(priorRef, latestRef, path, ancestors)];
+		}
+
+		if (value1 === value2 || (Number.isNaN(value1) && Number.isNaN(value2))) {
+			return [];
+		}
 		if (
-			Helper.areBothDates(value1, value2) &&
-			value1.getTime() !== value2.getTime()
+			value1 == null ||
+			value2 == null ||
+			Helper.kindOf(value1) !== Helper.kindOf(value2)
 		) {
-			return [getChangelog(value1, value2, path, DiffType.Updated, keysToFilter)];
+			return [emitChange(value1, value2, path, ancestors)];
+		}
+		// Equal containers are recognized by their hashes before anything is allocated to walk them down.
+		const isContainer = CONTAINER_KINDS.includes(Helper.kindOf(value1));
+		if (isContainer && hashEqual(value1, value2, path, ancestors)) return [];
+
+		const frame = {
+			prior: value1,
+			latest: value2,
+			path,
+			parent: ancestors,
+			hash: ancestors.hash,
+			budget: ancestors.budget,
+			depth: ancestors.depth + 1,
+		};
+		if (ancestors.depth >= maxDepth && !ancestors.budget.probe && isContainer) {
+			return (await isEqualAt(value1, value2, path, ancestors))
+				? []
+				: [emitChange(value1, value2, path, ancestors)];
+		}
+
+		if (Helper.areBothDates(value1, value2)) {
+			return value1.getTime() !== value2.getTime()
+				? [emitChange(value1, value2, path, ancestors)]
+				: [];
+		} else if (Helper.areBothRegExps(value1, value2)) {
+			return String(value1) !== String(value2)
+				? [emitChange(value1, value2, path, ancestors)]
+				: [];
+		} else if (Helper.areBothBinaries(value1, value2)) {
+			return !Helper.haveSameBytes(value1, value2)
+				? [emitChange(value1, value2, path, ancestors)]
+				: [];
 		} else if (Helper.areBothArrays(value1, value2)) {
-			return await deepArrayCompare(value1, value2, path);
+			return await timeSubtree(ancestors, path, () =>
+				deepArrayCompare(value1, value2, path, frame)
+			);
+		} else if (Helper.areBothMaps(value1, value2)) {
+			return await timeSubtree(ancestors, path, () =>
+				deepMapCompare(value1, value2, path, frame)
+			);
+		} else if (Helper.areBothSets(value1, value2)) {
+			return await timeSubtree(ancestors, path, () =>
+				setCompare(value1, value2, path, frame)
+			);
 		} else if (Helper.areBothObjects(value1, value2)) {
-			return await deepObjectCompare(value1, value2, path);
+			return await timeSubtree(ancestors, path, () =>
+				deepObjectCompare(value1, value2, path, frame)
+			);
 		} else if (value1 !== value2) {
-			return [getChangelog(value1, value2, path, DiffType.Updated, keysToFilter)];
+			return [emitChange(value1, value2, path, ancestors)];
 		}
 		return [];
 	}
@@ -65,34 +724,155 @@ function createDeepComparer(keysToIgnore, keysToFilter) {
 	 * @param {Object} prior - The original object to compare from.
 	 * @param {Object} latest - The new object to compare to.
 	 * @param {string} path - The base path for the current comparison, used for changelog entries.
+	 * @param {Object} ancestors - The frames of the objects being compared, these ones included.
 	 * @returns {Promise<Object[]>} A promise that resolves to an array of changelog entries detailing the differences.
 	 * @throws {Error} If a function is encountered in either the `prior` or `latest` objects, since functions cannot be compared.
 	 */
-	async function deepObjectCompare(prior, latest, path) {
-		if (hashCompare(prior, latest)) return [];
+	async function deepObjectCompare(prior, latest, path, ancestors) {
+		const nestedDiffs = await compareEach(
+			ancestors.budget,
+			Helper.ownEntries(prior).filter(([key]) => isPresent(prior, key)),
+			async ([key, val]) => {
+				const currentPath = appendKey(path, key);
+				if (!isPresent(latest, key)) {
+					return isIgnored(currentPath, val)
+						? []
+						: [
+								emitEntry(
+									ancestors,
+									asReference(ancestors, 'prior', val),
+									currentPath,
+									DiffType.Deleted
+								),
+						  ];
+				}
 
-		const comparePromises = Object.entries(prior).map(async ([key, val]) => {
-			if (keysToIgnore && keysToIgnore.includes(key)) return [];
+				return await compareValues(val, latest[key], currentPath, ancestors);
+			}
+		);
+		const flattenedDiffs = nestedDiffs.flat();
 
-			const currentPath = `${path}.${key}`;
-			const latestVal = latest[key];
+		// Check for newly added keys
+		return Helper.ownEntries(latest).reduce((diffs, [key, value]) => {
+			const currentPath = appendKey(path, key);
+			if (
+				isPresent(latest, key) &&
+				!isPresent(prior, key) &&
+				!isIgnored(currentPath, value)
+			) {
+				diffs.push(
+					emitEntry(
+						ancestors,
+						asReference(ancestors, 'latest', value),
+						currentPath,
+						DiffType.Added
+					)
+				);
+			}
+			return diffs;
+		}, flattenedDiffs);
+	}
 
-			return await compareValues(val, latestVal, currentPath);
-		});
+	/**
+	 * Recursively compares two Maps key by key and returns a detailed changelog. Keys are matched as the
+	 * Maps themselves do (by value for primitives, by reference for objects) and reported in paths as
+	 * `<key>`, e.g. `root.settings<"theme">`.
+	 *
+	 * @async
+	 * @function deepMapCompare
+	 * @param {Map} prior - The original Map to compare from.
+	 * @param {Map} latest - The new Map to compare to.
+	 * @param {string} path - The base path for the current comparison, used for changelog entries.
+	 * @param {Object} ancestors - The frames of the objects being compared, these ones included.
+	 * @returns {Promise<Object[]>} A promise that resolves to an array of changelog entries detailing the differences.
+	 */
+	async function deepMapCompare(prior, latest, path, ancestors) {
+		const hasKey = (map, key) =>
+			map.has(key) && (keepUndefined || map.get(key) !== undefined);
 
-		const nestedDiffs = await Promise.all(comparePromises);
-		const flattenedDiffs = nestedDiffs.flat();
+		const nestedDiffs = await compareEach(
+			ancestors.budget,
+			[...prior],
+			async ([key, val]) => {
+				const currentPath = `${path}${formatKey(key)}`;
+				if (!hasKey(prior, key)) return [];
+				if (!hasKey(latest, key)) {
+					return isIgnored(currentPath, val)
+						? []
+						: [
+								emitEntry(
+									ancestors,
+									asReference(ancestors, 'prior', val),
+									currentPath,
+									DiffType.Deleted
+								),
+						  ];
+				}
+				return await compareValues(val, latest.get(key), currentPath, ancestors);
+			}
+		);
 
 		// Check for newly added keys
-		return Object.entries(latest).reduce((diffs, [key, value]) => {
-			if (!Object.prototype.hasOwnProperty.call(prior, key)) {
-				const currentPath = `${path}.${key}`;
+		return [...latest].reduce((diffs, [key, value]) => {
+			const currentPath = `${path}${formatKey(key)}`;
+			if (
+				hasKey(latest, key) &&
+				!hasKey(prior, key) &&
+				!isIgnored(currentPath, value)
+			) {
 				diffs.push(
-					getChangelog(value, undefined, currentPath, DiffType.Added, keysToFilter)
+					emitEntry(
+						ancestors,
+						asReference(ancestors, 'latest', value),
+						currentPath,
+						DiffType.Added
+					)
 				);
 			}
 			return diffs;
-		}, flattenedDiffs);
+		}, nestedDiffs.flat());
+	}
+
+	/**
+	 * Compares two Sets by membership and returns the members removed and added, each reported at the
+	 * path of its member, e.g. `root.tags<"new">`. Members are matched by content.
+	 *
+	 * @async
+	 * @function setCompare
+	 * @param {Set} prior - The original Set to compare from.
+	 * @param {Set} latest - The new Set to compare to.
+	 * @param {string} path - The base path for the current comparison, used for changelog entries.
+	 * @param {Object} ancestors - The frames of the objects being compared, these ones included.
+	 * @returns {Promise<Object[]>} A promise that resolves to an array of changelog entries detailing the differences.
+	 */
+	async function setCompare(prior, latest, path, ancestors) {
+		const { hash } = ancestors;
+		const pathOf = (member) => `${path}${formatKey(member)}`;
+		await hashEach([...prior, ...latest], pathOf, ancestors);
+		const hashMember = (member) => hash(member, pathOf(member));
+		const priorMembers = new Set([...prior].map(hashMember));
+		const latestMembers = new Set([...latest].map(hashMember));
+		const diffs = [];
+
+		prior.forEach((member) => {
+			const currentPath = `${path}${formatKey(member)}`;
+			if (
+				!latestMembers.has(hashMember(member)) &&
+				!isIgnored(currentPath, member)
+			) {
+				diffs.push(emitEntry(ancestors, member, currentPath, DiffType.Deleted));
+			}
+		});
+		latest.forEach((member) => {
+			const currentPath = `${path}${formatKey(member)}`;
+			if (
+				!priorMembers.has(hashMember(member)) &&
+				!isIgnored(currentPath, member)
+			) {
+				diffs.push(emitEntry(ancestors, member, currentPath, DiffType.Added));
+			}
+		});
+		return diffs;
 	}
 
 	/**
@@ -103,68 +883,741 @@ function createDeepComparer(keysToIgnore, keysToFilter) {
 	 * @param {Array} prior - The original array to compare from.
 	 * @param {Array} latest - The new array to compare to.
 	 * @param {string} path - The base path for the current comparison, used for changelog entries.
+	 * @param {Object} ancestors - The frames of the objects being compared, these ones included.
 	 * @returns {Promise<Object[]>} A promise that resolves to an array of changelog entries detailing the differences.
 	 * @throws {Error} If a function is encountered in any array element, since functions cannot be compared.
 	 */
-	async function deepArrayCompare(prior, latest, path) {
-		if (hashCompare(prior, latest)) return [];
-
-		const comparePromises = prior.map(async (elem, i) => {
-			const currentPath = `${path}[${i}]`;
-			const latestElem = latest[i];
+	async function deepArrayCompare(prior, latest, path, ancestors) {
+		const mode = getArrayMode(path);
+		const { budget } = ancestors;
+		// Ordered arrays of the same length are equal when their elements are, position by position: looking
+		// for a first difference needs no alignment, and hashes one pair of elements at a time.
+		if (budget.probe && !isUnordered(mode) && prior.length === latest.length) {
+			return await findFirstDifference(prior, latest, path, ancestors);
+		}
+		const identify = mode === ArrayDiffMode.Lcs && getArrayIdentity(path);
+		if (mode !== ArrayDiffMode.Index && !identify) {
+			const pathOf = (_, i) => `${path}[${i}]`;
+			await hashEach(prior, pathOf, ancestors);
+			await hashEach(latest, pathOf, ancestors);
+		}
+		if (isUnordered(mode)) {
+			return unorderedArrayCompare(prior, latest, path, mode, ancestors);
+		}
+		if (mode === ArrayDiffMode.Lcs) {
+			return await alignedArrayCompare(prior, latest, path, identify, ancestors);
+		}
 
-			return await compareValues(elem, latestElem, currentPath);
-		});
+		const nestedDiffs = await compareEach(
+			ancestors.budget,
+			prior,
+			async (elem, i) => {
+				const currentPath = `${path}[${i}]`;
+				if (i >= latest.length) {
+					return isIgnored(currentPath, elem)
+						? []
+						: [
+								emitEntry(
+									ancestors,
+									asReference(ancestors, 'prior', elem),
+									currentPath,
+									DiffType.Deleted
+								),
+						  ];
+				}
 
-		const nestedDiffs = await Promise.all(comparePromises);
+				return await compareValues(elem, latest[i], currentPath, ancestors);
+			}
+		);
 		const flattenedDiffs = nestedDiffs.flat();
 
 		// Check for newly added elements
 		return latest.slice(prior.length).reduce((diffs, elem, i) => {
 			const currPath = `${path}[${i + prior.length}]`;
+			if (isIgnored(currPath, elem)) return diffs;
 			diffs.push(
-				getChangelog(elem, undefined, currPath, DiffType.Added, keysToFilter)
+				emitEntry(
+					ancestors,
+					asReference(ancestors, 'latest', elem),
+					currPath,
+					DiffType.Added
+				)
 			);
 			return diffs;
 		}, flattenedDiffs);
 	}
 
+	/**
+	 * Looks for the first difference between the elements of two arrays of the same length, position by
+	 * position. Elements hashing equal are skipped, the others compared until one differs.
+	 *
+	 * @async
+	 * @function findFirstDifference
+	 * @param {Array} prior - The original array to compare from.
+	 * @param {Array} latest - The new array to compare to.
+	 * @param {string} path - The base path for the current comparison, used for changelog entries.
+	 * @param {Object} ancestors - The frames of the objects being compared, these arrays included.
+	 * @returns {Promise<Object[]>} A promise that resolves to the entries of the first pair of elements that
+	 *          differ, or to no entry.
+	 */
+	async function findFirstDifference(prior, latest, path, ancestors) {
+		const { hash, budget } = ancestors;
+		for (const [i, elem] of prior.entries()) {
+			const currentPath = `${path}[${i}]`;
+			if (!hashCompare(elem, latest[i], hash, currentPath)) {
+				const diffs = await compareValues(elem, latest[i], currentPath, ancestors);
+				if (diffs.length) return diffs;
+			}
+			if (budget.signal && (i + 1) % YIELD_INTERVAL === 0) {
+				await yieldToEventLoop();
+				checkBudget(budget);
+			}
+		}
+		return [];
+	}
+
+	/**
+	 * Compares two arrays by aligning their elements rather than their indexes, so that an insertion
+	 * does not cascade into updates of every following element. Removed elements are reported at their
+	 * prior index, while added, moved and updated elements are reported at their latest index.
+	 *
+	 * @async
+	 * @function alignedArrayCompare
+	 * @param {Array} prior - The original array to compare from.
+	 * @param {Array} latest - The new array to compare to.
+	 * @param {string} path - The base path for the current comparison, used for changelog entries.
+	 * @param {Function} [identify] - An optional function returning the identity of an element.
+	 * @param {Object} ancestors - The frames of the objects being compared, these arrays included.
+	 * @returns {Promise<Object[]>} A promise that resolves to an array of changelog entries detailing the differences.
+	 */
+	async function alignedArrayCompare(prior, latest, path, identify, ancestors) {
+		const { kept, moved, removed, added } = alignArrays(
+			prior,
+			latest,
+			identify,
+			ancestors.hash,
+			path
+		);
+
+		const diffs = removed
+			.filter((i) => !isIgnored(`${path}[${i}]`, prior[i]))
+			.map((i) =>
+				emitEntry(
+					ancestors,
+					asReference(ancestors, 'prior', prior[i]),
+					`${path}[${i}]`,
+					DiffType.Deleted
+				)
+			);
+
+		const nestedDiffs = await compareEach(
+			ancestors.budget,
+			kept.concat(moved),
+			async ([i, j]) =>
+				await compareValues(prior[i], latest[j], `${path}[${j}]`, ancestors)
+		);
+
+		const byLatestIndex = new Map();
+		kept.concat(moved).forEach(([, j], position) => {
+			byLatestIndex.set(j, nestedDiffs[position]);
+		});
+		moved.forEach(([i, j]) => {
+			byLatestIndex.set(j, [
+				emit(ancestors, `${path}[${j}]`, () =>
+					getChangelog(i, j, `${path}[${j}]`, DiffType.Moved)
+				),
+				...byLatestIndex.get(j),
+			]);
+		});
+		added.forEach((j) => {
+			if (isIgnored(`${path}[${j}]`, latest[j])) return;
+			byLatestIndex.set(j, [
+				emitEntry(
+					ancestors,
+					asReference(ancestors, 'latest', latest[j]),
+					`${path}[${j}]`,
+					DiffType.Added
+				),
+			]);
+		});
+
+		return latest.reduce((diffs, _, j) => {
+			diffs.push(...(byLatestIndex.get(j) || []));
+			return diffs;
+		}, diffs);
+	}
+
+	/**
+	 * Compares two arrays regardless of the order of their elements, matched by content: the elements
+	 * of one array missing from the other are reported as removed at their prior index, or added at
+	 * their latest index. As multisets, each element is matched at most once, so that a repeated element
+	 * is reported as often as its count changed; as sets, repetitions are not reported.
+	 *
+	 * @function unorderedArrayCompare
+	 * @param {Array} prior - The original array to compare from.
+	 * @param {Array} latest - The new array to compare to.
+	 * @param {string} path - The base path for the current comparison, used for changelog entries.
+	 * @param {string} mode - `'set'` or `'multiset'`.
+	 * @param {Object} ancestors - The frames of the objects being compared, these arrays included.
+	 * @returns {Object[]} An array of changelog entries detailing the differences.
+	 */
+	function unorderedArrayCompare(prior, latest, path, mode, ancestors) {
+		const { hash } = ancestors;
+		const priorHashes = prior.map((elem, i) => hash(elem, `${path}[${i}]`));
+		const latestHashes = latest.map((elem, j) => hash(elem, `${path}[${j}]`));
+
+		let removed;
+		let added;
+		if (mode === ArrayDiffMode.Set) {
+			const priorMembers = new Set(priorHashes);
+			const latestMembers = new Set(latestHashes);
+			removed = [...prior.keys()].filter(
+				(i) => !latestMembers.has(priorHashes[i])
+			);
+			added = [...latest.keys()].filter((j) => !priorMembers.has(latestHashes[j]));
+		} else {
+			const unmatched = new Map();
+			priorHashes.forEach((digest, i) => {
+				unmatched.set(digest, (unmatched.get(digest) || []).concat(i));
+			});
+			added = latestHashes.reduce((indexes, digest, j) => {
+				const queue = unmatched.get(digest);
+				if (queue && queue.length) queue.shift();
+				else indexes.push(j);
+				return indexes;
+			}, []);
+			removed = [...unmatched.values()].flat().sort((a, b) => a - b);
+		}
+
+		const report = (array, side, indexes, diffType) =>
+			indexes
+				.filter((i) => !isIgnored(`${path}[${i}]`, array[i]))
+				.map((i) =>
+					emitEntry(
+						ancestors,
+						asReference(ancestors, side, array[i]),
+						`${path}[${i}]`,
+						diffType
+					)
+				);
+		return [
+			...report(prior, 'prior', removed, DiffType.Deleted),
+			...report(latest, 'latest', added, DiffType.Added),
+		];
+	}
+
+	/**
+	 * Runs a comparison from its root frame, holding its hash function and budget, and reports its metrics
+	 * to the instrumentation sinks once it ends, whether it succeeds or fails.
+	 *
+	 * @async
+	 * @function runComparison
+	 * @param {string} operation - The method running the comparison, as reported to the instrumentation.
+	 * @param {string} path - The path the comparison starts from.
+	 * @param {Object} [callOptions] - The options of this comparison.
+	 * @param {AbortSignal} [callOptions.signal] - A signal aborting this comparison, instead of `options.signal`.
+	 * @param {boolean} probe - Whether the comparison only looks for a difference.
+	 * @param {Function} compare - An async function running the comparison, given its root frame.
+	 * @returns {Promise<*>} A promise that resolves to the result of `compare`.
+	 * @throws {ComparisonAbortedError} If the signal is already aborted.
+	 */
+	async function runComparison(
+		operation,
+		path,
+		{ signal = options.signal } = {},
+		probe,
+		compare
+	) {
+		const metrics = report && createMetrics(operation, path);
+		const budget = probe
+			? createBudget({ maxDiffs: 1, probe, signal, timeout, metrics })
+			: createBudget({ maxDiffs, signal, timeout, metrics });
+		let error;
+		try {
+			checkBudget(budget);
+			return await compare({ hash: newHasher(metrics, budget), budget, depth: 0 });
+		} catch (err) {
+			error = err;
+			throw err;
+		} finally {
+			if (report) report(metrics.toEvent(budget, error));
+		}
+	}
+
+	/**
+	 * Cuts the changelog of a comparison down to `maxDiffs` entries, flagging it as `truncated` when
+	 * differences may be missing from it.
+	 *
+	 * @function limitDiffs
+	 * @param {Object[]} diffs - The changelog entries.
+	 * @param {Object} budget - The budget of the comparison.
+	 * @returns {Object[]} The changelog.
+	 */
+	function limitDiffs(diffs, budget) {
+		if (!budget.skipped && diffs.length <= maxDiffs) return diffs;
+		budget.truncated = true;
+		const limited = diffs.slice(0, maxDiffs);
+		Object.defineProperty(limited, 'truncated', { value: true });
+		return limited;
+	}
+
+	/**
+	 * Converts the dotted paths of changelog entries, in place, to the `pathFormat` option.
+	 *
+	 * @function formatPaths
+	 * @param {Object[]} diffs - The changelog entries.
+	 * @returns {Object[]} The changelog entries.
+	 */
+	function formatPaths(diffs) {
+		if (formatEntryPath) {
+			diffs.forEach((diff) => {
+				diff.path = formatEntryPath(diff.path);
+			});
+		}
+		return diffs;
+	}
+
+	/**
+	 * Formats the changelog of a comparison according to the `output` and `pathFormat` options. The diff tree
+	 * is built from the dotted paths, then the paths of its nodes are converted along with those of the entries.
+	 *
+	 * @function formatOutput
+	 * @param {Object[]} diffs - The changelog entries.
+	 * @param {*} latest - The latest version.
+	 * @param {string} root - The name of the root in the paths.
+	 * @returns {Object[]|Object} The changelog, or the changelog with its diff tree and statistics.
+	 */
+	function formatOutput(diffs, latest, root) {
+		if (output !== OutputMode.Tree) return formatPaths(diffs);
+		const tree = buildDiffTree(diffs, { latest, root });
+		if (formatEntryPath) {
+			const formatNode = (node) => {
+				node.path = formatEntryPath(node.path);
+				(node.children || []).forEach(formatNode);
+			};
+			formatNode(tree);
+		}
+		return {
+			changelog: formatPaths(diffs),
+			tree,
+			stats: getDiffStats(diffs),
+		};
+	}
+
+	/**
+	 * Compares two large versions in the worker threads of the `parallel` option: their top-level subtrees,
+	 * the values of the keys (or indexes) found on both sides, are compared side by side in the workers, while
+	 * the keys found on one side only are reported here. The entries are merged in the order `compareValues`
+	 * reports them, and those of the workers are redacted and get their text diffs here (see `completeEntry`).
+	 * Versions that are not two objects, or two arrays compared index by index, are not split, and neither are
+	 * versions holding fewer values than the `threshold`, or values the workers would not compare alike (see
+	 * `canSendChildren`).
+	 *
+	 * @async
+	 * @function compareInParallel
+	 * @param {Object|Array} prior - The original version.
+	 * @param {Object|Array} latest - The updated version.
+	 * @param {string} root - The path of the versions.
+	 * @param {Object} ancestors - The root frame of the comparison.
+	 * @returns {Promise<Object[]|undefined>} A promise that resolves to the changelog entries, or to `undefined`
+	 *          when the versions are to be compared on this thread.
+	 */
+	async function compareInParallel(prior, latest, root, ancestors) {
+		const kind = Helper.kindOf(prior);
+		if (
+			!parallel ||
+			kind !== Helper.kindOf(latest) ||
+			!(
+				kind === 'object' ||
+				(kind === 'array' && getArrayMode(root) === ArrayDiffMode.Index)
+			) ||
+			maxDepth === 0 ||
+			isIgnored(root, prior) ||
+			isIgnored(root, latest)
+		) {
+			return undefined;
+		}
+		const { threshold } = parallel;
+		if (
+			countValues(prior, threshold) + countValues(latest, threshold) < threshold ||
+			!parallel.canSend(prior, latest)
+		) {
+			return undefined;
+		}
+
+		const { budget } = ancestors;
+		if (budget.metrics) budget.metrics.nodesVisited++;
+		const frame = {
+			prior,
+			latest,
+			path: root,
+			parent: ancestors,
+			hash: ancestors.hash,
+			budget,
+			depth: ancestors.depth + 1,
+		};
+		// The entries of each key in order, or the index of the task comparing its values.
+		const slots = [];
+		const tasks = [];
+		const compareLater = (value1, value2, path) => {
+			slots.push(tasks.length);
+			tasks.push({ prior: value1, latest: value2, path });
+		};
+		const report = (side, value, path, diffType) =>
+			slots.push(
+				isIgnored(path, value)
+					? []
+					: [emitEntry(frame, asReference(frame, side, value), path, diffType)]
+			);
+
+		if (kind === 'object') {
+			Helper.ownEntries(prior)
+				.filter(([key]) => isPresent(prior, key))
+				.forEach(([key, val]) => {
+					const currentPath = appendKey(root, key);
+					if (isPresent(latest, key)) {
+						compareLater(val, latest[key], currentPath);
+					} else {
+						report('prior', val, currentPath, DiffType.Deleted);
+					}
+				});
+			Helper.ownEntries(latest)
+				.filter(([key]) => isPresent(latest, key) && !isPresent(prior, key))
+				.forEach(([key, value]) =>
+					report('latest', value, appendKey(root, key), DiffType.Added)
+				);
+		} else {
+			prior.forEach((elem, i) => {
+				if (i < latest.length) {
+					compareLater(elem, latest[i], `${root}[${i}]`);
+				} else {
+					report('prior', elem, `${root}[${i}]`, DiffType.Deleted);
+				}
+			});
+			latest
+				.slice(prior.length)
+				.forEach((elem, i) =>
+					report('latest', elem, `${root}[${i + prior.length}]`, DiffType.Added)
+				);
+		}
+
+		const { results, metrics } = await parallel.pool().run(tasks, {
+			signal: budget.signal,
+			deadline: budget.deadline,
+			check: () => checkBudget(budget),
+		});
+		metrics.forEach((workerMetrics) => {
+			budget.metrics.nodesVisited += workerMetrics.nodesVisited;
+			budget.metrics.hashComputations += workerMetrics.hashComputations;
+			budget.metrics.bytesHashed += workerMetrics.bytesHashed;
+			workerMetrics.slowestSubtrees.forEach(({ path, duration }) =>
+				budget.metrics.recordSubtree(path, duration)
+			);
+		});
+		return slots
+			.map((slot) => {
+				if (Array.isArray(slot)) return slot;
+				const { diffs, truncated } = results[slot];
+				if (truncated) budget.skipped = true;
+				budget.count += diffs.length;
+				return diffs.map(completeEntry);
+			})
+			.flat();
+	}
+
 	/**
 	 * Deeply compares two versions of an object or array and returns a detailed changelog.
 	 *
 	 * @param {Object|Array} prior - The original or older version.
 	 * @param {Object|Array} latest - The updated version.
 	 * @param {string} [path='root'] - The starting path to report changelogs.
-	 * @returns {Object[]} An array of diffs between the two versions.
+	 * @param {Object} [callOptions] - Options of this comparison only.
+	 * @param {AbortSignal} [callOptions.signal] - A signal aborting this comparison, instead of `options.signal`.
+	 * @returns {Object[]|Object} An array of diffs between the two versions or, with `output: 'tree'`,
+	 *          `{ changelog, tree, stats }` (see `buildDiffTree` and `getDiffStats`).
 	 *
 	 * @throws {Error} If either `prior` or `latest` is null or undefined.
+	 * @throws {ComparisonAbortedError} If the comparison is aborted or times out.
 	 */
-	return async function deepCompare(prior, latest, root = DEFAULT_ROOT) {
-		const startTime = process.hrtime();
-		const diffs = [];
-
+	async function deepCompare(prior, latest, root = DEFAULT_ROOT, callOptions) {
 		if (!prior || !latest)
 			throw new Error(
 				'Two non-null versions must be provided for the deep compare.'
 			);
 
-		// Compute hashes for both versions, if they equal no further compare
-		if (hashCompare(prior, latest)) return [];
+		return runComparison(
+			'deepCompare',
+			root,
+			callOptions,
+			false,
+			async (frame) => {
+				const parallelDiffs = await compareInParallel(prior, latest, root, frame);
+				if (parallelDiffs) {
+					return formatOutput(limitDiffs(parallelDiffs, frame.budget), latest, root);
+				}
 
-		if (Helper.areBothArrays(prior, latest)) {
-			diffs.push(...(await deepArrayCompare(prior, latest, root)));
-		} else if (Helper.areBothObjects(prior, latest)) {
-			diffs.push(...(await deepObjectCompare(prior, latest, root)));
-		} else {
-			diffs.push(
-				getChangelog(prior, latest, root, DiffType.Updated, keysToFilter)
+				// Check whether both versions are equal, if so no further compare.
+				// Nested outcomes are memoized during this pass, so the deeper comparisons reuse them.
+				if (hashEqual(prior, latest, root, frame)) {
+					return formatOutput([], latest, root);
+				}
+
+				const diffs = limitDiffs(
+					await compareValues(prior, latest, root, frame),
+					frame.budget
+				);
+				return formatOutput(diffs, latest, root);
+			}
+		);
+	}
+
+	/**
+	 * Compares two values of any type found at the given path, scalars and `undefined` included, as
+	 * `deepCompare` does for the values it finds while walking down two versions. Unless `undefinedPolicy`
+	 * is `'value'`, an `undefined` value stands for an absent one: it is reported as added or deleted.
+	 *
+	 * @param {*} prior - The original value.
+	 * @param {*} latest - The updated value.
+	 * @param {string} [path='root'] - The path of the values.
+	 * @param {Object} [callOptions] - Options of this comparison only, as for `deepCompare`.
+	 * @returns {Promise<Object[]>} An array of diffs between the two values.
+	 * @throws {ComparisonAbortedError} If the comparison is aborted or times out.
+	 */
+	deepCompare.compareValues = async (
+		prior,
+		latest,
+		path = DEFAULT_ROOT,
+		callOptions
+	) =>
+		runComparison('compareValues', path, callOptions, false, async (frame) => {
+			if (keepUndefined || (prior !== undefined && latest !== undefined)) {
+				return formatPaths(
+					limitDiffs(await compareValues(prior, latest, path, frame), frame.budget)
+				);
+			}
+			if (prior === latest || isIgnored(path, prior) || isIgnored(path, latest)) {
+				return [];
+			}
+			return formatPaths(
+				prior === undefined
+					? [emitEntry(frame, latest, path, DiffType.Added)]
+					: [emitEntry(frame, prior, path, DiffType.Deleted)]
 			);
-		}
+		});
 
-		performanceLogger.log('Execution Time: ', process.hrtime(startTime));
+	/**
+	 * Tells whether two values of any type are equal, as `compareValues` would find them, but stops at the
+	 * first difference without building any changelog entry. The values are walked rather than hashed up front,
+	 * so an early difference is found without reading them in full. `maxDepth` and `maxDiffs` do not apply.
+	 *
+	 * @param {*} prior - The original value.
+	 * @param {*} latest - The updated value.
+	 * @param {string} [path='root'] - The path of the values, matched against the path rules of the options.
+	 * @param {Object} [callOptions] - Options of this comparison only, as for `deepCompare`.
+	 * @returns {Promise<boolean>} `true` if the values are equal.
+	 * @throws {ComparisonAbortedError} If the comparison is aborted or times out.
+	 */
+	deepCompare.isEqual = async (
+		prior,
+		latest,
+		path = DEFAULT_ROOT,
+		callOptions
+	) =>
+		runComparison('isEqual', path, callOptions, true, async (frame) => {
+			if (hashEqual(prior, latest, path, frame)) return true;
+			if (!keepUndefined && (prior === undefined || latest === undefined)) {
+				return (
+					prior === latest || isIgnored(path, prior) || isIgnored(path, latest)
+				);
+			}
+			return (await compareValues(prior, latest, path, frame)).length === 0;
+		});
 
-		return diffs;
-	};
+	/**
+	 * Terminates the worker threads of the `parallel` option. Idle workers do not keep the process alive,
+	 * but hold memory until then; the next parallel comparison starts them again.
+	 *
+	 * @returns {Promise<void>} A promise that resolves once the workers are terminated.
+	 */
+	deepCompare.close = () => (parallel ? parallel.close() : Promise.resolve());
+
+	return deepCompare;
+}
+
+/**
+ * Creates a comparer of two JSON documents too large to be held in memory, such as multi-gigabyte exports.
+ * Both documents are read incrementally and walked down together, and changelog entries are yielded through
+ * an async iterator as soon as they are found. Sources can be file paths, readable streams, or any (async)
+ * iterable of string or Buffer chunks.
+ *
+ * Objects sharing their key order and arrays compared index by index are streamed in bounded memory; other
+ * values are read whole before being compared (see `createStreamWalker`).
+ *
+ * @param {Object} [options] - The options of the comparison, as for `createDeepComparer`.
+ * @returns {Function} An async generator function taking the prior and latest sources, and an optional root
+ *                      name, yielding the changelog entries.
+ *
+ * @example
+ * const streamCompare = createStreamComparer({ keysToIgnore: ['updatedAt'] });
+ * for await (const diff of streamCompare('./export-monday.json', './export-tuesday.json')) {
+ *   console.log(diff);
+ * }
+ */
+function createStreamComparer(options = {}) {
+	return createStreamWalker(createDeepComparer(options), options);
+}
+
+/**
+ * Merges two versions of a document derived from a common ancestor, as a three-way merge does: the changes
+ * each side made since the base are combined, and the overlapping ones are reported as conflicts (see
+ * `createMerger`). The given documents are not modified.
+ *
+ * @param {*} base - The common ancestor.
+ * @param {*} ours - Our version.
+ * @param {*} theirs - Their version.
+ * @param {Object} [options] - The options of the merge. `keysToIgnore`, `arrayDiff`, `arrayModes`, `arrayKeys`,
+ *                      `comparators` and `normalizers` are used as by `createDeepComparer` to tell which values changed;
+ *                      ignored values keep our version.
+ * @param {Function|Object[]} [options.resolve] - The strategy resolving the conflicts, or rules restricting strategies
+ *                      to a `path` pattern and/or a conflict `type` (see `compileStrategies` and `MergeStrategies`).
+ * @returns {Promise<{ result: *, conflicts: Object[], resolved: Object[] }>} The merged document, the unresolved
+ *          conflicts (`{ path, type, base, ours, theirs }`, `undefined` standing for an absent value) and the resolved
+ *          ones, with their `resolution`.
+ *
+ * @example
+ * const { result, conflicts } = await merge(base, ours, theirs, {
+ *   resolve: [{ path: 'root.version', resolve: MergeStrategies.theirs() }],
+ * });
+ */
+function merge(base, ours, theirs, options = {}) {
+	const deepCompare = createDeepComparer({
+		...options,
+		keysToMask: undefined,
+		pathFormat: undefined,
+	});
+	return createMerger(deepCompare, options)(base, ours, theirs);
+}
+
+/**
+ * Tells whether two values are equal, stopping at the first difference without building a changelog
+ * (see `deepCompare.isEqual`).
+ *
+ * @param {*} prior - The original value.
+ * @param {*} latest - The updated value.
+ * @param {Object} [options] - The options of the comparison, as for `createDeepComparer`.
+ * @returns {Promise<boolean>} `true` if the values are equal.
+ * @throws {ComparisonAbortedError} If the comparison is aborted or times out.
+ *
+ * @example
+ * if (!(await isEqual(cached, fresh, { keysToIgnore: ['updatedAt'], timeout: 50 }))) refresh();
+ */
+function isEqual(prior, latest, options = {}) {
+	return createDeepComparer(options).isEqual(prior, latest);
+}
+
+/**
+ * Creates a store recording successive versions of a document, as snapshots of a change tracker: only the
+ * changelogs between versions are stored, with a full snapshot every `checkpointInterval` versions. Any past
+ * version can be rebuilt, two versions compared, and the changes of a single path listed (see
+ * `createHistoryStore`).
+ *
+ * Stored changelogs must be replayable, so keys are neither ignored nor masked: only the `arrayDiff`
+ * (`'index'` or `'lcs'`), `arrayKeys` and `undefinedPolicy` options are used as by `createDeepComparer`.
+ *
+ * @param {Object} [options] - Optional settings.
+ * @param {Object} [options.adapter=HistoryAdapters.memory()] - Where the versions are stored (see `HistoryAdapters`).
+ * @param {number} [options.checkpointInterval=10] - The number of versions between two full snapshots.
+ * @param {string} [options.root='root'] - The name of the root in the paths of the changelogs.
+ * @returns {Object} The history, whose async `commit(document, meta)`, `get(version)`, `diff(from, to)`,
+ *          `blame(path)`, `versions()` and `head()` functions record and read the versions.
+ * @throws {Error} If the array diff mode does not produce replayable changelogs.
+ *
+ * @example
+ * const history = createHistory({ adapter: HistoryAdapters.file('./history') });
+ * await history.commit(config, { author: 'jane' });
+ * const previous = await history.get((await history.head()) - 1);
+ */
+function createHistory(options = {}) {
+	const {
+		arrayDiff = ArrayDiffMode.Index,
+		arrayKeys,
+		undefinedPolicy,
+	} = options;
+	if (![ArrayDiffMode.Index, ArrayDiffMode.Lcs].includes(arrayDiff)) {
+		throw new Error(`Histories cannot record changelogs of ${arrayDiff} arrays.`);
+	}
+	const deepCompare = createDeepComparer({
+		arrayDiff,
+		arrayKeys,
+		undefinedPolicy,
+	});
+	return createHistoryStore(deepCompare, options);
+}
+
+/**
+ * Tracks the mutations of a document as they happen, instead of snapshotting and comparing it after each
+ * change: the document is wrapped in a recursive Proxy, and `flush` returns the changelog of the mutations
+ * made through it since the previous flush, as `deepCompare` would report it (see `createTracker`).
+ *
+ * @param {Object|Array} target - The document to track. It is mutated through the proxy.
+ * @param {Object} [options] - The options of the comparison, as for `createDeepComparer`.
+ * @param {string} [options.root='root'] - The name of the root in the paths.
+ * @returns {{ proxy: Object|Array, flush: Function }} The proxy to mutate the document through, and an async
+ *          function returning the changelog of the mutations since the previous flush.
+ * @throws {Error} If the target is not an object or an array.
+ *
+ * @example
+ * const { proxy, flush } = track(document);
+ * proxy.users[0].name = 'Jane';
+ * proxy.tags.push('new');
+ * const changelog = await flush();
+ */
+function track(target, options = {}) {
+	if (!Array.isArray(target) && Helper.kindOf(target) !== 'object') {
+		throw new Error('Only objects and arrays can be tracked.');
+	}
+	const deepCompare = createDeepComparer(options);
+	return createTracker(deepCompare, target, options.root || DEFAULT_ROOT);
 }
 
-module.exports = { createDeepComparer, DiffType };
+module.exports = {
+	createDeepComparer,
+	createStreamComparer,
+	merge,
+	isEqual,
+	track,
+	createHistory,
+	HistoryAdapters,
+	buildDiffTree,
+	getDiffStats,
+	DiffType,
+	NodeStatus,
+	ConflictType,
+	PathFormat,
+	Comparators,
+	Normalizers,
+	MergeStrategies,
+	Reporters,
+	InstrumentationSinks,
+	RedactionStrategies,
+	Detectors,
+	diffText,
+	formatUnifiedDiff,
+	applyChangelog,
+	revertChangelog,
+	replayChangelogs,
+	toJsonPatch,
+	fromJsonPatch,
+	applyJsonPatch,
+	toJsonPointer,
+	fromJsonPointer,
+	parsePath,
+	formatPath,
+	serializeChangelog,
+	deserializeChangelog,
+	validateChangelog,
+	changelogSchema,
+	ChangelogConflictError,
+	ComparisonAbortedError,
+	ChangelogValidationError,
+};
@@ -0,0 +1,47 @@
+// The ES module entry point of Node.js (and Deno), re-exporting the CommonJS one so that both share a single
+// instance. It is not an ES module build: other runtimes load the CommonJS sources through a bundler.
+import deepComparer from './deep-comparer.js';
+
+export const {
+	createDeepComparer,
+	createStreamComparer,
+	merge,
+	isEqual,
+	track,
+	createHistory,
+	HistoryAdapters,
+	buildDiffTree,
+	getDiffStats,
+	DiffType,
+	NodeStatus,
+	ConflictType,
+	PathFormat,
+	Comparators,
+	Normalizers,
+	MergeStrategies,
+	Reporters,
+	InstrumentationSinks,
+	RedactionStrategies,
+	Detectors,
+	diffText,
+	formatUnifiedDiff,
+	applyChangelog,
+	revertChangelog,
+	replayChangelogs,
+	toJsonPatch,
+	fromJsonPatch,
+	applyJsonPatch,
+	toJsonPointer,
+	fromJsonPointer,
+	parsePath,
+	formatPath,
+	serializeChangelog,
+	deserializeChangelog,
+	validateChangelog,
+	changelogSchema,
+	ChangelogConflictError,
+	ComparisonAbortedError,
+	ChangelogValidationError,
+} = deepComparer;
+
+export default deepComparer;
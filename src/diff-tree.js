@@ -0,0 +1,187 @@
+const {
+	DiffType,
+	DEFAULT_ROOT,
+	NodeStatus,
+	PathFormat,
+} = require('./constants');
+const {
+	parsePath,
+	formatPath,
+	formatKey,
+	appendKey,
+} = require('./utils/parse-path');
+const Helper = require('./utils/helper');
+
+const STATUSES = {
+	[DiffType.Added.description]: NodeStatus.Added,
+	[DiffType.Deleted.description]: NodeStatus.Deleted,
+	[DiffType.Updated.description]: NodeStatus.Updated,
+	[DiffType.TypeChanged.description]: NodeStatus.TypeChanged,
+	[DiffType.Moved.description]: NodeStatus.Moved,
+};
+
+/**
+ * Derives the status of a node from the changelog entries found at its path. A moved element keeps
+ * the `moved` status whatever else changed inside it, and a path holding entries of different types
+ * (an element deleted and another one added at the same index) is `updated`.
+ *
+ * @param {Object[]} changes - The changelog entries at the path of the node.
+ * @returns {string} The status of the node (see `NodeStatus`).
+ */
+function statusOf(changes) {
+	const notes = new Set(changes.map((change) => change.note));
+	if (notes.has(DiffType.Moved.description)) return NodeStatus.Moved;
+	return notes.size === 1 ? STATUSES[changes[0].note] : NodeStatus.Updated;
+}
+
+/**
+ * Lists the children of a container as `[path, value]` pairs, with the paths the comparer reports.
+ *
+ * @param {*} value - The container.
+ * @param {string} path - The path of the container.
+ * @returns {Array<[string, *]>} The children, empty if the value is not a container.
+ */
+function childrenOf(value, path) {
+	switch (Helper.kindOf(value)) {
+		case 'array':
+			return value.map((item, i) => [`${path}[${i}]`, item]);
+		case 'map':
+			return [...value].map(([key, item]) => [`${path}${formatKey(key)}`, item]);
+		case 'set':
+			return [...value].map((member) => [`${path}${formatKey(member)}`, member]);
+		case 'object':
+			return Helper.ownEntries(value).map(([key, item]) => [
+				appendKey(path, key),
+				item,
+			]);
+		default:
+			return [];
+	}
+}
+
+/**
+ * Builds a diff tree from a changelog: a tree mirroring the shape of the compared documents, where each
+ * node is marked with its status (see `NodeStatus`). Nodes holding changelog entries list them in
+ * `changes`; their ancestors are marked `contains-changes`. When the latest document is given, the
+ * unchanged children of those ancestors are listed too, marked `unchanged`, in the order of the document,
+ * so that the tree shows where the changes sit among their siblings; unchanged subtrees are not expanded.
+ *
+ * @param {Object[]} diffs - The changelog entries.
+ * @param {Object} [documents] - The compared documents.
+ * @param {*} [documents.latest] - The latest version, to list the unchanged children of the changed containers.
+ * @param {string} [documents.root] - The name of the root in the paths, read from the changelog by default.
+ * @returns {{ key: string|number|Object, path: string, status: string, changes?: Object[], children?: Object[] }}
+ *          The root node. Each node has the `key` of its last path segment (see `parsePath`), its `path` and its
+ *          `status`, and nodes with changed descendants have `children`.
+ *
+ * @example
+ * buildDiffTree([{ path: 'root.a.b', oldVal: 1, newVal: 2, note: 'Updated' }], { latest: { a: { b: 2, c: 3 } } });
+ * // { key: 'root', path: 'root', status: 'contains-changes', children: [{ key: 'a', path: 'root.a',
+ * //   status: 'contains-changes', children: [{ key: 'b', path: 'root.a.b', status: 'updated', changes: [...] },
+ * //   { key: 'c', path: 'root.a.c', status: 'unchanged' }] }] }
+ */
+function buildDiffTree(diffs, documents = {}) {
+	const root =
+		documents.root || (diffs.length ? parsePath(diffs[0].path)[0] : DEFAULT_ROOT);
+	const nodes = new Map();
+
+	const nodeAt = (segments) => {
+		const path = formatPath(segments);
+		if (!nodes.has(path)) {
+			const node = {
+				key: segments[segments.length - 1],
+				path,
+				status: NodeStatus.ContainsChanges,
+			};
+			nodes.set(path, node);
+			if (segments.length > 1) {
+				const parent = nodeAt(segments.slice(0, -1));
+				parent.children = parent.children || [];
+				parent.children.push(node);
+			}
+		}
+		return nodes.get(path);
+	};
+
+	diffs.forEach((diff) => {
+		const node = nodeAt(parsePath(diff.path));
+		node.changes = (node.changes || []).concat(diff);
+	});
+	nodes.forEach((node) => {
+		if (node.changes) node.status = statusOf(node.changes);
+	});
+
+	const tree = nodes.get(root) || {
+		key: root,
+		path: root,
+		status: NodeStatus.Unchanged,
+	};
+	if (!('latest' in documents)) return tree;
+
+	// Walk the latest document down the changed containers, listing their unchanged children
+	const ancestors = [];
+	const addUnchanged = (node, value) => {
+		if (!node.children || ancestors.includes(value)) return;
+		ancestors.push(value);
+		const changed = new Map(node.children.map((child) => [child.path, child]));
+		const children = childrenOf(value, node.path).map(([path, item]) => {
+			const child = changed.get(path);
+			changed.delete(path);
+			if (child) {
+				addUnchanged(child, item);
+				return child;
+			}
+			return {
+				key: parsePath(path, PathFormat.Dotted).pop(),
+				path,
+				status: NodeStatus.Unchanged,
+			};
+		});
+		node.children = children.concat([...changed.values()]);
+		ancestors.pop();
+	};
+	addUnchanged(tree, documents.latest);
+	return tree;
+}
+
+/**
+ * Counts the entries of a changelog: in total, per type of change, and per top-level section (the first
+ * segment after the root, e.g. `billing` for `root.billing.plan`, or the root itself for changes made to
+ * the root value), and finds the depth of the deepest change (`0` for the root value, `1` for its keys...).
+ *
+ * @param {Object[]} diffs - The changelog entries.
+ * @returns {{ total: number, byType: Object<string, number>, bySection: Object<string, number>, maxDepth: number }}
+ *          The statistics, `byType` being keyed by note (`Added`, `Deleted`...) and `bySection` by section
+ *          name (`[0]` for array indexes, `<"key">` for Map keys and Set members).
+ *
+ * @example
+ * getDiffStats(await deepCompare(prior, latest));
+ * // { total: 15, byType: { Added: 2, Deleted: 0, Updated: 13, TypeChanged: 0, Moved: 0 },
+ * //   bySection: { billing: 12, profile: 3 }, maxDepth: 4 }
+ */
+function getDiffStats(diffs) {
+	const byType = Object.keys(STATUSES).reduce((counts, note) => {
+		counts[note] = 0;
+		return counts;
+	}, {});
+	const bySection = {};
+	let maxDepth = 0;
+
+	diffs.forEach((diff) => {
+		const segments = parsePath(diff.path);
+		const section = segments.length > 1 ? segments[1] : segments[0];
+		const name =
+			typeof section === 'number'
+				? `[${section}]`
+				: typeof section === 'object'
+				? formatKey(section.key)
+				: section;
+		byType[diff.note] = (byType[diff.note] || 0) + 1;
+		bySection[name] = (bySection[name] || 0) + 1;
+		maxDepth = Math.max(maxDepth, segments.length - 1);
+	});
+
+	return { total: diffs.length, byType, bySection, maxDepth };
+}
+
+module.exports = { buildDiffTree, getDiffStats };
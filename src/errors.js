@@ -0,0 +1,47 @@
+/**
+ * Error thrown when a changelog cannot be applied cleanly in strict mode.
+ * The `conflicts` property lists every entry that did not match the target.
+ */
+class ChangelogConflictError extends Error {
+	constructor(conflicts) {
+		super(`${conflicts.length} conflict(s) found while applying the changelog.`);
+		this.name = 'ChangelogConflictError';
+		this.conflicts = conflicts;
+	}
+}
+
+/**
+ * Error rejecting a comparison stopped before its end, because its `AbortSignal` was aborted or its
+ * `timeout` elapsed. The `reason` property holds the reason of the signal, or `'timeout'`.
+ */
+class ComparisonAbortedError extends Error {
+	constructor(message, reason) {
+		super(message);
+		this.name = 'ComparisonAbortedError';
+		this.reason = reason;
+	}
+}
+
+/**
+ * Error thrown when a serialized changelog does not match its JSON Schema.
+ * The `errors` property lists every mismatch, located by the JSON Pointer of its `path`.
+ */
+class ChangelogValidationError extends Error {
+	constructor(errors) {
+		super(
+			`${
+				errors.length
+			} error(s) found while validating the changelog, the first at ${
+				errors[0].path || '/'
+			}: ${errors[0].message}.`
+		);
+		this.name = 'ChangelogValidationError';
+		this.errors = errors;
+	}
+}
+
+module.exports = {
+	ChangelogConflictError,
+	ComparisonAbortedError,
+	ChangelogValidationError,
+};
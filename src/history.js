@@ -0,0 +1,323 @@
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_ROOT, DiffType, PathFormat } = require('./constants');
+const { replayChangelogs, Children } = require('./apply-changelog');
+const { parsePath } = require('./utils/parse-path');
+const { stringify } = require('./utils/canonical');
+const {
+	serializeChangelog,
+	deserializeChangelog,
+	encodeValue,
+	decodeValue,
+} = require('./serialization');
+const Helper = require('./utils/helper');
+
+const DEFAULT_CHECKPOINT_INTERVAL = 10;
+
+/**
+ * Factories of persistence adapters for `createHistory`. An adapter stores the version records
+ * (`{ version, timestamp, meta, changelog, snapshot? }`) through three async functions: `read(version)`
+ * resolving to a record (or `undefined`), `write(record)`, and `list()` resolving to the stored version
+ * numbers.
+ */
+const HistoryAdapters = {
+	/**
+	 * Keeps the records in memory, for the lifetime of the process.
+	 *
+	 * @returns {Object} The adapter.
+	 */
+	memory() {
+		const records = new Map();
+		return {
+			read: async (version) => records.get(version),
+			write: async (record) => {
+				records.set(record.version, record);
+			},
+			list: async () => [...records.keys()],
+		};
+	},
+
+	/**
+	 * Stores each record as a JSON file of the given directory, created if needed. The changelog is stored
+	 * as `serializeChangelog` writes it, and the metadata and snapshot are encoded alike, so that values
+	 * plain JSON cannot represent, e.g. Dates, Maps or BigInts, are read back as they were written.
+	 *
+	 * @param {string} directory - The directory holding the records.
+	 * @returns {Object} The adapter.
+	 */
+	file(directory) {
+		const fileOf = (version) => path.join(directory, `${version}.json`);
+		return {
+			read: async (version) => {
+				let stored;
+				try {
+					stored = JSON.parse(await fs.promises.readFile(fileOf(version), 'utf8'));
+				} catch (e) {
+					if (e.code === 'ENOENT') return undefined;
+					throw e;
+				}
+				const { meta, changelog, snapshot, ...record } = stored;
+				return {
+					...record,
+					meta: decodeValue(meta, []),
+					changelog: deserializeChangelog(changelog),
+					...('snapshot' in stored && { snapshot: decodeValue(snapshot, []) }),
+				};
+			},
+			write: async ({ meta, changelog, snapshot, ...record }) => {
+				const location = `version ${record.version}`;
+				const stored = {
+					...record,
+					meta: encodeValue(meta, [], `the meta of ${location}`),
+					changelog: JSON.parse(serializeChangelog(changelog)),
+					...(snapshot !== undefined && {
+						snapshot: encodeValue(snapshot, [], `the snapshot of ${location}`),
+					}),
+				};
+				await fs.promises.mkdir(directory, { recursive: true });
+				await fs.promises.writeFile(fileOf(record.version), JSON.stringify(stored));
+			},
+			list: async () => {
+				const files = await fs.promises.readdir(directory).catch((e) => {
+					if (e.code === 'ENOENT') return [];
+					throw e;
+				});
+				return files
+					.filter((file) => /^\d+\.json$/.test(file))
+					.map((file) => Number(file.slice(0, -'.json'.length)));
+			},
+		};
+	},
+};
+
+/**
+ * Checks whether two paths, split by `parsePath`, lead to the same value or one contains the other.
+ *
+ * @param {Array<string|number|Object>} segments1 - The segments of the first path.
+ * @param {Array<string|number|Object>} segments2 - The segments of the second path.
+ * @returns {boolean} `true` if one path is a prefix of the other.
+ */
+function arePathsRelated(segments1, segments2) {
+	const length = Math.min(segments1.length, segments2.length);
+	for (let i = 1; i < length; i++) {
+		if (stringify(segments1[i]) !== stringify(segments2[i])) return false;
+	}
+	return true;
+}
+
+/**
+ * Creates a store recording successive versions of a document. Only the changelog between each version
+ * and the previous one is stored, along with a full snapshot every `checkpointInterval` versions, from
+ * which any version is rebuilt by replaying the changelogs that follow it (see `replayChangelogs`).
+ * Versions are numbered from 1, and commits are recorded in the order they are made.
+ *
+ * @param {Function} deepCompare - The deep comparer computing the changelogs, which must be replayable.
+ * @param {Object} [options] - Optional settings (see `createHistory`).
+ * @returns {Object} The history: `commit`, `get`, `diff`, `blame`, `versions` and `head`.
+ * @throws {Error} If the adapter lacks a function, or the checkpoint interval is not a positive integer.
+ */
+function createHistoryStore(deepCompare, options = {}) {
+	const {
+		adapter = HistoryAdapters.memory(),
+		checkpointInterval = DEFAULT_CHECKPOINT_INTERVAL,
+		root = DEFAULT_ROOT,
+	} = options;
+	if (
+		!['read', 'write', 'list'].every(
+			(name) => typeof adapter[name] === 'function'
+		)
+	) {
+		throw new Error(
+			'History adapters must provide read, write and list functions.'
+		);
+	}
+	if (!Number.isInteger(checkpointInterval) || checkpointInterval < 1) {
+		throw new Error('The checkpoint interval must be a positive integer.');
+	}
+
+	// The latest version and its document, loaded from the adapter on first use.
+	let current;
+	// Commits are chained, so that each one is compared with the version committed before it.
+	let pending = Promise.resolve();
+
+	/**
+	 * Loads the latest version from the adapter, unless already done.
+	 *
+	 * @returns {Promise<{ version: number, document: * }>} The latest version and its document.
+	 */
+	async function loadHead() {
+		if (!current) {
+			const version = Math.max(0, ...(await adapter.list()));
+			current = {
+				version,
+				document: version ? await rebuild(version) : undefined,
+			};
+		}
+		return current;
+	}
+
+	/**
+	 * Reads the record of a version.
+	 *
+	 * @param {number} version - The version.
+	 * @returns {Promise<Object>} The record.
+	 * @throws {Error} If the version is not stored.
+	 */
+	async function readRecord(version) {
+		const record = Number.isInteger(version) && (await adapter.read(version));
+		if (!record) throw new Error(`Unknown version: ${version}`);
+		return record;
+	}
+
+	/**
+	 * Rebuilds a version from the closest snapshot before it.
+	 *
+	 * @param {number} version - The version.
+	 * @returns {Promise<*>} The document of the version.
+	 */
+	async function rebuild(version) {
+		const changelogs = [];
+		let record = await readRecord(version);
+		while (!record.snapshot) {
+			changelogs.unshift(record.changelog);
+			record = await readRecord(record.version - 1);
+		}
+		return changelogs.length
+			? replayChangelogs(record.snapshot, changelogs)
+			: Helper.clone(record.snapshot);
+	}
+
+	/**
+	 * Returns the public description of a record.
+	 *
+	 * @param {Object} record - The record.
+	 * @returns {{ version: number, timestamp: string, meta: Object }} The description of the version.
+	 */
+	function describe({ version, timestamp, meta }) {
+		return { version, timestamp, meta };
+	}
+
+	/**
+	 * Records a new version of the document.
+	 *
+	 * @param {Object|Array} document - The new version. It is copied, so it can be modified afterwards.
+	 * @param {Object} [meta={}] - Metadata recorded with the version, such as its author or message.
+	 * @returns {Promise<{ version: number, timestamp: string, meta: Object, changelog: Object[] }>} The
+	 *          recorded version, with its changelog since the previous one.
+	 * @throws {Error} If the document is not an object or an array.
+	 */
+	function commit(document, meta = {}) {
+		const committed = pending.then(async () => {
+			if (!Helper.isObject(document)) {
+				throw new Error('Only objects and arrays can be committed to a history.');
+			}
+			const { version: previous, document: prior } = await loadHead();
+			const version = previous + 1;
+			const snapshot = Helper.clone(document);
+			const record = {
+				version,
+				timestamp: new Date().toISOString(),
+				meta,
+				changelog: previous ? await deepCompare(prior, snapshot, root) : [],
+			};
+			if ((version - 1) % checkpointInterval === 0) record.snapshot = snapshot;
+			await adapter.write(record);
+			current = { version, document: snapshot };
+			return { ...describe(record), changelog: Helper.clone(record.changelog) };
+		});
+		pending = committed.catch(() => {});
+		return committed;
+	}
+
+	/**
+	 * Rebuilds a version of the document.
+	 *
+	 * @param {number} [version] - The version, the latest one by default.
+	 * @returns {Promise<*>} A copy of the document of that version.
+	 * @throws {Error} If the version is unknown.
+	 */
+	async function get(version) {
+		const latest = await loadHead();
+		if (version === undefined || version === latest.version) {
+			if (!latest.version) throw new Error('The history is empty.');
+			return Helper.clone(latest.document);
+		}
+		return rebuild(version);
+	}
+
+	/**
+	 * Compares two versions of the document.
+	 *
+	 * @param {number} from - The prior version.
+	 * @param {number} to - The latest version.
+	 * @returns {Promise<Object[]>} The changelog between both versions.
+	 * @throws {Error} If a version is unknown.
+	 */
+	async function diff(from, to) {
+		return deepCompare(await get(from), await get(to), root);
+	}
+
+	/**
+	 * Lists the versions that changed the value found at a path, a value containing it or a value it
+	 * contains, oldest first. The first version is listed when it holds the path.
+	 *
+	 * @param {string} targetPath - The path, such as `root.users[0].email`.
+	 * @returns {Promise<{ version: number, timestamp: string, meta: Object, changes: Object[] }[]>}
+	 *          The versions, with their changelog entries related to the path.
+	 */
+	async function blame(targetPath) {
+		const segments = parsePath(targetPath);
+		const { version: latest } = await loadHead();
+		const history = [];
+		for (let version = 1; version <= latest; version++) {
+			const record = await readRecord(version);
+			let changes = record.changelog.filter((entry) =>
+				arePathsRelated(parsePath(entry.path, PathFormat.Dotted), segments)
+			);
+			if (version === 1) {
+				let value = record.snapshot;
+				const found = segments.slice(1).every((segment) => {
+					if (!Helper.isObject(value) || !Children.has(value, segment)) {
+						return false;
+					}
+					value = Children.get(value, segment);
+					return true;
+				});
+				changes = found
+					? [{ path: targetPath, newVal: value, note: DiffType.Added.description }]
+					: [];
+			}
+			if (changes.length) {
+				history.push({ ...describe(record), changes: Helper.clone(changes) });
+			}
+		}
+		return history;
+	}
+
+	/**
+	 * Lists the recorded versions, oldest first.
+	 *
+	 * @returns {Promise<{ version: number, timestamp: string, meta: Object }[]>} The versions.
+	 */
+	async function versions() {
+		const { version: latest } = await loadHead();
+		const described = [];
+		for (let version = 1; version <= latest; version++) {
+			described.push(describe(await readRecord(version)));
+		}
+		return described;
+	}
+
+	/**
+	 * Returns the number of the latest version.
+	 *
+	 * @returns {Promise<number>} The latest version, 0 if the history is empty.
+	 */
+	async function head() {
+		return (await loadHead()).version;
+	}
+
+	return { commit, get, diff, blame, versions, head };
+}
+
+module.exports = { createHistoryStore, HistoryAdapters };
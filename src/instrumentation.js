@@ -0,0 +1,170 @@
+const { utf8Length } = require('./utils/sha256');
+const { now, warn } = require('./utils/runtime');
+
+// How many of the slowest subtrees a comparison event lists.
+const SLOWEST_SUBTREES = 5;
+
+/**
+ * Formats a duration in milliseconds.
+ *
+ * @param {number} duration - The duration, in milliseconds.
+ * @returns {string} The duration, e.g. `12.346 ms`.
+ */
+function formatDuration(duration) {
+	return `${Number(duration.toFixed(3))} ms`;
+}
+
+/**
+ * Factories of the built-in instrumentation sinks. Each one returns a sink: a function receiving the
+ * event of each comparison (see `createMetrics`). Any function with the same signature can be used as a
+ * custom sink, e.g. to forward the metrics to a monitoring system.
+ */
+const InstrumentationSinks = {
+	/**
+	 * Logs a line per comparison, followed by its slowest subtrees.
+	 *
+	 * @param {Object} [options] - Optional settings.
+	 * @param {Function} [options.log=console.log] - The function printing the lines.
+	 * @returns {Function} The sink.
+	 */
+	console({ log = console.log } = {}) {
+		return (event) => {
+			log(
+				`${event.operation} ${event.path}: ${formatDuration(event.duration)}, ` +
+					`${event.nodesVisited} nodes visited, ${event.hashComputations} hashes ` +
+					`(${event.bytesHashed} bytes), ${event.diffsEmitted} diffs` +
+					(event.truncated ? ' (truncated)' : '') +
+					(event.error ? `, failed: ${event.error.message}` : '')
+			);
+			event.slowestSubtrees.forEach(({ path, duration }) => {
+				log(`  ${path}: ${formatDuration(duration)}`);
+			});
+		};
+	},
+};
+
+/**
+ * Reports the failure of a sink as a warning, so that it neither fails the comparison nor hides its error.
+ *
+ * @param {*} error - The error the sink threw, or its promise rejected with.
+ */
+function warnSinkFailure(error) {
+	warn(
+		`An instrumentation sink failed: ${
+			error && error.message ? error.message : error
+		}`,
+		'InstrumentationWarning'
+	);
+}
+
+/**
+ * Compiles the `instrumentation` option of a comparer into a single sink. Each sink is isolated from the
+ * comparison and from the other sinks: a sink throwing, or returning a promise that rejects, is reported
+ * as a warning (see `warn`).
+ *
+ * @param {Function|Function[]} [instrumentation] - A sink, or a list of sinks.
+ * @returns {Function|undefined} A function passing an event to every sink, or `undefined` without sinks.
+ * @throws {Error} If a sink is not a function.
+ */
+function compileSinks(instrumentation = []) {
+	const sinks = [].concat(instrumentation);
+	if (sinks.some((sink) => typeof sink !== 'function')) {
+		throw new Error('Instrumentation sinks must be functions.');
+	}
+	if (!sinks.length) return undefined;
+	return (event) =>
+		sinks.forEach((sink) => {
+			try {
+				const result = sink(event);
+				if (result && typeof result.then === 'function') {
+					result.then(undefined, warnSinkFailure);
+				}
+			} catch (error) {
+				warnSinkFailure(error);
+			}
+		});
+}
+
+/**
+ * Creates the metrics of a single comparison, collected while it runs and turned into the event passed
+ * to the sinks once it ends. The event holds:
+ *
+ * - `operation`: the method that ran, `'deepCompare'`, `'compareValues'` or `'isEqual'`;
+ * - `path`: the path the comparison started from;
+ * - `duration`: how long the comparison took, in milliseconds;
+ * - `nodesVisited`: how many pairs of values were compared;
+ * - `hashComputations` and `bytesHashed`: how many objects, arrays, Maps and Sets were hashed, memoized
+ *   hashes excluded, and the bytes hashed;
+ * - `diffsEmitted`: how many changelog entries were found;
+ * - `truncated`: whether the changelog was cut short by `maxDiffs`;
+ * - `slowestSubtrees`: the slowest nested containers compared, as `{ path, duration }` from the slowest;
+ * - `error`: the error the comparison failed with, if any.
+ *
+ * @param {string} operation - The method that runs.
+ * @param {string} path - The path the comparison starts from.
+ * @returns {Object} The metrics, with the functions recording them.
+ */
+function createMetrics(operation, path) {
+	const start = now();
+	const slowestSubtrees = [];
+
+	const metrics = {
+		nodesVisited: 0,
+		hashComputations: 0,
+		bytesHashed: 0,
+
+		/**
+		 * Records the hashing of a container.
+		 *
+		 * @param {string} serialized - The serialization that was hashed.
+		 */
+		recordHash(serialized) {
+			metrics.hashComputations++;
+			metrics.bytesHashed += utf8Length(serialized);
+		},
+
+		/**
+		 * Records the time taken by the comparison of a nested container, keeping the slowest ones.
+		 *
+		 * @param {string} subtreePath - The path of the container.
+		 * @param {number} duration - The time taken, in milliseconds.
+		 */
+		recordSubtree(subtreePath, duration) {
+			const last = slowestSubtrees[SLOWEST_SUBTREES - 1];
+			if (last && last.duration >= duration) return;
+			const index = slowestSubtrees.findIndex(
+				(subtree) => subtree.duration < duration
+			);
+			slowestSubtrees.splice(index === -1 ? slowestSubtrees.length : index, 0, {
+				path: subtreePath,
+				duration,
+			});
+			slowestSubtrees.length = Math.min(slowestSubtrees.length, SLOWEST_SUBTREES);
+		},
+
+		/**
+		 * Builds the event of the comparison.
+		 *
+		 * @param {Object} budget - The budget of the comparison, counting its entries.
+		 * @param {Error} [error] - The error the comparison failed with.
+		 * @returns {Object} The event.
+		 */
+		toEvent(budget, error) {
+			return {
+				operation,
+				path,
+				duration: now() - start,
+				nodesVisited: metrics.nodesVisited,
+				hashComputations: metrics.hashComputations,
+				bytesHashed: metrics.bytesHashed,
+				diffsEmitted: budget.count,
+				truncated: Boolean(budget.truncated),
+				slowestSubtrees: slowestSubtrees.slice(),
+				...(error && { error }),
+			};
+		},
+	};
+	return metrics;
+}
+
+module.exports = { InstrumentationSinks, compileSinks, createMetrics };
@@ -0,0 +1,408 @@
+const { DiffType, DEFAULT_ROOT, PathFormat } = require('./constants');
+const {
+	parsePath,
+	formatPath,
+	segmentsToPointer,
+	pointerToTokens,
+} = require('./utils/parse-path');
+const { hashCompare } = require('./utils/hash-compare');
+const { groupEntries, splitArrayEntries } = require('./apply-changelog');
+const Helper = require('./utils/helper');
+
+/**
+ * Converts a changelog path such as `root.a.b[3]` into a JSON Pointer such as `/a/b/3`.
+ *
+ * @param {string} path - The changelog path.
+ * @returns {string} The JSON Pointer.
+ */
+function toJsonPointer(path) {
+	return segmentsToPointer(parsePath(path).slice(1));
+}
+
+/**
+ * Converts a JSON Pointer into a changelog path. Tokens made of digits are read as array indexes,
+ * unless a document is given: in that case the actual containers decide how each token is read.
+ *
+ * @param {string} pointer - The JSON Pointer.
+ * @param {*} [document] - An optional document the pointer refers to.
+ * @param {string} [root='root'] - The root name of the changelog path.
+ * @returns {string} The changelog path.
+ * @throws {Error} If the pointer is not valid, or uses `-` without a document to resolve it.
+ */
+function fromJsonPointer(pointer, document, root = DEFAULT_ROOT) {
+	return formatPath([
+		root,
+		...resolveTokens(pointerToTokens(pointer), document),
+	]);
+}
+
+/**
+ * Resolves JSON Pointer tokens into path segments, turning array indexes into numbers.
+ *
+ * @param {string[]} tokens - The reference tokens.
+ * @param {*} [document] - An optional document the tokens refer to.
+ * @param {boolean} [append=false] - Whether `-` refers to the last element instead of past the end.
+ * @returns {Array<string|number>} The path segments.
+ */
+function resolveTokens(tokens, document, append = false) {
+	let current = document;
+	return tokens.map((token) => {
+		let segment = token;
+		if (document === undefined) {
+			if (token === '-') {
+				throw new Error('Cannot resolve "-" without the patched document.');
+			}
+			if (/^(0|[1-9]\d*)$/.test(token)) segment = Number(token);
+		} else if (Array.isArray(current)) {
+			segment = token === '-' ? current.length - (append ? 1 : 0) : Number(token);
+		}
+		current = Helper.isObject(current) ? current[segment] : undefined;
+		return segment;
+	});
+}
+
+/**
+ * Walks the document down to the container referenced by all but the last token of a pointer. Only own
+ * properties are walked, so that tokens such as `__proto__` never reach the prototypes.
+ *
+ * @param {Object} holder - The object wrapping the document under the `value` key.
+ * @param {string} pointer - The JSON Pointer.
+ * @returns {{ container: Object|Array, key: string|number }} The container and the key inside it.
+ * @throws {Error} If the path does not exist.
+ */
+function locate(holder, pointer) {
+	const tokens = ['value', ...pointerToTokens(pointer)];
+	let container = holder;
+	for (let i = 0; i < tokens.length - 1; i++) {
+		const segment = Array.isArray(container) ? Number(tokens[i]) : tokens[i];
+		if (
+			!Object.prototype.hasOwnProperty.call(container, segment) ||
+			!Helper.isObject(container[segment])
+		) {
+			throw new Error(`Path not found: ${pointer}`);
+		}
+		container = container[segment];
+	}
+
+	const last = tokens[tokens.length - 1];
+	if (!Array.isArray(container)) return { container, key: last };
+	if (last === '-') return { container, key: container.length };
+	if (!/^(0|[1-9]\d*)$/.test(last))
+		throw new Error(`Path not found: ${pointer}`);
+	return { container, key: Number(last) };
+}
+
+/**
+ * Applies a single JSON Patch operation, modifying the document in place.
+ *
+ * @param {Object} holder - The object wrapping the document under the `value` key.
+ * @param {Object} operation - The JSON Patch operation.
+ * @throws {Error} If the operation is unknown, its path does not exist or a test fails.
+ */
+function applyOperation(holder, operation) {
+	const get = (pointer) => {
+		const { container, key } = locate(holder, pointer);
+		if (!Object.prototype.hasOwnProperty.call(container, key)) {
+			throw new Error(`Path not found: ${pointer}`);
+		}
+		return container[key];
+	};
+	const add = (pointer, value) => {
+		const { container, key } = locate(holder, pointer);
+		if (!Array.isArray(container)) Helper.defineOwn(container, key, value);
+		else if (key > container.length)
+			throw new Error(`Path not found: ${pointer}`);
+		else container.splice(key, 0, value);
+	};
+	const remove = (pointer) => {
+		const value = get(pointer);
+		const { container, key } = locate(holder, pointer);
+		if (Array.isArray(container)) container.splice(key, 1);
+		else delete container[key];
+		return value;
+	};
+
+	const { op, path, from, value } = operation;
+	switch (op) {
+		case 'add':
+			add(path, Helper.clone(value));
+			break;
+		case 'remove':
+			remove(path);
+			break;
+		case 'replace': {
+			get(path);
+			const { container, key } = locate(holder, path);
+			if (Array.isArray(container)) container[key] = Helper.clone(value);
+			else Helper.defineOwn(container, key, Helper.clone(value));
+			break;
+		}
+		case 'move':
+			if (path.startsWith(`${from}/`)) {
+				throw new Error(`Cannot move ${from} into one of its children`);
+			}
+			add(path, remove(from));
+			break;
+		case 'copy':
+			add(path, Helper.clone(get(from)));
+			break;
+		case 'test': {
+			const current = get(path);
+			if (
+				current !== value &&
+				(value === undefined || !hashCompare(current, value))
+			) {
+				throw new Error(`Test failed at ${path}`);
+			}
+			break;
+		}
+		default:
+			throw new Error(`Unknown JSON Patch operation: ${op}`);
+	}
+}
+
+/**
+ * Applies a JSON Patch document (RFC 6902), operation by operation. The given document is not modified.
+ *
+ * @param {*} document - The document to patch.
+ * @param {Object[]} patch - The JSON Patch operations.
+ * @returns {*} The patched document.
+ * @throws {Error} If an operation cannot be applied.
+ */
+function applyJsonPatch(document, patch) {
+	const holder = { value: Helper.clone(document) };
+	patch.forEach((operation) => applyOperation(holder, operation));
+	return holder.value;
+}
+
+/**
+ * Turns the insertions, removals and moves of one array into sequential JSON Patch operations.
+ * Removals are emitted first (from the last index), then moves, each element being placed right
+ * after the one preceding it in the resulting array, and finally insertions from the first index.
+ *
+ * @param {Array<string|number>} parent - The segments leading to the array.
+ * @param {{ entry: Object, key: number }[]} changes - The structural entries of the array.
+ * @returns {Object[]} The JSON Patch operations.
+ */
+function rearrangementOperations(parent, changes) {
+	const pointer = (index) => segmentsToPointer([...parent, index]);
+	const removed = [];
+	const moves = new Map();
+	const added = new Map();
+	changes.forEach(({ entry, key }) => {
+		if (entry.note === DiffType.Deleted.description) removed.push(key);
+		else if (entry.note === DiffType.Moved.description) {
+			moves.set(key, entry.oldIndex);
+		} else added.set(key, entry.newVal);
+	});
+
+	// Simulate the array, long enough to hold every element referenced by the changes
+	const taken = new Set([...removed, ...moves.values()]);
+	const last = (indexes) =>
+		indexes.reduce((highest, index) => Math.max(highest, index), -1);
+	const lastTarget = Math.max(last([...moves.keys()]), last([...added.keys()]));
+	const length = Math.max(
+		last([...taken]) + 1,
+		lastTarget + 1 - moves.size - added.size + taken.size
+	);
+	const kept = Array.from({ length }, (_, i) => i).filter((i) => !taken.has(i));
+	const finalOrder = [];
+	for (let t = 0, k = 0; t <= lastTarget || k < kept.length; t++) {
+		if (moves.has(t)) finalOrder.push(moves.get(t));
+		else if (!added.has(t)) finalOrder.push(kept[k++]);
+	}
+
+	const operations = [];
+	removed
+		.sort((a, b) => b - a)
+		.forEach((index) => operations.push({ op: 'remove', path: pointer(index) }));
+	const removedIndexes = new Set(removed);
+	const elements = Array.from({ length }, (_, i) => i).filter(
+		(i) => !removedIndexes.has(i)
+	);
+
+	[...moves.keys()]
+		.sort((a, b) => a - b)
+		.forEach((target) => {
+			const element = moves.get(target);
+			const from = elements.indexOf(element);
+			elements.splice(from, 1);
+			const position = finalOrder.indexOf(element);
+			const to = position > 0 ? elements.indexOf(finalOrder[position - 1]) + 1 : 0;
+			elements.splice(to, 0, element);
+			if (from !== to) {
+				operations.push({ op: 'move', from: pointer(from), path: pointer(to) });
+			}
+		});
+
+	[...added.keys()]
+		.sort((a, b) => a - b)
+		.forEach((index) => {
+			operations.push({
+				op: 'add',
+				path: pointer(index),
+				value: added.get(index),
+			});
+		});
+
+	return operations;
+}
+
+/**
+ * Converts a changelog produced by `deepCompare` into a JSON Patch document (RFC 6902), whose
+ * operations turn the prior version into the latest one when applied in sequence.
+ *
+ * @param {Object[]} diffs - The changelog entries.
+ * @returns {Object[]} The JSON Patch operations, with JSON Pointer (RFC 6901) paths.
+ * @throws {Error} If an entry cannot be converted.
+ *
+ * @example
+ * toJsonPatch([{ path: 'root.a.b', oldVal: 1, newVal: 2, note: 'Updated' }]);
+ * // [{ op: 'replace', path: '/a/b', value: 2 }]
+ */
+function toJsonPatch(diffs) {
+	return groupEntries(diffs).reduce((patch, { parent, entries }) => {
+		const { structural, values } = splitArrayEntries(entries);
+		rearrangementOperations(parent, structural).forEach((operation) =>
+			patch.push(operation)
+		);
+
+		values.forEach(({ entry, key }) => {
+			const path = segmentsToPointer(
+				key === undefined ? parent : [...parent, key]
+			);
+			switch (entry.note) {
+				case DiffType.Added.description:
+					patch.push({ op: 'add', path, value: entry.newVal });
+					break;
+				case DiffType.Deleted.description:
+					patch.push({ op: 'remove', path });
+					break;
+				case DiffType.Updated.description:
+				case DiffType.TypeChanged.description:
+					patch.push({ op: 'replace', path, value: entry.newVal });
+					break;
+				default:
+					throw new Error(`Cannot convert ${entry.note} at ${entry.path}`);
+			}
+		});
+		return patch;
+	}, []);
+}
+
+/**
+ * Converts a JSON Patch document (RFC 6902) into changelog entries. Each operation becomes one entry
+ * (a move across containers becomes a deletion and an addition, tests are skipped) and, like the
+ * operations themselves, each entry refers to the document as left by the previous ones.
+ *
+ * When the patched document is given, the old values are filled in and array indexes are resolved
+ * against the actual containers; otherwise `oldVal` is left undefined.
+ *
+ * @param {Object[]} patch - The JSON Patch operations.
+ * @param {Object} [options] - Optional settings.
+ * @param {*} [options.document] - The document the patch applies to.
+ * @param {string} [options.root='root'] - The root name of the changelog paths.
+ * @returns {Object[]} The changelog entries.
+ * @throws {Error} If an operation is unknown or cannot be applied to the document.
+ */
+function fromJsonPatch(patch, { document, root = DEFAULT_ROOT } = {}) {
+	const holder = { value: Helper.clone(document) };
+	const known = document !== undefined;
+	const toPath = (pointer, append) =>
+		formatPath([
+			root,
+			...resolveTokens(
+				pointerToTokens(pointer),
+				known ? holder.value : undefined,
+				append
+			),
+		]);
+	const valueAt = (pointer) => {
+		if (!known) return undefined;
+		const { container, key } = locate(holder, pointer);
+		return container[key];
+	};
+
+	return patch.reduce((diffs, operation) => {
+		const { op, path, from, value } = operation;
+		switch (op) {
+			case 'add':
+				diffs.push({
+					path: toPath(path),
+					newVal: value,
+					note: DiffType.Added.description,
+				});
+				break;
+			case 'remove':
+				diffs.push({
+					path: toPath(path),
+					oldVal: valueAt(path),
+					note: DiffType.Deleted.description,
+				});
+				break;
+			case 'replace':
+				diffs.push({
+					path: toPath(path),
+					oldVal: valueAt(path),
+					newVal: value,
+					note: DiffType.Updated.description,
+				});
+				break;
+			case 'move': {
+				const source = parsePath(toPath(from), PathFormat.Dotted);
+				const target = parsePath(toPath(path, true), PathFormat.Dotted);
+				const oldIndex = source.pop();
+				const newIndex = target.pop();
+				if (
+					typeof oldIndex === 'number' &&
+					typeof newIndex === 'number' &&
+					JSON.stringify(source) === JSON.stringify(target)
+				) {
+					diffs.push({
+						path: toPath(path, true),
+						oldIndex,
+						newIndex,
+						note: DiffType.Moved.description,
+					});
+				} else {
+					const moved = valueAt(from);
+					diffs.push(
+						{
+							path: toPath(from),
+							oldVal: moved,
+							note: DiffType.Deleted.description,
+						},
+						{
+							path: toPath(path),
+							newVal: moved,
+							note: DiffType.Added.description,
+						}
+					);
+				}
+				break;
+			}
+			case 'copy':
+				diffs.push({
+					path: toPath(path),
+					newVal: valueAt(from),
+					note: DiffType.Added.description,
+				});
+				break;
+			case 'test':
+				break;
+			default:
+				throw new Error(`Unknown JSON Patch operation: ${op}`);
+		}
+
+		if (known) applyOperation(holder, operation);
+		return diffs;
+	}, []);
+}
+
+module.exports = {
+	toJsonPatch,
+	fromJsonPatch,
+	applyJsonPatch,
+	toJsonPointer,
+	fromJsonPointer,
+};
@@ -0,0 +1,95 @@
+const Helper = require('./utils/helper');
+const { computeHash } = require('./utils/hash-compare');
+const { compilePattern } = require('./utils/path-pattern');
+
+/**
+ * Factories of common conflict resolution strategies. Each returns a function taking a conflict
+ * (`{ path, type, base, ours, theirs }`) and returning the value to keep, `undefined` meaning that
+ * the value is removed.
+ */
+const MergeStrategies = {
+	/**
+	 * Keeps our version.
+	 *
+	 * @returns {Function} The strategy.
+	 */
+	ours() {
+		return (conflict) => conflict.ours;
+	},
+
+	/**
+	 * Keeps their version.
+	 *
+	 * @returns {Function} The strategy.
+	 */
+	theirs() {
+		return (conflict) => conflict.theirs;
+	},
+
+	/**
+	 * Discards both changes, keeping the common ancestor.
+	 *
+	 * @returns {Function} The strategy.
+	 */
+	base() {
+		return (conflict) => conflict.base;
+	},
+
+	/**
+	 * Keeps the elements of both versions when they are arrays or Sets, ours first and without
+	 * duplicates; other values keep our version.
+	 *
+	 * @returns {Function} The strategy.
+	 */
+	union() {
+		return ({ ours, theirs }) => {
+			const kind = Helper.kindOf(ours);
+			if (kind !== Helper.kindOf(theirs) || !['array', 'set'].includes(kind)) {
+				return ours;
+			}
+			const seen = new Set([...ours].map(computeHash));
+			const merged = [
+				...ours,
+				...[...theirs].filter((item) => !seen.has(computeHash(item))),
+			];
+			return kind === 'set' ? new Set(merged) : merged;
+		};
+	},
+};
+
+/**
+ * Compiles the resolution rules of a merge into a single function. Each rule holds a `resolve`
+ * strategy and may restrict it to a `path` pattern (see `compilePattern`) and/or a conflict `type`
+ * (see `ConflictType`); a bare function is a rule applying to every conflict.
+ *
+ * @param {Function|{ path?: string, type?: string, resolve: Function }[]} [rules] - The resolution rules.
+ * @returns {Function} A function taking a conflict and returning the strategy of the first rule
+ *          applying to it, or `undefined` if none does.
+ * @throws {Error} If a rule has no `resolve` function.
+ */
+function compileStrategies(rules = []) {
+	const compiled = (typeof rules === 'function' ? [rules] : rules).map(
+		(rule) => {
+			const { path, type, resolve } =
+				typeof rule === 'function' ? { resolve: rule } : rule;
+			if (typeof resolve !== 'function') {
+				throw new Error('Merge strategies must provide a resolve function.');
+			}
+			return {
+				matches: path === undefined ? () => true : compilePattern(path),
+				type,
+				resolve,
+			};
+		}
+	);
+
+	return (conflict) => {
+		const rule = compiled.find(
+			({ matches, type }) =>
+				(type === undefined || type === conflict.type) && matches(conflict.path)
+		);
+		return rule && rule.resolve;
+	};
+}
+
+module.exports = { MergeStrategies, compileStrategies };
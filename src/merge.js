@@ -0,0 +1,433 @@
+const {
+	DEFAULT_ROOT,
+	CONTAINER_KINDS,
+	ArrayDiffMode,
+	ConflictType,
+} = require('./constants');
+const { createHasher } = require('./utils/hash-compare');
+const { alignArrays } = require('./utils/align-arrays');
+const { compileArrayKeys } = require('./utils/path-pattern');
+const { formatKey, appendKey } = require('./utils/parse-path');
+const { compileStrategies } = require('./merge-strategies');
+const Helper = require('./utils/helper');
+
+/**
+ * Returns an own property of a value, ignoring the inherited ones.
+ *
+ * @param {Object|undefined} value - The object holding the property, if any.
+ * @param {string|symbol} key - The key of the property.
+ * @returns {*} The value of the property, or `undefined` if the object does not own it.
+ */
+function ownValue(value, key) {
+	return value !== undefined && Object.prototype.hasOwnProperty.call(value, key)
+		? value[key]
+		: undefined;
+}
+
+/**
+ * Adds a value to the list stored under a key of a Map.
+ *
+ * @param {Map<*, Array>} lists - The lists, by key.
+ * @param {*} key - The key of the list.
+ * @param {*} value - The value to add.
+ */
+function pushTo(lists, key, value) {
+	if (!lists.has(key)) lists.set(key, []);
+	lists.get(key).push(value);
+}
+
+/**
+ * Creates a function merging two versions of a document derived from a common ancestor.
+ *
+ * Values changed on one side only are taken from that side; values changed identically on both sides
+ * are taken once. Objects, Maps and Sets changed on both sides are merged key by key (member by member
+ * for Sets), and arrays element by element, provided the ancestor holds a container of the same kind: elements are aligned with the ancestor by content (or by the
+ * identity given in `arrayKeys`) unless all three arrays have the same length, keep our order, and the
+ * elements inserted by each side are placed after the same neighbour as in their version.
+ *
+ * Everything else is a conflict (see `ConflictType`): a value changed differently on both sides, deleted on
+ * one side and updated on the other, added with different values, or elements inserted differently at the
+ * same position of an array. Conflicts are resolved by the first strategy of `options.resolve` applying to
+ * them; the unresolved ones keep our version.
+ *
+ * @param {Function} deepCompare - The deep comparer created with the same options, used to tell whether two
+ *                      values are equal when ignore rules, custom comparators, normalizers or unordered arrays apply.
+ * @param {Object} [options] - The options of the merge (see `merge`).
+ * @returns {Function} An async function taking the base, our and their versions, and returning the merge.
+ */
+function createMerger(deepCompare, options = {}) {
+	const hasRules =
+		(options.keysToIgnore || []).length > 0 ||
+		(options.comparators || []).length > 0 ||
+		(options.normalizers || []).length > 0 ||
+		Object.keys(options.arrayModes || {}).length > 0 ||
+		[ArrayDiffMode.Set, ArrayDiffMode.Multiset].includes(options.arrayDiff);
+	const findStrategy = compileStrategies(options.resolve);
+	// Returns the identity function registered for the array found at a path, if any.
+	const getArrayIdentity = compileArrayKeys(options.arrayKeys);
+
+	return async function merge(base, ours, theirs, root = DEFAULT_ROOT) {
+		const hash = createHasher({ digest: options.digest });
+		const conflicts = [];
+		const resolved = [];
+
+		/**
+		 * Checks whether two versions of a value are equal, `undefined` standing for an absent value.
+		 *
+		 * @param {*} value1 - The first version.
+		 * @param {*} value2 - The second version.
+		 * @param {string} path - The path of the value.
+		 * @returns {Promise<boolean>} `true` if the versions are equal.
+		 */
+		async function isSame(value1, value2, path) {
+			if (value1 === value2) return true;
+			if (value1 === undefined || value2 === undefined) return false;
+			if (hash(value1) === hash(value2)) return true;
+			return hasRules && (await deepCompare.isEqual(value1, value2, path));
+		}
+
+		/**
+		 * Records a conflict and resolves it with the first strategy applying to it.
+		 *
+		 * @param {string} type - The type of conflict (see `ConflictType`).
+		 * @param {string} path - The path of the conflicting value.
+		 * @param {*} baseValue - The value in the base version.
+		 * @param {*} oursValue - The value in our version.
+		 * @param {*} theirsValue - The value in their version.
+		 * @returns {*} The resolved value, or ours if the conflict is not resolved.
+		 */
+		function conflict(type, path, baseValue, oursValue, theirsValue) {
+			const entry = {
+				path,
+				type,
+				base: baseValue,
+				ours: oursValue,
+				theirs: theirsValue,
+			};
+			const strategy = findStrategy(entry);
+			if (!strategy) {
+				conflicts.push(entry);
+				return oursValue;
+			}
+			const resolution = strategy(entry);
+			resolved.push({ ...entry, resolution });
+			return resolution;
+		}
+
+		/**
+		 * Merges the three versions of a value, `undefined` standing for an absent value.
+		 *
+		 * @param {*} baseValue - The value in the base version.
+		 * @param {*} oursValue - The value in our version.
+		 * @param {*} theirsValue - The value in their version.
+		 * @param {string} path - The path of the value.
+		 * @param {Object[]} ancestors - The containers being merged above the value, on every side.
+		 * @returns {Promise<*>} The merged value, `undefined` if it is absent.
+		 */
+		async function mergeValues(
+			baseValue,
+			oursValue,
+			theirsValue,
+			path,
+			ancestors
+		) {
+			if (await isSame(oursValue, theirsValue, path)) return oursValue;
+			if (await isSame(baseValue, theirsValue, path)) return oursValue;
+			const kind = Helper.kindOf(oursValue);
+			if (await isSame(baseValue, oursValue, path)) {
+				// Walk down containers we changed in ignored keys only, so that they keep our version
+				const identical =
+					baseValue !== undefined && hash(baseValue) === hash(oursValue);
+				if (
+					identical ||
+					!CONTAINER_KINDS.includes(kind) ||
+					kind !== Helper.kindOf(theirsValue)
+				) {
+					return theirsValue;
+				}
+			}
+
+			// Containers are merged from a common ancestor only: added on both sides, or replacing a value of
+			// another kind, they differ as a whole.
+			const values = [baseValue, oursValue, theirsValue];
+			if (
+				CONTAINER_KINDS.includes(kind) &&
+				values.every((value) => Helper.kindOf(value) === kind) &&
+				!values.some((value) => ancestors.includes(value))
+			) {
+				const children = [...ancestors, ...values];
+				switch (kind) {
+					case 'array':
+						return await mergeArrays(
+							baseValue,
+							oursValue,
+							theirsValue,
+							path,
+							children
+						);
+					case 'map':
+						return await mergeMaps(baseValue, oursValue, theirsValue, path, children);
+					case 'set':
+						return mergeSets(baseValue, oursValue, theirsValue);
+					default:
+						return await mergeObjects(
+							baseValue,
+							oursValue,
+							theirsValue,
+							path,
+							children
+						);
+				}
+			}
+
+			const type =
+				baseValue === undefined
+					? ConflictType.Added
+					: oursValue === undefined || theirsValue === undefined
+					? ConflictType.Deleted
+					: ConflictType.Updated;
+			return conflict(type, path, baseValue, oursValue, theirsValue);
+		}
+
+		/**
+		 * Merges three versions of an object key by key, keeping our key order.
+		 *
+		 * @param {Object} baseValue - The base object.
+		 * @param {Object} oursValue - Our object.
+		 * @param {Object} theirsValue - Their object.
+		 * @param {string} path - The path of the object.
+		 * @param {Object[]} ancestors - The containers being merged, these ones included.
+		 * @returns {Promise<Object>} The merged object.
+		 */
+		async function mergeObjects(
+			baseValue,
+			oursValue,
+			theirsValue,
+			path,
+			ancestors
+		) {
+			const keys = new Set(
+				[oursValue, theirsValue, baseValue].flatMap((value) =>
+					Helper.ownEntries(value).map(([key]) => key)
+				)
+			);
+			const merged = {};
+			for (const key of keys) {
+				const value = await mergeValues(
+					ownValue(baseValue, key),
+					ownValue(oursValue, key),
+					ownValue(theirsValue, key),
+					appendKey(path, key),
+					ancestors
+				);
+				if (value === undefined) continue;
+				// Keep `__proto__` an own property rather than a prototype change
+				Helper.defineOwn(merged, key, value);
+			}
+			return merged;
+		}
+
+		/**
+		 * Merges three versions of a Map key by key, keeping our key order.
+		 *
+		 * @param {Map} baseValue - The base Map.
+		 * @param {Map} oursValue - Our Map.
+		 * @param {Map} theirsValue - Their Map.
+		 * @param {string} path - The path of the Map.
+		 * @param {Object[]} ancestors - The containers being merged, these ones included.
+		 * @returns {Promise<Map>} The merged Map.
+		 */
+		async function mergeMaps(baseValue, oursValue, theirsValue, path, ancestors) {
+			const keys = new Set([
+				...oursValue.keys(),
+				...theirsValue.keys(),
+				...baseValue.keys(),
+			]);
+			const merged = new Map();
+			for (const key of keys) {
+				const value = await mergeValues(
+					baseValue.get(key),
+					oursValue.get(key),
+					theirsValue.get(key),
+					`${path}${formatKey(key)}`,
+					ancestors
+				);
+				if (value !== undefined) merged.set(key, value);
+			}
+			return merged;
+		}
+
+		/**
+		 * Merges three versions of a Set: a member is kept if both sides have it, or if one side added it.
+		 *
+		 * @param {Set} baseValue - The base Set.
+		 * @param {Set} oursValue - Our Set.
+		 * @param {Set} theirsValue - Their Set.
+		 * @returns {Set} The merged Set.
+		 */
+		function mergeSets(baseValue, oursValue, theirsValue) {
+			const hashesOf = (set) => new Set([...set].map((member) => hash(member)));
+			const baseMembers = hashesOf(baseValue);
+			const oursMembers = hashesOf(oursValue);
+			const theirsMembers = hashesOf(theirsValue);
+			return new Set([
+				...[...oursValue].filter((member) => {
+					const digest = hash(member);
+					return theirsMembers.has(digest) || !baseMembers.has(digest);
+				}),
+				...[...theirsValue].filter((member) => {
+					const digest = hash(member);
+					return !oursMembers.has(digest) && !baseMembers.has(digest);
+				}),
+			]);
+		}
+
+		/**
+		 * Merges three versions of an array. Arrays of the same length are merged index by index, unless
+		 * they are to be aligned (`arrayDiff: 'lcs'` or an `arrayKeys` rule); otherwise the elements of each
+		 * side are aligned with the base ones, and the merged array follows our order. Elements inserted by
+		 * them are placed after the base element they follow in their version, and conflict with the
+		 * elements we inserted at the same place.
+		 *
+		 * @param {Array} baseValue - The base array.
+		 * @param {Array} oursValue - Our array.
+		 * @param {Array} theirsValue - Their array.
+		 * @param {string} path - The path of the array.
+		 * @param {Object[]} ancestors - The containers being merged, these ones included.
+		 * @returns {Promise<Array>} The merged array.
+		 */
+		async function mergeArrays(
+			baseValue,
+			oursValue,
+			theirsValue,
+			path,
+			ancestors
+		) {
+			const merged = [];
+			const identify = getArrayIdentity(path);
+			const push = (value) => value !== undefined && merged.push(value);
+
+			if (
+				!identify &&
+				options.arrayDiff !== ArrayDiffMode.Lcs &&
+				baseValue.length === oursValue.length &&
+				oursValue.length === theirsValue.length
+			) {
+				for (const [i, item] of oursValue.entries()) {
+					push(
+						await mergeValues(
+							baseValue[i],
+							item,
+							theirsValue[i],
+							`${path}[${merged.length}]`,
+							ancestors
+						)
+					);
+				}
+				return merged;
+			}
+
+			// Map the elements of each side to the base elements they derive from
+			const baseIndexes = (latest) => {
+				const { kept, moved } = alignArrays(baseValue, latest, identify, hash);
+				return new Map(kept.concat(moved).map(([i, j]) => [j, i]));
+			};
+			const oursBase = baseIndexes(oursValue);
+			const theirsBase = baseIndexes(theirsValue);
+			const theirsOf = new Map([...theirsBase].map(([j, i]) => [i, j]));
+			const keptByUs = new Set(oursBase.values());
+
+			// Anchor their insertions, and the base elements we removed, to the previous base element we kept
+			const theirsInserted = new Map();
+			const removedByUs = new Map();
+			let anchor = -1;
+			theirsValue.forEach((item, j) => {
+				const i = theirsBase.get(j);
+				if (i === undefined) pushTo(theirsInserted, anchor, item);
+				else if (keptByUs.has(i)) anchor = i;
+			});
+			anchor = -1;
+			baseValue.forEach((_, i) => {
+				if (keptByUs.has(i)) anchor = i;
+				else pushTo(removedByUs, anchor, i);
+			});
+
+			const flush = async (at, oursInserted) => {
+				for (const i of removedByUs.get(at) || []) {
+					const j = theirsOf.get(i);
+					const itemPath = `${path}[${merged.length}]`;
+					if (
+						j === undefined ||
+						(await isSame(baseValue[i], theirsValue[j], itemPath))
+					) {
+						continue;
+					}
+					push(
+						conflict(
+							ConflictType.Deleted,
+							itemPath,
+							baseValue[i],
+							undefined,
+							theirsValue[j]
+						)
+					);
+				}
+
+				const inserted = theirsInserted.get(at) || [];
+				const insertPath = `${path}[${merged.length}]`;
+				if (!oursInserted.length || !inserted.length) {
+					merged.push(...oursInserted, ...inserted);
+				} else if (await isSame(oursInserted, inserted, insertPath)) {
+					merged.push(...oursInserted);
+				} else {
+					const elements = conflict(
+						ConflictType.Inserted,
+						insertPath,
+						[],
+						oursInserted,
+						inserted
+					);
+					if (elements !== undefined) merged.push(...elements);
+				}
+			};
+
+			let previous = -1;
+			let oursInserted = [];
+			for (const [j, item] of oursValue.entries()) {
+				const i = oursBase.get(j);
+				if (i === undefined) {
+					oursInserted.push(item);
+					continue;
+				}
+				await flush(previous, oursInserted);
+				previous = i;
+				oursInserted = [];
+
+				const theirsIndex = theirsOf.get(i);
+				const itemPath = `${path}[${merged.length}]`;
+				if (theirsIndex !== undefined) {
+					push(
+						await mergeValues(
+							baseValue[i],
+							item,
+							theirsValue[theirsIndex],
+							itemPath,
+							ancestors
+						)
+					);
+				} else if (!(await isSame(baseValue[i], item, itemPath))) {
+					push(
+						conflict(ConflictType.Deleted, itemPath, baseValue[i], item, undefined)
+					);
+				}
+			}
+			await flush(previous, oursInserted);
+			return merged;
+		}
+
+		const result = await mergeValues(base, ours, theirs, root, []);
+		return { result: Helper.clone(result), conflicts, resolved };
+	};
+}
+
+module.exports = { createMerger };
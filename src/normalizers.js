@@ -0,0 +1,80 @@
+const { compilePattern } = require('./utils/path-pattern');
+const { isOfType } = require('./comparators');
+
+const ISO_DATE =
+	/^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/**
+ * Factories of common normalizers. Each returns a function taking a value and returning the value
+ * to compare in its place; values it does not apply to are returned unchanged.
+ */
+const Normalizers = {
+	/**
+	 * Strings are stripped of their leading and trailing whitespace.
+	 *
+	 * @returns {Function} The normalizer.
+	 */
+	trim() {
+		return (value) => (typeof value === 'string' ? value.trim() : value);
+	},
+
+	/**
+	 * Strings are turned to lower case.
+	 *
+	 * @returns {Function} The normalizer.
+	 */
+	lowercase() {
+		return (value) => (typeof value === 'string' ? value.toLowerCase() : value);
+	},
+
+	/**
+	 * ISO 8601 date strings, such as `2024-05-01` or `2024-05-01T10:00:00+02:00`, are parsed into Dates,
+	 * so that strings standing for the same instant are equal.
+	 *
+	 * @returns {Function} The normalizer.
+	 */
+	isoDate() {
+		return (value) => {
+			if (typeof value !== 'string' || !ISO_DATE.test(value)) return value;
+			const date = new Date(value);
+			return Number.isNaN(date.getTime()) ? value : date;
+		};
+	},
+};
+
+/**
+ * Compiles the normalizer rules into a single function. Each rule holds a `normalize` function and
+ * restricts it to a `path` pattern (see `compilePattern`), a value `type` (see `isOfType`), or both.
+ * Every rule applying to a value is applied in turn, each one to the value returned by the previous.
+ * Normalizers are expected to be idempotent: a normalized value may be normalized again.
+ *
+ * @param {{ path?: string, type?: string|Function, normalize: Function }[]} [rules] - The normalizer rules.
+ * @returns {Function} A function taking a value and its path, returning the normalized value.
+ * @throws {Error} If a rule has no `normalize` function or neither a `path` nor a `type`.
+ */
+function compileNormalizers(rules = []) {
+	const compiled = rules.map((rule) => {
+		if (typeof rule.normalize !== 'function') {
+			throw new Error('Normalizers must provide a normalize function.');
+		}
+		if (rule.path === undefined && rule.type === undefined) {
+			throw new Error('Normalizers must target a path or a type.');
+		}
+		return {
+			matches: rule.path === undefined ? () => true : compilePattern(rule.path),
+			type: rule.type,
+			normalize: rule.normalize,
+		};
+	});
+
+	return (value, path) =>
+		compiled.reduce(
+			(normalized, { matches, type, normalize }) =>
+				(type === undefined || isOfType(type, normalized)) && matches(path)
+					? normalize(normalized, path)
+					: normalized,
+			value
+		);
+}
+
+module.exports = { Normalizers, compileNormalizers };
@@ -0,0 +1,64 @@
+// The worker thread of parallel comparisons (see `createWorkerPool`): it compares the batches of subtrees
+// posted to it with a deep comparer of its own, and replies with their changelogs.
+const { parentPort, workerData } = require('worker_threads');
+const { createDeepComparer } = require('./deep-comparer');
+const { CONTAINER_KINDS } = require('./constants');
+const { now } = require('./utils/runtime');
+const Helper = require('./utils/helper');
+
+const { options, instrumented } = workerData;
+let events = [];
+const deepCompare = createDeepComparer({
+	...options,
+	instrumentation: instrumented ? (event) => events.push(event) : undefined,
+});
+
+/**
+ * Sums up the metrics of the comparisons of a batch.
+ *
+ * @param {Object[]} batchEvents - The instrumentation events of the comparisons.
+ * @returns {Object} The number of nodes visited, hashes computed and bytes hashed, and the slowest subtrees.
+ */
+function sumMetrics(batchEvents) {
+	return batchEvents.reduce(
+		(metrics, event) => ({
+			nodesVisited: metrics.nodesVisited + event.nodesVisited,
+			hashComputations: metrics.hashComputations + event.hashComputations,
+			bytesHashed: metrics.bytesHashed + event.bytesHashed,
+			slowestSubtrees: metrics.slowestSubtrees.concat(event.slowestSubtrees),
+		}),
+		{ nodesVisited: 0, hashComputations: 0, bytesHashed: 0, slowestSubtrees: [] }
+	);
+}
+
+parentPort.on('message', async (batch) => {
+	events = [];
+	try {
+		const results = [];
+		for (const { prior, latest, path } of batch) {
+			const start = now();
+			const diffs = await deepCompare.compareValues(prior, latest, path);
+			results.push({ diffs, truncated: Boolean(diffs.truncated) });
+			// Subtrees are timed as the nested containers they are on the calling thread.
+			const kind = Helper.kindOf(prior);
+			if (
+				instrumented &&
+				CONTAINER_KINDS.includes(kind) &&
+				kind === Helper.kindOf(latest)
+			) {
+				events[events.length - 1].slowestSubtrees.push({
+					path,
+					duration: now() - start,
+				});
+			}
+		}
+		parentPort.postMessage({
+			results,
+			...(instrumented && { metrics: sumMetrics(events) }),
+		});
+	} catch (error) {
+		parentPort.postMessage({
+			error: { name: error.name, message: error.message, reason: error.reason },
+		});
+	}
+});
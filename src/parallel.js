@@ -0,0 +1,401 @@
+const { ComparisonAbortedError } = require('./errors');
+const Helper = require('./utils/helper');
+
+// The number of values below which the versions are compared on the calling thread.
+const DEFAULT_THRESHOLD = 100000;
+// How many batches of subtrees each worker is given on average, so that a slow batch holds back less work.
+const BATCHES_PER_WORKER = 4;
+// The options the workers compare with. The others apply on the calling thread, or not to subtrees.
+const WORKER_OPTIONS = [
+	'keysToIgnore',
+	'keysToMask',
+	'arrayDiff',
+	'arrayModes',
+	'arrayKeys',
+	'undefinedPolicy',
+	'comparators',
+	'normalizers',
+	'maxDiffs',
+	'digest',
+];
+
+/**
+ * Loads the `worker_threads`, `os` and `util` modules of Node.js. Bundlers map them to nothing for browsers
+ * (see the `browser` field of the package).
+ *
+ * @returns {{ Worker: Function, os: Object, types: Object }} The `Worker` class, the `os` module and the
+ *          type checks of the `util` module.
+ * @throws {Error} If the runtime has no worker threads.
+ */
+function loadWorkerThreads() {
+	try {
+		const { Worker } = require('worker_threads');
+		const os = require('os');
+		const { types } = require('util');
+		if (typeof Worker === 'function' && os && types) return { Worker, os, types };
+	} catch {
+		// Reported below.
+	}
+	throw new Error('Parallel comparisons need the worker threads of Node.js.');
+}
+
+/**
+ * Looks for a function within an option, which cannot be sent to a worker thread.
+ *
+ * @param {*} value - The value of the option.
+ * @returns {boolean} `true` if the value is or holds a function.
+ */
+function holdsFunction(value) {
+	if (typeof value === 'function') return true;
+	if (Array.isArray(value)) return value.some(holdsFunction);
+	if (Helper.kindOf(value) === 'object') {
+		return Object.values(value).some(holdsFunction);
+	}
+	return false;
+}
+
+/**
+ * Counts the values of a version, containers included, stopping once the limit is reached.
+ *
+ * @param {*} value - The value.
+ * @param {number} limit - The count after which the values are not counted any further.
+ * @returns {number} The number of values, at most `limit`.
+ */
+function countValues(value, limit) {
+	const pending = [value];
+	let count = 0;
+	while (pending.length && count < limit) {
+		const current = pending.pop();
+		count++;
+		switch (Helper.kindOf(current)) {
+			case 'array':
+			case 'set':
+			case 'map':
+				current.forEach((item) => pending.push(item));
+				break;
+			case 'object':
+				Object.values(current).forEach((item) => pending.push(item));
+				break;
+			default:
+				break;
+		}
+	}
+	return count;
+}
+
+/**
+ * Checks whether the children of a version are compared in a worker thread as they are on the calling thread.
+ * The structured clone sending them to the worker cannot send functions, Symbols or proxies, drops Symbol keys
+ * and the prototypes of objects, turns Buffers into plain Uint8Arrays, and copies the version itself when a
+ * child refers back to it, where the calling thread reports a cycle.
+ *
+ * @param {Object|Array} version - The version.
+ * @param {Function} isProxy - A function telling whether a value is a proxy.
+ * @returns {boolean} `true` if the children of the version can be sent to a worker.
+ */
+function canSendChildren(version, isProxy) {
+	const pending = Helper.ownEntries(version).map(([, child]) => child);
+	const seen = new Set();
+	while (pending.length) {
+		const current = pending.pop();
+		if (typeof current === 'function' || typeof current === 'symbol') {
+			return false;
+		}
+		if (!Helper.isObject(current) || seen.has(current)) continue;
+		if (current === version || isProxy(current)) return false;
+		seen.add(current);
+		switch (Helper.kindOf(current)) {
+			case 'array':
+			case 'set':
+				current.forEach((item) => pending.push(item));
+				break;
+			case 'map':
+				current.forEach((item, key) => pending.push(key, item));
+				break;
+			case 'binary':
+				if (Buffer.isBuffer(current)) return false;
+				break;
+			case 'object': {
+				const prototype = Object.getPrototypeOf(current);
+				if (prototype !== Object.prototype && prototype !== null) return false;
+				const entries = Helper.ownEntries(current);
+				if (entries.some(([key]) => typeof key === 'symbol')) return false;
+				entries.forEach(([, item]) => pending.push(item));
+				break;
+			}
+			default:
+				break;
+		}
+	}
+	return true;
+}
+
+/**
+ * Splits tasks into consecutive batches of similar sizes.
+ *
+ * @param {Object[]} tasks - The tasks.
+ * @param {number} count - The number of batches wanted.
+ * @returns {Object[][]} The batches, at most `count`.
+ */
+function splitIntoBatches(tasks, count) {
+	const size = Math.ceil(tasks.length / count);
+	const batches = [];
+	for (let start = 0; start < tasks.length; start += size) {
+		batches.push(tasks.slice(start, start + size));
+	}
+	return batches;
+}
+
+/**
+ * Rebuilds an error reported by a worker.
+ *
+ * @param {{ name: string, message: string, reason?: * }} error - The error, as posted by the worker.
+ * @returns {Error} The error.
+ */
+function reviveError({ name, message, reason }) {
+	if (name === 'ComparisonAbortedError') {
+		return new ComparisonAbortedError(message, reason);
+	}
+	const error = new Error(message);
+	error.name = name;
+	return error;
+}
+
+/**
+ * Creates a pool of worker threads comparing subtrees with a deep comparer of their own. Workers are started
+ * on demand, up to the size of the pool, and kept for the next comparisons; idle workers do not keep the
+ * process alive.
+ *
+ * @param {number} size - The maximum number of workers.
+ * @param {Object} options - The options of the deep comparers of the workers, free of functions.
+ * @param {boolean} instrumented - Whether the workers report the metrics of their comparisons.
+ * @returns {{ run: Function, close: Function }} The pool: `run(tasks, limits)` compares `{ prior, latest, path }`
+ *          tasks and resolves to their results, in order, and `close()` terminates the workers.
+ */
+function createWorkerPool(size, options, instrumented) {
+	const { Worker } = loadWorkerThreads();
+	const idle = [];
+	const waiting = [];
+	let started = 0;
+
+	const start = () => {
+		started++;
+		return new Worker(require.resolve('./parallel-worker'), {
+			workerData: { options, instrumented },
+		});
+	};
+
+	const acquire = () => {
+		if (idle.length) return Promise.resolve(idle.pop());
+		if (started < size) return Promise.resolve(start());
+		return new Promise((resolve) => waiting.push(resolve));
+	};
+
+	const release = (worker) => {
+		const next = waiting.shift();
+		if (next) return next(worker);
+		worker.unref();
+		idle.push(worker);
+	};
+
+	const discard = (worker) => {
+		started--;
+		worker.terminate();
+		const next = waiting.shift();
+		if (next) next(start());
+	};
+
+	/**
+	 * Sends a batch of tasks to a worker.
+	 *
+	 * @param {Object} worker - The worker.
+	 * @param {Object[]} batch - The tasks.
+	 * @returns {Promise<Object>} A promise that resolves to the reply of the worker.
+	 * @throws {Error} If the comparison of a task fails, or the worker stops.
+	 */
+	const send = (worker, batch) =>
+		new Promise((resolve, reject) => {
+			const settle = (callback) => (value) => {
+				worker.off('message', onMessage);
+				worker.off('error', onError);
+				worker.off('exit', onExit);
+				callback(value);
+			};
+			const onMessage = settle((reply) =>
+				reply.error ? reject(reviveError(reply.error)) : resolve(reply)
+			);
+			const onError = settle(reject);
+			const onExit = settle((code) =>
+				reject(new Error(`A comparison worker stopped with exit code ${code}.`))
+			);
+			worker.on('message', onMessage);
+			worker.on('error', onError);
+			worker.on('exit', onExit);
+			worker.ref();
+			worker.postMessage(batch);
+		});
+
+	/**
+	 * Compares tasks in the workers. The tasks are split into batches handed to the workers as they get idle.
+	 * When a batch fails, or the comparison is aborted or times out, the busy workers are terminated.
+	 *
+	 * @param {Object[]} tasks - The tasks: the `prior` and `latest` values and their `path`.
+	 * @param {Object} limits - The limits of the comparison.
+	 * @param {AbortSignal} [limits.signal] - A signal aborting the comparison.
+	 * @param {number} [limits.deadline] - The time at which the comparison times out, as returned by `Date.now()`.
+	 * @param {Function} limits.check - A function throwing once the comparison is aborted or timed out.
+	 * @returns {Promise<{ results: Object[], metrics: Object[] }>} A promise that resolves to the result of each
+	 *          task, `{ diffs, truncated }`, and to the metrics reported by the workers, if instrumented.
+	 */
+	function run(tasks, { signal, deadline, check }) {
+		const batches = splitIntoBatches(tasks, size * BATCHES_PER_WORKER);
+		const results = [];
+		const metrics = [];
+		const busy = new Set();
+		let next = 0;
+		let pending = batches.length;
+		let failed = false;
+
+		return new Promise((resolve, reject) => {
+			let timer;
+			const stop = () => {
+				clearTimeout(timer);
+				if (signal) signal.removeEventListener('abort', interrupt);
+			};
+			const fail = (error) => {
+				if (failed) return;
+				failed = true;
+				stop();
+				busy.forEach(discard);
+				busy.clear();
+				reject(error);
+			};
+			function interrupt() {
+				try {
+					check();
+				} catch (error) {
+					fail(error);
+				}
+			}
+
+			const dispatch = async () => {
+				while (!failed && next < batches.length) {
+					const index = next++;
+					const offset = index * batches[0].length;
+					const worker = await acquire();
+					if (failed) return release(worker);
+					busy.add(worker);
+					let reply;
+					try {
+						reply = await send(worker, batches[index]);
+					} catch (error) {
+						if (busy.delete(worker)) discard(worker);
+						return fail(error);
+					}
+					busy.delete(worker);
+					release(worker);
+					if (failed) return;
+					reply.results.forEach((result, i) => {
+						results[offset + i] = result;
+					});
+					if (reply.metrics) metrics.push(reply.metrics);
+					if (--pending === 0) {
+						stop();
+						resolve({ results, metrics });
+					}
+				}
+			};
+
+			if (!batches.length) return resolve({ results, metrics });
+			if (signal) signal.addEventListener('abort', interrupt);
+			if (deadline !== undefined) {
+				timer = setTimeout(interrupt, Math.max(deadline - Date.now() + 1, 0));
+			}
+			for (let i = 0; i < Math.min(size, batches.length); i++) dispatch();
+		});
+	}
+
+	/**
+	 * Terminates the workers of the pool. Workers are started again by the next comparison.
+	 *
+	 * @returns {Promise<void>} A promise that resolves once the idle workers are terminated.
+	 */
+	async function close() {
+		const workers = idle.splice(0);
+		started -= workers.length;
+		await Promise.all(workers.map((worker) => worker.terminate()));
+	}
+
+	return { run, close };
+}
+
+/**
+ * Compiles the `parallel` option of a deep comparer: the settings comparing the top-level subtrees of large
+ * versions in worker threads. The pool of workers is created on the first parallel comparison.
+ *
+ * @param {boolean|Object} [parallel] - `true` for the default settings, or the settings.
+ * @param {number} [parallel.workers] - The maximum number of workers, the number of CPUs by default.
+ * @param {number} [parallel.threshold=100000] - The number of values of the two versions together below which
+ *                      they are compared on the calling thread.
+ * @param {Object} options - The options of the deep comparer.
+ * @returns {Object|undefined} The settings, with the `threshold`, a `canSend(prior, latest)` function telling
+ *          whether the children of the versions are compared alike in the workers (see `canSendChildren`), a
+ *          `pool()` function returning the pool of workers (see `createWorkerPool`), and a `close()` function
+ *          terminating it; `undefined` when disabled.
+ * @throws {Error} If a setting is not a positive integer (`threshold` may be 0), the runtime has no worker
+ *          threads, or an option the workers compare with holds functions.
+ */
+function compileParallel(parallel, options) {
+	if (!parallel) return undefined;
+	const { os, types } = loadWorkerThreads();
+	const {
+		workers = typeof os.availableParallelism === 'function'
+			? os.availableParallelism()
+			: Math.max(os.cpus().length, 1),
+		threshold = DEFAULT_THRESHOLD,
+	} = parallel === true ? {} : parallel;
+	if (!(Number.isInteger(workers) && workers > 0)) {
+		throw new Error('parallel.workers must be a positive integer.');
+	}
+	if (!(Number.isInteger(threshold) && threshold >= 0)) {
+		throw new Error('parallel.threshold must be a non-negative integer.');
+	}
+	const unsupported = WORKER_OPTIONS.find((name) =>
+		holdsFunction(options[name])
+	);
+	if (unsupported) {
+		throw new Error(
+			`The ${unsupported} option holds functions, which cannot be sent to worker threads.`
+		);
+	}
+
+	const workerOptions = Object.fromEntries(
+		WORKER_OPTIONS.filter((name) => options[name] !== undefined).map((name) => [
+			name,
+			options[name],
+		])
+	);
+	// The workers compare the children of the versions, one level below them.
+	if (options.maxDepth !== undefined)
+		workerOptions.maxDepth = options.maxDepth - 1;
+	let pool;
+	return {
+		threshold,
+		canSend: (prior, latest) =>
+			canSendChildren(prior, types.isProxy) &&
+			canSendChildren(latest, types.isProxy),
+		pool() {
+			if (!pool) {
+				pool = createWorkerPool(
+					workers,
+					workerOptions,
+					Boolean(options.instrumentation)
+				);
+			}
+			return pool;
+		},
+		close: () => (pool ? pool.close() : Promise.resolve()),
+	};
+}
+
+module.exports = { compileParallel, countValues };
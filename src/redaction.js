@@ -0,0 +1,282 @@
+const { createPathMatcher } = require('./utils/path-pattern');
+const { formatKey, appendKey } = require('./utils/parse-path');
+const { stringify } = require('./utils/canonical');
+const { defaultDigest } = require('./utils/runtime');
+const Helper = require('./utils/helper');
+
+const PLACEHOLDER = '***';
+
+/**
+ * Factories of redaction strategies. Each returns a function taking a sensitive value and its path,
+ * and returning what the changelog shows instead.
+ */
+const RedactionStrategies = {
+	/**
+	 * Replaces values with a fixed text.
+	 *
+	 * @param {string} [text='***'] - The text shown instead of the values.
+	 * @returns {Function} The strategy.
+	 */
+	placeholder(text = PLACEHOLDER) {
+		return () => text;
+	},
+
+	/**
+	 * Replaces values with a salted hash, `hash:` followed by the first `length` hexadecimal digits of the
+	 * SHA-256 of the salt followed by the value: equal values get equal hashes, so that a change from one
+	 * known value to another can still be checked. Strings are hashed as they are, other values as their
+	 * canonical serialization (sorted keys, tagged BigInts, Maps and Sets).
+	 *
+	 * @param {Object} options - The options of the strategy.
+	 * @param {string} options.salt - The salt, kept secret so that the hashes of guessable values cannot be
+	 *                      looked up.
+	 * @param {number} [options.length=16] - The number of hexadecimal digits kept, at most 64.
+	 * @returns {Function} The strategy.
+	 * @throws {Error} If the salt is not a non-empty string.
+	 */
+	hash({ salt, length = 16 } = {}) {
+		if (typeof salt !== 'string' || !salt) {
+			throw new Error('The hash redaction strategy needs a salt.');
+		}
+		return (value) =>
+			`hash:${defaultDigest(
+				`${salt}${typeof value === 'string' ? value : stringify(value)}`
+			).slice(0, length)}`;
+	},
+
+	/**
+	 * Masks strings, numbers and BigInts but for their last characters, e.g. `************4242` for a card
+	 * number. Values no longer than the revealed characters are masked whole, and other values are replaced
+	 * with `***`.
+	 *
+	 * @param {Object} [options] - The options of the strategy.
+	 * @param {number} [options.reveal=4] - The number of trailing characters left visible.
+	 * @param {string} [options.mask='*'] - The character replacing the others.
+	 * @returns {Function} The strategy.
+	 */
+	partial({ reveal = 4, mask = '*' } = {}) {
+		return (value) => {
+			if (!['string', 'number', 'bigint'].includes(typeof value)) {
+				return PLACEHOLDER;
+			}
+			const text = String(value);
+			if (text.length <= reveal) return mask.repeat(text.length);
+			return `${mask.repeat(text.length - reveal)}${text.slice(
+				text.length - reveal
+			)}`;
+		};
+	},
+};
+
+/**
+ * Tells whether a number passes the Luhn checksum of payment card numbers.
+ *
+ * @param {string} digits - The digits of the number.
+ * @returns {boolean} `true` if the checksum is valid.
+ */
+function luhn(digits) {
+	let sum = 0;
+	for (let i = 0; i < digits.length; i++) {
+		let digit = Number(digits[digits.length - 1 - i]);
+		if (i % 2 === 1) {
+			digit *= 2;
+			if (digit > 9) digit -= 9;
+		}
+		sum += digit;
+	}
+	return sum % 10 === 0;
+}
+
+/**
+ * Factories of detectors, finding sensitive data within any string of the changelog values, whatever
+ * its path. Each returns `{ pattern, validate?, strategy }`: the matches of the `pattern` accepted by
+ * `validate` are replaced with what the `strategy` returns for them (`***` by default).
+ */
+const Detectors = {
+	/**
+	 * Detects email addresses.
+	 *
+	 * @param {Object} [options] - The options of the detector.
+	 * @param {Function} [options.strategy] - The strategy redacting the matches.
+	 * @returns {Object} The detector.
+	 */
+	email({ strategy = RedactionStrategies.placeholder() } = {}) {
+		return {
+			pattern: /[\w.+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)+/g,
+			strategy,
+		};
+	},
+
+	/**
+	 * Detects payment card numbers: 13 to 19 digits, possibly grouped by spaces or dashes, passing the
+	 * Luhn checksum.
+	 *
+	 * @param {Object} [options] - The options of the detector.
+	 * @param {Function} [options.strategy] - The strategy redacting the matches.
+	 * @returns {Object} The detector.
+	 */
+	cardNumber({ strategy = RedactionStrategies.placeholder() } = {}) {
+		return {
+			pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+			validate: (match) => luhn(match.replace(/\D/g, '')),
+			strategy,
+		};
+	},
+
+	/**
+	 * Detects credentials: JSON Web Tokens, bearer tokens, AWS access key IDs, and Stripe, GitHub and
+	 * Slack keys.
+	 *
+	 * @param {Object} [options] - The options of the detector.
+	 * @param {Function} [options.strategy] - The strategy redacting the matches.
+	 * @returns {Object} The detector.
+	 */
+	token({ strategy = RedactionStrategies.placeholder() } = {}) {
+		return {
+			pattern: new RegExp(
+				[
+					'\\beyJ[\\w-]+\\.[\\w-]+\\.[\\w-]+',
+					'(?<=\\bBearer )[\\w.~+/-]{16,}=*',
+					'\\bAKIA[0-9A-Z]{16}\\b',
+					'\\b[spr]k_(?:live|test)_[0-9A-Za-z]{10,}\\b',
+					'\\bgh[pousr]_[0-9A-Za-z]{36,}\\b',
+					'\\bxox[abprs]-[0-9A-Za-z-]{10,}',
+				].join('|'),
+				'g'
+			),
+			strategy,
+		};
+	},
+};
+
+/**
+ * Compiles the redaction settings of a deep comparer into a function redacting the values of changelog
+ * entries. Values whose path matches a rule are replaced with what its strategy returns, be they the
+ * values of the entry or nested in them; the strings left, and the keys of the nested objects and Maps, are
+ * then scanned by the detectors. Entry paths are left as they are, so that they still locate the changes.
+ * Keys matching `keysToMask` are removed from the nested values beforehand (see `filterObjectKeys`), so a
+ * masked key only remains when it is the path of the entry itself: its values are then replaced with `***`.
+ *
+ * @param {Object} [options] - The options of the deep comparer.
+ * @param {Array<string|Function>} [options.keysToMask] - The rules matching the keys to hide.
+ * @param {Object[]} [options.redact] - The redaction rules, each made of a `path` rule (a key name, a path
+ *                      pattern or a predicate, see `createPathMatcher`) and a `strategy` (see
+ *                      `RedactionStrategies`), `placeholder()` by default. The first matching rule applies.
+ * @param {Object[]} [options.detectors] - The detectors (see `Detectors`).
+ * @returns {Function} A function taking a changelog entry and returning it redacted, a copy when needed.
+ * @throws {Error} If a rule has no path, or a strategy or a detector is invalid.
+ */
+function compileRedaction({ keysToMask, redact = [], detectors = [] } = {}) {
+	const rules = redact.map((rule) => {
+		if (rule.path === undefined) {
+			throw new Error('Redaction rules must target a path.');
+		}
+		if (rule.strategy !== undefined && typeof rule.strategy !== 'function') {
+			throw new Error('Redaction strategies must be functions.');
+		}
+		return {
+			matches: createPathMatcher([rule.path]),
+			strategy: rule.strategy || RedactionStrategies.placeholder(),
+		};
+	});
+	if (typeof keysToMask === 'function' || (keysToMask && keysToMask.length)) {
+		rules.unshift({
+			matches: createPathMatcher(keysToMask),
+			strategy: RedactionStrategies.placeholder(),
+		});
+	}
+	const scanners = detectors.map(({ pattern, validate, strategy }) => {
+		if (!(pattern instanceof RegExp) || typeof strategy !== 'function') {
+			throw new Error('Detectors must provide a pattern and a strategy.');
+		}
+		return {
+			pattern: pattern.global ? pattern : new RegExp(pattern, `${pattern.flags}g`),
+			validate,
+			strategy,
+		};
+	});
+	if (!rules.length && !scanners.length) return (entry) => entry;
+
+	const detect = (text, path) =>
+		scanners.reduce(
+			(result, { pattern, validate, strategy }) =>
+				result.replace(pattern, (match) =>
+					!validate || validate(match) ? String(strategy(match, path)) : match
+				),
+			text
+		);
+
+	const redactKey = (key, path) =>
+		typeof key === 'string' && scanners.length ? detect(key, path) : key;
+
+	/**
+	 * Redacts a value and the values nested in it, as described for `compileRedaction`. Containers are
+	 * copied, their own properties included (symbol-keyed ones and `__proto__`), and the detectors scan
+	 * their string keys too. References back to a container being redacted are replaced with `{ $ref: path }`.
+	 *
+	 * @param {*} value - The value.
+	 * @param {string} path - The path of the value.
+	 * @param {Map<Object, string>} ancestors - The containers being redacted above the value, with their paths.
+	 * @returns {*} The redacted value.
+	 */
+	function redactValue(value, path, ancestors) {
+		const rule = rules.find(({ matches }) => matches(path, value));
+		if (rule) return rule.strategy(value, path);
+		if (typeof value === 'string')
+			return scanners.length ? detect(value, path) : value;
+		if (!Helper.isObject(value)) return value;
+		if (ancestors.has(value)) return { $ref: ancestors.get(value) };
+
+		const redactChild = (child, childPath) =>
+			redactValue(child, childPath, ancestors);
+		let redacted;
+		ancestors.set(value, path);
+		switch (Helper.kindOf(value)) {
+			case 'array':
+				redacted = value.map((item, i) => redactChild(item, `${path}[${i}]`));
+				break;
+			case 'map':
+				redacted = new Map(
+					[...value].map(([key, item]) => {
+						const itemPath = `${path}${formatKey(key)}`;
+						return [redactKey(key, itemPath), redactChild(item, itemPath)];
+					})
+				);
+				break;
+			case 'set':
+				redacted = new Set(
+					[...value].map((member) =>
+						redactChild(member, `${path}${formatKey(member)}`)
+					)
+				);
+				break;
+			case 'object':
+				redacted = {};
+				Helper.ownEntries(value).forEach(([key, item]) => {
+					const itemPath = appendKey(path, key);
+					Helper.defineOwn(
+						redacted,
+						redactKey(key, itemPath),
+						redactChild(item, itemPath)
+					);
+				});
+				break;
+			default:
+				redacted = value;
+		}
+		ancestors.delete(value);
+		return redacted;
+	}
+
+	return (entry) => {
+		const redacted = { ...entry };
+		['oldVal', 'newVal'].forEach((side) => {
+			if (side in entry) {
+				redacted[side] = redactValue(entry[side], entry.path, new Map());
+			}
+		});
+		return redacted;
+	};
+}
+
+module.exports = { RedactionStrategies, Detectors, compileRedaction };
@@ -0,0 +1,107 @@
+const { DiffType } = require('../constants');
+const Helper = require('../utils/helper');
+const { formatPath } = require('../utils/parse-path');
+
+const NOTES = [
+	[DiffType.Added.description, 'added'],
+	[DiffType.Deleted.description, 'deleted'],
+	[DiffType.Updated.description, 'updated'],
+	[DiffType.TypeChanged.description, 'type changed'],
+	[DiffType.Moved.description, 'moved'],
+];
+
+/**
+ * Converts a value into something `JSON.stringify` renders readably: Maps and Sets become objects
+ * and arrays, BigInts, RegExps, typed arrays and `undefined` become their usual notation, and cycles
+ * are cut.
+ *
+ * @param {*} value - The value to convert.
+ * @param {Object[]} ancestors - The objects being converted above the value.
+ * @returns {*} The converted value.
+ */
+function toDisplayable(value, ancestors) {
+	switch (Helper.kindOf(value)) {
+		case 'undefined':
+			return 'undefined';
+		case 'bigint':
+			return `${value}n`;
+		case 'regexp':
+		case 'symbol':
+		case 'function':
+			return String(value);
+		case 'binary':
+			return `${value.constructor.name}(${value.byteLength})`;
+		case 'date':
+			return value.toISOString();
+		case 'array':
+		case 'map':
+		case 'set':
+		case 'object': {
+			if (ancestors.includes(value)) return '[Circular]';
+			const children = [...ancestors, value];
+			if (Array.isArray(value) || value instanceof Set) {
+				return [...value].map((item) => toDisplayable(item, children));
+			}
+			const entries =
+				value instanceof Map
+					? [...value].map(([key, val]) => [
+							typeof key === 'string' ? key : String(toDisplayable(key, [])),
+							val,
+					  ])
+					: Helper.ownEntries(value).map(([key, val]) => [String(key), val]);
+			return entries.reduce((result, [key, val]) => {
+				result[key] = toDisplayable(val, children);
+				return result;
+			}, {});
+		}
+		default:
+			return value;
+	}
+}
+
+/**
+ * Formats a value on a single line, as JSON where possible, truncated to a maximum length.
+ *
+ * @param {*} value - The value to format.
+ * @param {number} [maxLength=Infinity] - The maximum length of the result.
+ * @returns {string} The formatted value.
+ */
+function formatValue(value, maxLength = Infinity) {
+	const displayable = toDisplayable(value, []);
+	const text =
+		typeof displayable === 'string' &&
+		!['string', 'date'].includes(Helper.kindOf(value))
+			? displayable
+			: JSON.stringify(displayable);
+	return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+/**
+ * Counts the entries of a changelog by type, e.g. `3 changes: 1 added, 2 updated`.
+ *
+ * @param {Object[]} diffs - The changelog entries.
+ * @returns {string} The summary.
+ */
+function summarize(diffs) {
+	if (!diffs.length) return 'No differences.';
+	const counts = NOTES.map(([note, label]) => [
+		label,
+		diffs.filter((diff) => diff.note === note).length,
+	]).filter(([, count]) => count > 0);
+	return `${diffs.length} change${diffs.length > 1 ? 's' : ''}: ${counts
+		.map(([label, count]) => `${count} ${label}`)
+		.join(', ')}`;
+}
+
+/**
+ * Formats the path of a changelog entry for display: paths given as segments (`pathFormat: 'segments'`)
+ * are written as dotted paths, other paths as they are.
+ *
+ * @param {string|Array} path - The path of the entry.
+ * @returns {string} The path to display.
+ */
+function displayPath(path) {
+	return Array.isArray(path) ? formatPath(path) : path;
+}
+
+module.exports = { formatValue, summarize, toDisplayable, displayPath };
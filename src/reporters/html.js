@@ -0,0 +1,214 @@
+const { DiffType, DEFAULT_ROOT } = require('../constants');
+const Helper = require('../utils/helper');
+const {
+	parsePath,
+	formatPath,
+	formatKey,
+	appendKey,
+} = require('../utils/parse-path');
+const { formatValue, summarize } = require('./format');
+
+const STYLE = `
+body { font-family: system-ui, sans-serif; margin: 1.5rem; color: #24292f; }
+h1 { font-size: 1.25rem; }
+.legend span { display: inline-block; margin-right: 1rem; padding: 0 0.4rem; }
+.documents { display: grid; grid-template-columns: 1fr 1fr; gap: 1rem; }
+h2 { font-size: 1rem; }
+pre { margin: 0; padding: 0.5rem; background: #f6f8fa; overflow-x: auto; font-size: 0.85rem; }
+pre div { white-space: pre; }
+.added { background: #dafbe1; }
+.deleted { background: #ffebe9; }
+.updated { background: #fff8c5; }
+.moved { background: #ddf4ff; }
+.typechanged { background: #fbefff; }
+`;
+
+/**
+ * Escapes text for HTML content and attributes.
+ *
+ * @param {string} text - The text to escape.
+ * @returns {string} The escaped text.
+ */
+function escapeHtml(text) {
+	return text
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&#39;');
+}
+
+/**
+ * Lists the paths to highlight in each document, with the class of their highlight.
+ * Deletions are highlighted in the prior document, additions in the latest one, updates and type changes in both,
+ * and moved items at their former index in the prior document and their new index in the latest one.
+ * Paths are read in any format of `parsePath`, and written as dotted paths from the given root.
+ *
+ * @param {Object[]} diffs - The changelog entries.
+ * @param {string} root - The name of the root in the paths of the documents.
+ * @returns {{ prior: Map<string, string>, latest: Map<string, string> }} The classes, by path.
+ */
+function collectHighlights(diffs, root) {
+	const prior = new Map();
+	const latest = new Map();
+	diffs.forEach((diff) => {
+		const className = diff.note.toLowerCase();
+		const segments = parsePath(diff.path).slice(1);
+		const path = formatPath([root, ...segments]);
+		switch (diff.note) {
+			case DiffType.Added.description:
+				latest.set(path, className);
+				break;
+			case DiffType.Deleted.description:
+				prior.set(path, className);
+				break;
+			case DiffType.Moved.description: {
+				const parent = segments.slice(0, -1);
+				prior.set(formatPath([root, ...parent, diff.oldIndex]), className);
+				latest.set(formatPath([root, ...parent, diff.newIndex]), className);
+				break;
+			}
+			default:
+				prior.set(path, className);
+				latest.set(path, className);
+		}
+	});
+	return { prior, latest };
+}
+
+/**
+ * Pretty-prints a document as lines tagged with the path of the value they show and its highlight.
+ * A highlighted value highlights its whole subtree.
+ *
+ * @param {*} document - The document to print.
+ * @param {string} root - The name of the root in the changelog paths.
+ * @param {Map<string, string>} highlights - The classes of the highlighted paths.
+ * @returns {{ path: string, text: string, className?: string }[]} The lines.
+ */
+function printDocument(document, root, highlights) {
+	const lines = [];
+
+	const print = (value, path, label, indent, suffix, inherited, ancestors) => {
+		const className = highlights.get(path) || inherited;
+		const prefix = `${'  '.repeat(indent)}${label}`;
+		const kind = Helper.kindOf(value);
+		const isContainer = ['array', 'set', 'map', 'object'].includes(kind);
+		if (!isContainer || ancestors.includes(value)) {
+			const text = isContainer ? '"[Circular]"' : formatValue(value);
+			lines.push({ path, text: `${prefix}${text}${suffix}`, className });
+			return;
+		}
+
+		const children =
+			kind === 'array'
+				? value.map((item, i) => [`${path}[${i}]`, '', item])
+				: kind === 'set'
+				? [...value].map((item) => [`${path}${formatKey(item)}`, '', item])
+				: kind === 'map'
+				? [...value].map(([key, item]) => [
+						`${path}${formatKey(key)}`,
+						`${formatValue(key)}: `,
+						item,
+				  ])
+				: Helper.ownEntries(value).map(([key, item]) => [
+						appendKey(path, key),
+						`${JSON.stringify(String(key))}: `,
+						item,
+				  ]);
+		const [open, close] = kind === 'array' || kind === 'set' ? '[]' : '{}';
+		if (!children.length) {
+			lines.push({ path, text: `${prefix}${open}${close}${suffix}`, className });
+			return;
+		}
+		lines.push({ path, text: `${prefix}${open}`, className });
+		children.forEach(([childPath, childLabel, item], i) =>
+			print(
+				item,
+				childPath,
+				childLabel,
+				indent + 1,
+				i < children.length - 1 ? ',' : '',
+				className,
+				[...ancestors, value]
+			)
+		);
+		lines.push({
+			path,
+			text: `${'  '.repeat(indent)}${close}${suffix}`,
+			className,
+		});
+	};
+
+	print(document, root, '', 0, '', undefined, []);
+	return lines;
+}
+
+/**
+ * Renders a document as a highlighted `<pre>` block.
+ *
+ * @param {string} heading - The heading of the block.
+ * @param {{ path: string, text: string, className?: string }[]} lines - The lines of the document.
+ * @returns {string} The HTML of the block.
+ */
+function renderDocument(heading, lines) {
+	const rows = lines.map(
+		({ path, text, className }) =>
+			`<div data-path="${escapeHtml(path)}"${
+				className ? ` class="${className}"` : ''
+			}>${escapeHtml(text)}</div>`
+	);
+	return `<section><h2>${escapeHtml(heading)}</h2><pre>${rows.join(
+		''
+	)}</pre></section>`;
+}
+
+/**
+ * Creates a reporter rendering a changelog as a self-contained HTML page, showing both documents side by
+ * side with the changed values highlighted. Unlike the other reporters, it needs the compared documents.
+ *
+ * @param {Object} [options] - The options of the reporter.
+ * @param {string} [options.title='Differences'] - The title of the page.
+ * @returns {Function} The reporter, taking the changelog and the `{ prior, latest, root }` documents
+ *          (`root` being the name of the root in the paths), and returning the HTML page.
+ */
+function html({ title = 'Differences' } = {}) {
+	return (diffs, documents) => {
+		if (!documents || !('prior' in documents) || !('latest' in documents)) {
+			throw new Error(
+				'The HTML reporter needs the compared documents: { prior, latest }.'
+			);
+		}
+		const { prior, latest, root = DEFAULT_ROOT } = documents;
+		const highlights = collectHighlights(diffs, root);
+		const legend = [
+			DiffType.Added,
+			DiffType.Deleted,
+			DiffType.Updated,
+			DiffType.TypeChanged,
+			DiffType.Moved,
+		].map(
+			({ description }) =>
+				`<span class="${description.toLowerCase()}">${description}</span>`
+		);
+		return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p>${escapeHtml(summarize(diffs))}</p>
+<p class="legend">${legend.join('')}</p>
+<div class="documents">
+${renderDocument('Prior', printDocument(prior, root, highlights.prior))}
+${renderDocument('Latest', printDocument(latest, root, highlights.latest))}
+</div>
+</body>
+</html>
+`;
+	};
+}
+
+module.exports = { html, escapeHtml };
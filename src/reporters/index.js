@@ -0,0 +1,18 @@
+const { text } = require('./text');
+const { terminal } = require('./terminal');
+const { markdown } = require('./markdown');
+const { html } = require('./html');
+
+/**
+ * Factories of the built-in reporters. Each one returns a reporter: a function taking a changelog, and
+ * for some of them the compared documents, and returning its rendering as a string. Any function with
+ * the same signature can be used as a custom reporter.
+ */
+const Reporters = {
+	text,
+	terminal,
+	markdown,
+	html,
+};
+
+module.exports = { Reporters };
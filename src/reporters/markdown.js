@@ -0,0 +1,83 @@
+const { formatValue, summarize, displayPath } = require('./format');
+const { formatUnifiedDiff } = require('../text-diff');
+
+/**
+ * Wraps text in a Markdown code span fitting in a table cell.
+ *
+ * @param {string} content - The text to wrap.
+ * @returns {string} The code span.
+ */
+function codeSpan(content) {
+	const text = content.replace(/\r?\n/g, ' ').replace(/\|/g, '\\|');
+	// A code span must be delimited by more backticks than it holds in a row
+	const fence = '`'.repeat(
+		Math.max(0, ...(text.match(/`+/g) || []).map((run) => run.length)) + 1
+	);
+	return fence.length > 1
+		? `${fence} ${text} ${fence}`
+		: `${fence}${text}${fence}`;
+}
+
+/**
+ * Renders the text diff of a string update as a fenced `diff` code block, under the path of the entry.
+ *
+ * @param {Object} diff - The changelog entry, carrying a `textDiff`.
+ * @returns {string[]} The lines of the block.
+ */
+function diffBlock(diff) {
+	const content = formatUnifiedDiff(diff.textDiff).slice(0, -1);
+	// A fence must be longer than the runs of backticks the block holds, which could otherwise close it
+	const fence = '`'.repeat(
+		Math.max(2, ...(content.match(/`+/g) || []).map((run) => run.length)) + 1
+	);
+	return [
+		codeSpan(displayPath(diff.path)),
+		'',
+		`${fence}diff`,
+		content,
+		fence,
+		'',
+	];
+}
+
+/**
+ * Creates a reporter rendering a changelog as a Markdown table, suitable for pull request comments.
+ * String updates carrying a `textDiff` are followed, below the table, by their unified diff.
+ *
+ * @param {Object} [options] - The options of the reporter.
+ * @param {number} [options.maxLength=60] - The maximum length of the values, longer ones being truncated.
+ * @returns {Function} The reporter, taking the changelog and returning the Markdown.
+ */
+function markdown({ maxLength = 60 } = {}) {
+	return (diffs) => {
+		if (!diffs.length) return '**No differences.**\n';
+		const rows = diffs.map((diff) => {
+			const before =
+				'oldIndex' in diff
+					? `index ${diff.oldIndex}`
+					: 'oldVal' in diff
+					? codeSpan(formatValue(diff.oldVal, maxLength))
+					: '';
+			const after =
+				'newIndex' in diff
+					? `index ${diff.newIndex}`
+					: 'newVal' in diff
+					? codeSpan(formatValue(diff.newVal, maxLength))
+					: '';
+			return `| ${diff.note} | ${codeSpan(
+				displayPath(diff.path)
+			)} | ${before} | ${after} |`;
+		});
+		return [
+			`**${summarize(diffs)}**`,
+			'',
+			'| Change | Path | Before | After |',
+			'| --- | --- | --- | --- |',
+			...rows,
+			'',
+			...diffs.filter((diff) => diff.textDiff).flatMap(diffBlock),
+		].join('\n');
+	};
+}
+
+module.exports = { markdown };
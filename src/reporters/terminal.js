@@ -0,0 +1,171 @@
+const { DiffType } = require('../constants');
+const { parsePath, formatKey } = require('../utils/parse-path');
+const { formatValue, summarize } = require('./format');
+const {
+	formatHunkHeader,
+	LINE_PREFIXES,
+	NO_NEWLINE_MARKER,
+} = require('../text-diff');
+
+const COLORS = {
+	[DiffType.Added.description]: '\x1b[32m',
+	[DiffType.Deleted.description]: '\x1b[31m',
+	[DiffType.Updated.description]: '\x1b[33m',
+	[DiffType.Moved.description]: '\x1b[36m',
+	[DiffType.TypeChanged.description]: '\x1b[35m',
+	branch: '\x1b[2m',
+	hunk: '\x1b[36m',
+	removed: '\x1b[31m',
+	added: '\x1b[32m',
+	highlight: '\x1b[7m',
+	unhighlight: '\x1b[27m',
+	reset: '\x1b[0m',
+};
+
+const SYMBOLS = {
+	[DiffType.Added.description]: '+',
+	[DiffType.Deleted.description]: '-',
+	[DiffType.Updated.description]: '~',
+	[DiffType.Moved.description]: '>',
+	[DiffType.TypeChanged.description]: '~',
+};
+
+/**
+ * Formats a path segment as it appears in the tree: keys as they are, indexes and Map keys in brackets.
+ *
+ * @param {string|number|{ key: * }} segment - The path segment.
+ * @returns {string} The label of the segment.
+ */
+function labelOf(segment) {
+	if (typeof segment === 'number') return `[${segment}]`;
+	if (typeof segment === 'object') return formatKey(segment.key);
+	return segment;
+}
+
+/**
+ * Groups changelog entries into a tree following their paths.
+ *
+ * @param {Object[]} diffs - The changelog entries.
+ * @returns {{ label: string, entries: Object[], children: Map }} The root node of the tree.
+ */
+function buildTree(diffs) {
+	const roots = new Map();
+	diffs.forEach((diff) => {
+		const [root, ...segments] = parsePath(diff.path);
+		if (!roots.has(root)) {
+			roots.set(root, { label: root, entries: [], children: new Map() });
+		}
+		const node = segments.reduce((parent, segment) => {
+			const label = labelOf(segment);
+			if (!parent.children.has(label)) {
+				parent.children.set(label, { label, entries: [], children: new Map() });
+			}
+			return parent.children.get(label);
+		}, roots.get(root));
+		node.entries.push(diff);
+	});
+	return roots;
+}
+
+/**
+ * Creates a reporter rendering a changelog as a tree for terminals, with each change colored by type:
+ * green for additions, red for deletions, yellow for updates, magenta for type changes and cyan for moves.
+ * String updates carrying a `textDiff` are followed by their hunks, the changed characters of each line
+ * shown in reverse video.
+ *
+ * @param {Object} [options] - The options of the reporter.
+ * @param {boolean} [options.colors=true] - Whether to color the output with ANSI escape codes.
+ * @param {number} [options.maxLength=80] - The maximum length of the values, longer ones being truncated.
+ * @returns {Function} The reporter, taking the changelog and returning the rendered tree.
+ */
+function terminal({ colors = true, maxLength = 80 } = {}) {
+	const paint = (color, content) =>
+		colors ? `${COLORS[color]}${content}${COLORS.reset}` : content;
+
+	const describe = (diff, label) => {
+		const symbol = SYMBOLS[diff.note];
+		switch (diff.note) {
+			case DiffType.Added.description:
+				return `${symbol} ${label}: ${formatValue(diff.newVal, maxLength)}`;
+			case DiffType.Deleted.description:
+				return `${symbol} ${label}: ${formatValue(diff.oldVal, maxLength)}`;
+			case DiffType.Moved.description:
+				return `${symbol} ${label}: moved from [${diff.oldIndex}]`;
+			case DiffType.TypeChanged.description:
+				return `${symbol} ${label}: ${formatValue(
+					diff.oldVal,
+					maxLength
+				)} → ${formatValue(diff.newVal, maxLength)} (${diff.oldType} → ${
+					diff.newType
+				})`;
+			default:
+				return `${symbol} ${label}: ${formatValue(
+					diff.oldVal,
+					maxLength
+				)} → ${formatValue(diff.newVal, maxLength)}`;
+		}
+	};
+
+	const highlight = ({ text, highlights = [] }) => {
+		if (!colors) return text;
+		let end = 0;
+		const parts = highlights.map(([from, to]) => {
+			const part = `${text.slice(end, from)}${COLORS.highlight}${text.slice(
+				from,
+				to
+			)}${COLORS.unhighlight}`;
+			end = to;
+			return part;
+		});
+		return `${parts.join('')}${text.slice(end)}`;
+	};
+
+	// The entry line followed by the hunks of its text diff, if any, indented under the given prefix
+	const renderEntry = (diff, label, prefix) => [
+		paint(diff.note, describe(diff, label)),
+		...(diff.textDiff ? diff.textDiff.hunks : []).flatMap((hunk) => [
+			`${paint('branch', prefix)}    ${paint('hunk', formatHunkHeader(hunk))}`,
+			...hunk.lines.flatMap((line) => [
+				`${paint('branch', prefix)}    ${
+					line.type === 'context'
+						? ` ${line.text}`
+						: paint(line.type, `${LINE_PREFIXES[line.type]}${highlight(line)}`)
+				}`,
+				...(line.noNewline
+					? [`${paint('branch', prefix)}    ${NO_NEWLINE_MARKER}`]
+					: []),
+			]),
+		]),
+	];
+
+	const renderChildren = (node, prefix) => {
+		const children = [...node.children.values()];
+		return children.flatMap((child, i) => {
+			const last = i === children.length - 1;
+			const branch = paint('branch', `${prefix}${last ? '└── ' : '├── '}`);
+			const childPrefix = `${prefix}${last ? '    ' : '│   '}`;
+			const lines = child.entries.length
+				? child.entries.flatMap((diff, j) => {
+						const [line, ...hunks] = renderEntry(diff, child.label, childPrefix);
+						return [
+							`${j === 0 ? branch : paint('branch', childPrefix)}${line}`,
+							...hunks,
+						];
+				  })
+				: [`${branch}${child.label}`];
+			return lines.concat(renderChildren(child, childPrefix));
+		});
+	};
+
+	return (diffs) => {
+		if (!diffs.length) return 'No differences.\n';
+		const lines = [...buildTree(diffs).values()].flatMap((root) => [
+			...root.entries.flatMap((diff) => renderEntry(diff, root.label, '')),
+			...(root.entries.length ? [] : [root.label]),
+			...renderChildren(root, ''),
+		]);
+		return `${lines.join('\n')}\n\n${summarize(diffs)}\n`;
+	};
+}
+
+module.exports = { terminal };
@@ -0,0 +1,68 @@
+const { DiffType } = require('../constants');
+const { formatValue, displayPath } = require('./format');
+const { formatUnifiedDiff } = require('../text-diff');
+
+/**
+ * Formats a changelog entry as a single line: `+ path: value` for additions, `- path: value` for
+ * deletions, `~ path: old -> new` for updates (followed by `(oldType -> newType)` for type changes) and
+ * `> path: moved from index i` for moves.
+ *
+ * @param {Object} diff - The changelog entry.
+ * @param {number} [maxLength] - The maximum length of the values.
+ * @returns {string} The formatted entry.
+ */
+function formatEntry(diff, maxLength) {
+	const path = displayPath(diff.path);
+	switch (diff.note) {
+		case DiffType.Added.description:
+			return `+ ${path}: ${formatValue(diff.newVal, maxLength)}`;
+		case DiffType.Deleted.description:
+			return `- ${path}: ${formatValue(diff.oldVal, maxLength)}`;
+		case DiffType.Moved.description:
+			return `> ${path}: moved from index ${diff.oldIndex}`;
+		case DiffType.TypeChanged.description:
+			return `~ ${path}: ${formatValue(diff.oldVal, maxLength)} -> ${formatValue(
+				diff.newVal,
+				maxLength
+			)} (${diff.oldType} -> ${diff.newType})`;
+		default:
+			return `~ ${path}: ${formatValue(diff.oldVal, maxLength)} -> ${formatValue(
+				diff.newVal,
+				maxLength
+			)}`;
+	}
+}
+
+/**
+ * Formats a changelog entry followed, for updates carrying a `textDiff`, by its unified diff indented
+ * below it.
+ *
+ * @param {Object} diff - The changelog entry.
+ * @param {number} [maxLength] - The maximum length of the values.
+ * @returns {string} The formatted entry, ending with a line break.
+ */
+function formatBlock(diff, maxLength) {
+	const lines = diff.textDiff
+		? formatUnifiedDiff(diff.textDiff).slice(0, -1).split('\n')
+		: [];
+	return [formatEntry(diff, maxLength), ...lines.map((line) => `    ${line}`)]
+		.map((line) => `${line}\n`)
+		.join('');
+}
+
+/**
+ * Creates a reporter rendering a changelog as plain text, one line per entry, string updates carrying
+ * a `textDiff` being followed by their unified diff.
+ *
+ * @param {Object} [options] - The options of the reporter.
+ * @param {number} [options.maxLength] - The maximum length of the values, longer ones being truncated.
+ * @returns {Function} The reporter, taking the changelog and returning the text.
+ */
+function text({ maxLength } = {}) {
+	return (diffs) =>
+		diffs.length
+			? diffs.map((diff) => formatBlock(diff, maxLength)).join('')
+			: 'No differences.\n';
+}
+
+module.exports = { text, formatEntry };
@@ -0,0 +1,338 @@
+const { CHANGELOG_FORMAT, CHANGELOG_FORMAT_VERSION } = require('./constants');
+const { ChangelogValidationError } = require('./errors');
+const { createSchemaValidator } = require('./utils/json-schema');
+const Helper = require('./utils/helper');
+const changelogSchema = require('./changelog.schema.json');
+
+// The fields of the entries, in the order they are serialized.
+const ENTRY_FIELDS = [
+	'path',
+	'oldVal',
+	'newVal',
+	'oldIndex',
+	'newIndex',
+	'oldType',
+	'newType',
+	'textDiff',
+	'note',
+];
+
+// The common prototype of the typed array constructors.
+const TypedArray = Object.getPrototypeOf(Uint8Array);
+
+const validate = createSchemaValidator(changelogSchema);
+
+/**
+ * Encodes a value into plain JSON, tagging with a `$type` the values JSON cannot represent:
+ * `{ $type: 'undefined' }`, `{ $type: 'number', value: 'NaN' }` (or `'Infinity'`, `'-Infinity'`, `'-0'`),
+ * `{ $type: 'bigint', value: '12' }`, `{ $type: 'date', value: iso }`, `{ $type: 'regexp', source, flags }`,
+ * `{ $type: 'map', entries }`, `{ $type: 'set', values }` and `{ $type: 'binary', kind, data }` (the bytes
+ * in hexadecimal). Objects holding a `$type` key of their own are wrapped in `{ $type: 'object', value }`,
+ * and references back to an ancestor become `{ $type: 'ref', depth }`, 0 being the outermost value.
+ *
+ * @param {*} value - The value to encode.
+ * @param {Object[]} ancestors - The containers being encoded above the value, outermost first.
+ * @param {string} location - Where the value is found, for error messages.
+ * @returns {*} The encoded value.
+ * @throws {Error} If the value holds a function or a symbol.
+ */
+function encodeValue(value, ancestors, location) {
+	const kind = Helper.kindOf(value);
+	switch (kind) {
+		case 'undefined':
+			return { $type: 'undefined' };
+		case 'number':
+			if (Number.isFinite(value) && !Object.is(value, -0)) return value;
+			return {
+				$type: 'number',
+				value: Object.is(value, -0) ? '-0' : String(value),
+			};
+		case 'bigint':
+			return { $type: 'bigint', value: value.toString() };
+		case 'date':
+			return {
+				$type: 'date',
+				value: Number.isNaN(value.getTime()) ? null : value.toISOString(),
+			};
+		case 'regexp':
+			return { $type: 'regexp', source: value.source, flags: value.flags };
+		case 'binary':
+			return {
+				$type: 'binary',
+				kind: value.constructor.name,
+				data: Array.from(
+					new Uint8Array(value.buffer, value.byteOffset, value.byteLength),
+					(byte) => byte.toString(16).padStart(2, '0')
+				).join(''),
+			};
+		case 'function':
+		case 'symbol':
+			throw new Error(`Cannot serialize the ${kind} found in ${location}.`);
+		case 'array':
+		case 'map':
+		case 'set':
+		case 'object':
+			break;
+		default:
+			return value;
+	}
+
+	const depth = ancestors.indexOf(value);
+	if (depth !== -1) return { $type: 'ref', depth };
+	ancestors.push(value);
+	const encode = (child) => encodeValue(child, ancestors, location);
+	let encoded;
+	if (kind === 'array') {
+		encoded = Array.from(value, encode);
+	} else if (kind === 'map') {
+		encoded = {
+			$type: 'map',
+			entries: [...value].map(([key, item]) => [encode(key), encode(item)]),
+		};
+	} else if (kind === 'set') {
+		encoded = { $type: 'set', values: [...value].map(encode) };
+	} else {
+		encoded = Object.fromEntries(
+			Object.keys(value).map((key) => [key, encode(value[key])])
+		);
+		if (Object.prototype.hasOwnProperty.call(value, '$type')) {
+			encoded = { $type: 'object', value: encoded };
+		}
+	}
+	ancestors.pop();
+	return encoded;
+}
+
+/**
+ * Decodes a value encoded by `encodeValue`.
+ *
+ * @param {*} encoded - The encoded value, valid against the changelog schema.
+ * @param {Object[]} ancestors - The containers being decoded above the value, outermost first.
+ * @returns {*} The value.
+ * @throws {Error} If a reference points to no ancestor.
+ */
+function decodeValue(encoded, ancestors) {
+	if (!Helper.isObject(encoded)) return encoded;
+	const decode = (child) => decodeValue(child, ancestors);
+	const container = (result, fill) => {
+		ancestors.push(result);
+		fill(result);
+		ancestors.pop();
+		return result;
+	};
+	if (Array.isArray(encoded)) {
+		return container([], (result) =>
+			encoded.forEach((item) => result.push(decode(item)))
+		);
+	}
+	const decodeObject = (fields) =>
+		container({}, (result) =>
+			Object.keys(fields).forEach((key) =>
+				Helper.defineOwn(result, key, decode(fields[key]))
+			)
+		);
+
+	switch (encoded.$type) {
+		case undefined:
+			return decodeObject(encoded);
+		case 'undefined':
+			return undefined;
+		case 'number':
+			return Number(encoded.value);
+		case 'bigint':
+			return BigInt(encoded.value);
+		case 'date':
+			return new Date(encoded.value === null ? NaN : encoded.value);
+		case 'regexp':
+			return new RegExp(encoded.source, encoded.flags);
+		case 'binary':
+			return decodeBinary(encoded);
+		case 'map':
+			return container(new Map(), (result) =>
+				encoded.entries.forEach(([key, item]) =>
+					result.set(decode(key), decode(item))
+				)
+			);
+		case 'set':
+			return container(new Set(), (result) =>
+				encoded.values.forEach((member) => result.add(decode(member)))
+			);
+		case 'object':
+			return decodeObject(encoded.value);
+		default:
+			if (encoded.depth >= ancestors.length) {
+				throw new Error(`Invalid reference depth: ${encoded.depth}.`);
+			}
+			return ancestors[encoded.depth];
+	}
+}
+
+/**
+ * Decodes binary data: a typed array, a `Buffer` (a `Uint8Array` where `Buffer` does not exist) or a
+ * `DataView`.
+ *
+ * @param {{ kind: string, data: string }} encoded - The encoded data.
+ * @returns {ArrayBufferView} The data.
+ * @throws {Error} If the kind of data is unknown.
+ */
+function decodeBinary({ kind, data }) {
+	const bytes = new Uint8Array(
+		(data.match(/../g) || []).map((hex) => parseInt(hex, 16))
+	);
+	if (kind === 'Buffer') {
+		return typeof Buffer === 'function' ? Buffer.from(bytes) : bytes;
+	}
+	const View = globalThis[kind];
+	if (View === DataView) return new DataView(bytes.buffer);
+	if (typeof View !== 'function' || !(View.prototype instanceof TypedArray)) {
+		throw new Error(`Unknown binary kind: ${kind}.`);
+	}
+	return new View(bytes.buffer);
+}
+
+/**
+ * Encodes the path of an entry, whatever its format: the keys of Maps and Set members are encoded
+ * in the `{ key }` segments of paths given as segments.
+ *
+ * @param {string|Array} path - The path.
+ * @param {string} location - Where the path is found, for error messages.
+ * @returns {string|Array} The encoded path.
+ */
+function encodePath(path, location) {
+	if (!Array.isArray(path)) return path;
+	return path.map((segment) =>
+		Helper.isObject(segment)
+			? { key: encodeValue(segment.key, [], location) }
+			: segment
+	);
+}
+
+/**
+ * Serializes a changelog into a JSON string, in a documented and versioned wire format: `{ format, version,
+ * entries, truncated? }`, where `format` is `'deep-comparer/changelog'` and `version` the version of the
+ * format. Values JSON cannot represent, such as `undefined`, Dates, BigInts, `NaN`, RegExps, Maps, Sets,
+ * typed arrays and cycles, are tagged with a `$type` (see `encodeValue`), so that `deserializeChangelog`
+ * restores the changelog as it was. Paths of any format are kept; only the fields the comparer reports are
+ * serialized. The format is described by the JSON Schema `changelogSchema`.
+ *
+ * @param {Object[]} changelog - The changelog entries, as returned by `deepCompare`.
+ * @param {Object} [options] - The options of the serialization.
+ * @param {number|string} [options.space] - The indentation of the JSON, as for `JSON.stringify`.
+ * @returns {string} The serialized changelog.
+ * @throws {Error} If the changelog is not an array, or its values hold functions or symbols.
+ *
+ * @example
+ * const stored = serializeChangelog(await deepCompare(prior, latest));
+ * // '{"format":"deep-comparer/changelog","version":1,"entries":[{"path":"root.since",
+ * //   "oldVal":{"$type":"undefined"},"newVal":{"$type":"date","value":"2024-01-01T00:00:00.000Z"},...}]}'
+ */
+function serializeChangelog(changelog, { space } = {}) {
+	if (!Array.isArray(changelog)) {
+		throw new Error('Only changelogs, arrays of entries, can be serialized.');
+	}
+	const entries = changelog.map((entry, i) => {
+		const location = `entry ${i}`;
+		return ENTRY_FIELDS.filter((field) => field in entry).reduce(
+			(encoded, field) => {
+				if (field === 'path') {
+					encoded.path = encodePath(entry.path, location);
+				} else if (field === 'oldVal' || field === 'newVal') {
+					encoded[field] = encodeValue(
+						entry[field],
+						[],
+						`the ${field} of ${location}`
+					);
+				} else {
+					encoded[field] = entry[field];
+				}
+				return encoded;
+			},
+			{}
+		);
+	});
+	return JSON.stringify(
+		{
+			format: CHANGELOG_FORMAT,
+			version: CHANGELOG_FORMAT_VERSION,
+			...(changelog.truncated ? { truncated: true } : {}),
+			entries,
+		},
+		null,
+		space
+	);
+}
+
+/**
+ * Validates a serialized changelog against its JSON Schema, `changelogSchema`.
+ *
+ * @param {string|Object} serialized - The serialized changelog, as a JSON string or parsed.
+ * @returns {{ path: string, message: string }[]} The errors, located by the JSON Pointer of their `path`,
+ *          empty if the changelog is valid.
+ * @throws {SyntaxError} If the string is not valid JSON.
+ */
+function validateChangelog(serialized) {
+	return validate(
+		typeof serialized === 'string' ? JSON.parse(serialized) : serialized
+	);
+}
+
+/**
+ * Restores a changelog serialized by `serializeChangelog`, after validating it against its JSON Schema.
+ * Changelogs serialized by a later version of the format are rejected, and a changelog flagged as
+ * `truncated` gets back its non-enumerable `truncated` property.
+ *
+ * @param {string|Object} serialized - The serialized changelog, as a JSON string or parsed.
+ * @returns {Object[]} The changelog entries.
+ * @throws {Error} If the document is not a serialized changelog.
+ * @throws {ChangelogValidationError} If its version is not supported, or it does not match the schema of
+ *         its version.
+ */
+function deserializeChangelog(serialized) {
+	const document =
+		typeof serialized === 'string' ? JSON.parse(serialized) : serialized;
+	if (!Helper.isObject(document) || document.format !== CHANGELOG_FORMAT) {
+		throw new Error('The document is not a serialized changelog.');
+	}
+	if (document.version !== CHANGELOG_FORMAT_VERSION) {
+		throw new ChangelogValidationError([
+			{
+				path: '/version',
+				message: `must be ${CHANGELOG_FORMAT_VERSION}, the supported version of the format, not ${document.version}`,
+			},
+		]);
+	}
+	const errors = validate(document);
+	if (errors.length) throw new ChangelogValidationError(errors);
+
+	const changelog = document.entries.map((encoded) =>
+		Object.keys(encoded).reduce((entry, field) => {
+			if (field === 'path') {
+				entry.path = Array.isArray(encoded.path)
+					? encoded.path.map((segment) =>
+							Helper.isObject(segment)
+								? { key: decodeValue(segment.key, []) }
+								: segment
+					  )
+					: encoded.path;
+			} else if (field === 'oldVal' || field === 'newVal') {
+				entry[field] = decodeValue(encoded[field], []);
+			} else {
+				entry[field] = encoded[field];
+			}
+			return entry;
+		}, {})
+	);
+	if (document.truncated) {
+		Object.defineProperty(changelog, 'truncated', { value: true });
+	}
+	return changelog;
+}
+
+module.exports = {
+	serializeChangelog,
+	deserializeChangelog,
+	validateChangelog,
+	changelogSchema,
+	encodeValue,
+	decodeValue,
+};
@@ -0,0 +1,275 @@
+const { DiffType, DEFAULT_ROOT, ArrayDiffMode } = require('./constants');
+const { getChangelog } = require('./utils/get-changelog');
+const { compileRedaction } = require('./redaction');
+const { createPathMatcher, compilePattern } = require('./utils/path-pattern');
+const { appendKey, compilePathFormat } = require('./utils/parse-path');
+const {
+	createJsonTokenizer,
+	readValue,
+	skipValue,
+} = require('./utils/json-tokenizer');
+
+/**
+ * Returns the kind of container a token opens, if any.
+ *
+ * @param {{ type: string }} token - The token.
+ * @returns {string|undefined} `'object'`, `'array'`, or `undefined` for other tokens.
+ */
+function containerOf(token) {
+	if (token.type === 'startObject') return 'object';
+	if (token.type === 'startArray') return 'array';
+	return undefined;
+}
+
+/**
+ * Creates a function comparing two JSON documents read incrementally from their sources. Objects and
+ * arrays found on both sides are walked down token by token, so that only the values being compared are
+ * held in memory; other values are read whole and compared with the given deep comparer.
+ *
+ * Object keys are matched whatever their order: a key found on one side before the other is buffered
+ * until the other side reaches it, so documents sharing their key order are compared in bounded memory.
+ * Arrays are compared index by index, unless they need to be aligned (`arrayDiff: 'lcs'` or an
+ * `arrayKeys` rule) or compared as sets, or a custom comparator or a normalizer may apply to them: such
+ * arrays and objects are read whole.
+ * Since containers are streamed, predicates of `keysToIgnore` receive their value only for scalars and
+ * values read whole.
+ *
+ * @param {Function} deepCompare - The deep comparer created with the same options, used for values read whole.
+ * @param {Object} [options] - The options of the comparison (see `createDeepComparer`).
+ * @returns {Function} An async generator function taking the prior and latest sources (see `createJsonTokenizer`)
+ *          and an optional root name, and yielding the changelog entries as soon as they are found.
+ */
+function createStreamWalker(deepCompare, options = {}) {
+	const isIgnored = createPathMatcher(options.keysToIgnore);
+	const isMasked = options.keysToMask && createPathMatcher(options.keysToMask);
+	const redactEntry = compileRedaction(options);
+	const formatEntryPath = compilePathFormat(options.pathFormat);
+	const alignedArrays = Object.keys(options.arrayKeys || {}).map(compilePattern);
+	const arrayModes = Object.entries(options.arrayModes || {}).map(
+		([pattern, mode]) => ({ matches: compilePattern(pattern), mode })
+	);
+	const comparatorRules = [
+		...(options.comparators || []),
+		...(options.normalizers || []),
+	].map((rule) => ({
+		matches: rule.path === undefined ? () => true : compilePattern(rule.path),
+		type: rule.type,
+	}));
+
+	/**
+	 * Redacts a changelog entry found by the walker and formats its path, as the deep comparer does for the
+	 * entries of the values read whole.
+	 *
+	 * @param {Object} entry - The changelog entry.
+	 * @returns {Object} The entry to yield.
+	 */
+	function finishEntry(entry) {
+		const finished = redactEntry(entry);
+		if (formatEntryPath) finished.path = formatEntryPath(finished.path);
+		return finished;
+	}
+
+	/**
+	 * Checks whether the containers found at a path must be read whole rather than streamed.
+	 *
+	 * @param {string} path - The path of the containers.
+	 * @param {string} kind - The kind of the containers: `'object'` or `'array'`.
+	 * @returns {boolean} `true` if they must be read whole.
+	 */
+	function isReadWhole(path, kind) {
+		if (kind === 'array') {
+			const rule = arrayModes.find(({ matches }) => matches(path));
+			const mode = rule ? rule.mode : options.arrayDiff || ArrayDiffMode.Index;
+			if (
+				mode !== ArrayDiffMode.Index ||
+				alignedArrays.some((matches) => matches(path))
+			) {
+				return true;
+			}
+		}
+		return comparatorRules.some(
+			({ matches, type }) =>
+				(type === undefined || type === kind || typeof type === 'function') &&
+				matches(path)
+		);
+	}
+
+	/**
+	 * Checks whether the next value of a tokenizer is ignored at the given path.
+	 *
+	 * @param {Object} tokens - The tokenizer.
+	 * @param {string} path - The path of the value.
+	 * @returns {Promise<boolean>} `true` if the value is ignored.
+	 */
+	async function isNextIgnored(tokens, path) {
+		const token = await tokens.peek();
+		return isIgnored(path, token.type === 'value' ? token.value : undefined);
+	}
+
+	/**
+	 * Compares the next values of both tokenizers.
+	 *
+	 * @param {Object} prior - The tokenizer of the prior version.
+	 * @param {Object} latest - The tokenizer of the latest version.
+	 * @param {string} path - The path of the values.
+	 * @yields {Object} The changelog entries.
+	 */
+	async function* compareNext(prior, latest, path) {
+		if (
+			(await isNextIgnored(prior, path)) ||
+			(await isNextIgnored(latest, path))
+		) {
+			await skipValue(prior);
+			await skipValue(latest);
+			return;
+		}
+
+		const kind = containerOf(await prior.peek());
+		if (
+			kind &&
+			kind === containerOf(await latest.peek()) &&
+			!isReadWhole(path, kind)
+		) {
+			yield* kind === 'object'
+				? compareObjects(prior, latest, path)
+				: compareArrays(prior, latest, path);
+			return;
+		}
+
+		const priorValue = await readValue(prior);
+		const latestValue = await readValue(latest);
+		yield* await deepCompare.compareValues(priorValue, latestValue, path);
+	}
+
+	/**
+	 * Compares the next objects of both tokenizers, key by key.
+	 *
+	 * @param {Object} prior - The tokenizer of the prior version.
+	 * @param {Object} latest - The tokenizer of the latest version.
+	 * @param {string} path - The path of the objects.
+	 * @yields {Object} The changelog entries.
+	 */
+	async function* compareObjects(prior, latest, path) {
+		const sides = [
+			{ tokens: prior, pending: new Map(), ended: false },
+			{ tokens: latest, pending: new Map(), ended: false },
+		];
+		await prior.next();
+		await latest.next();
+
+		const nextKey = async (side) => {
+			if (side.ended) return undefined;
+			const token = await side.tokens.next();
+			side.ended = token.type === 'endObject';
+			return side.ended ? undefined : token.value;
+		};
+
+		for (;;) {
+			const keys = [await nextKey(sides[0]), await nextKey(sides[1])];
+			if (sides[0].ended && sides[1].ended) break;
+
+			if (keys[0] !== undefined && keys[0] === keys[1]) {
+				yield* compareNext(prior, latest, appendKey(path, keys[0]));
+				continue;
+			}
+
+			// The keys differ: read the values whole, and pair them with the other side once it gets there
+			for (const [index, side] of sides.entries()) {
+				const key = keys[index];
+				if (key === undefined) continue;
+				const currentPath = appendKey(path, key);
+				if (await isNextIgnored(side.tokens, currentPath)) {
+					await skipValue(side.tokens);
+					continue;
+				}
+				const value = await readValue(side.tokens);
+				const other = sides[1 - index];
+				if (!other.pending.has(key)) {
+					side.pending.set(key, value);
+					continue;
+				}
+				const otherValue = other.pending.get(key);
+				other.pending.delete(key);
+				yield* await deepCompare.compareValues(
+					index === 0 ? value : otherValue,
+					index === 0 ? otherValue : value,
+					currentPath
+				);
+			}
+		}
+
+		for (const [key, value] of sides[0].pending) {
+			const currentPath = appendKey(path, key);
+			if (isIgnored(currentPath, value)) continue;
+			yield finishEntry(
+				getChangelog(value, undefined, currentPath, DiffType.Deleted, isMasked)
+			);
+		}
+		for (const [key, value] of sides[1].pending) {
+			const currentPath = appendKey(path, key);
+			if (isIgnored(currentPath, value)) continue;
+			yield finishEntry(
+				getChangelog(value, undefined, currentPath, DiffType.Added, isMasked)
+			);
+		}
+	}
+
+	/**
+	 * Compares the next arrays of both tokenizers, index by index.
+	 *
+	 * @param {Object} prior - The tokenizer of the prior version.
+	 * @param {Object} latest - The tokenizer of the latest version.
+	 * @param {string} path - The path of the arrays.
+	 * @yields {Object} The changelog entries.
+	 */
+	async function* compareArrays(prior, latest, path) {
+		await prior.next();
+		await latest.next();
+
+		for (let i = 0; ; i++) {
+			const priorEnded = (await prior.peek()).type === 'endArray';
+			const latestEnded = (await latest.peek()).type === 'endArray';
+			if (priorEnded && latestEnded) break;
+
+			const currentPath = `${path}[${i}]`;
+			if (!priorEnded && !latestEnded) {
+				yield* compareNext(prior, latest, currentPath);
+				continue;
+			}
+			const value = await readValue(priorEnded ? latest : prior);
+			if (isIgnored(currentPath, value)) continue;
+			yield finishEntry(
+				getChangelog(
+					value,
+					undefined,
+					currentPath,
+					priorEnded ? DiffType.Added : DiffType.Deleted,
+					isMasked
+				)
+			);
+		}
+
+		await prior.next();
+		await latest.next();
+	}
+
+	return async function* streamCompare(
+		priorSource,
+		latestSource,
+		root = DEFAULT_ROOT
+	) {
+		const prior = createJsonTokenizer(priorSource);
+		const latest = createJsonTokenizer(latestSource);
+		try {
+			yield* compareNext(prior, latest, root);
+			// Make sure that nothing but whitespace follows both documents
+			await prior.next();
+			await latest.next();
+		} finally {
+			await prior.close();
+			await latest.close();
+		}
+	};
+}
+
+module.exports = { createStreamWalker };
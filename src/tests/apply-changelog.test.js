@@ -0,0 +1,220 @@
+const assert = require('assert');
+const {
+	createDeepComparer,
+	applyChangelog,
+	revertChangelog,
+	replayChangelogs,
+	ChangelogConflictError,
+	DiffType,
+} = require('../deep-comparer');
+
+describe('apply-changelog', () => {
+	const prior = {
+		a: 1,
+		b: [1, 2, { f: 5, g: [] }],
+		c: { d: 3 },
+		items: [{ id: 1 }, { id: 2, v: 'x' }, { id: 3 }],
+	};
+	const latest = {
+		b: [0, 1, 2, { f: 5, g: [5, 7] }],
+		c: { d: 'test', e: 'test2' },
+		items: [{ id: 3 }, { id: 2, v: 'y' }, { id: 4 }],
+	};
+
+	describe('applyChangelog()', () => {
+		it('should turn the prior version into the latest one', async () => {
+			const deepCompare = createDeepComparer();
+			const diffs = await deepCompare(prior, latest);
+			assert.deepStrictEqual(applyChangelog(prior, diffs), latest);
+		});
+
+		it('should apply changelogs of aligned arrays', async () => {
+			const deepCompare = createDeepComparer(undefined, undefined, {
+				arrayDiff: 'lcs',
+				arrayKeys: { 'root.items': 'id' },
+			});
+			const diffs = await deepCompare(prior, latest);
+			assert.deepStrictEqual(applyChangelog(prior, diffs), latest);
+		});
+
+		it('should not modify the given document', async () => {
+			const deepCompare = createDeepComparer();
+			const target = { a: { b: 1 } };
+			const diffs = await deepCompare(target, { a: { b: 2 } });
+			applyChangelog(target, diffs);
+			assert.deepStrictEqual(target, { a: { b: 1 } });
+		});
+
+		it('should report conflicts in strict mode', () => {
+			const diffs = [
+				{
+					path: 'root.a',
+					oldVal: 1,
+					newVal: 2,
+					note: DiffType.Updated.description,
+				},
+				{ path: 'root.b', newVal: 3, note: DiffType.Added.description },
+			];
+
+			assert.throws(
+				() => applyChangelog({ a: 5, b: 0 }, diffs, { strict: true }),
+				(err) => {
+					assert(err instanceof ChangelogConflictError);
+					assert.deepStrictEqual(err.conflicts, [
+						{
+							path: 'root.a',
+							note: 'Updated',
+							reason: 'Value mismatch',
+							expected: 1,
+							actual: 5,
+						},
+						{
+							path: 'root.b',
+							note: 'Added',
+							reason: 'Path already exists',
+							expected: undefined,
+							actual: 0,
+						},
+					]);
+					return true;
+				}
+			);
+		});
+
+		it('should apply conflicting entries anyway when not strict', () => {
+			const diffs = [
+				{
+					path: 'root.a',
+					oldVal: 1,
+					newVal: 2,
+					note: DiffType.Updated.description,
+				},
+			];
+			assert.deepStrictEqual(applyChangelog({ a: 5 }, diffs), { a: 2 });
+		});
+	});
+
+	describe('Prototype keys', () => {
+		afterEach(() => {
+			delete Object.prototype.isAdmin;
+		});
+
+		it('should write keys such as __proto__ as own properties, never to the prototypes', () => {
+			const changelog = [
+				{ path: 'root.__proto__.isAdmin', newVal: true, note: 'Added' },
+				{ path: 'root.a["__proto__"].isAdmin', newVal: true, note: 'Added' },
+				{ path: 'root.constructor.prototype.isAdmin', newVal: true, note: 'Added' },
+			];
+			const result = applyChangelog({ a: {} }, changelog);
+			const replayed = replayChangelogs({ a: {} }, [changelog]);
+
+			assert.strictEqual({}.isAdmin, undefined);
+			[result, replayed].forEach((document) => {
+				assert.deepStrictEqual(Object.keys(document), [
+					'a',
+					'__proto__',
+					'constructor',
+				]);
+				assert.strictEqual(Object.getPrototypeOf(document), Object.prototype);
+				assert.strictEqual(
+					Object.getOwnPropertyDescriptor(document, '__proto__').value.isAdmin,
+					true
+				);
+				assert.strictEqual(
+					Object.getOwnPropertyDescriptor(document.a, '__proto__').value.isAdmin,
+					true
+				);
+				assert.strictEqual(document.constructor.prototype.isAdmin, true);
+			});
+		});
+	});
+
+	describe('Circular references', () => {
+		it('should apply a changelog to a cyclic document, keeping its cycles', async () => {
+			const prior = { name: 'a', children: [] };
+			prior.children.push({ parent: prior });
+			const latest = { name: 'b', children: [] };
+			latest.children.push({ parent: latest });
+			const diffs = await createDeepComparer()(prior, latest);
+			const result = applyChangelog(prior, diffs);
+			assert.strictEqual(result.name, 'b');
+			assert.strictEqual(result.children[0].parent, result);
+			assert.strictEqual(prior.name, 'a');
+		});
+	});
+
+	describe('Maps and Sets', () => {
+		it('should apply and revert changes to Map entries and Set members', async () => {
+			const prior = {
+				settings: new Map([
+					['theme', { color: 'dark' }],
+					['old', 1],
+				]),
+				tags: new Set(['a', 'b']),
+			};
+			const latest = {
+				settings: new Map([
+					['theme', { color: 'light' }],
+					['new', 2n],
+				]),
+				tags: new Set(['a', 'c']),
+			};
+			const diffs = await createDeepComparer()(prior, latest);
+			assert.deepStrictEqual(
+				applyChangelog(prior, diffs, { strict: true }),
+				latest
+			);
+			assert.deepStrictEqual(
+				revertChangelog(latest, diffs, { strict: true }),
+				prior
+			);
+		});
+	});
+
+	describe('revertChangelog()', () => {
+		it('should turn the latest version back into the prior one', async () => {
+			const deepCompare = createDeepComparer(undefined, undefined, {
+				arrayDiff: 'lcs',
+				arrayKeys: { 'root.items': 'id' },
+			});
+			const diffs = await deepCompare(prior, latest);
+			assert.deepStrictEqual(
+				revertChangelog(latest, diffs, { strict: true }),
+				prior
+			);
+		});
+
+		it('should revert moves in every path format', async () => {
+			for (const pathFormat of ['dotted', 'jsonpath', 'pointer', 'segments']) {
+				const deepCompare = createDeepComparer({
+					arrayKeys: { 'root.items': 'id' },
+					pathFormat,
+				});
+				const diffs = await deepCompare(prior, latest);
+				assert.ok(diffs.some(({ note }) => note === DiffType.Moved.description));
+				assert.deepStrictEqual(
+					applyChangelog(prior, diffs, { strict: true }),
+					latest
+				);
+				assert.deepStrictEqual(
+					revertChangelog(latest, diffs, { strict: true }),
+					prior
+				);
+			}
+		});
+	});
+
+	describe('replayChangelogs()', () => {
+		it('should apply successive changelogs in order', async () => {
+			const deepCompare = createDeepComparer();
+			const v1 = { a: 1 };
+			const v2 = { a: 2, b: [1] };
+			const v3 = { b: [1, 2] };
+			const changelogs = [await deepCompare(v1, v2), await deepCompare(v2, v3)];
+			assert.deepStrictEqual(
+				replayChangelogs(v1, changelogs, { strict: true }),
+				v3
+			);
+		});
+	});
+});
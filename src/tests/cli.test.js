@@ -0,0 +1,232 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { spawnSync } = require('child_process');
+const { run, parseArgs, ExitCode } = require('../cli');
+
+const createOutput = () => {
+	const output = { text: '' };
+	output.write = (chunk) => {
+		output.text += chunk;
+	};
+	return output;
+};
+
+describe('cli', () => {
+	let directory;
+	let priorFile;
+	let latestFile;
+
+	before(() => {
+		directory = fs.mkdtempSync(path.join(os.tmpdir(), 'deep-comparer-'));
+		priorFile = path.join(directory, 'prior.json');
+		latestFile = path.join(directory, 'latest.json');
+		fs.writeFileSync(
+			priorFile,
+			JSON.stringify({ a: 1, list: [1, 2], user: { token: 'x', name: 'a' } })
+		);
+		fs.writeFileSync(
+			latestFile,
+			JSON.stringify({ a: 2, list: [1], user: { token: 'y', name: 'a' }, b: {} })
+		);
+	});
+
+	after(() => {
+		fs.rmSync(directory, { recursive: true });
+	});
+
+	const runCli = async (args, stdin) => {
+		const stdout = createOutput();
+		const stderr = createOutput();
+		const code = await run(args, {
+			stdin: Readable.from(stdin ? [stdin] : []),
+			stdout,
+			stderr,
+		});
+		return { code, stdout: stdout.text, stderr: stderr.text };
+	};
+
+	describe('parseArgs()', () => {
+		it('should parse options, repeated and comma-separated rules', () => {
+			assert.deepStrictEqual(
+				parseArgs([
+					'-i',
+					'a,b',
+					'--ignore=root.c[*]',
+					'--mask',
+					'token',
+					'-r',
+					'doc',
+					'--format=json',
+					'--stream',
+					'-p',
+					'pointer',
+					'prior.json',
+					'-',
+				]),
+				{
+					files: ['prior.json', '-'],
+					ignore: ['a', 'b', 'root.c[*]'],
+					mask: ['token'],
+					root: 'doc',
+					format: 'json',
+					arrayDiff: 'index',
+					pathFormat: 'pointer',
+					stream: true,
+				}
+			);
+		});
+
+		it('should reject invalid arguments', () => {
+			assert.throws(() => parseArgs(['a.json']), {
+				message: 'Two files must be provided: <prior> <latest>',
+			});
+			assert.throws(() => parseArgs(['-', '-']), {
+				message: 'Only one of the files can be read from stdin.',
+			});
+			assert.throws(() => parseArgs(['--nope', 'a', 'b']), {
+				message: 'Unknown option: --nope',
+			});
+			assert.throws(() => parseArgs(['a', 'b', '-f', 'xml']), {
+				message: 'Unknown format: xml',
+			});
+			assert.throws(() => parseArgs(['a', 'b', '--path-format=url']), {
+				message: 'Unknown path format: url',
+			});
+			assert.throws(() => parseArgs(['a', 'b', '--root']), {
+				message: 'Missing value for --root',
+			});
+			assert.throws(() => parseArgs(['a', 'b', '-s', '-f', 'html']), {
+				message:
+					'The html format needs both documents in memory and cannot be used with --stream.',
+			});
+		});
+	});
+
+	describe('run()', () => {
+		it('should print the differences as text and exit with 1', async () => {
+			const result = await runCli([priorFile, latestFile, '-i', 'token']);
+			assert.strictEqual(result.code, ExitCode.Different);
+			assert.strictEqual(
+				result.stdout,
+				'~ root.a: 1 -> 2\n- root.list[1]: 2\n+ root.b: {}\n'
+			);
+		});
+
+		it('should exit with 0 when the files are equal', async () => {
+			const result = await runCli([priorFile, priorFile]);
+			assert.strictEqual(result.code, ExitCode.Equal);
+			assert.strictEqual(result.stdout, 'No differences.\n');
+		});
+
+		it('should print a JSON changelog with masked keys and a custom root', async () => {
+			const result = await runCli([
+				priorFile,
+				latestFile,
+				'--format',
+				'json',
+				'--root',
+				'doc',
+				'--mask',
+				'token',
+				'--ignore',
+				'a,list',
+			]);
+			assert.deepStrictEqual(JSON.parse(result.stdout), [
+				{ path: 'doc.user.token', oldVal: '***', newVal: '***', note: 'Updated' },
+				{ path: 'doc.b', newVal: {}, note: 'Added' },
+			]);
+		});
+
+		it('should print a JSON Patch and read stdin', async () => {
+			const result = await runCli(
+				['-f', 'patch', '-i', 'user', '-', latestFile],
+				fs.readFileSync(priorFile, 'utf8')
+			);
+			assert.strictEqual(result.code, ExitCode.Different);
+			assert.deepStrictEqual(JSON.parse(result.stdout), [
+				{ op: 'replace', path: '/a', value: 2 },
+				{ op: 'add', path: '/b', value: {} },
+				{ op: 'remove', path: '/list/1' },
+			]);
+		});
+
+		it('should stream the files with --stream', async () => {
+			const result = await runCli([
+				priorFile,
+				latestFile,
+				'--stream',
+				'-i',
+				'user',
+			]);
+			assert.strictEqual(result.code, ExitCode.Different);
+			assert.strictEqual(
+				result.stdout,
+				'~ root.a: 1 -> 2\n- root.list[1]: 2\n+ root.b: {}\n'
+			);
+		});
+
+		it('should report the paths in the requested format', async () => {
+			const args = [priorFile, latestFile, '-i', 'user', '-p', 'jsonpath'];
+			const result = await runCli(args);
+			assert.strictEqual(
+				result.stdout,
+				'~ $.a: 1 -> 2\n- $.list[1]: 2\n+ $.b: {}\n'
+			);
+			const streamed = await runCli([...args, '--stream', '-f', 'patch']);
+			assert.deepStrictEqual(
+				JSON.parse(streamed.stdout).map(({ path }) => path),
+				['/a', '/b', '/list/1']
+			);
+		});
+
+		it('should print the differences with the reporters', async () => {
+			const tree = await runCli([priorFile, latestFile, '-f', 'tree']);
+			assert.match(tree.stdout, /^root\n├── ~ a: 1 → 2\n/);
+			assert.ok(!tree.stdout.includes('\x1b['));
+
+			const markdown = await runCli([priorFile, latestFile, '-f', 'markdown']);
+			assert.match(markdown.stdout, /^\*\*4 changes: /);
+
+			const html = await runCli([priorFile, latestFile, '-f', 'html']);
+			assert.strictEqual(html.code, ExitCode.Different);
+			assert.ok(html.stdout.includes('data-path="root.b" class="added"'));
+		});
+
+		it('should report errors and exit with 2', async () => {
+			const missing = await runCli([priorFile, path.join(directory, 'none.json')]);
+			assert.strictEqual(missing.code, ExitCode.Error);
+			assert.match(missing.stderr, /^deep-comparer: ENOENT/);
+
+			const invalid = await runCli(['-', latestFile], '{"a":');
+			assert.strictEqual(invalid.code, ExitCode.Error);
+			assert.match(invalid.stderr, /^deep-comparer: stdin: /);
+
+			const usage = await runCli(['--format', 'xml', priorFile, latestFile]);
+			assert.strictEqual(usage.code, ExitCode.Error);
+			assert.strictEqual(usage.stderr, 'deep-comparer: Unknown format: xml\n');
+		});
+
+		it('should print the usage with --help', async () => {
+			const result = await runCli(['--help']);
+			assert.strictEqual(result.code, ExitCode.Equal);
+			assert.match(
+				result.stdout,
+				/^Usage: deep-comparer \[options\] <prior> <latest>/
+			);
+		});
+	});
+
+	describe('bin', () => {
+		it('should exit with the code of the comparison', () => {
+			const bin = path.join(__dirname, '../../bin/deep-comparer.js');
+			const result = spawnSync(process.execPath, [bin, priorFile, latestFile], {
+				encoding: 'utf8',
+			});
+			assert.strictEqual(result.status, ExitCode.Different);
+			assert.match(result.stdout, /^~ root\.a: 1 -> 2$/m);
+		});
+	});
+});
@@ -0,0 +1,71 @@
+const assert = require('assert');
+const { Comparators, compileComparators } = require('../comparators');
+
+describe('comparators', () => {
+	describe('Comparators', () => {
+		it('should compare numbers with a tolerance', () => {
+			const compare = Comparators.tolerance(0.01);
+			assert.strictEqual(compare(0.1 + 0.2, 0.3), true);
+			assert.strictEqual(compare(1, 1.02), false);
+		});
+
+		it('should compare strings regardless of their case', () => {
+			assert.strictEqual(Comparators.caseInsensitive()('Foo', 'fOO'), true);
+		});
+
+		it('should compare strings regardless of surrounding whitespace', () => {
+			assert.strictEqual(Comparators.trimmed()(' foo\n', 'foo'), true);
+		});
+
+		it('should compare dates by day only', () => {
+			const compare = Comparators.dateOnly();
+			assert.strictEqual(
+				compare(new Date('2020-01-01T08:00:00Z'), new Date('2020-01-01T22:00:00Z')),
+				true
+			);
+			assert.strictEqual(compare('2020-01-01', '2020-01-02T00:00:00Z'), false);
+		});
+	});
+
+	describe('compileComparators()', () => {
+		it('should return undefined when no rule applies', () => {
+			const compare = compileComparators([
+				{ type: 'number', compare: () => true },
+			]);
+			assert.strictEqual(compare('a', 'b', 'root.a'), undefined);
+			assert.strictEqual(compare(1, 'b', 'root.a'), undefined);
+		});
+
+		it('should restrict rules by path and type', () => {
+			const compare = compileComparators([
+				{ path: 'root.prices[*]', type: 'number', compare: () => true },
+			]);
+			assert.strictEqual(compare(1, 2, 'root.prices[0]'), true);
+			assert.strictEqual(compare(1, 2, 'root.total'), undefined);
+		});
+
+		it('should use the first rule deciding on the values', () => {
+			const compare = compileComparators([
+				{ type: 'string', compare: () => undefined },
+				{ type: 'string', compare: () => false },
+				{ type: 'string', compare: () => true },
+			]);
+			assert.strictEqual(compare('a', 'a', 'root'), false);
+		});
+
+		it('should match types by constructor', () => {
+			class Money {}
+			const compare = compileComparators([{ type: Money, compare: () => true }]);
+			assert.strictEqual(compare(new Money(), new Money(), 'root'), true);
+		});
+
+		it('should throw on invalid rules', () => {
+			assert.throws(() => compileComparators([{ type: 'number' }]), {
+				message: 'Custom comparators must provide a compare function.',
+			});
+			assert.throws(() => compileComparators([{ compare: () => true }]), {
+				message: 'Custom comparators must target a path or a type.',
+			});
+		});
+	});
+});
@@ -1,5 +1,15 @@
 const assert = require('assert');
-const { createDeepComparer, DiffType } = require('../deep-comparer');
+const crypto = require('crypto');
+const {
+	createDeepComparer,
+	DiffType,
+	Comparators,
+	Normalizers,
+	applyChangelog,
+	merge,
+	isEqual,
+	ComparisonAbortedError,
+} = require('../deep-comparer');
 
 describe('deep-comparator', () => {
 	describe('Error handling', () => {
@@ -81,11 +91,42 @@ describe('deep-comparator', () => {
 				{
 					path: 'root',
 					newVal: 'string',
-					note: 'Updated',
+					note: 'TypeChanged',
 					oldVal: 3,
+					oldType: 'number',
+					newType: 'string',
 				},
 			]);
 		});
+
+		it('should tell NaN and infinite numbers apart within equal-looking subtrees', async () => {
+			const deepCompare = createDeepComparer();
+			for (const [prior, latest] of [
+				[Infinity, -Infinity],
+				[NaN, -Infinity],
+				[NaN, Infinity],
+			]) {
+				assert.deepStrictEqual(
+					await deepCompare({ a: { n: prior } }, { a: { n: latest } }),
+					[{ path: 'root.a.n', oldVal: prior, newVal: latest, note: 'Updated' }]
+				);
+			}
+			assert.deepStrictEqual(
+				await deepCompare({ a: { n: NaN } }, { a: { n: NaN } }),
+				[]
+			);
+		});
+
+		it('should compare NaN leaves as values, not as references', async () => {
+			const deepCompare = createDeepComparer();
+			assert.deepStrictEqual(await deepCompare.compareValues(NaN, Infinity), [
+				{ path: 'root', oldVal: NaN, newVal: Infinity, note: 'Updated' },
+			]);
+			assert.deepStrictEqual(await deepCompare.compareValues(NaN, NaN), []);
+			assert.deepStrictEqual(await deepCompare({ a: [NaN, 1] }, { a: [NaN, 2] }), [
+				{ path: 'root.a[1]', oldVal: 1, newVal: 2, note: 'Updated' },
+			]);
+		});
 	});
 
 	describe('Arrays', () => {
@@ -149,7 +190,7 @@ describe('deep-comparator', () => {
 			assert.deepStrictEqual(await deepCompare(prior, latest), expectedDiff);
 		});
 
-		it('should report an update from object to string in arrays', async () => {
+		it('should report a type change from object to string in arrays', async () => {
 			const prior = [{ a: 1 }];
 			const latest = ['not an object'];
 			const expectedDiff = [
@@ -157,7 +198,9 @@ describe('deep-comparator', () => {
 					path: 'root[0]',
 					oldVal: { a: 1 },
 					newVal: 'not an object',
-					note: DiffType.Updated.description,
+					oldType: 'object',
+					newType: 'string',
+					note: DiffType.TypeChanged.description,
 				},
 			];
 			const deepCompare = createDeepComparer();
@@ -165,6 +208,103 @@ describe('deep-comparator', () => {
 		});
 	});
 
+	describe('Aligned Arrays', () => {
+		it('should report a single insertion at the front of an array', async () => {
+			const prior = { list: [1, 2, 3] };
+			const latest = { list: [0, 1, 2, 3] };
+			const deepCompare = createDeepComparer(undefined, undefined, {
+				arrayDiff: 'lcs',
+			});
+			assert.deepStrictEqual(await deepCompare(prior, latest), [
+				{
+					path: 'root.list[0]',
+					newVal: 0,
+					note: DiffType.Added.description,
+				},
+			]);
+		});
+
+		it('should report removals at their prior index', async () => {
+			const deepCompare = createDeepComparer(undefined, undefined, {
+				arrayDiff: 'lcs',
+			});
+			assert.deepStrictEqual(await deepCompare([1, 2, 3, 4], [1, 4]), [
+				{
+					path: 'root[1]',
+					oldVal: 2,
+					note: DiffType.Deleted.description,
+				},
+				{
+					path: 'root[2]',
+					oldVal: 3,
+					note: DiffType.Deleted.description,
+				},
+			]);
+		});
+
+		it('should report moves with their old and new index', async () => {
+			const deepCompare = createDeepComparer(undefined, undefined, {
+				arrayDiff: 'lcs',
+			});
+			assert.deepStrictEqual(await deepCompare(['a', 'b', 'c'], ['c', 'a', 'b']), [
+				{
+					path: 'root[0]',
+					oldIndex: 2,
+					newIndex: 0,
+					note: DiffType.Moved.description,
+				},
+			]);
+		});
+
+		it('should align elements by the identity key configured for a path', async () => {
+			const prior = {
+				orders: [
+					{
+						lines: [
+							{ id: 'a', qty: 1 },
+							{ id: 'b', qty: 2 },
+							{ id: 'd', qty: 4 },
+						],
+					},
+				],
+			};
+			const latest = {
+				orders: [
+					{
+						lines: [
+							{ id: 'c', qty: 1 },
+							{ id: 'b', qty: 3 },
+							{ id: 'd', qty: 4 },
+							{ id: 'a', qty: 1 },
+						],
+					},
+				],
+			};
+			const deepCompare = createDeepComparer(undefined, undefined, {
+				arrayKeys: { 'root.orders[*].lines': 'id' },
+			});
+			assert.deepStrictEqual(await deepCompare(prior, latest), [
+				{
+					path: 'root.orders[0].lines[0]',
+					newVal: { id: 'c', qty: 1 },
+					note: DiffType.Added.description,
+				},
+				{
+					path: 'root.orders[0].lines[1].qty',
+					oldVal: 2,
+					newVal: 3,
+					note: DiffType.Updated.description,
+				},
+				{
+					path: 'root.orders[0].lines[3]',
+					oldIndex: 0,
+					newIndex: 3,
+					note: DiffType.Moved.description,
+				},
+			]);
+		});
+	});
+
 	describe('Objects', () => {
 		it('should report no diffs in case of no changes', async () => {
 			const elem = {
@@ -268,7 +408,9 @@ describe('deep-comparator', () => {
 					path: 'root.c.d',
 					oldVal: 3,
 					newVal: 'test',
-					note: DiffType.Updated.description,
+					oldType: 'number',
+					newType: 'string',
+					note: DiffType.TypeChanged.description,
 				},
 				{
 					path: 'root.c.e',
@@ -280,7 +422,7 @@ describe('deep-comparator', () => {
 			assert.deepStrictEqual(await deepCompare(elem1, elem2), expected);
 		});
 
-		it('should report an update from array to string inside an object', async () => {
+		it('should report a type change from array to string inside an object', async () => {
 			const prior = {
 				key1: [1, 2, 3],
 			};
@@ -292,14 +434,32 @@ describe('deep-comparator', () => {
 					path: 'root.key1',
 					oldVal: [1, 2, 3],
 					newVal: 'not an array',
-					note: DiffType.Updated.description,
+					oldType: 'array',
+					newType: 'string',
+					note: DiffType.TypeChanged.description,
 				},
 			];
 			const deepCompare = createDeepComparer();
 			assert.deepStrictEqual(await deepCompare(prior, latest), expectedDiff);
 		});
 
-		it('should report an update from object to string', async () => {
+		it('should report a type change from array to object', async () => {
+			const prior = { key1: [1, 2] };
+			const latest = { key1: { 0: 1, 1: 2 } };
+			const deepCompare = createDeepComparer();
+			assert.deepStrictEqual(await deepCompare(prior, latest), [
+				{
+					path: 'root.key1',
+					oldVal: [1, 2],
+					newVal: { 0: 1, 1: 2 },
+					oldType: 'array',
+					newType: 'object',
+					note: DiffType.TypeChanged.description,
+				},
+			]);
+		});
+
+		it('should report a type change from object to string', async () => {
 			const prior = {
 				key1: {
 					subKey1: 'value1',
@@ -315,14 +475,16 @@ describe('deep-comparator', () => {
 						subKey1: 'value1',
 					},
 					newVal: 'not an object',
-					note: DiffType.Updated.description,
+					oldType: 'object',
+					newType: 'string',
+					note: DiffType.TypeChanged.description,
 				},
 			];
 			const deepCompare = createDeepComparer();
 			assert.deepStrictEqual(await deepCompare(prior, latest), expectedDiff);
 		});
 
-		it('should report an update from array to string as an element of another array', async () => {
+		it('should report a type change from array to string as an element of another array', async () => {
 			const prior = [[]];
 			const latest = ['not an array'];
 			const expectedDiff = [
@@ -330,7 +492,9 @@ describe('deep-comparator', () => {
 					path: 'root[0]',
 					oldVal: [],
 					newVal: 'not an array',
-					note: DiffType.Updated.description,
+					oldType: 'array',
+					newType: 'string',
+					note: DiffType.TypeChanged.description,
 				},
 			];
 			const deepCompare = createDeepComparer();
@@ -365,7 +529,9 @@ describe('deep-comparator', () => {
 					path: 'root.c.d',
 					oldVal: 3,
 					newVal: { h: 9 },
-					note: DiffType.Updated.description,
+					oldType: 'number',
+					newType: 'object',
+					note: DiffType.TypeChanged.description,
 				},
 			];
 			const deepCompare = createDeepComparer(undefined, keysToHide);
@@ -382,9 +548,929 @@ describe('deep-comparator', () => {
 					path: 'root.arrayField[2].a',
 					oldVal: 1,
 					newVal: [2, 5, {}],
+					oldType: 'number',
+					newType: 'array',
+					note: DiffType.TypeChanged.description,
+				},
+			]);
+		});
+
+		it('should ignore keys matching a path pattern only where it matches', async () => {
+			const prior = {
+				user: { updatedAt: 1 },
+				orders: [{ meta: { updatedAt: 1, status: 'new' } }],
+			};
+			const latest = {
+				user: { updatedAt: 2 },
+				orders: [{ meta: { updatedAt: 2, status: 'paid', note: 'x' } }],
+			};
+			const deepCompare = createDeepComparer(['root.orders[*].meta.*'], undefined);
+			assert.deepStrictEqual(await deepCompare(prior, latest), [
+				{
+					path: 'root.user.updatedAt',
+					oldVal: 1,
+					newVal: 2,
+					note: DiffType.Updated.description,
+				},
+			]);
+		});
+
+		it('should ignore added keys and elements matching the rules', async () => {
+			const deepCompare = createDeepComparer(['**.createdAt', 'root.list[*]']);
+			const prior = { a: { b: 1 }, list: [] };
+			const latest = { a: { b: 1, createdAt: 5 }, list: [1] };
+			assert.deepStrictEqual(await deepCompare(prior, latest), []);
+		});
+
+		it('should ignore values matched by a predicate', async () => {
+			const deepCompare = createDeepComparer([
+				(path, value) => value instanceof Date,
+			]);
+			const prior = { a: 1, seen: new Date(2020, 0, 1) };
+			const latest = { a: 2, seen: new Date(2021, 0, 1) };
+			assert.deepStrictEqual(await deepCompare(prior, latest), [
+				{
+					path: 'root.a',
+					oldVal: 1,
+					newVal: 2,
+					note: DiffType.Updated.description,
+				},
+			]);
+		});
+
+		it('should mask keys matching a path pattern in the output', async () => {
+			const prior = { users: [] };
+			const latest = {
+				users: [{ name: 'a', auth: { password: 'x' }, password: 'y' }],
+			};
+			const deepCompare = createDeepComparer(undefined, [
+				'root.users[*].auth.password',
+			]);
+			assert.deepStrictEqual(await deepCompare(prior, latest), [
+				{
+					path: 'root.users[0]',
+					newVal: { name: 'a', auth: {}, password: 'y' },
+					note: DiffType.Added.description,
+				},
+			]);
+		});
+	});
+
+	describe('Options object and custom comparators', () => {
+		it('should accept the keys to ignore and to mask as an options object', async () => {
+			const prior = { a: 1, b: { c: 1 }, ignored: 1 };
+			const latest = { a: 1, b: { c: 2, secret: 'x' }, ignored: 2 };
+			const deepCompare = createDeepComparer({
+				keysToIgnore: ['ignored'],
+				keysToMask: ['secret'],
+			});
+			assert.deepStrictEqual(await deepCompare(prior, latest), [
+				{
+					path: 'root.b.c',
+					oldVal: 1,
+					newVal: 2,
+					note: DiffType.Updated.description,
+				},
+				{
+					path: 'root.b.secret',
+					newVal: '***',
+					note: DiffType.Added.description,
+				},
+			]);
+		});
+
+		it('should consult comparators registered by type', async () => {
+			const deepCompare = createDeepComparer({
+				comparators: [
+					{ type: 'number', compare: Comparators.tolerance(0.001) },
+					{ type: 'string', compare: Comparators.caseInsensitive() },
+				],
+			});
+			const prior = { total: 0.3, name: 'Foo', count: 1 };
+			const latest = { total: 0.1 + 0.2, name: 'FOO', count: 2 };
+			assert.deepStrictEqual(await deepCompare(prior, latest), [
+				{
+					path: 'root.count',
+					oldVal: 1,
+					newVal: 2,
+					note: DiffType.Updated.description,
+				},
+			]);
+		});
+
+		it('should consult comparators registered by path', async () => {
+			const deepCompare = createDeepComparer({
+				comparators: [
+					{ path: 'root.events[*].at', compare: Comparators.dateOnly() },
+					{ path: 'root.label', compare: Comparators.trimmed() },
+				],
+			});
+			const prior = {
+				label: 'a',
+				events: [{ at: new Date('2020-01-01T08:00:00Z') }],
+				at: new Date('2020-01-01T08:00:00Z'),
+			};
+			const latest = {
+				label: ' a ',
+				events: [{ at: new Date('2020-01-01T09:00:00Z') }],
+				at: new Date('2020-01-01T09:00:00Z'),
+			};
+			assert.deepStrictEqual(await deepCompare(prior, latest), [
+				{
+					path: 'root.at',
+					oldVal: prior.at,
+					newVal: latest.at,
+					note: DiffType.Updated.description,
+				},
+			]);
+		});
+
+		it('should report an update when a comparator finds a difference', async () => {
+			const deepCompare = createDeepComparer({
+				comparators: [{ path: 'root.point', compare: (a, b) => a.x === b.x }],
+			});
+			const prior = { point: { x: 1, y: 1 } };
+			assert.deepStrictEqual(
+				await deepCompare(prior, { point: { x: 1, y: 2 } }),
+				[]
+			);
+			assert.deepStrictEqual(await deepCompare(prior, { point: { x: 2, y: 1 } }), [
+				{
+					path: 'root.point',
+					oldVal: { x: 1, y: 1 },
+					newVal: { x: 2, y: 1 },
+					note: DiffType.Updated.description,
+				},
+			]);
+		});
+	});
+
+	describe('Unordered arrays and normalizers', () => {
+		it('should not report reordered arrays compared as sets', async () => {
+			const deepCompare = createDeepComparer({
+				arrayModes: { 'root.users[*].roles': 'set' },
+			});
+			const prior = { users: [{ roles: ['admin', 'dev', 'ops'], list: [1, 2] }] };
+			const latest = { users: [{ roles: ['ops', 'admin', 'dev'], list: [1, 2] }] };
+			assert.deepStrictEqual(await deepCompare(prior, latest), []);
+			latest.users[0].list.reverse();
+			assert.deepStrictEqual(
+				(await deepCompare(prior, latest)).map(({ path }) => path),
+				['root.users[0].list[0]', 'root.users[0].list[1]']
+			);
+		});
+
+		it('should report the elements removed and added, deep objects included', async () => {
+			const deepCompare = createDeepComparer({ arrayDiff: 'set' });
+			const prior = [{ id: 1, tags: { a: 1 } }, 'x', { id: 2 }];
+			const latest = [{ id: 3 }, { tags: { a: 1 }, id: 1 }, 'x', 'x'];
+			assert.deepStrictEqual(await deepCompare(prior, latest), [
+				{
+					path: 'root[2]',
+					oldVal: { id: 2 },
+					note: DiffType.Deleted.description,
+				},
+				{
+					path: 'root[0]',
+					newVal: { id: 3 },
+					note: DiffType.Added.description,
+				},
+			]);
+		});
+
+		it('should report repeated elements as multisets', async () => {
+			const deepCompare = createDeepComparer({
+				arrayModes: { 'root.ids': 'multiset' },
+			});
+			const prior = { ids: [1, 2, 2, 3] };
+			const latest = { ids: [2, 3, 1, 1] };
+			const diffs = await deepCompare(prior, latest);
+			assert.deepStrictEqual(diffs, [
+				{ path: 'root.ids[2]', oldVal: 2, note: DiffType.Deleted.description },
+				{ path: 'root.ids[3]', newVal: 1, note: DiffType.Added.description },
+			]);
+			assert.deepStrictEqual(
+				applyChangelog(prior, diffs).ids.sort(),
+				latest.ids.sort()
+			);
+		});
+
+		it('should reject unknown array diff modes', () => {
+			assert.throws(
+				() => createDeepComparer({ arrayModes: { 'root.a': 'bag' } }),
+				{
+					message: 'Unknown array diff mode: bag',
+				}
+			);
+		});
+
+		it('should compare normalized values but report them as they are', async () => {
+			const deepCompare = createDeepComparer({
+				normalizers: [
+					{ type: 'string', normalize: Normalizers.trim() },
+					{ path: 'root.tags[*]', normalize: Normalizers.lowercase() },
+					{ path: 'root.**.at', normalize: Normalizers.isoDate() },
+				],
+				arrayModes: { 'root.tags': 'set' },
+			});
+			const prior = {
+				name: 'Ada ',
+				tags: ['Math', 'poetry'],
+				events: [{ at: '2024-05-01T10:00:00+02:00' }],
+				city: 'London',
+			};
+			const latest = {
+				name: 'Ada',
+				tags: [' POETRY', 'math '],
+				events: [{ at: '2024-05-01T08:00:00Z' }],
+				city: ' Paris',
+			};
+			assert.deepStrictEqual(await deepCompare(prior, latest), [
+				{
+					path: 'root.city',
+					oldVal: 'London',
+					newVal: ' Paris',
+					note: DiffType.Updated.description,
+				},
+			]);
+			latest.events[0].at = '2024-05-02';
+			assert.deepStrictEqual(await deepCompare(prior, latest), [
+				{
+					path: 'root.events[0].at',
+					oldVal: '2024-05-01T10:00:00+02:00',
+					newVal: '2024-05-02',
+					note: DiffType.Updated.description,
+				},
+				{
+					path: 'root.city',
+					oldVal: 'London',
+					newVal: ' Paris',
+					note: DiffType.Updated.description,
+				},
+			]);
+		});
+
+		it('should merge sets changed in order only as unchanged', async () => {
+			const { result, conflicts } = await merge(
+				{ tags: ['a', 'b'], n: 1 },
+				{ tags: ['b', 'a'], n: 1 },
+				{ tags: ['a', 'b'], n: 2 },
+				{ arrayModes: { 'root.tags': 'set' } }
+			);
+			assert.deepStrictEqual(result, { tags: ['b', 'a'], n: 2 });
+			assert.deepStrictEqual(conflicts, []);
+		});
+	});
+
+	describe('Null, undefined and missing keys', () => {
+		it('should report a value set to null as an update', async () => {
+			const deepCompare = createDeepComparer();
+			assert.deepStrictEqual(
+				await deepCompare({ a: 1, b: null, c: [1] }, { a: null, b: 2, c: [null] }),
+				[
+					{
+						path: 'root.a',
+						oldVal: 1,
+						newVal: null,
+						note: DiffType.Updated.description,
+					},
+					{
+						path: 'root.b',
+						oldVal: null,
+						newVal: 2,
+						note: DiffType.Updated.description,
+					},
+					{
+						path: 'root.c[0]',
+						oldVal: 1,
+						newVal: null,
+						note: DiffType.Updated.description,
+					},
+				]
+			);
+		});
+
+		it('should treat keys holding undefined as missing by default', async () => {
+			const deepCompare = createDeepComparer();
+			assert.deepStrictEqual(await deepCompare({}, { a: undefined }), []);
+			assert.deepStrictEqual(
+				await deepCompare({ a: 1, b: undefined }, { a: undefined, c: 2 }),
+				[
+					{ path: 'root.a', oldVal: 1, note: DiffType.Deleted.description },
+					{ path: 'root.c', newVal: 2, note: DiffType.Added.description },
+				]
+			);
+			assert.deepStrictEqual(
+				await deepCompare({ m: new Map([['x', undefined]]) }, { m: new Map() }),
+				[]
+			);
+		});
+
+		it('should treat undefined as a value with the value policy', async () => {
+			const deepCompare = createDeepComparer({ undefinedPolicy: 'value' });
+			assert.deepStrictEqual(
+				await deepCompare({ a: 1, b: undefined }, { a: undefined, c: undefined }),
+				[
+					{
+						path: 'root.a',
+						oldVal: 1,
+						newVal: undefined,
+						note: DiffType.Updated.description,
+					},
+					{
+						path: 'root.b',
+						oldVal: undefined,
+						note: DiffType.Deleted.description,
+					},
+					{
+						path: 'root.c',
+						newVal: undefined,
+						note: DiffType.Added.description,
+					},
+				]
+			);
+		});
+
+		it('should compare undefined values at the root according to the policy', async () => {
+			assert.deepStrictEqual(
+				await createDeepComparer().compareValues(1, undefined),
+				[{ path: 'root', oldVal: 1, note: DiffType.Deleted.description }]
+			);
+			assert.deepStrictEqual(
+				await createDeepComparer({ undefinedPolicy: 'value' }).compareValues(
+					undefined,
+					1
+				),
+				[
+					{
+						path: 'root',
+						oldVal: undefined,
+						newVal: 1,
+						note: DiffType.Updated.description,
+					},
+				]
+			);
+		});
+
+		it('should report type changes with the old and new types', async () => {
+			const deepCompare = createDeepComparer();
+			assert.deepStrictEqual(
+				await deepCompare(
+					{ a: '1', b: { x: 1 }, c: true },
+					{ a: 1, b: [1], c: 1n }
+				),
+				[
+					{
+						path: 'root.a',
+						oldVal: '1',
+						newVal: 1,
+						oldType: 'string',
+						newType: 'number',
+						note: DiffType.TypeChanged.description,
+					},
+					{
+						path: 'root.b',
+						oldVal: { x: 1 },
+						newVal: [1],
+						oldType: 'object',
+						newType: 'array',
+						note: DiffType.TypeChanged.description,
+					},
+					{
+						path: 'root.c',
+						oldVal: true,
+						newVal: 1n,
+						oldType: 'boolean',
+						newType: 'bigint',
+						note: DiffType.TypeChanged.description,
+					},
+				]
+			);
+		});
+	});
+
+	describe('Built-in types', () => {
+		it('should tell a Date apart from its ISO string', async () => {
+			const date = new Date('2024-01-01T00:00:00.000Z');
+			const deepCompare = createDeepComparer();
+			assert.deepStrictEqual(
+				await deepCompare({ d: date }, { d: date.toISOString() }),
+				[
+					{
+						path: 'root.d',
+						oldVal: date,
+						newVal: date.toISOString(),
+						oldType: 'date',
+						newType: 'string',
+						note: DiffType.TypeChanged.description,
+					},
+				]
+			);
+		});
+
+		it('should compare Maps key by key', async () => {
+			const prior = {
+				settings: new Map([
+					['theme', { color: 'dark' }],
+					['lang', 'en'],
+					[1, 'removed'],
+				]),
+			};
+			const latest = {
+				settings: new Map([
+					['theme', { color: 'light' }],
+					['lang', 'en'],
+					['added', true],
+				]),
+			};
+			const deepCompare = createDeepComparer();
+			assert.deepStrictEqual(await deepCompare(prior, latest), [
+				{
+					path: 'root.settings<"theme">.color',
+					oldVal: 'dark',
+					newVal: 'light',
+					note: DiffType.Updated.description,
+				},
+				{
+					path: 'root.settings<1>',
+					oldVal: 'removed',
+					note: DiffType.Deleted.description,
+				},
+				{
+					path: 'root.settings<"added">',
+					newVal: true,
+					note: DiffType.Added.description,
+				},
+			]);
+		});
+
+		it('should compare Sets by membership', async () => {
+			const prior = { tags: new Set(['a', 'b', { id: 1 }]) };
+			const latest = { tags: new Set([{ id: 1 }, 'c', 'a']) };
+			const deepCompare = createDeepComparer();
+			assert.deepStrictEqual(await deepCompare(prior, latest), [
+				{
+					path: 'root.tags<"b">',
+					oldVal: 'b',
+					note: DiffType.Deleted.description,
+				},
+				{
+					path: 'root.tags<"c">',
+					newVal: 'c',
+					note: DiffType.Added.description,
+				},
+			]);
+		});
+
+		it('should compare typed arrays and Buffers by their bytes', async () => {
+			const prior = { buf: Buffer.from('abc'), floats: new Float64Array([1.5]) };
+			const latest = { buf: Buffer.from('abd'), floats: new Float64Array([1.5]) };
+			const deepCompare = createDeepComparer();
+			assert.deepStrictEqual(await deepCompare(prior, latest), [
+				{
+					path: 'root.buf',
+					oldVal: Buffer.from('abc'),
+					newVal: Buffer.from('abd'),
+					note: DiffType.Updated.description,
+				},
+			]);
+		});
+
+		it('should compare RegExps by source and flags', async () => {
+			const deepCompare = createDeepComparer();
+			assert.deepStrictEqual(await deepCompare({ re: /a/g }, { re: /a/g }), []);
+			assert.deepStrictEqual(await deepCompare({ re: /a/g }, { re: /a/i }), [
+				{
+					path: 'root.re',
+					oldVal: /a/g,
+					newVal: /a/i,
+					note: DiffType.Updated.description,
+				},
+			]);
+		});
+
+		it('should compare BigInts', async () => {
+			const deepCompare = createDeepComparer();
+			assert.deepStrictEqual(await deepCompare({ n: 10n }, { n: 11n }), [
+				{
+					path: 'root.n',
+					oldVal: 10n,
+					newVal: 11n,
+					note: DiffType.Updated.description,
+				},
+			]);
+		});
+
+		it('should compare Symbol-keyed properties', async () => {
+			const key = Symbol('meta');
+			const deepCompare = createDeepComparer();
+			assert.deepStrictEqual(await deepCompare({ [key]: 1 }, { [key]: 2 }), [
+				{
+					path: 'root.Symbol(meta)',
+					oldVal: 1,
+					newVal: 2,
+					note: DiffType.Updated.description,
+				},
+			]);
+		});
+
+		it('should report a Map replaced by a plain object as a type change', async () => {
+			const deepCompare = createDeepComparer();
+			const prior = { a: new Map([['x', 1]]) };
+			const latest = { a: { x: 1 } };
+			assert.deepStrictEqual(await deepCompare(prior, latest), [
+				{
+					path: 'root.a',
+					oldVal: prior.a,
+					newVal: latest.a,
+					oldType: 'map',
+					newType: 'object',
+					note: DiffType.TypeChanged.description,
+				},
+			]);
+		});
+	});
+
+	describe('Circular references', () => {
+		const createTree = (name) => {
+			const tree = { name, children: [] };
+			tree.children.push({ name: 'child', parent: tree });
+			tree.self = tree;
+			return tree;
+		};
+
+		it('should compare cyclic graphs without following their cycles', async () => {
+			const deepCompare = createDeepComparer();
+			assert.deepStrictEqual(
+				await deepCompare(createTree('a'), createTree('a')),
+				[]
+			);
+			assert.deepStrictEqual(await deepCompare(createTree('a'), createTree('b')), [
+				{
+					path: 'root.name',
+					oldVal: 'a',
+					newVal: 'b',
 					note: DiffType.Updated.description,
 				},
 			]);
 		});
+
+		it('should report cycles pointing elsewhere as references', async () => {
+			const latest = createTree('a');
+			latest.children[0].parent = latest.children[0];
+			const deepCompare = createDeepComparer();
+			assert.deepStrictEqual(await deepCompare(createTree('a'), latest), [
+				{
+					path: 'root.children[0].parent',
+					oldVal: { $ref: 'root' },
+					newVal: { $ref: 'root.children[0]' },
+					note: DiffType.Updated.description,
+				},
+			]);
+		});
+
+		it('should report added and deleted cycles as references', async () => {
+			const prior = { list: [{ id: 1 }] };
+			const latest = { list: [{ id: 1 }] };
+			latest.list.push(latest);
+			latest.list[0].owner = latest.list;
+			const deepCompare = createDeepComparer({ arrayDiff: 'lcs' });
+			assert.deepStrictEqual(await deepCompare(prior, latest), [
+				{
+					path: 'root.list[0].owner',
+					newVal: { $ref: 'root.list' },
+					note: DiffType.Added.description,
+				},
+				{
+					path: 'root.list[1]',
+					newVal: { $ref: 'root' },
+					note: DiffType.Added.description,
+				},
+			]);
+			assert.deepStrictEqual(await deepCompare(latest, prior), [
+				{
+					path: 'root.list[1]',
+					oldVal: { $ref: 'root' },
+					note: DiffType.Deleted.description,
+				},
+				{
+					path: 'root.list[0].owner',
+					oldVal: { $ref: 'root.list' },
+					note: DiffType.Deleted.description,
+				},
+			]);
+		});
+
+		it('should compare shared references structurally', async () => {
+			const shared = { x: 1 };
+			const deepCompare = createDeepComparer();
+			assert.deepStrictEqual(
+				await deepCompare({ p: shared, q: shared }, { p: { x: 1 }, q: { x: 1 } }),
+				[]
+			);
+		});
+	});
+
+	describe('Limits, cancellation and equality checks', () => {
+		const prior = { a: { b: { c: 1 } }, list: [1, 2], name: 'x' };
+		const latest = { a: { b: { c: 2 } }, list: [1, 3], name: 'y' };
+
+		it('should report the containers found at maxDepth as a whole', async () => {
+			const deepCompare = createDeepComparer({ maxDepth: 1 });
+			assert.deepStrictEqual(await deepCompare(prior, latest), [
+				{
+					path: 'root.a',
+					oldVal: { b: { c: 1 } },
+					newVal: { b: { c: 2 } },
+					note: DiffType.Updated.description,
+				},
+				{
+					path: 'root.list',
+					oldVal: [1, 2],
+					newVal: [1, 3],
+					note: DiffType.Updated.description,
+				},
+				{
+					path: 'root.name',
+					oldVal: 'x',
+					newVal: 'y',
+					note: DiffType.Updated.description,
+				},
+			]);
+			assert.deepStrictEqual(
+				await deepCompare({ a: { b: 1 }, n: 1 }, { a: { b: 1 }, n: 2 }),
+				[
+					{
+						path: 'root.n',
+						oldVal: 1,
+						newVal: 2,
+						note: DiffType.Updated.description,
+					},
+				]
+			);
+		});
+
+		it('should report the whole root at maxDepth 0', async () => {
+			const deepCompare = createDeepComparer({ maxDepth: 0 });
+			assert.deepStrictEqual(await deepCompare(prior, latest), [
+				{
+					path: 'root',
+					oldVal: prior,
+					newVal: latest,
+					note: DiffType.Updated.description,
+				},
+			]);
+			assert.deepStrictEqual(await deepCompare(prior, { ...prior }), []);
+		});
+
+		it('should stop after maxDiffs entries and flag the changelog as truncated', async () => {
+			const truncated = await createDeepComparer({ maxDiffs: 2 })(prior, latest);
+			assert.deepStrictEqual(
+				truncated.map(({ path }) => path),
+				['root.a.b.c', 'root.list[1]']
+			);
+			assert.strictEqual(truncated.truncated, true);
+			assert.deepStrictEqual(Object.keys(truncated), ['0', '1']);
+
+			const complete = await createDeepComparer({ maxDiffs: 3 })(prior, latest);
+			assert.strictEqual(complete.length, 3);
+			assert.strictEqual(complete.truncated, undefined);
+		});
+
+		it('should reject with a ComparisonAbortedError once the signal is aborted', async () => {
+			const controller = new AbortController();
+			controller.abort('cancelled');
+			const check = (err) => {
+				assert(err instanceof ComparisonAbortedError);
+				assert.strictEqual(err.message, 'The comparison was aborted.');
+				assert.strictEqual(err.reason, 'cancelled');
+				return true;
+			};
+
+			await assert.rejects(
+				createDeepComparer()(prior, latest, 'root', { signal: controller.signal }),
+				check
+			);
+			await assert.rejects(
+				createDeepComparer({ signal: controller.signal })(prior, latest),
+				check
+			);
+		});
+
+		it('should stop a comparison aborted while it runs', async () => {
+			const size = 5000;
+			const controller = new AbortController();
+			const deepCompare = createDeepComparer({ signal: controller.signal });
+			const items = Array.from({ length: size }, (_, i) => ({ i }));
+			const comparison = deepCompare(
+				items,
+				items.map(({ i }) => ({ i: i + 1 }))
+			);
+			setImmediate(() => controller.abort());
+
+			await assert.rejects(comparison, ComparisonAbortedError);
+		});
+
+		it('should reject with a ComparisonAbortedError once the timeout elapsed', async () => {
+			const items = Array.from({ length: 5000 }, (_, i) => ({ i }));
+			const deepCompare = createDeepComparer({ timeout: 1 });
+			await assert.rejects(
+				deepCompare(
+					items,
+					items.map(({ i }) => ({ i: i + 1 }))
+				),
+				(err) => {
+					assert(err instanceof ComparisonAbortedError);
+					assert.strictEqual(err.message, 'The comparison timed out after 1 ms.');
+					assert.strictEqual(err.reason, 'timeout');
+					return true;
+				}
+			);
+		});
+
+		it('should check the limits before hashing whole versions', async () => {
+			const items = Array.from({ length: 2000 }, (_, i) => ({
+				i,
+				label: `${'an element long enough to have its contents digested, '.repeat(
+					5
+				)}${i}`,
+			}));
+			const prior = { first: 1, items };
+			const latest = { first: 2, items: items.map((item) => ({ ...item })) };
+			let digests = 0;
+			const digest = (serialized, wait = 0) => {
+				digests++;
+				for (const start = Date.now(); Date.now() - start < wait; );
+				return crypto.createHash('sha1').update(serialized).digest('hex');
+			};
+
+			const equal = await createDeepComparer({ digest }).isEqual(prior, latest);
+			assert.strictEqual(equal, false);
+			assert.strictEqual(digests, 0);
+			latest.items[5].i = -5;
+			assert.strictEqual(
+				await createDeepComparer({ digest }).isEqual(items, latest.items),
+				false
+			);
+			assert.strictEqual(digests, 0);
+
+			digests = 0;
+			await assert.rejects(
+				createDeepComparer({
+					arrayDiff: 'lcs',
+					timeout: 1,
+					digest: (serialized) => digest(serialized, 1),
+				})(prior, latest),
+				ComparisonAbortedError
+			);
+			assert.ok(digests < 100);
+
+			digests = 0;
+			const controller = new AbortController();
+			const comparison = createDeepComparer({
+				arrayDiff: 'lcs',
+				signal: controller.signal,
+				digest,
+			})(prior, latest);
+			setImmediate(() => controller.abort());
+			await assert.rejects(comparison, ComparisonAbortedError);
+			assert.ok(digests <= 1000);
+		});
+
+		it('should tell whether two values are equal under the comparison rules', async () => {
+			assert.strictEqual(await isEqual(prior, latest), false);
+			assert.strictEqual(
+				await isEqual(prior, JSON.parse(JSON.stringify(prior))),
+				true
+			);
+			assert.strictEqual(
+				await isEqual(
+					{ a: 1, updatedAt: 1 },
+					{ a: 1, updatedAt: 2 },
+					{
+						keysToIgnore: ['updatedAt'],
+					}
+				),
+				true
+			);
+			assert.strictEqual(
+				await isEqual(
+					{ price: 1.001 },
+					{ price: 1.002 },
+					{
+						comparators: [{ type: 'number', compare: Comparators.tolerance(0.01) }],
+					}
+				),
+				true
+			);
+			assert.strictEqual(await isEqual({ a: undefined }, {}), true);
+			assert.strictEqual(
+				await isEqual({ a: undefined }, {}, { undefinedPolicy: 'value' }),
+				false
+			);
+
+			const deepCompare = createDeepComparer({ keysToIgnore: ['name'] });
+			assert.strictEqual(
+				await deepCompare.isEqual({ name: 'x' }, { name: 'y' }),
+				true
+			);
+			assert.strictEqual(
+				await deepCompare.isEqual({ a: [1] }, { a: [2] }, 'root.a'),
+				false
+			);
+		});
+
+		it('should reject invalid limits', () => {
+			[
+				[{ maxDepth: -1 }, 'maxDepth must be a non-negative integer.'],
+				[{ maxDepth: 1.5 }, 'maxDepth must be a non-negative integer.'],
+				[{ maxDiffs: 0 }, 'maxDiffs must be a positive integer.'],
+				[{ timeout: 0 }, 'timeout must be a positive number of milliseconds.'],
+			].forEach(([options, message]) => {
+				assert.throws(() => createDeepComparer(options), { message });
+			});
+		});
+	});
+
+	describe('Path formats', () => {
+		const prior = { 'a.b': { list: [1, 2] }, plain: 1 };
+		const latest = { 'a.b': { list: [1, 3] }, plain: 2 };
+
+		it('should quote the keys that would make dotted paths ambiguous', async () => {
+			const deepCompare = createDeepComparer();
+			const diffs = await deepCompare(prior, latest);
+			assert.deepStrictEqual(
+				diffs.map(({ path }) => path),
+				['root["a.b"].list[1]', 'root.plain']
+			);
+			assert.deepStrictEqual(applyChangelog(prior, diffs), latest);
+		});
+
+		it('should report paths in the requested format', async () => {
+			const expected = {
+				dotted: ['root["a.b"].list[1]', 'root.plain'],
+				segments: [
+					['root', 'a.b', 'list', 1],
+					['root', 'plain'],
+				],
+				jsonpath: [String.raw`$['a.b'].list[1]`, '$.plain'],
+				pointer: ['/a.b/list/1', '/plain'],
+			};
+			for (const [pathFormat, paths] of Object.entries(expected)) {
+				const deepCompare = createDeepComparer({ pathFormat });
+				const diffs = await deepCompare(prior, latest);
+				assert.deepStrictEqual(
+					diffs.map(({ path }) => path),
+					paths
+				);
+				assert.deepStrictEqual(applyChangelog(prior, diffs), latest);
+			}
+		});
+
+		it('should format the paths of compareValues and of the diff tree, rules still reading dotted paths', async () => {
+			const deepCompare = createDeepComparer({
+				pathFormat: 'pointer',
+				output: 'tree',
+				keysToIgnore: ['root.plain'],
+			});
+			const { changelog, tree } = await deepCompare(prior, latest);
+			assert.deepStrictEqual(
+				changelog.map(({ path }) => path),
+				['/a.b/list/1']
+			);
+			assert.strictEqual(tree.path, '');
+			assert.deepStrictEqual(
+				tree.children.map(({ path }) => path),
+				['/a.b', '/plain']
+			);
+			assert.deepStrictEqual(
+				await deepCompare.compareValues(undefined, 1, 'root.x'),
+				[{ path: '/x', newVal: 1, note: DiffType.Added.description }]
+			);
+		});
+
+		it('should write Map keys and Set members in every format', async () => {
+			const mapPrior = { m: new Map([['a/b', 1]]), s: new Set([1]) };
+			const mapLatest = { m: new Map([['a/b', 2]]), s: new Set([2]) };
+			const expected = {
+				jsonpath: ['$.m<"a/b">', '$.s<1>', '$.s<2>'],
+				pointer: ['/m/~2"a~1b"', '/s/~21', '/s/~22'],
+			};
+			for (const [pathFormat, paths] of Object.entries(expected)) {
+				const deepCompare = createDeepComparer({ pathFormat });
+				const diffs = await deepCompare(mapPrior, mapLatest);
+				assert.deepStrictEqual(
+					diffs.map(({ path }) => path),
+					paths
+				);
+				assert.deepStrictEqual(applyChangelog(mapPrior, diffs), mapLatest);
+			}
+		});
+
+		it('should reject unknown path formats', () => {
+			assert.throws(() => createDeepComparer({ pathFormat: 'url' }), {
+				message: 'Unknown path format: url',
+			});
+		});
 	});
 });
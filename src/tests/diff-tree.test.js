@@ -0,0 +1,140 @@
+const assert = require('assert');
+const {
+	createDeepComparer,
+	buildDiffTree,
+	getDiffStats,
+	NodeStatus,
+} = require('../deep-comparer');
+
+describe('diff-tree', () => {
+	const prior = {
+		billing: { plan: 'basic', address: { city: 'Paris' }, cards: [1, 2] },
+		profile: { name: 'Jane', age: 30 },
+		legacy: true,
+	};
+	const latest = {
+		billing: { plan: 'pro', address: { city: 'Paris' }, cards: [1, 2, 3] },
+		profile: { name: 'Janet', age: '30' },
+		tags: { a: 1 },
+	};
+	let diffs;
+
+	before(async () => {
+		diffs = await createDeepComparer()(prior, latest);
+	});
+
+	describe('buildDiffTree()', () => {
+		it('should nest the changes under the containers holding them', () => {
+			const tree = buildDiffTree(diffs);
+			assert.strictEqual(tree.status, NodeStatus.ContainsChanges);
+			assert.deepStrictEqual(
+				tree.children.map(({ key, status }) => [key, status]),
+				[
+					['billing', NodeStatus.ContainsChanges],
+					['profile', NodeStatus.ContainsChanges],
+					['legacy', NodeStatus.Deleted],
+					['tags', NodeStatus.Added],
+				]
+			);
+			const cards = tree.children[0].children[1];
+			assert.deepStrictEqual(cards.children, [
+				{
+					key: 2,
+					path: 'root.billing.cards[2]',
+					status: NodeStatus.Added,
+					changes: [{ path: 'root.billing.cards[2]', newVal: 3, note: 'Added' }],
+				},
+			]);
+			assert.strictEqual(
+				tree.children[1].children[1].status,
+				NodeStatus.TypeChanged
+			);
+		});
+
+		it('should list the unchanged children of changed containers', () => {
+			const tree = buildDiffTree(diffs, { latest });
+			const billing = tree.children[0];
+			assert.deepStrictEqual(
+				billing.children.map(({ key, status }) => [key, status]),
+				[
+					['plan', NodeStatus.Updated],
+					['address', NodeStatus.Unchanged],
+					['cards', NodeStatus.ContainsChanges],
+				]
+			);
+			assert.strictEqual(billing.children[1].children, undefined);
+			assert.deepStrictEqual(
+				billing.children[2].children.map(({ path, status }) => [path, status]),
+				[
+					['root.billing.cards[0]', NodeStatus.Unchanged],
+					['root.billing.cards[1]', NodeStatus.Unchanged],
+					['root.billing.cards[2]', NodeStatus.Added],
+				]
+			);
+			// Deleted keys are listed after the keys of the latest version
+			assert.deepStrictEqual(
+				tree.children.map(({ key }) => key),
+				['billing', 'profile', 'tags', 'legacy']
+			);
+		});
+
+		it('should mark moved elements and the changes inside them', async () => {
+			const changes = await createDeepComparer({
+				arrayKeys: { 'root.items': 'id' },
+			})(
+				{ items: [{ id: 1 }, { id: 2, v: 1 }] },
+				{ items: [{ id: 2, v: 2 }, { id: 1 }] }
+			);
+			const tree = buildDiffTree(changes);
+			const moved = tree.children[0].children[0];
+			assert.strictEqual(moved.status, NodeStatus.Moved);
+			assert.deepStrictEqual(
+				moved.children.map(({ path, status }) => [path, status]),
+				[['root.items[0].v', NodeStatus.Updated]]
+			);
+		});
+
+		it('should return an unchanged root without changes', () => {
+			assert.deepStrictEqual(buildDiffTree([], { root: 'doc', latest }), {
+				key: 'doc',
+				path: 'doc',
+				status: NodeStatus.Unchanged,
+			});
+		});
+	});
+
+	describe('getDiffStats()', () => {
+		it('should count the changes per type and section', () => {
+			assert.deepStrictEqual(getDiffStats(diffs), {
+				total: 6,
+				byType: { Added: 2, Deleted: 1, Updated: 2, TypeChanged: 1, Moved: 0 },
+				bySection: { billing: 2, profile: 2, legacy: 1, tags: 1 },
+				maxDepth: 3,
+			});
+		});
+
+		it('should count changes of the root value in the root section', () => {
+			assert.deepStrictEqual(
+				getDiffStats([
+					{ path: 'root', oldVal: 1, newVal: 2, note: 'Updated' },
+					{ path: 'root[0]', newVal: 1, note: 'Added' },
+				]).bySection,
+				{ root: 1, '[0]': 1 }
+			);
+		});
+	});
+
+	describe('output mode', () => {
+		it('should resolve to the changelog, its tree and its statistics', async () => {
+			const deepCompare = createDeepComparer({ output: 'tree' });
+			const result = await deepCompare(prior, latest);
+			assert.deepStrictEqual(result.changelog, diffs);
+			assert.deepStrictEqual(result.tree, buildDiffTree(diffs, { latest }));
+			assert.strictEqual(result.stats.total, 6);
+
+			const equal = await deepCompare(prior, prior);
+			assert.deepStrictEqual(equal.changelog, []);
+			assert.strictEqual(equal.tree.status, NodeStatus.Unchanged);
+		});
+	});
+});
@@ -0,0 +1,45 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const deepComparer = require('../deep-comparer');
+
+describe('Entry points', () => {
+	const exported = Object.keys(deepComparer).sort();
+
+	it('should export the same API from the ES module entry point', async () => {
+		const esm = await import('../deep-comparer.mjs');
+		assert.deepStrictEqual(
+			Object.keys(esm)
+				.filter((name) => name !== 'default')
+				.sort(),
+			exported
+		);
+		assert.strictEqual(esm.createDeepComparer, deepComparer.createDeepComparer);
+		assert.strictEqual(esm.default, deepComparer);
+	});
+
+	it('should declare the types of every export', () => {
+		const declarations = fs.readFileSync(
+			path.join(__dirname, '../deep-comparer.d.ts'),
+			'utf8'
+		);
+		const declared = [
+			...declarations.matchAll(/^export declare (?:const|function|class) (\w+)/gm),
+		].map(([, name]) => name);
+		assert.deepStrictEqual([...new Set(declared)].sort(), exported);
+	});
+
+	it('should point the package entry points at existing files', () => {
+		const { main, types, exports } = require('../../package.json');
+		const targets = (conditions) =>
+			typeof conditions === 'string'
+				? [conditions]
+				: Object.values(conditions).flatMap(targets);
+		[main, types, ...targets(exports['.'])].forEach((file) => {
+			assert(fs.existsSync(path.join(__dirname, '../..', file)), file);
+		});
+		// The ES module entry point re-exports the CommonJS build, which only Node.js resolves by itself
+		assert.strictEqual(exports['.'].node.import, './src/deep-comparer.mjs');
+		assert.strictEqual(exports['.'].default, `./${main}`);
+	});
+});
@@ -0,0 +1,203 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+	createHistory,
+	HistoryAdapters,
+	DiffType,
+} = require('../deep-comparer');
+
+const VERSIONS = [
+	{ name: 'app', users: [{ name: 'Ada', email: 'ada@x.io' }], tags: ['a'] },
+	{ name: 'app', users: [{ name: 'Ada', email: 'ada@y.io' }], tags: ['a'] },
+	{ name: 'App', users: [{ name: 'Ada', email: 'ada@y.io' }], tags: ['a', 'b'] },
+	{ name: 'App', users: [], tags: ['a', 'b'] },
+	{ name: 'App', users: [{ name: 'Bob' }], tags: ['b'] },
+];
+
+const commitAll = async (history) => {
+	for (const [i, document] of VERSIONS.entries()) {
+		await history.commit(document, { message: `v${i + 1}` });
+	}
+};
+
+describe('history', () => {
+	describe('createHistory()', () => {
+		it('should rebuild every version from the checkpoints', async () => {
+			const history = createHistory({ checkpointInterval: 2 });
+			await commitAll(history);
+			assert.strictEqual(await history.head(), VERSIONS.length);
+			for (const [i, document] of VERSIONS.entries()) {
+				assert.deepStrictEqual(await history.get(i + 1), document);
+			}
+			assert.deepStrictEqual(await history.get(), VERSIONS[4]);
+		});
+
+		it('should store changelogs between checkpoints only', async () => {
+			const adapter = HistoryAdapters.memory();
+			const history = createHistory({ adapter, checkpointInterval: 3 });
+			await commitAll(history);
+			const records = await Promise.all([1, 2, 3, 4, 5].map(adapter.read));
+			assert.deepStrictEqual(
+				records.map((record) => Boolean(record.snapshot)),
+				[true, false, false, true, false]
+			);
+			assert.deepStrictEqual(records[1].changelog, [
+				{
+					path: 'root.users[0].email',
+					oldVal: 'ada@x.io',
+					newVal: 'ada@y.io',
+					note: DiffType.Updated.description,
+				},
+			]);
+		});
+
+		it('should return the changelog of a commit and copy the document', async () => {
+			const history = createHistory();
+			const document = { a: 1 };
+			await history.commit(document);
+			document.a = 2;
+			const { version, meta, changelog } = await history.commit(document, {
+				author: 'jane',
+			});
+			assert.strictEqual(version, 2);
+			assert.deepStrictEqual(meta, { author: 'jane' });
+			assert.deepStrictEqual(changelog, [
+				{ path: 'root.a', oldVal: 1, newVal: 2, note: 'Updated' },
+			]);
+			(await history.get(1)).a = 3;
+			assert.deepStrictEqual(await history.get(1), { a: 1 });
+		});
+
+		it('should compare any two versions', async () => {
+			const history = createHistory({ root: 'config' });
+			await commitAll(history);
+			assert.deepStrictEqual(await history.diff(1, 3), [
+				{
+					path: 'config.name',
+					oldVal: 'app',
+					newVal: 'App',
+					note: DiffType.Updated.description,
+				},
+				{
+					path: 'config.users[0].email',
+					oldVal: 'ada@x.io',
+					newVal: 'ada@y.io',
+					note: DiffType.Updated.description,
+				},
+				{ path: 'config.tags[1]', newVal: 'b', note: DiffType.Added.description },
+			]);
+			assert.deepStrictEqual(await history.diff(3, 3), []);
+		});
+
+		it('should list the versions changing a path', async () => {
+			const history = createHistory();
+			await commitAll(history);
+			const blame = await history.blame('root.users[0].email');
+			assert.deepStrictEqual(
+				blame.map(({ version, meta, changes }) => [
+					version,
+					meta.message,
+					changes.map(({ path, note }) => `${note} ${path}`),
+				]),
+				[
+					[1, 'v1', ['Added root.users[0].email']],
+					[2, 'v2', ['Updated root.users[0].email']],
+					[4, 'v4', ['Deleted root.users[0]']],
+					[5, 'v5', ['Added root.users[0]']],
+				]
+			);
+			assert.deepStrictEqual(await history.blame('root.missing'), []);
+		});
+
+		it('should list the versions with their metadata', async () => {
+			const history = createHistory();
+			await commitAll(history);
+			const versions = await history.versions();
+			assert.deepStrictEqual(
+				versions.map(({ version, meta }) => [version, meta.message]),
+				VERSIONS.map((_, i) => [i + 1, `v${i + 1}`])
+			);
+			assert.ok(versions.every(({ timestamp }) => !isNaN(Date.parse(timestamp))));
+		});
+
+		it('should reject unknown versions and invalid settings', async () => {
+			const history = createHistory();
+			await assert.rejects(history.get(), { message: 'The history is empty.' });
+			await history.commit({ a: 1 });
+			await assert.rejects(history.get(2), { message: 'Unknown version: 2' });
+			await assert.rejects(history.commit('text'), {
+				message: 'Only objects and arrays can be committed to a history.',
+			});
+			assert.strictEqual(await history.head(), 1);
+			assert.throws(() => createHistory({ adapter: {} }), {
+				message: 'History adapters must provide read, write and list functions.',
+			});
+			assert.throws(() => createHistory({ checkpointInterval: 0 }), {
+				message: 'The checkpoint interval must be a positive integer.',
+			});
+			assert.throws(() => createHistory({ arrayDiff: 'set' }), {
+				message: 'Histories cannot record changelogs of set arrays.',
+			});
+		});
+	});
+
+	describe('HistoryAdapters.file()', () => {
+		let directory;
+
+		beforeEach(() => {
+			directory = path.join(
+				fs.mkdtempSync(path.join(os.tmpdir(), 'deep-comparer-')),
+				'history'
+			);
+		});
+
+		afterEach(() => {
+			fs.rmSync(path.dirname(directory), { recursive: true });
+		});
+
+		it('should persist the versions across histories', async () => {
+			const history = createHistory({
+				adapter: HistoryAdapters.file(directory),
+				checkpointInterval: 2,
+			});
+			await commitAll(history);
+			assert.strictEqual(fs.readdirSync(directory).length, VERSIONS.length);
+
+			const reopened = createHistory({ adapter: HistoryAdapters.file(directory) });
+			assert.strictEqual(await reopened.head(), VERSIONS.length);
+			assert.deepStrictEqual(await reopened.get(), VERSIONS[4]);
+			assert.deepStrictEqual(await reopened.get(2), VERSIONS[1]);
+			await reopened.commit({ name: 'next' });
+			assert.deepStrictEqual(await reopened.get(6), { name: 'next' });
+		});
+
+		it('should read back the values plain JSON cannot represent', async () => {
+			const versions = [
+				{ at: new Date(0), quota: 10n, settings: new Map([['a', new Set([1])]]) },
+				{ at: new Date(1), quota: 20n, settings: new Map() },
+			];
+			const history = createHistory({ adapter: HistoryAdapters.file(directory) });
+			for (const document of versions) {
+				await history.commit(document, { at: new Date(2) });
+			}
+
+			const reopened = createHistory({ adapter: HistoryAdapters.file(directory) });
+			assert.deepStrictEqual(await reopened.get(1), versions[0]);
+			assert.deepStrictEqual(await reopened.get(), versions[1]);
+			assert.deepStrictEqual(
+				(await reopened.versions()).map(({ meta }) => meta),
+				[{ at: new Date(2) }, { at: new Date(2) }]
+			);
+			const [, { changes }] = await reopened.blame('root.quota');
+			assert.deepStrictEqual(changes[0].newVal, 20n);
+		});
+
+		it('should start empty when the directory does not exist', async () => {
+			const history = createHistory({ adapter: HistoryAdapters.file(directory) });
+			assert.strictEqual(await history.head(), 0);
+			assert.deepStrictEqual(await history.versions(), []);
+		});
+	});
+});
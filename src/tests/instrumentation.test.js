@@ -0,0 +1,180 @@
+const assert = require('assert');
+const {
+	createDeepComparer,
+	InstrumentationSinks,
+	ComparisonAbortedError,
+} = require('../deep-comparer');
+
+describe('Instrumentation', () => {
+	const prior = { a: { b: [1, 2, { c: 1 }] }, d: new Map([['x', { y: 1 }]]) };
+	const latest = { a: { b: [1, 3, { c: 2 }] }, d: new Map([['x', { y: 2 }]]) };
+
+	it('should report the metrics of each comparison to every sink', async () => {
+		const events = [];
+		const others = [];
+		const deepCompare = createDeepComparer({
+			instrumentation: [
+				(event) => events.push(event),
+				(event) => others.push(event),
+			],
+		});
+		const diffs = await deepCompare(prior, latest);
+
+		assert.strictEqual(events.length, 1);
+		assert.deepStrictEqual(others, events);
+		const [event] = events;
+		assert.strictEqual(event.operation, 'deepCompare');
+		assert.strictEqual(event.path, 'root');
+		assert(event.duration > 0);
+		assert.strictEqual(event.nodesVisited, 10);
+		assert(event.hashComputations > 0);
+		assert(event.bytesHashed > 0);
+		assert.strictEqual(event.diffsEmitted, diffs.length);
+		assert.strictEqual(event.truncated, false);
+		assert.strictEqual(event.error, undefined);
+	});
+
+	it('should list the slowest nested subtrees, slowest first', async () => {
+		const events = [];
+		const deepCompare = createDeepComparer({
+			instrumentation: (event) => events.push(event),
+		});
+		await deepCompare(prior, latest);
+
+		const { slowestSubtrees } = events[0];
+		assert.deepStrictEqual(slowestSubtrees.map(({ path }) => path).sort(), [
+			'root.a',
+			'root.a.b',
+			'root.a.b[2]',
+			'root.d',
+			'root.d<"x">',
+		]);
+		slowestSubtrees.slice(1).forEach(({ duration }, i) => {
+			assert(duration <= slowestSubtrees[i].duration);
+		});
+		assert(slowestSubtrees[0].duration <= events[0].duration);
+	});
+
+	it('should keep the five slowest subtrees only', async () => {
+		const events = [];
+		const deepCompare = createDeepComparer({
+			instrumentation: (event) => events.push(event),
+		});
+		const items = Array.from({ length: 20 }, (_, i) => ({ i }));
+		await deepCompare(
+			items,
+			items.map(({ i }) => ({ i: i + 1 }))
+		);
+		assert.strictEqual(events[0].slowestSubtrees.length, 5);
+	});
+
+	it('should report the operation and the truncation of each comparison', async () => {
+		const events = [];
+		const deepCompare = createDeepComparer({
+			maxDiffs: 1,
+			instrumentation: (event) => events.push(event),
+		});
+		await deepCompare(prior, latest, 'doc');
+		await deepCompare.compareValues(undefined, 1, 'doc.x');
+		await deepCompare.isEqual(prior, prior);
+
+		assert.deepStrictEqual(
+			events.map(({ operation, path, diffsEmitted, truncated }) => ({
+				operation,
+				path,
+				diffsEmitted,
+				truncated,
+			})),
+			[
+				{ operation: 'deepCompare', path: 'doc', diffsEmitted: 1, truncated: true },
+				{
+					operation: 'compareValues',
+					path: 'doc.x',
+					diffsEmitted: 1,
+					truncated: false,
+				},
+				{ operation: 'isEqual', path: 'root', diffsEmitted: 0, truncated: false },
+			]
+		);
+	});
+
+	it('should report the error of a failed comparison', async () => {
+		const events = [];
+		const controller = new AbortController();
+		controller.abort();
+		const deepCompare = createDeepComparer({
+			signal: controller.signal,
+			instrumentation: (event) => events.push(event),
+		});
+
+		await assert.rejects(deepCompare(prior, latest), ComparisonAbortedError);
+		assert.strictEqual(events.length, 1);
+		assert(events[0].error instanceof ComparisonAbortedError);
+	});
+
+	it('should warn about failing sinks without failing the comparison', async () => {
+		const warnings = [];
+		const { emitWarning } = process;
+		process.emitWarning = (message, type) => warnings.push({ message, type });
+		try {
+			const events = [];
+			const controller = new AbortController();
+			const deepCompare = createDeepComparer({
+				instrumentation: [
+					() => {
+						throw new Error('sink down');
+					},
+					async () => {
+						throw new Error('sink unreachable');
+					},
+					(event) => events.push(event),
+				],
+			});
+			assert.strictEqual((await deepCompare(prior, latest)).length, 3);
+			controller.abort();
+			await assert.rejects(
+				deepCompare(prior, latest, 'root', { signal: controller.signal }),
+				ComparisonAbortedError
+			);
+			await new Promise(setImmediate);
+
+			assert.strictEqual(events.length, 2);
+			assert.deepStrictEqual(warnings.map(({ message }) => message).sort(), [
+				'An instrumentation sink failed: sink down',
+				'An instrumentation sink failed: sink down',
+				'An instrumentation sink failed: sink unreachable',
+				'An instrumentation sink failed: sink unreachable',
+			]);
+			assert.ok(warnings.every(({ type }) => type === 'InstrumentationWarning'));
+		} finally {
+			process.emitWarning = emitWarning;
+		}
+	});
+
+	it('should log the metrics with the console sink', async () => {
+		const lines = [];
+		const deepCompare = createDeepComparer({
+			instrumentation: InstrumentationSinks.console({
+				log: (line) => lines.push(line),
+			}),
+		});
+		await deepCompare({ a: 1 }, { a: 2 });
+
+		assert.strictEqual(lines.length, 1);
+		assert.match(
+			lines[0],
+			/^deepCompare root: [\d.]+ ms, 2 nodes visited, 0 hashes \(0 bytes\), 1 diffs$/
+		);
+	});
+
+	it('should not report anything without sinks', async () => {
+		const deepCompare = createDeepComparer();
+		assert.strictEqual((await deepCompare(prior, latest)).length, 3);
+	});
+
+	it('should reject sinks that are not functions', () => {
+		assert.throws(() => createDeepComparer({ instrumentation: [{}] }), {
+			message: 'Instrumentation sinks must be functions.',
+		});
+	});
+});
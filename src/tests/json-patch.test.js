@@ -0,0 +1,201 @@
+const assert = require('assert');
+const {
+	createDeepComparer,
+	toJsonPatch,
+	fromJsonPatch,
+	applyJsonPatch,
+	toJsonPointer,
+	fromJsonPointer,
+	DiffType,
+} = require('../deep-comparer');
+
+describe('json-patch', () => {
+	describe('JSON Pointer', () => {
+		it('should convert changelog paths to escaped JSON Pointers', () => {
+			assert.strictEqual(toJsonPointer('root.a.b[3]'), '/a/b/3');
+			assert.strictEqual(toJsonPointer('root.a/b.c~d'), '/a~1b/c~0d');
+			assert.strictEqual(toJsonPointer('root'), '');
+		});
+
+		it('should convert JSON Pointers to changelog paths', () => {
+			assert.strictEqual(fromJsonPointer('/a~1b/c/3'), 'root.a/b.c[3]');
+			assert.strictEqual(
+				fromJsonPointer('/a/0', { a: { 0: 'key' } }, 'doc'),
+				'doc.a.0'
+			);
+		});
+
+		it('should reject invalid JSON Pointers', () => {
+			assert.throws(() => fromJsonPointer('a/b'), {
+				message: 'Invalid JSON Pointer: a/b',
+			});
+		});
+	});
+
+	describe('toJsonPatch()', () => {
+		it('should convert a changelog into JSON Patch operations', async () => {
+			const prior = { a: 1, b: [1, 2, 3], c: { d: 3 } };
+			const latest = { b: [1, 2, 3, 4], c: { d: 'test' } };
+			const diffs = await createDeepComparer()(prior, latest);
+			assert.deepStrictEqual(toJsonPatch(diffs), [
+				{ op: 'remove', path: '/a' },
+				{ op: 'add', path: '/b/3', value: 4 },
+				{ op: 'replace', path: '/c/d', value: 'test' },
+			]);
+		});
+
+		it('should turn moves into sequential operations', async () => {
+			const prior = { list: ['a', 'b', 'c', 'd'] };
+			const latest = { list: ['x', 'd', 'a', 'c'] };
+			const deepCompare = createDeepComparer(undefined, undefined, {
+				arrayDiff: 'lcs',
+			});
+			const patch = toJsonPatch(await deepCompare(prior, latest));
+			assert.deepStrictEqual(patch, [
+				{ op: 'remove', path: '/list/1' },
+				{ op: 'move', from: '/list/2', path: '/list/0' },
+				{ op: 'add', path: '/list/0', value: 'x' },
+			]);
+			assert.deepStrictEqual(applyJsonPatch(prior, patch), latest);
+		});
+
+		it('should rearrange arrays with hundreds of thousands of changes', () => {
+			const size = 200000;
+			const diffs = Array.from({ length: size }, (_, i) => ({
+				path: `root.list[${i}]`,
+				oldVal: i,
+				note: DiffType.Deleted.description,
+			})).concat({
+				path: 'root.list[0]',
+				newVal: 'only',
+				note: DiffType.Added.description,
+			});
+			const patch = toJsonPatch(diffs);
+			assert.strictEqual(patch.length, size + 1);
+			assert.deepStrictEqual(patch[0], {
+				op: 'remove',
+				path: `/list/${size - 1}`,
+			});
+			assert.deepStrictEqual(patch[size], {
+				op: 'add',
+				path: '/list/0',
+				value: 'only',
+			});
+		});
+	});
+
+	describe('applyJsonPatch()', () => {
+		it('should apply every operation in sequence', () => {
+			const document = { a: { b: 1 }, list: [1, 2] };
+			const result = applyJsonPatch(document, [
+				{ op: 'test', path: '/a/b', value: 1 },
+				{ op: 'copy', from: '/a', path: '/c' },
+				{ op: 'add', path: '/list/-', value: 3 },
+				{ op: 'move', from: '/list/0', path: '/first' },
+				{ op: 'replace', path: '/a/b', value: 2 },
+			]);
+			assert.deepStrictEqual(result, {
+				a: { b: 2 },
+				c: { b: 1 },
+				list: [2, 3],
+				first: 1,
+			});
+			assert.deepStrictEqual(document, { a: { b: 1 }, list: [1, 2] });
+		});
+
+		it('should throw when a test fails', () => {
+			assert.throws(
+				() => applyJsonPatch({ a: 1 }, [{ op: 'test', path: '/a', value: 2 }]),
+				{ message: 'Test failed at /a' }
+			);
+		});
+
+		it('should throw when a path does not exist', () => {
+			assert.throws(() => applyJsonPatch({}, [{ op: 'remove', path: '/a' }]), {
+				message: 'Path not found: /a',
+			});
+		});
+
+		it('should patch keys such as __proto__ as own properties, never the prototypes', () => {
+			try {
+				const patched = applyJsonPatch({}, [
+					{ op: 'add', path: '/__proto__', value: {} },
+					{ op: 'add', path: '/__proto__/isAdmin', value: true },
+					{ op: 'replace', path: '/__proto__/isAdmin', value: 'yes' },
+				]);
+				assert.strictEqual({}.isAdmin, undefined);
+				assert.strictEqual(Object.getPrototypeOf(patched), Object.prototype);
+				assert.deepStrictEqual(
+					Object.getOwnPropertyDescriptor(patched, '__proto__').value,
+					{ isAdmin: 'yes' }
+				);
+				assert.throws(
+					() =>
+						applyJsonPatch({}, [
+							{ op: 'add', path: '/__proto__/isAdmin', value: true },
+						]),
+					{ message: 'Path not found: /__proto__/isAdmin' }
+				);
+				assert.throws(
+					() =>
+						applyJsonPatch({}, [
+							{ op: 'add', path: '/constructor/prototype/isAdmin', value: true },
+						]),
+					{ message: 'Path not found: /constructor/prototype/isAdmin' }
+				);
+				assert.strictEqual({}.isAdmin, undefined);
+			} finally {
+				delete Object.prototype.isAdmin;
+			}
+		});
+	});
+
+	describe('fromJsonPatch()', () => {
+		it('should convert JSON Patch operations into changelog entries', () => {
+			const document = { a: 1, list: ['x', 'y'] };
+			const patch = [
+				{ op: 'replace', path: '/a', value: 2 },
+				{ op: 'add', path: '/list/-', value: 'z' },
+				{ op: 'move', from: '/list/0', path: '/list/2' },
+				{ op: 'remove', path: '/list/0' },
+			];
+			assert.deepStrictEqual(fromJsonPatch(patch, { document }), [
+				{
+					path: 'root.a',
+					oldVal: 1,
+					newVal: 2,
+					note: DiffType.Updated.description,
+				},
+				{
+					path: 'root.list[2]',
+					newVal: 'z',
+					note: DiffType.Added.description,
+				},
+				{
+					path: 'root.list[2]',
+					oldIndex: 0,
+					newIndex: 2,
+					note: DiffType.Moved.description,
+				},
+				{
+					path: 'root.list[0]',
+					oldVal: 'y',
+					note: DiffType.Deleted.description,
+				},
+			]);
+		});
+
+		it('should leave old values undefined without the document', () => {
+			assert.deepStrictEqual(
+				fromJsonPatch([{ op: 'remove', path: '/a/0' }], { root: 'doc' }),
+				[
+					{
+						path: 'doc.a[0]',
+						oldVal: undefined,
+						note: DiffType.Deleted.description,
+					},
+				]
+			);
+		});
+	});
+});
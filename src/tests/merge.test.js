@@ -0,0 +1,292 @@
+const assert = require('assert');
+const { merge, MergeStrategies, ConflictType } = require('../deep-comparer');
+
+describe('merge', () => {
+	const base = {
+		name: 'service',
+		port: 80,
+		hosts: ['a', 'b', 'c'],
+		limits: { cpu: 1, memory: 512 },
+		legacy: { enabled: true },
+	};
+
+	it('should combine changes made to different paths', async () => {
+		const ours = { ...base, port: 8080, hosts: ['a', 'x', 'b', 'c'] };
+		const theirs = {
+			...base,
+			hosts: ['a', 'b', 'c', 'd'],
+			limits: { cpu: 2, memory: 512 },
+			owner: 'ops',
+		};
+		delete theirs.legacy;
+
+		const { result, conflicts } = await merge(base, ours, theirs);
+		assert.deepStrictEqual(conflicts, []);
+		assert.deepStrictEqual(result, {
+			name: 'service',
+			port: 8080,
+			hosts: ['a', 'x', 'b', 'c', 'd'],
+			limits: { cpu: 2, memory: 512 },
+			owner: 'ops',
+		});
+	});
+
+	it('should take identical changes once', async () => {
+		const ours = { ...base, port: 81, hosts: ['a', 'b', 'c', 'd'] };
+		const theirs = { ...base, port: 81, hosts: ['a', 'b', 'c', 'd'] };
+		const { result, conflicts } = await merge(base, ours, theirs);
+		assert.deepStrictEqual(conflicts, []);
+		assert.deepStrictEqual(result, ours);
+	});
+
+	it('should report values changed differently on both sides', async () => {
+		const ours = { ...base, port: 81, limits: { cpu: 2, memory: 512 } };
+		const theirs = { ...base, port: 82, limits: { cpu: 1, memory: 1024 } };
+		const { result, conflicts } = await merge(base, ours, theirs);
+		assert.deepStrictEqual(conflicts, [
+			{
+				path: 'root.port',
+				type: ConflictType.Updated,
+				base: 80,
+				ours: 81,
+				theirs: 82,
+			},
+		]);
+		assert.strictEqual(result.port, 81);
+		assert.deepStrictEqual(result.limits, { cpu: 2, memory: 1024 });
+	});
+
+	it('should report deletions of values updated on the other side', async () => {
+		const ours = { ...base, hosts: ['a', 'c'] };
+		delete ours.limits;
+		const theirs = {
+			...base,
+			hosts: ['a', 'B', 'c'],
+			limits: { cpu: 4, memory: 512 },
+		};
+		const { result, conflicts } = await merge(base, ours, theirs);
+		assert.deepStrictEqual(conflicts, [
+			{
+				path: 'root.hosts[1]',
+				type: ConflictType.Deleted,
+				base: 'b',
+				ours: undefined,
+				theirs: 'B',
+			},
+			{
+				path: 'root.limits',
+				type: ConflictType.Deleted,
+				base: { cpu: 1, memory: 512 },
+				ours: undefined,
+				theirs: { cpu: 4, memory: 512 },
+			},
+		]);
+		assert.deepStrictEqual(result.hosts, ['a', 'c']);
+		assert.strictEqual('limits' in result, false);
+	});
+
+	it('should report containers added on both sides as a whole when they differ', async () => {
+		const ours = { ...base, owner: { team: 'ops', pager: 1 } };
+		const theirs = { ...base, owner: { team: 'dev', email: 'x@y.z' } };
+		const { result, conflicts } = await merge(base, ours, theirs);
+		assert.deepStrictEqual(conflicts, [
+			{
+				path: 'root.owner',
+				type: ConflictType.Added,
+				base: undefined,
+				ours: ours.owner,
+				theirs: theirs.owner,
+			},
+		]);
+		assert.deepStrictEqual(result.owner, ours.owner);
+
+		const same = await merge(base, ours, { ...theirs, owner: { ...ours.owner } });
+		assert.deepStrictEqual(same.conflicts, []);
+		assert.deepStrictEqual(same.result.owner, ours.owner);
+	});
+
+	it('should report values replaced by different containers on both sides', async () => {
+		const { result, conflicts } = await merge(
+			{ a: 1, b: null },
+			{ a: { x: 1 }, b: [1] },
+			{ a: { y: 1 }, b: [2] }
+		);
+		assert.deepStrictEqual(
+			conflicts.map(({ path, type }) => [path, type]),
+			[
+				['root.a', ConflictType.Updated],
+				['root.b', ConflictType.Updated],
+			]
+		);
+		assert.deepStrictEqual(result, { a: { x: 1 }, b: [1] });
+	});
+
+	it('should report elements inserted at the same position of an array', async () => {
+		const ours = { ...base, hosts: ['a', 'b', 'x', 'c'] };
+		const theirs = { ...base, hosts: ['a', 'b', 'y', 'c'] };
+		const { result, conflicts } = await merge(base, ours, theirs, {
+			arrayDiff: 'lcs',
+		});
+		assert.deepStrictEqual(conflicts, [
+			{
+				path: 'root.hosts[2]',
+				type: ConflictType.Inserted,
+				base: [],
+				ours: ['x'],
+				theirs: ['y'],
+			},
+		]);
+		assert.deepStrictEqual(result.hosts, ['a', 'b', 'x', 'c']);
+	});
+
+	it('should merge arrays of the same length index by index', async () => {
+		const { result, conflicts } = await merge([1, 2, 3], [1, 5, 3], [1, 2, 6]);
+		assert.deepStrictEqual(conflicts, []);
+		assert.deepStrictEqual(result, [1, 5, 6]);
+	});
+
+	it('should align array elements by identity with arrayKeys', async () => {
+		const items = [
+			{ id: 1, qty: 1 },
+			{ id: 2, qty: 1 },
+		];
+		const ours = [
+			{ id: 2, qty: 1 },
+			{ id: 1, qty: 5 },
+		];
+		const theirs = [
+			{ id: 1, qty: 1 },
+			{ id: 2, qty: 3 },
+		];
+		const { result, conflicts } = await merge(items, ours, theirs, {
+			arrayKeys: { root: 'id' },
+		});
+		assert.deepStrictEqual(conflicts, []);
+		assert.deepStrictEqual(result, [
+			{ id: 2, qty: 3 },
+			{ id: 1, qty: 5 },
+		]);
+	});
+
+	it('should merge Maps by key and Sets by member', async () => {
+		const { result, conflicts } = await merge(
+			{
+				map: new Map([
+					['a', 1],
+					['b', 2],
+				]),
+				set: new Set([1, 2, 3]),
+			},
+			{
+				map: new Map([
+					['a', 1],
+					['b', 3],
+				]),
+				set: new Set([1, 2, 4]),
+			},
+			{
+				map: new Map([
+					['a', 0],
+					['b', 2],
+					['c', 1],
+				]),
+				set: new Set([2, 3, 5]),
+			}
+		);
+		assert.deepStrictEqual(conflicts, []);
+		assert.deepStrictEqual(
+			result.map,
+			new Map([
+				['a', 0],
+				['b', 3],
+				['c', 1],
+			])
+		);
+		assert.deepStrictEqual(result.set, new Set([2, 4, 5]));
+	});
+
+	it('should resolve conflicts with the strategies matching them', async () => {
+		const ours = { ...base, name: 'ours', port: 81, hosts: ['a', 'b', 'c', 'x'] };
+		const theirs = {
+			...base,
+			name: 'theirs',
+			port: 82,
+			hosts: ['a', 'b', 'c', 'y'],
+		};
+		const { result, conflicts, resolved } = await merge(base, ours, theirs, {
+			arrayDiff: 'lcs',
+			resolve: [
+				{ path: 'root.port', resolve: MergeStrategies.theirs() },
+				{ type: ConflictType.Inserted, resolve: MergeStrategies.union() },
+			],
+		});
+		assert.deepStrictEqual(
+			conflicts.map(({ path }) => path),
+			['root.name']
+		);
+		assert.deepStrictEqual(
+			resolved.map(({ path, resolution }) => [path, resolution]),
+			[
+				['root.port', 82],
+				['root.hosts[3]', ['x', 'y']],
+			]
+		);
+		assert.strictEqual(result.name, 'ours');
+		assert.strictEqual(result.port, 82);
+		assert.deepStrictEqual(result.hosts, ['a', 'b', 'c', 'x', 'y']);
+	});
+
+	it('should accept a single strategy for every conflict', async () => {
+		const { result, resolved } = await merge(
+			{ a: 1, b: 1 },
+			{ a: 2, b: 2 },
+			{ a: 3 },
+			{ resolve: MergeStrategies.base() }
+		);
+		assert.strictEqual(resolved.length, 2);
+		assert.deepStrictEqual(result, { a: 1, b: 1 });
+	});
+
+	it('should keep our version of ignored keys', async () => {
+		const { result, conflicts } = await merge(
+			{ v: 1, updatedAt: 1 },
+			{ v: 1, updatedAt: 2 },
+			{ v: 2, updatedAt: 3 },
+			{ keysToIgnore: ['updatedAt'] }
+		);
+		assert.deepStrictEqual(conflicts, []);
+		assert.deepStrictEqual(result, { v: 2, updatedAt: 2 });
+	});
+
+	it('should not modify nor share the given documents', async () => {
+		const ours = { ...base, port: 81 };
+		const theirs = { ...base, owner: 'ops' };
+		const copies = JSON.parse(JSON.stringify([base, ours, theirs]));
+		const { result } = await merge(base, ours, theirs);
+		assert.deepStrictEqual([base, ours, theirs], copies);
+		assert.notStrictEqual(result.limits, ours.limits);
+	});
+
+	it('should not follow cycles of values changed on both sides', async () => {
+		const cyclic = (value) => {
+			const node = { value };
+			node.self = node;
+			return node;
+		};
+		const { conflicts } = await merge(
+			{ node: cyclic(1) },
+			{ node: cyclic(2) },
+			{ node: cyclic(3) }
+		);
+		assert.deepStrictEqual(
+			conflicts.map(({ path }) => path),
+			['root.node.value', 'root.node.self']
+		);
+	});
+
+	it('should reject strategies without a resolve function', () => {
+		assert.throws(() => merge({}, {}, {}, { resolve: [{ path: 'root' }] }), {
+			message: 'Merge strategies must provide a resolve function.',
+		});
+	});
+});
@@ -0,0 +1,52 @@
+const assert = require('assert');
+const { Normalizers, compileNormalizers } = require('../normalizers');
+
+describe('normalizers', () => {
+	describe('Normalizers', () => {
+		it('should trim and lower the case of strings only', () => {
+			assert.strictEqual(Normalizers.trim()(' foo\n'), 'foo');
+			assert.strictEqual(Normalizers.lowercase()('FoO'), 'foo');
+			assert.strictEqual(Normalizers.lowercase()(1), 1);
+		});
+
+		it('should parse ISO date strings only', () => {
+			const parse = Normalizers.isoDate();
+			assert.deepStrictEqual(
+				parse('2024-05-01T10:00:00+02:00'),
+				new Date('2024-05-01T08:00:00Z')
+			);
+			assert.deepStrictEqual(parse('2024-05-01'), new Date('2024-05-01'));
+			assert.strictEqual(parse('2024-13-45'), '2024-13-45');
+			assert.strictEqual(parse('May 1st'), 'May 1st');
+		});
+	});
+
+	describe('compileNormalizers()', () => {
+		it('should apply every matching rule in turn', () => {
+			const normalize = compileNormalizers([
+				{ type: 'string', normalize: Normalizers.trim() },
+				{ path: 'root.tags[*]', normalize: Normalizers.lowercase() },
+			]);
+			assert.strictEqual(normalize(' Foo ', 'root.tags[0]'), 'foo');
+			assert.strictEqual(normalize(' Foo ', 'root.name'), 'Foo');
+			assert.strictEqual(normalize(1, 'root.tags[1]'), 1);
+		});
+
+		it('should match types against the value normalized so far', () => {
+			const normalize = compileNormalizers([
+				{ type: 'string', normalize: Normalizers.isoDate() },
+				{ type: 'date', normalize: (date) => date.getUTCFullYear() },
+			]);
+			assert.strictEqual(normalize('2024-05-01', 'root'), 2024);
+		});
+
+		it('should reject invalid rules', () => {
+			assert.throws(() => compileNormalizers([{ type: 'string' }]), {
+				message: 'Normalizers must provide a normalize function.',
+			});
+			assert.throws(() => compileNormalizers([{ normalize: (v) => v }]), {
+				message: 'Normalizers must target a path or a type.',
+			});
+		});
+	});
+});
@@ -0,0 +1,194 @@
+const assert = require('assert');
+const {
+	createDeepComparer,
+	RedactionStrategies,
+	ComparisonAbortedError,
+} = require('../deep-comparer');
+
+describe('Parallel comparisons', () => {
+	const prior = {
+		id: 1,
+		owner: { name: 'Jane', email: 'jane@example.com' },
+		notes: 'first line\nsecond line',
+		orders: [
+			{ id: 'a', lines: [1, 2], settings: new Map([['x', 1]]) },
+			{ id: 'b', lines: [3] },
+		],
+		archived: { at: new Date(0) },
+	};
+	const latest = {
+		id: 1,
+		owner: { name: 'Janet', email: 'janet@example.com' },
+		notes: 'first line\nlast line',
+		orders: [
+			{ id: 'a', lines: [1, 3], settings: new Map([['x', 2]]) },
+			{ id: 'c', lines: [3], tags: new Set(['new']) },
+		],
+		created: 10n,
+	};
+	const options = {
+		keysToMask: ['email'],
+		redact: [
+			{
+				path: 'root.owner.name',
+				strategy: RedactionStrategies.hash({ salt: 's' }),
+			},
+		],
+		textDiff: { minLength: 0 },
+	};
+	const comparers = [];
+	const createParallelComparer = (parallelOptions, settings = {}) => {
+		const deepCompare = createDeepComparer({
+			...settings,
+			parallel: { workers: 2, threshold: 0, ...parallelOptions },
+		});
+		comparers.push(deepCompare);
+		return deepCompare;
+	};
+
+	after(() => Promise.all(comparers.map((deepCompare) => deepCompare.close())));
+
+	it('should report what a comparison on the calling thread reports, in the same order', async () => {
+		const expected = await createDeepComparer(options)(prior, latest);
+		const diffs = await createParallelComparer({}, options)(prior, latest);
+		assert.deepStrictEqual(diffs, expected);
+		assert.notStrictEqual(
+			diffs.find(({ path }) => path === 'root.archived').oldVal,
+			prior.archived
+		);
+
+		const paths = await createParallelComparer({}, { pathFormat: 'segments' })(
+			prior.orders,
+			latest.orders.slice(0, 1)
+		);
+		assert.deepStrictEqual(
+			paths.map(({ path }) => path),
+			[
+				['root', 0, 'lines', 1],
+				['root', 0, 'settings', { key: 'x' }],
+				['root', 1],
+			]
+		);
+	});
+
+	it('should merge the statistics and the truncation of the workers', async () => {
+		const events = [];
+		const settings = {
+			maxDepth: 2,
+			instrumentation: (event) => events.push(event),
+		};
+		const expected = await createDeepComparer(settings)(prior, latest);
+		const diffs = await createParallelComparer({}, settings)(prior, latest);
+		assert.deepStrictEqual(diffs, expected);
+		assert.strictEqual(events[1].nodesVisited, events[0].nodesVisited);
+		assert.strictEqual(events[1].diffsEmitted, events[0].diffsEmitted);
+		assert.ok(
+			events[1].slowestSubtrees.some(({ path }) => path === 'root.orders')
+		);
+
+		const limited = await createParallelComparer({}, { maxDiffs: 3 })(
+			prior,
+			latest
+		);
+		assert.deepStrictEqual(
+			limited,
+			(await createDeepComparer()(prior, latest)).slice(0, 3)
+		);
+		assert.strictEqual(limited.truncated, true);
+	});
+
+	it('should compare small versions and other containers on the calling thread', async () => {
+		const deepCompare = createParallelComparer({ threshold: 1000 });
+		const diffs = await deepCompare(prior, latest);
+		assert.strictEqual(
+			diffs.find(({ path }) => path === 'root.archived').oldVal,
+			prior.archived
+		);
+
+		const maps = await createParallelComparer()(
+			new Map([['a', prior]]),
+			new Map([['a', latest]])
+		);
+		assert.strictEqual(
+			maps.find(({ path }) => path.endsWith('archived')).oldVal,
+			prior.archived
+		);
+	});
+
+	it('should compare the versions a worker would not compare alike on the calling thread', async () => {
+		class Point {
+			constructor(x) {
+				this.x = x;
+			}
+		}
+		const key = Symbol('key');
+		const cyclic = { a: { name: 'a' } };
+		cyclic.a.root = cyclic;
+		const fixtures = [
+			[{ a: { [key]: 1 } }, { a: { [key]: 2 } }],
+			[cyclic, { a: { name: 'b', root: {} } }],
+			[{ a: { raw: Buffer.from('hi') } }, { a: { raw: Buffer.from('ho') } }],
+			[{ a: { at: new Point(1) } }, { a: { at: new Point(2) } }],
+			[{ a: new Proxy({ n: 1 }, {}) }, { a: { n: 2 } }],
+			[{ a: { tag: Symbol.for('a') } }, { a: { tag: Symbol.for('b') } }],
+		];
+		for (const [prior, latest] of fixtures) {
+			assert.deepStrictEqual(
+				await createParallelComparer()(prior, latest),
+				await createDeepComparer()(prior, latest)
+			);
+		}
+
+		for (const deepCompare of [createParallelComparer(), createDeepComparer()]) {
+			await assert.rejects(
+				deepCompare({ a: { run() {}, n: 1 } }, { a: { run() {}, n: 2 } }),
+				{ message: 'Function found at root.a.run' }
+			);
+		}
+	});
+
+	it('should reject the comparison when a worker fails or the signal is aborted', async () => {
+		const nest = (depth) =>
+			Array.from({ length: depth }).reduce((inner) => ({ inner }), {});
+		await assert.rejects(
+			createParallelComparer()({ a: nest(20000) }, { a: nest(20001) }),
+			{ name: 'RangeError' }
+		);
+
+		const controller = new AbortController();
+		const deepCompare = createParallelComparer({}, { signal: controller.signal });
+		const comparison = deepCompare(prior, latest);
+		controller.abort('cancelled');
+		await assert.rejects(
+			comparison,
+			(error) =>
+				error instanceof ComparisonAbortedError && error.reason === 'cancelled'
+		);
+		assert.deepStrictEqual(
+			await deepCompare(prior, latest, 'root', {
+				signal: new AbortController().signal,
+			}),
+			await createDeepComparer()(prior, latest)
+		);
+	});
+
+	it('should reject invalid settings and options holding functions', () => {
+		assert.throws(() => createDeepComparer({ parallel: { workers: 0 } }), {
+			message: 'parallel.workers must be a positive integer.',
+		});
+		assert.throws(() => createDeepComparer({ parallel: { threshold: -1 } }), {
+			message: 'parallel.threshold must be a non-negative integer.',
+		});
+		assert.throws(
+			() =>
+				createDeepComparer({
+					parallel: true,
+					keysToIgnore: ['id', (path) => path.endsWith('.secret')],
+				}),
+			{
+				message:
+					'The keysToIgnore option holds functions, which cannot be sent to worker threads.',
+			}
+		);
+	});
+});
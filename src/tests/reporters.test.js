@@ -0,0 +1,260 @@
+const assert = require('assert');
+const { createDeepComparer, Reporters, diffText } = require('../deep-comparer');
+
+describe('Reporters', () => {
+	const prior = {
+		name: 'Jane',
+		tags: ['a', 'b'],
+		address: { city: 'Paris', zip: '75001' },
+		legacy: true,
+	};
+	const latest = {
+		name: 'Janet',
+		tags: ['a'],
+		address: { city: 'Lyon', zip: '75001' },
+		email: 'jane@example.com',
+	};
+	let diffs;
+	const textUpdate = {
+		path: 'root.notes.body',
+		oldVal: 'Dear Jane,\nSee you in Paris.',
+		newVal: 'Dear Jane,\nSee you in Lyon.',
+		textDiff: diffText(
+			'Dear Jane,\nSee you in Paris.',
+			'Dear Jane,\nSee you in Lyon.'
+		),
+		note: 'Updated',
+	};
+
+	before(async () => {
+		diffs = await createDeepComparer().compareValues(prior, latest);
+	});
+
+	describe('text()', () => {
+		it('should print one line per change', () => {
+			assert.strictEqual(
+				Reporters.text()(diffs),
+				[
+					'~ root.name: "Jane" -> "Janet"',
+					'- root.tags[1]: "b"',
+					'~ root.address.city: "Paris" -> "Lyon"',
+					'- root.legacy: true',
+					'+ root.email: "jane@example.com"',
+					'',
+				].join('\n')
+			);
+			assert.strictEqual(Reporters.text()([]), 'No differences.\n');
+		});
+
+		it('should print values of any type on a single line', () => {
+			const text = Reporters.text()([
+				{ path: 'root.a', newVal: new Map([['k', 1n]]), note: 'Added' },
+				{ path: 'root.b', oldVal: undefined, newVal: /x/g, note: 'Updated' },
+				{ path: 'root.c[0]', oldIndex: 2, newIndex: 0, note: 'Moved' },
+				{
+					path: 'root.d',
+					oldVal: 1,
+					newVal: '1',
+					oldType: 'number',
+					newType: 'string',
+					note: 'TypeChanged',
+				},
+			]);
+			assert.strictEqual(
+				text,
+				'+ root.a: {"k":"1n"}\n~ root.b: undefined -> /x/g\n> root.c[0]: moved from index 2\n' +
+					'~ root.d: 1 -> "1" (number -> string)\n'
+			);
+		});
+
+		it('should print the text diffs of string updates below them', () => {
+			assert.strictEqual(
+				Reporters.text({ maxLength: 12 })([textUpdate]),
+				[
+					'~ root.notes.body: "Dear Jane,… -> "Dear Jane,…',
+					'    @@ -1,2 +1,2 @@',
+					'     Dear Jane,',
+					'    -See you in Paris.',
+					'    +See you in Lyon.',
+					'',
+				].join('\n')
+			);
+		});
+	});
+
+	describe('terminal()', () => {
+		it('should draw the changes as a tree with a summary', () => {
+			assert.strictEqual(
+				Reporters.terminal({ colors: false })(diffs),
+				[
+					'root',
+					'├── ~ name: "Jane" → "Janet"',
+					'├── tags',
+					'│   └── - [1]: "b"',
+					'├── address',
+					'│   └── ~ city: "Paris" → "Lyon"',
+					'├── - legacy: true',
+					'└── + email: "jane@example.com"',
+					'',
+					'5 changes: 1 added, 2 deleted, 2 updated',
+					'',
+				].join('\n')
+			);
+		});
+
+		it('should color the changes by type', () => {
+			const output = Reporters.terminal()(diffs);
+			assert.ok(output.includes('\x1b[33m~ name: "Jane" → "Janet"\x1b[0m'));
+			assert.ok(output.includes('\x1b[31m- legacy: true\x1b[0m'));
+			assert.ok(output.includes('\x1b[32m+ email: "jane@example.com"\x1b[0m'));
+		});
+
+		it('should truncate long values', () => {
+			const output = Reporters.terminal({ colors: false, maxLength: 10 })([
+				{ path: 'root.a', newVal: 'x'.repeat(20), note: 'Added' },
+			]);
+			assert.ok(output.startsWith('root\n└── + a: "xxxxxxxx…\n'));
+		});
+
+		it('should draw text diffs under their entry, highlighting changed characters', () => {
+			assert.strictEqual(
+				Reporters.terminal({ colors: false, maxLength: 12 })([textUpdate]),
+				[
+					'root',
+					'└── notes',
+					'    └── ~ body: "Dear Jane,… → "Dear Jane,…',
+					'            @@ -1,2 +1,2 @@',
+					'             Dear Jane,',
+					'            -See you in Paris.',
+					'            +See you in Lyon.',
+					'',
+					'1 change: 1 updated',
+					'',
+				].join('\n')
+			);
+			const output = Reporters.terminal()([textUpdate]);
+			assert.ok(
+				output.includes('\x1b[32m+See you in \x1b[7mLyon\x1b[27m.\x1b[0m')
+			);
+		});
+	});
+
+	describe('markdown()', () => {
+		it('should render a table with a summary', () => {
+			assert.strictEqual(
+				Reporters.markdown()(diffs.slice(0, 2)),
+				[
+					'**2 changes: 1 deleted, 1 updated**',
+					'',
+					'| Change | Path | Before | After |',
+					'| --- | --- | --- | --- |',
+					'| Updated | `root.name` | `"Jane"` | `"Janet"` |',
+					'| Deleted | `root.tags[1]` | `"b"` |  |',
+					'',
+				].join('\n')
+			);
+			assert.strictEqual(Reporters.markdown()([]), '**No differences.**\n');
+		});
+
+		it('should escape pipes and backticks in cells', () => {
+			const output = Reporters.markdown()([
+				{ path: 'root.a', oldVal: 'a|b', newVal: 'c`d', note: 'Updated' },
+			]);
+			assert.ok(output.includes('| `"a\\|b"` | `` "c`d" `` |'));
+		});
+
+		it('should add the text diffs of string updates below the table', () => {
+			const output = Reporters.markdown()([textUpdate]);
+			assert.ok(
+				output.endsWith(
+					[
+						'`root.notes.body`',
+						'',
+						'```diff',
+						'@@ -1,2 +1,2 @@',
+						' Dear Jane,',
+						'-See you in Paris.',
+						'+See you in Lyon.',
+						'```',
+						'',
+					].join('\n')
+				)
+			);
+		});
+	});
+
+	describe('html()', () => {
+		it('should render both documents with the changes highlighted', () => {
+			const page = Reporters.html({ title: 'Users <diff>' })(diffs, {
+				prior,
+				latest,
+			});
+			assert.ok(page.startsWith('<!DOCTYPE html>'));
+			assert.ok(page.includes('<title>Users &lt;diff&gt;</title>'));
+			assert.ok(
+				page.includes(
+					'<div data-path="root.name" class="updated">  &quot;name&quot;: &quot;Jane&quot;,</div>'
+				)
+			);
+			assert.ok(
+				page.includes(
+					'<div data-path="root.tags[1]" class="deleted">    &quot;b&quot;</div>'
+				)
+			);
+			assert.ok(
+				page.includes(
+					'<div data-path="root.email" class="added">  &quot;email&quot;: &quot;jane@example.com&quot;</div>'
+				)
+			);
+			assert.ok(
+				page.includes('<div data-path="root.address.zip">    &quot;zip&quot;')
+			);
+		});
+
+		it('should highlight whole subtrees, moves and cycles', async () => {
+			const cyclic = { items: [{ id: 1 }, { id: 2 }] };
+			cyclic.self = cyclic;
+			const next = { items: [{ id: 2 }, { id: 1 }], extra: { a: 1 } };
+			next.self = next;
+			const changes = await createDeepComparer({
+				arrayKeys: { 'root.items': 'id' },
+			}).compareValues(cyclic, next);
+			const page = Reporters.html()(changes, { prior: cyclic, latest: next });
+			assert.ok(page.includes('<div data-path="root.extra.a" class="added">'));
+			assert.ok(page.includes('<div data-path="root.items[0]" class="moved">'));
+			assert.ok(page.includes('<div data-path="root.items[1].id" class="moved">'));
+			assert.ok(page.includes('&quot;self&quot;: &quot;[Circular]&quot;'));
+		});
+
+		it('should require the documents', () => {
+			assert.throws(() => Reporters.html()(diffs), {
+				message:
+					'The HTML reporter needs the compared documents: { prior, latest }.',
+			});
+		});
+	});
+
+	describe('path formats', () => {
+		it('should render the paths of any format', async () => {
+			const compare = (pathFormat) =>
+				createDeepComparer({ pathFormat }).compareValues(
+					{ 'a.b': [1] },
+					{ 'a.b': [2] }
+				);
+			assert.strictEqual(
+				Reporters.text()(await compare('segments')),
+				'~ root["a.b"][0]: 1 -> 2\n'
+			);
+			assert.ok(
+				Reporters.markdown()(await compare('pointer')).includes('`/a.b/0`')
+			);
+			const page = Reporters.html()(await compare('jsonpath'), {
+				prior: { 'a.b': [1] },
+				latest: { 'a.b': [2] },
+			});
+			assert.ok(
+				page.includes('data-path="root[&quot;a.b&quot;][0]" class="updated"')
+			);
+		});
+	});
+});
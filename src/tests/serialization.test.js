@@ -0,0 +1,198 @@
+const assert = require('assert');
+const {
+	createDeepComparer,
+	serializeChangelog,
+	deserializeChangelog,
+	validateChangelog,
+	changelogSchema,
+	applyChangelog,
+	diffText,
+	ChangelogValidationError,
+} = require('../deep-comparer');
+
+describe('serialization', () => {
+	const prior = {
+		since: undefined,
+		quota: 10n,
+		checked: new Date('2024-01-01T00:00:00.000Z'),
+		ratio: 0.5,
+		pattern: /a/g,
+		settings: new Map([['local', new Set(['x'])]]),
+		bytes: new Uint16Array([1, 2]),
+		raw: Buffer.from('hi'),
+		meta: { $type: 'custom' },
+		list: [1, undefined],
+	};
+	const latest = {
+		since: new Date('2024-02-01T00:00:00.000Z'),
+		quota: 20n,
+		checked: 'never',
+		ratio: -Infinity,
+		pattern: /b/i,
+		settings: new Map(),
+		bytes: new Float64Array([0.5]),
+		raw: Buffer.from('ho'),
+		meta: { $type: 'other' },
+		list: [1],
+	};
+
+	describe('serializeChangelog()', () => {
+		it('should write a versioned document, tagging the values JSON cannot represent', async () => {
+			const diffs = await createDeepComparer({ undefinedPolicy: 'value' })(
+				{ since: undefined, quota: 10n, items: [NaN] },
+				{ since: new Date('2024-01-01T00:00:00.000Z'), quota: 20n, items: [-0] }
+			);
+			assert.deepStrictEqual(JSON.parse(serializeChangelog(diffs)), {
+				format: 'deep-comparer/changelog',
+				version: 1,
+				entries: [
+					{
+						path: 'root.since',
+						oldVal: { $type: 'undefined' },
+						newVal: { $type: 'date', value: '2024-01-01T00:00:00.000Z' },
+						note: 'Updated',
+					},
+					{
+						path: 'root.quota',
+						oldVal: { $type: 'bigint', value: '10' },
+						newVal: { $type: 'bigint', value: '20' },
+						note: 'Updated',
+					},
+					{
+						path: 'root.items[0]',
+						oldVal: { $type: 'number', value: 'NaN' },
+						newVal: { $type: 'number', value: '-0' },
+						note: 'Updated',
+					},
+				],
+			});
+		});
+
+		it('should reject functions and documents other than changelogs', () => {
+			assert.throws(
+				() =>
+					serializeChangelog([
+						{ path: 'root.a', newVal: { run() {} }, note: 'Added' },
+					]),
+				{ message: 'Cannot serialize the function found in the newVal of entry 0.' }
+			);
+			assert.throws(() => serializeChangelog({ changelog: [] }), {
+				message: 'Only changelogs, arrays of entries, can be serialized.',
+			});
+		});
+	});
+
+	describe('deserializeChangelog()', () => {
+		it('should restore changelogs losslessly', async () => {
+			const diffs = await createDeepComparer({ undefinedPolicy: 'value' })(
+				prior,
+				latest
+			);
+			const restored = deserializeChangelog(serializeChangelog(diffs));
+			assert.deepStrictEqual(restored, diffs);
+			assert.ok(
+				Buffer.isBuffer(restored.find(({ path }) => path === 'root.raw').newVal)
+			);
+			assert.deepStrictEqual(applyChangelog(prior, restored), latest);
+		});
+
+		it('should restore cycles, text diffs, moves, segment paths and truncation', async () => {
+			const cyclic = { name: 'a' };
+			cyclic.self = cyclic;
+			const textUpdate = {
+				path: ['root', 'notes', { key: new Date(0) }],
+				oldVal: 'a\nb',
+				newVal: 'a\nc',
+				textDiff: diffText('a\nb', 'a\nc'),
+				note: 'Updated',
+			};
+			const changelog = [
+				{ path: 'root.graph', newVal: cyclic, note: 'Added' },
+				textUpdate,
+				{ path: 'root.list[0]', oldIndex: 2, newIndex: 0, note: 'Moved' },
+			];
+			Object.defineProperty(changelog, 'truncated', { value: true });
+
+			const restored = deserializeChangelog(
+				JSON.parse(serializeChangelog(changelog, { space: 2 }))
+			);
+			assert.deepStrictEqual(restored, changelog);
+			assert.strictEqual(restored[0].newVal.self, restored[0].newVal);
+			assert.strictEqual(restored.truncated, true);
+			assert.ok(!Object.keys(restored).includes('truncated'));
+		});
+
+		it('should reject invalid documents and later versions', () => {
+			assert.throws(() => deserializeChangelog('[]'), {
+				message: 'The document is not a serialized changelog.',
+			});
+			assert.throws(
+				() =>
+					deserializeChangelog({
+						format: 'deep-comparer/changelog',
+						version: 2,
+						entries: [],
+					}),
+				(error) =>
+					error instanceof ChangelogValidationError &&
+					error.message ===
+						'1 error(s) found while validating the changelog, the first at /version: must be 1, the supported version of the format, not 2.' &&
+					error.errors[0].path === '/version'
+			);
+			assert.throws(
+				() =>
+					deserializeChangelog({
+						format: 'deep-comparer/changelog',
+						version: 1,
+						entries: [{ path: 'root.a', oldVal: 1, note: 'Updated' }],
+					}),
+				(error) =>
+					error instanceof ChangelogValidationError &&
+					error.message ===
+						'1 error(s) found while validating the changelog, the first at /entries/0: must have a newVal property.' &&
+					error.errors.length === 1
+			);
+		});
+	});
+
+	describe('validateChangelog()', () => {
+		it('should locate every error by its JSON Pointer', () => {
+			const errors = validateChangelog(
+				JSON.stringify({
+					format: 'deep-comparer/changelog',
+					version: 1,
+					entries: [
+						{ path: 1, newVal: null, note: 'Added' },
+						{
+							path: 'root.a',
+							oldVal: { $type: 'bigint', value: '1.5' },
+							newVal: [{ $type: 'unknown' }],
+							note: 'Updated',
+							extra: true,
+						},
+						{ path: 'root.b', oldIndex: -1, newIndex: 0, note: 'Moved' },
+					],
+				})
+			);
+			assert.deepStrictEqual(
+				errors.map(({ path }) => path),
+				[
+					'/entries/0/path',
+					'/entries/1/oldVal/value',
+					'/entries/1/newVal/0/$type',
+					'/entries/1/extra',
+					'/entries/2/oldIndex',
+				]
+			);
+		});
+
+		it('should accept the serialized changelogs', async () => {
+			const diffs = await createDeepComparer({ textDiff: { minLength: 0 } })(
+				{ a: 'x\ny', b: [1, 2], c: new Map([['k', 1]]) },
+				{ a: 'x\nz', b: [2], c: new Map([['k', '1']]) }
+			);
+			assert.deepStrictEqual(validateChangelog(serializeChangelog(diffs)), []);
+			assert.strictEqual(changelogSchema.$id, 'urn:deep-comparer:changelog:1');
+		});
+	});
+});
@@ -0,0 +1,175 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const {
+	createStreamComparer,
+	createDeepComparer,
+	DiffType,
+} = require('../deep-comparer');
+
+const collect = async (iterator) => {
+	const diffs = [];
+	for await (const diff of iterator) diffs.push(diff);
+	return diffs;
+};
+
+describe('stream-compare', () => {
+	describe('createStreamComparer()', () => {
+		it('should yield the same entries as deepCompare for the same key order', async () => {
+			const prior = {
+				a: 1,
+				b: { c: [1, 2, { d: 'x' }], e: 'text' },
+				f: [1, 2, 3],
+				g: { h: 1 },
+			};
+			const latest = {
+				a: 2,
+				b: { c: [1, 3, { d: 'y' }, 4], e: 'text' },
+				f: [1],
+				g: 'replaced',
+			};
+			const streamCompare = createStreamComparer();
+			const diffs = await collect(
+				streamCompare([JSON.stringify(prior)], [JSON.stringify(latest)])
+			);
+			assert.deepStrictEqual(diffs, await createDeepComparer()(prior, latest));
+		});
+
+		it('should match keys appearing in a different order', async () => {
+			const streamCompare = createStreamComparer();
+			const diffs = await collect(
+				streamCompare(['{"x":1,"y":{"v":1},"z":3}'], ['{"w":0,"z":4,"y":{"v":2}}'])
+			);
+			assert.deepStrictEqual(diffs, [
+				{
+					path: 'root.z',
+					oldVal: 3,
+					newVal: 4,
+					note: DiffType.Updated.description,
+				},
+				{
+					path: 'root.y.v',
+					oldVal: 1,
+					newVal: 2,
+					note: DiffType.Updated.description,
+				},
+				{ path: 'root.x', oldVal: 1, note: DiffType.Deleted.description },
+				{ path: 'root.w', newVal: 0, note: DiffType.Added.description },
+			]);
+		});
+
+		it('should read files and readable streams', async () => {
+			const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'deep-comparer-'));
+			const file = path.join(directory, 'prior.json');
+			fs.writeFileSync(file, JSON.stringify({ list: [{ id: 1 }, { id: 2 }] }));
+			try {
+				const streamCompare = createStreamComparer();
+				const latest = Readable.from([
+					Buffer.from('{"list":[{"id":1},'),
+					Buffer.from('{"id":3}]}'),
+				]);
+				assert.deepStrictEqual(await collect(streamCompare(file, latest, 'doc')), [
+					{
+						path: 'doc.list[1].id',
+						oldVal: 2,
+						newVal: 3,
+						note: DiffType.Updated.description,
+					},
+				]);
+			} finally {
+				fs.rmSync(directory, { recursive: true });
+			}
+		});
+
+		it('should yield entries before the documents are fully read', async () => {
+			let pulled = 0;
+			function* chunks(text) {
+				for (const char of text) {
+					pulled++;
+					yield char;
+				}
+			}
+			const prior = JSON.stringify({ a: 1, rest: Array(100).fill(0) });
+			const latest = JSON.stringify({ a: 2, rest: Array(100).fill(0) });
+			const iterator = createStreamComparer()(chunks(prior), chunks(latest));
+			const { value } = await iterator.next();
+			assert.strictEqual(value.path, 'root.a');
+			assert.ok(pulled < 20);
+			await iterator.return();
+		});
+
+		it('should apply the ignore, mask, array and comparator options', async () => {
+			const streamCompare = createStreamComparer({
+				keysToIgnore: ['updatedAt'],
+				keysToMask: ['secret'],
+				arrayDiff: 'lcs',
+				comparators: [{ path: 'root.price', compare: (a, b) => a - b < 1 }],
+			});
+			const prior = {
+				updatedAt: 1,
+				price: 10.2,
+				tags: ['a', 'b'],
+				user: { secret: 'x', name: 'a' },
+			};
+			const latest = {
+				updatedAt: 2,
+				price: 10.5,
+				tags: ['c', 'a', 'b'],
+				account: { secret: 'y', name: 'b' },
+			};
+			assert.deepStrictEqual(
+				await collect(
+					streamCompare([JSON.stringify(prior)], [JSON.stringify(latest)])
+				),
+				[
+					{ path: 'root.tags[0]', newVal: 'c', note: DiffType.Added.description },
+					{
+						path: 'root.user',
+						oldVal: { name: 'a' },
+						note: DiffType.Deleted.description,
+					},
+					{
+						path: 'root.account',
+						newVal: { name: 'b' },
+						note: DiffType.Added.description,
+					},
+				]
+			);
+		});
+
+		it('should apply the unordered array and normalizer options', async () => {
+			const options = {
+				arrayModes: { 'root.users[*].roles': 'set' },
+				normalizers: [{ path: 'root.users[*].email', normalize: (v) => v.trim() }],
+			};
+			const prior = {
+				users: [{ email: 'a@x.io', roles: ['dev', 'ops'], age: 30 }],
+			};
+			const latest = {
+				users: [{ email: ' a@x.io', roles: ['ops', 'dev', 'qa'], age: 31 }],
+			};
+			const diffs = await collect(
+				createStreamComparer(options)(
+					[JSON.stringify(prior)],
+					[JSON.stringify(latest)]
+				)
+			);
+			assert.deepStrictEqual(
+				diffs,
+				await createDeepComparer(options)(prior, latest)
+			);
+			assert.deepStrictEqual(
+				diffs.map(({ path }) => path),
+				['root.users[0].roles[2]', 'root.users[0].age']
+			);
+		});
+
+		it('should reject invalid documents', async () => {
+			await assert.rejects(
+				collect(createStreamComparer()(['{"a":1}'], ['{"a":1']))
+			);
+		});
+	});
+});
@@ -0,0 +1,229 @@
+const assert = require('assert');
+const {
+	createDeepComparer,
+	diffText,
+	formatUnifiedDiff,
+} = require('../deep-comparer');
+
+describe('Text diffs', () => {
+	const lines = (count, edit = () => {}) =>
+		Array.from({ length: count }, (_, i) => edit(i) || `line ${i + 1}`).join(
+			'\n'
+		);
+
+	describe('diffText()', () => {
+		it('should report the changed lines with their context', () => {
+			const diff = diffText(
+				'SELECT id\nFROM users\nWHERE active = 1\nORDER BY id',
+				'SELECT id\nFROM users\nWHERE active = 0\nORDER BY id'
+			);
+			assert.deepStrictEqual(diff, {
+				added: 1,
+				removed: 1,
+				hunks: [
+					{
+						oldStart: 1,
+						oldLines: 4,
+						newStart: 1,
+						newLines: 4,
+						lines: [
+							{ type: 'context', text: 'SELECT id' },
+							{ type: 'context', text: 'FROM users' },
+							{
+								type: 'removed',
+								text: 'WHERE active = 1',
+								highlights: [[15, 16]],
+							},
+							{
+								type: 'added',
+								text: 'WHERE active = 0',
+								highlights: [[15, 16]],
+							},
+							{ type: 'context', text: 'ORDER BY id' },
+						],
+					},
+				],
+			});
+		});
+
+		it('should split distant changes into hunks and merge close ones', () => {
+			const prior = lines(20);
+			const latest = lines(20, (i) =>
+				[1, 4, 17].includes(i) ? `changed ${i + 1}` : undefined
+			);
+			const { hunks } = diffText(prior, latest, { context: 2 });
+			assert.deepStrictEqual(
+				hunks.map(({ oldStart, oldLines, newStart, newLines }) => [
+					oldStart,
+					oldLines,
+					newStart,
+					newLines,
+				]),
+				[
+					[1, 7, 1, 7],
+					[16, 5, 16, 5],
+				]
+			);
+		});
+
+		it('should position insertions and deletions as unified diffs do', () => {
+			assert.deepStrictEqual(
+				diffText('a\nb', 'a\nb\nc').hunks.map(
+					({ oldStart, oldLines, newStart, newLines }) => [
+						oldStart,
+						oldLines,
+						newStart,
+						newLines,
+					]
+				),
+				[[1, 2, 1, 3]]
+			);
+			const { hunks } = diffText('a\nb', 'b', { context: 0 });
+			assert.deepStrictEqual(hunks, [
+				{
+					oldStart: 1,
+					oldLines: 1,
+					newStart: 0,
+					newLines: 0,
+					lines: [{ type: 'removed', text: 'a' }],
+				},
+			]);
+		});
+
+		it('should highlight the changed characters of lines in common only', () => {
+			const [hunk] = diffText(
+				'The quick brown fox\nabc',
+				'The quick red fox\nxyz'
+			).hunks;
+			assert.deepStrictEqual(
+				hunk.lines.map(({ type, highlights }) => [type, highlights]),
+				[
+					['removed', [[10, 15]]],
+					['removed', undefined],
+					['added', [[11, 13]]],
+					['added', undefined],
+				]
+			);
+		});
+
+		it('should report widely different texts as removed then added', () => {
+			const prior = lines(3000, (i) => `a${i}`);
+			const latest = lines(3000, (i) => `b${i}`);
+			const diff = diffText(`head\n${prior}`, `head\n${latest}`);
+			assert.strictEqual(diff.added, 3000);
+			assert.strictEqual(diff.removed, 3000);
+			assert.strictEqual(diff.hunks.length, 1);
+		});
+	});
+
+	describe('formatUnifiedDiff()', () => {
+		it('should render the hunks as a unified diff', () => {
+			const diff = diffText('a\nb\nc', 'a\nB\nc\nd');
+			assert.strictEqual(
+				formatUnifiedDiff(diff, { from: 'prior', to: 'latest' }),
+				'--- prior\n+++ latest\n@@ -1,3 +1,4 @@\n a\n-b\n+B\n c\n+d\n'
+			);
+			assert.strictEqual(
+				formatUnifiedDiff(diffText('a', 'b')),
+				'@@ -1 +1 @@\n-a\n+b\n'
+			);
+		});
+
+		it('should give empty texts no lines', () => {
+			assert.strictEqual(
+				formatUnifiedDiff(diffText('', 'x')),
+				'@@ -0,0 +1 @@\n+x\n'
+			);
+			assert.strictEqual(
+				formatUnifiedDiff(diffText('a\nb', '')),
+				'@@ -1,2 +0,0 @@\n-a\n-b\n'
+			);
+			assert.deepStrictEqual(diffText('', ''), {
+				added: 0,
+				removed: 0,
+				hunks: [],
+			});
+		});
+
+		it('should mark the last line of a text missing the newline the other ends with', () => {
+			assert.strictEqual(
+				formatUnifiedDiff(diffText('a\nb', 'a\nb\n')),
+				'@@ -1,2 +1,2 @@\n a\n-b\n\\ No newline at end of file\n+b\n'
+			);
+			const diff = diffText('a\nb\n', 'a\nc');
+			assert.deepStrictEqual(diff.hunks[0].lines.slice(1), [
+				{ type: 'removed', text: 'b' },
+				{ type: 'added', text: 'c', noNewline: true },
+			]);
+			assert.strictEqual(
+				formatUnifiedDiff(diff),
+				'@@ -1,2 +1,2 @@\n a\n-b\n+c\n\\ No newline at end of file\n'
+			);
+			assert.strictEqual(
+				formatUnifiedDiff(diffText('a\n', 'b\n')),
+				'@@ -1 +1 @@\n-a\n+b\n'
+			);
+		});
+	});
+
+	describe('textDiff option', () => {
+		const prior = { description: lines(50), title: 'Short title' };
+		const latest = {
+			description: lines(50, (i) => (i === 24 ? 'line twenty-five' : undefined)),
+			title: 'Short title!',
+		};
+
+		it('should attach a text diff to the updates of long strings', async () => {
+			const deepCompare = createDeepComparer({ textDiff: true });
+			const [description, title] = await deepCompare(prior, latest);
+			assert.strictEqual(description.oldVal, prior.description);
+			assert.strictEqual(description.newVal, latest.description);
+			assert.strictEqual(
+				formatUnifiedDiff(description.textDiff),
+				[
+					'@@ -22,7 +22,7 @@',
+					' line 22',
+					' line 23',
+					' line 24',
+					'-line 25',
+					'+line twenty-five',
+					' line 26',
+					' line 27',
+					' line 28',
+					'',
+				].join('\n')
+			);
+			assert.ok(!('textDiff' in title));
+		});
+
+		it('should apply the given threshold and context', async () => {
+			const deepCompare = createDeepComparer({
+				textDiff: { minLength: 5, context: 0 },
+			});
+			const [description, title] = await deepCompare(prior, latest);
+			assert.strictEqual(description.textDiff.hunks[0].lines.length, 2);
+			assert.deepStrictEqual(title.textDiff.hunks[0].lines[1], {
+				type: 'added',
+				text: 'Short title!',
+				highlights: [[11, 12]],
+			});
+		});
+
+		it('should leave type changes and other updates alone', async () => {
+			const deepCompare = createDeepComparer({ textDiff: { minLength: 0 } });
+			const diffs = await deepCompare({ a: 'text', b: 1 }, { a: 2, b: 3 });
+			assert.ok(diffs.every((diff) => !('textDiff' in diff)));
+		});
+
+		it('should reject invalid settings', () => {
+			assert.throws(
+				() => createDeepComparer({ textDiff: { minLength: -1 } }),
+				/textDiff.minLength must be a non-negative integer/
+			);
+			assert.throws(
+				() => createDeepComparer({ textDiff: { context: 1.5 } }),
+				/textDiff.context must be a non-negative integer/
+			);
+		});
+	});
+});
@@ -0,0 +1,214 @@
+const assert = require('assert');
+const {
+	track,
+	createDeepComparer,
+	applyChangelog,
+	serializeChangelog,
+	deserializeChangelog,
+	DiffType,
+} = require('../deep-comparer');
+
+const createDocument = () => ({
+	name: 'shop',
+	owner: { name: 'Ada', email: 'ada@x.io' },
+	items: [
+		{ id: 1, price: 10 },
+		{ id: 2, price: 20 },
+	],
+	tags: ['a', 'b'],
+});
+
+describe('track', () => {
+	describe('track()', () => {
+		it('should record assignments and deletions in the changelog format', async () => {
+			const { proxy, flush } = track(createDocument());
+			proxy.owner.email = 'ada@y.io';
+			delete proxy.name;
+			proxy.active = true;
+			assert.deepStrictEqual(await flush(), [
+				{
+					path: 'root.owner.email',
+					oldVal: 'ada@x.io',
+					newVal: 'ada@y.io',
+					note: DiffType.Updated.description,
+				},
+				{ path: 'root.name', oldVal: 'shop', note: DiffType.Deleted.description },
+				{ path: 'root.active', newVal: true, note: DiffType.Added.description },
+			]);
+			assert.deepStrictEqual(await flush(), []);
+		});
+
+		it('should coalesce repeated writes and drop restored values', async () => {
+			const { proxy, flush } = track(createDocument());
+			proxy.owner.name = 'Bob';
+			proxy.owner.name = 'Eve';
+			proxy.name = 'other';
+			proxy.name = 'shop';
+			proxy.extra = 1;
+			delete proxy.extra;
+			assert.deepStrictEqual(await flush(), [
+				{
+					path: 'root.owner.name',
+					oldVal: 'Ada',
+					newVal: 'Eve',
+					note: DiffType.Updated.description,
+				},
+			]);
+		});
+
+		it('should record array mutations as deepCompare reports them', async () => {
+			const document = createDocument();
+			const prior = JSON.parse(JSON.stringify(document));
+			const { proxy, flush } = track(document);
+			proxy.items[1].price = 25;
+			proxy.items.splice(0, 1);
+			proxy.tags.push('c');
+			proxy.tags.shift();
+			const diffs = await flush();
+			assert.deepStrictEqual(
+				diffs,
+				await createDeepComparer().compareValues(prior, document)
+			);
+			assert.deepStrictEqual(applyChangelog(prior, diffs), document);
+		});
+
+		it('should fold nested writes into a replaced parent', async () => {
+			const { proxy, flush } = track(createDocument());
+			proxy.owner.email = 'ada@y.io';
+			proxy.owner.nickname = 'A';
+			proxy.owner = { name: 'Ada', email: 'ada@x.io', role: 'admin' };
+			assert.deepStrictEqual(await flush(), [
+				{
+					path: 'root.owner.role',
+					newVal: 'admin',
+					note: DiffType.Added.description,
+				},
+			]);
+		});
+
+		it('should report type changes and values removed with their parent', async () => {
+			const { proxy, flush } = track(createDocument());
+			proxy.items[0].price = 12;
+			proxy.items = 'none';
+			assert.deepStrictEqual(await flush(), [
+				{
+					path: 'root.items',
+					oldVal: createDocument().items,
+					newVal: 'none',
+					oldType: 'array',
+					newType: 'string',
+					note: DiffType.TypeChanged.description,
+				},
+			]);
+		});
+
+		it('should store objects rather than their proxies', async () => {
+			const document = createDocument();
+			const { proxy, flush } = track(document);
+			assert.strictEqual(proxy.owner, proxy.owner);
+			proxy.backup = { owner: proxy.owner };
+			assert.strictEqual(document.backup.owner, document.owner);
+			await flush();
+			proxy.backup.owner.name = 'Bob';
+			assert.deepStrictEqual(
+				(await flush()).map(({ path }) => path),
+				['root.backup.owner.name']
+			);
+		});
+
+		it('should track nested objects at their current path once their array is reordered', async () => {
+			const document = createDocument();
+			const { proxy, flush } = track(document);
+			const first = proxy.items[0];
+			proxy.items.unshift({ id: 0, price: 5 });
+			await flush();
+			first.price = 12;
+			assert.deepStrictEqual(await flush(), [
+				{
+					path: 'root.items[1].price',
+					oldVal: 10,
+					newVal: 12,
+					note: DiffType.Updated.description,
+				},
+			]);
+			assert.strictEqual(proxy.items[1], first);
+
+			proxy.items.reverse();
+			first.price = 15;
+			const prior = createDocument();
+			prior.items.unshift({ id: 0, price: 5 });
+			prior.items[1].price = 12;
+			const diffs = await flush();
+			assert.deepStrictEqual(
+				diffs,
+				await createDeepComparer().compareValues(prior, document)
+			);
+
+			proxy.items.splice(1, 1);
+			await flush();
+			first.price = 20;
+			assert.deepStrictEqual(await flush(), []);
+		});
+
+		it('should record references to the objects holding a value as deepCompare reports cycles', async () => {
+			const document = createDocument();
+			const { proxy, flush } = track(document);
+			proxy.owner.shop = proxy;
+			proxy.owner.manager = proxy.owner;
+			proxy.self = proxy;
+			const diffs = await flush();
+			assert.deepStrictEqual(diffs, [
+				{ path: 'root.owner.shop', newVal: { $ref: 'root' }, note: 'Added' },
+				{
+					path: 'root.owner.manager',
+					newVal: { $ref: 'root.owner' },
+					note: 'Added',
+				},
+				{ path: 'root.self', newVal: { $ref: 'root' }, note: 'Added' },
+			]);
+			assert.deepStrictEqual(
+				diffs,
+				await createDeepComparer()(createDocument(), document)
+			);
+			const replayed = deserializeChangelog(serializeChangelog(diffs));
+			assert.deepStrictEqual(replayed, diffs);
+			const applied = applyChangelog(createDocument(), replayed);
+			assert.deepStrictEqual(applied.owner.shop, { $ref: 'root' });
+
+			delete proxy.owner.manager;
+			assert.deepStrictEqual(await flush(), [
+				{
+					path: 'root.owner.manager',
+					oldVal: { $ref: 'root.owner' },
+					note: 'Deleted',
+				},
+			]);
+		});
+
+		it('should apply the comparer options', async () => {
+			const { proxy, flush } = track(createDocument(), {
+				root: 'shop',
+				keysToIgnore: ['price'],
+				keysToMask: ['email'],
+			});
+			proxy.items[0].price = 11;
+			proxy.manager = { name: 'Bob', email: 'bob@x.io' };
+			assert.deepStrictEqual(await flush(), [
+				{
+					path: 'shop.manager',
+					newVal: { name: 'Bob' },
+					note: DiffType.Added.description,
+				},
+			]);
+		});
+
+		it('should reject values that cannot be tracked', () => {
+			assert.throws(() => track('text'), {
+				message: 'Only objects and arrays can be tracked.',
+			});
+			assert.throws(() => track(new Map()), {
+				message: 'Only objects and arrays can be tracked.',
+			});
+		});
+	});
+});
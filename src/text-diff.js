@@ -0,0 +1,281 @@
+const { longestCommonSubsequence } = require('./utils/align-arrays');
+
+// The settings of text diffs when `textDiff: true` is given.
+const DEFAULT_MIN_LENGTH = 200;
+const DEFAULT_CONTEXT = 3;
+// The edit distances beyond which lines, and the characters of a line, are no longer aligned.
+const MAX_LINE_EDITS = 2000;
+const MAX_CHARACTER_EDITS = 200;
+// Unchanged runs of characters shorter than this, between two changes, are highlighted along with them.
+const MIN_UNCHANGED_RUN = 3;
+
+// The prefixes of the lines of a unified diff, by line type.
+const LINE_PREFIXES = { context: ' ', removed: '-', added: '+' };
+// The line following, in unified diffs, the last line of a text that does not end with a newline.
+const NO_NEWLINE_MARKER = '\\ No newline at end of file';
+
+/**
+ * Resolves the `textDiff` option of a deep comparer.
+ *
+ * @param {boolean|Object} [option] - `true` for the default settings, or the settings.
+ * @param {number} [option.minLength=200] - The length from which strings get a text diff: the longer of the two
+ *                      strings must be at least this long.
+ * @param {number} [option.context=3] - The number of unchanged lines shown around each change.
+ * @returns {{ minLength: number, context: number }|undefined} The settings, `undefined` if text diffs are off.
+ * @throws {Error} If a setting is not a non-negative integer.
+ */
+function resolveTextDiff(option) {
+	if (!option) return undefined;
+	const { minLength = DEFAULT_MIN_LENGTH, context = DEFAULT_CONTEXT } =
+		option === true ? {} : option;
+	[
+		['minLength', minLength],
+		['context', context],
+	].forEach(([name, value]) => {
+		if (!(Number.isInteger(value) && value >= 0)) {
+			throw new Error(`textDiff.${name} must be a non-negative integer.`);
+		}
+	});
+	return { minLength, context };
+}
+
+/**
+ * Lists the ranges of a sequence left out of a list of matched indexes, merging those separated by
+ * fewer than `MIN_UNCHANGED_RUN` matched items.
+ *
+ * @param {number} length - The length of the sequence.
+ * @param {number[]} matched - The matched indexes, in ascending order.
+ * @returns {number[][]} The `[start, end)` ranges.
+ */
+function unmatchedRanges(length, matched) {
+	const ranges = [];
+	let next = 0;
+	[...matched, length].forEach((index) => {
+		if (index > next) {
+			const last = ranges[ranges.length - 1];
+			if (last && next - last[1] < MIN_UNCHANGED_RUN) last[1] = index;
+			else ranges.push([next, index]);
+		}
+		next = index + 1;
+	});
+	return ranges;
+}
+
+/**
+ * Finds the characters changed between a removed line and the added line replacing it.
+ *
+ * @param {string} oldLine - The removed line.
+ * @param {string} newLine - The added line.
+ * @returns {number[][][]|undefined} The `[start, end)` ranges changed in each line, `undefined` when the
+ *          lines have nothing in common.
+ */
+function highlightChanges(oldLine, newLine) {
+	const matches = longestCommonSubsequence(
+		oldLine,
+		newLine,
+		MAX_CHARACTER_EDITS
+	);
+	if (!matches.length) return undefined;
+	return [
+		unmatchedRanges(
+			oldLine.length,
+			matches.map(([i]) => i)
+		),
+		unmatchedRanges(
+			newLine.length,
+			matches.map(([, j]) => j)
+		),
+	];
+}
+
+/**
+ * Splits a text into lines, a trailing newline ending the last line rather than starting an empty one.
+ *
+ * @param {string} text - The text.
+ * @returns {{ lines: string[], newline: boolean }} The lines, and whether the text ends with a newline.
+ */
+function splitLines(text) {
+	if (!text) return { lines: [], newline: false };
+	const lines = text.split('\n');
+	const newline = lines[lines.length - 1] === '';
+	if (newline) lines.pop();
+	return { lines, newline };
+}
+
+/**
+ * Lists the removed and added lines between two unchanged ones. Removed lines are paired in order with
+ * added ones, and each pair gets the `highlights` of the characters it changes.
+ *
+ * @param {string[]} removed - The removed lines.
+ * @param {string[]} added - The added lines.
+ * @returns {Object[]} The lines, removed ones first.
+ */
+function changeBlock(removed, added) {
+	const removedLines = removed.map((text) => ({ type: 'removed', text }));
+	const addedLines = added.map((text) => ({ type: 'added', text }));
+	for (let i = 0; i < Math.min(removed.length, added.length); i++) {
+		const highlights = highlightChanges(removed[i], added[i]);
+		if (highlights) {
+			removedLines[i].highlights = highlights[0];
+			addedLines[i].highlights = highlights[1];
+		}
+	}
+	return removedLines.concat(addedLines);
+}
+
+/**
+ * Groups the lines of a diff into hunks: runs of changed lines, with up to `context` unchanged lines around
+ * them. Changes separated by at most twice that many unchanged lines share a hunk.
+ *
+ * @param {Object[]} lines - The lines, each with its position `oldLine` and `newLine` in both texts.
+ * @param {number} context - The number of unchanged lines around each change.
+ * @returns {Object[]} The hunks.
+ */
+function groupHunks(lines, context) {
+	const ranges = [];
+	lines.forEach((line, i) => {
+		if (line.type === 'context') return;
+		const last = ranges[ranges.length - 1];
+		if (last && i - last[1] <= 2 * context) last[1] = i + 1;
+		else ranges.push([i, i + 1]);
+	});
+	return ranges.map(([start, end]) => {
+		const hunkLines = lines.slice(
+			Math.max(0, start - context),
+			Math.min(lines.length, end + context)
+		);
+		const oldLines = hunkLines.filter(({ type }) => type !== 'added').length;
+		const newLines = hunkLines.filter(({ type }) => type !== 'removed').length;
+		// As in unified diffs, an empty range starts at the line before it
+		const [{ oldLine, newLine }] = hunkLines;
+		return {
+			oldStart: oldLines ? oldLine + 1 : oldLine,
+			oldLines,
+			newStart: newLines ? newLine + 1 : newLine,
+			newLines,
+			lines: hunkLines.map(({ type, text, highlights, noNewline }) => ({
+				type,
+				text,
+				...(highlights && { highlights }),
+				...(noNewline && { noNewline }),
+			})),
+		};
+	});
+}
+
+/**
+ * Computes a line-level diff between two texts, with the characters changed within the lines replacing one
+ * another. Lines are aligned by Myers' algorithm; texts differing by more than `MAX_LINE_EDITS` lines only have
+ * their common first and last lines aligned.
+ *
+ * @param {string} oldText - The prior text.
+ * @param {string} newText - The latest text.
+ * @param {Object} [options] - The options of the diff.
+ * @param {number} [options.context=3] - The number of unchanged lines shown around each change.
+ * @returns {{ added: number, removed: number, hunks: Object[] }} The numbers of added and removed lines, and the
+ *          hunks of the diff. Each hunk has the 1-based `oldStart` and `newStart` lines and the `oldLines` and
+ *          `newLines` counts of a unified diff hunk, and its `lines`: `{ type, text, highlights? }`, `type` being
+ *          `'context'`, `'removed'` or `'added'`, and `highlights` the `[start, end)` ranges of changed characters.
+ *          When only one of the texts ends with a newline, the last line of the other one has `noNewline: true`.
+ *
+ * @example
+ * diffText('a\nb\nc', 'a\nB\nc');
+ * // { added: 1, removed: 1, hunks: [{ oldStart: 1, oldLines: 3, newStart: 1, newLines: 3, lines: [
+ * //   { type: 'context', text: 'a' },
+ * //   { type: 'removed', text: 'b', highlights: [[0, 1]] }, ... ] }] }
+ */
+function diffText(oldText, newText, { context = DEFAULT_CONTEXT } = {}) {
+	const { lines: oldLines, newline: oldNewline } = splitLines(oldText);
+	const { lines: newLines, newline: newNewline } = splitLines(newText);
+	// When only one text ends with a newline, the last line of the other one matches no line
+	const endsAlike = oldNewline === newNewline;
+	const withNewlines = (lines, newline) =>
+		endsAlike
+			? lines
+			: lines.map((line, i) =>
+					newline || i < lines.length - 1 ? `${line}\n` : line
+			  );
+	const matches = longestCommonSubsequence(
+		withNewlines(oldLines, oldNewline),
+		withNewlines(newLines, newNewline),
+		MAX_LINE_EDITS
+	);
+
+	const lines = [];
+	let i = 0;
+	let j = 0;
+	[...matches, [oldLines.length, newLines.length]].forEach(([nextI, nextJ]) => {
+		const block = changeBlock(oldLines.slice(i, nextI), newLines.slice(j, nextJ));
+		block.forEach((line) => {
+			lines.push({ ...line, oldLine: i, newLine: j });
+			if (line.type === 'removed') i++;
+			else j++;
+		});
+		if (nextI < oldLines.length) {
+			lines.push({ type: 'context', text: oldLines[i], oldLine: i, newLine: j });
+			i++;
+			j++;
+		}
+	});
+	if (!endsAlike) {
+		const lastType = oldNewline ? 'added' : 'removed';
+		const last = lines.filter(({ type }) => type === lastType).pop();
+		if (last) last.noNewline = true;
+	}
+
+	return {
+		added: lines.filter(({ type }) => type === 'added').length,
+		removed: lines.filter(({ type }) => type === 'removed').length,
+		hunks: groupHunks(lines, context),
+	};
+}
+
+/**
+ * Formats the header line of a hunk, as in unified diffs: `@@ -oldStart,oldLines +newStart,newLines @@`,
+ * counts of 1 being left out.
+ *
+ * @param {Object} hunk - The hunk.
+ * @returns {string} The header line.
+ */
+function formatHunkHeader({ oldStart, oldLines, newStart, newLines }) {
+	const range = (start, count) =>
+		count === 1 ? `${start}` : `${start},${count}`;
+	return `@@ -${range(oldStart, oldLines)} +${range(newStart, newLines)} @@`;
+}
+
+/**
+ * Renders a text diff in the unified diff format.
+ *
+ * @param {Object} textDiff - The text diff, as returned by `diffText`.
+ * @param {Object} [options] - The options of the rendering.
+ * @param {string} [options.from] - The name of the prior text, written in the `---` header line.
+ * @param {string} [options.to] - The name of the latest text, written in the `+++` header line. Headers are
+ *                      written only when both names are given.
+ * @returns {string} The unified diff, one line per hunk header and per line, lines marked `noNewline` being
+ *          followed by `\ No newline at end of file`.
+ */
+function formatUnifiedDiff({ hunks }, { from, to } = {}) {
+	const header =
+		from !== undefined && to !== undefined ? [`--- ${from}`, `+++ ${to}`] : [];
+	return [
+		...header,
+		...hunks.flatMap((hunk) => [
+			formatHunkHeader(hunk),
+			...hunk.lines.flatMap(({ type, text, noNewline }) => [
+				`${LINE_PREFIXES[type]}${text}`,
+				...(noNewline ? [NO_NEWLINE_MARKER] : []),
+			]),
+		]),
+	]
+		.map((line) => `${line}\n`)
+		.join('');
+}
+
+module.exports = {
+	diffText,
+	formatUnifiedDiff,
+	formatHunkHeader,
+	resolveTextDiff,
+	LINE_PREFIXES,
+	NO_NEWLINE_MARKER,
+};
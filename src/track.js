@@ -0,0 +1,274 @@
+const { formatPath } = require('./utils/parse-path');
+const { Children } = require('./apply-changelog');
+const Helper = require('./utils/helper');
+
+const TRACKED_KINDS = ['object', 'array'];
+
+/**
+ * Formats the segments of a tracked path, Symbol keys included.
+ *
+ * @param {Array<string|number|symbol>} segments - The segments of the path, starting with the root name.
+ * @returns {string} The changelog path.
+ */
+function toPath(segments) {
+	return formatPath(
+		segments.map((segment) =>
+			typeof segment === 'symbol' ? String(segment) : segment
+		)
+	);
+}
+
+/**
+ * Reads the value found at a path of a document.
+ *
+ * @param {*} document - The document.
+ * @param {Array<string|number|symbol>} segments - The segments of the path, starting with the root name.
+ * @returns {{ exists: boolean, value: * }} Whether the path exists, and its value.
+ */
+function readPath(document, segments) {
+	let value = document;
+	for (const segment of segments.slice(1)) {
+		if (!Helper.isObject(value) || !Children.has(value, segment)) {
+			return { exists: false, value: undefined };
+		}
+		value = Children.get(value, segment);
+	}
+	return { exists: true, value };
+}
+
+/**
+ * Copies the value found at a path of a document, replacing the references to the objects holding it
+ * with `{ $ref: path }`, the path of that object, as `deepCompare` reports the cycles it meets: comparing
+ * the copy alone would not see them.
+ *
+ * @param {*} document - The document.
+ * @param {Array<string|number|symbol>} segments - The segments of the path, starting with the root name.
+ * @returns {{ exists: boolean, value: * }} Whether the path exists, and a copy of its value.
+ */
+function copyPath(document, segments) {
+	const clones = new Map();
+	let value = document;
+	for (const [i, segment] of segments.slice(1).entries()) {
+		if (!Helper.isObject(value) || !Children.has(value, segment)) {
+			return { exists: false, value: undefined };
+		}
+		if (!clones.has(value))
+			clones.set(value, { $ref: toPath(segments.slice(0, i + 1)) });
+		value = Children.get(value, segment);
+	}
+	return { exists: true, value: Helper.clone(value, clones) };
+}
+
+/**
+ * Wraps a document in a recursive Proxy recording its mutations as they happen: assignments, deletions
+ * and array mutations (through indexes, `length` or array methods) made through the proxy, or through the
+ * proxies it returns for nested objects and arrays.
+ *
+ * Only the value each mutated path held before its first mutation is kept: an array counts as a single
+ * path, and a path containing an already mutated one takes over its prior value. `flush` then compares
+ * these prior values with the current ones, so that repeated writes to a path are coalesced into a
+ * single entry, writes restoring a value are dropped, and the entries are those `deepCompare` reports
+ * for the same values, references to the objects holding a value included (see `copyPath`). Maps, Sets,
+ * Dates and typed arrays are tracked when replaced, but not when mutated in place.
+ *
+ * Nested proxies look up the path of their object when it is mutated, so that they keep tracking it once
+ * it moved within its parent, e.g. when an array is reordered. Mutations of an object no longer found
+ * where it was reached from are not recorded: wherever it went, its new place was recorded when it got there.
+ *
+ * @param {Function} deepCompare - The deep comparer whose `compareValues` method builds the entries.
+ * @param {Object|Array} target - The document to track. It is mutated through the proxy.
+ * @param {string} root - The name of the root in the paths.
+ * @returns {{ proxy: Object|Array, flush: Function }} The proxy of the document, and an async function
+ *          returning the changelog of the mutations since the previous flush.
+ */
+function createTracker(deepCompare, target, root) {
+	// The mutated paths, with their segments, whether they existed and their prior value.
+	const records = new Map();
+	// The recorded paths below each path holding some.
+	const recordedBelow = new Map();
+	// The objects behind the proxies.
+	const targets = new WeakMap();
+
+	/**
+	 * Replaces the proxies found in a value with the objects they stand for, so that proxies never
+	 * end up in the document.
+	 *
+	 * @param {*} value - The value about to be stored.
+	 * @param {Set<Object>} [seen] - The objects already visited.
+	 * @returns {*} The value, or the object behind it if it is a proxy.
+	 */
+	function unwrap(value, seen = new Set()) {
+		if (targets.has(value)) return targets.get(value);
+		if (!TRACKED_KINDS.includes(Helper.kindOf(value)) || seen.has(value)) {
+			return value;
+		}
+		seen.add(value);
+		Object.keys(value).forEach((key) => {
+			const child = unwrap(value[key], seen);
+			if (child !== value[key]) value[key] = child;
+		});
+		return value;
+	}
+
+	/**
+	 * Records the value a path holds before its first mutation, unless the path or one containing it is
+	 * already recorded. The recorded paths it contains are folded into it, their prior values restored
+	 * in its own prior value.
+	 *
+	 * @param {Array<string|number|symbol>} segments - The segments of the path about to be mutated.
+	 */
+	function record(segments) {
+		const prefixes = segments.map((_, i) => toPath(segments.slice(0, i + 1)));
+		const path = prefixes[prefixes.length - 1];
+		if (prefixes.some((prefix) => records.has(prefix))) return;
+
+		const { exists, value } = copyPath(target, segments);
+		const entry = { segments, existed: exists, prior: value };
+		(recordedBelow.get(path) || []).forEach((below) => {
+			const folded = records.get(below);
+			forget(below, folded.segments);
+			const relative = [path, ...folded.segments.slice(segments.length)];
+			const { value: container } = readPath(entry.prior, relative.slice(0, -1));
+			const key = relative[relative.length - 1];
+			if (!Helper.isObject(container)) return;
+			if (folded.existed) Children.set(container, key, folded.prior);
+			else Children.delete(container, key);
+		});
+		records.set(path, entry);
+		prefixes.slice(0, -1).forEach((prefix) => {
+			recordedBelow.set(prefix, (recordedBelow.get(prefix) || []).concat(path));
+		});
+	}
+
+	/**
+	 * Removes a recorded path.
+	 *
+	 * @param {string} path - The path.
+	 * @param {Array<string|number|symbol>} segments - The segments of the path.
+	 */
+	function forget(path, segments) {
+		records.delete(path);
+		recordedBelow.delete(path);
+		segments.slice(0, -1).forEach((_, i) => {
+			const prefix = toPath(segments.slice(0, i + 1));
+			const below = (recordedBelow.get(prefix) || []).filter((p) => p !== path);
+			if (below.length) recordedBelow.set(prefix, below);
+			else recordedBelow.delete(prefix);
+		});
+	}
+
+	/**
+	 * Returns the segments of the path an object is found at now, following the links from its node up
+	 * to the root. An object no longer found at its key in its parent is looked up among the other keys,
+	 * so that the element of a reordered array is found at its new index.
+	 *
+	 * @param {Object} node - The node of the object: the `object`, its `parent` node (none for the root) and
+	 *                      its `key` in the parent.
+	 * @returns {Array<string|number|symbol>|undefined} The segments, or `undefined` if the object is no longer
+	 *          found in its parent, or its parent in the document.
+	 */
+	function locate(node) {
+		if (!node.parent) return [root];
+		const segments = locate(node.parent);
+		if (!segments) return undefined;
+		const container = node.parent.object;
+		if (Children.get(container, node.key) !== node.object) {
+			const key = Array.isArray(container)
+				? container.indexOf(node.object)
+				: Reflect.ownKeys(container).find((k) => container[k] === node.object);
+			if (key === undefined || key === -1) return undefined;
+			node.key = key;
+		}
+		return [...segments, node.key];
+	}
+
+	/**
+	 * Returns the proxy tracking an object reached from a parent, one per object and parent.
+	 *
+	 * @param {Object|Array} object - The object.
+	 * @param {Object} [parent] - The node of the parent proxy (see `locate`), none for the root.
+	 * @param {string|number|symbol} [segment] - The key of the object in its parent.
+	 * @returns {Proxy} The proxy, created on first access.
+	 */
+	function proxyOf(object, parent, segment) {
+		if (parent && parent.children.has(object)) {
+			const known = parent.children.get(object);
+			known.key = segment;
+			return known.proxy;
+		}
+
+		const node = { object, parent, key: segment, children: new WeakMap() };
+		const isArray = Array.isArray(object);
+		const segmentOf = (key) =>
+			isArray && typeof key === 'string' && /^\d+$/.test(key) ? Number(key) : key;
+		// Mutations of an array are recorded on the array as a whole.
+		const recordChange = (key) => {
+			const segments = locate(node);
+			if (segments) record(isArray ? segments : [...segments, segmentOf(key)]);
+		};
+
+		const proxy = new Proxy(object, {
+			get(obj, key, receiver) {
+				const value = Reflect.get(obj, key, receiver);
+				if (
+					TRACKED_KINDS.includes(Helper.kindOf(value)) &&
+					Object.prototype.hasOwnProperty.call(obj, key)
+				) {
+					return proxyOf(value, node, segmentOf(key));
+				}
+				return value;
+			},
+			set(obj, key, value) {
+				recordChange(key);
+				return Reflect.set(obj, key, unwrap(value));
+			},
+			defineProperty(obj, key, descriptor) {
+				recordChange(key);
+				return Reflect.defineProperty(
+					obj,
+					key,
+					'value' in descriptor
+						? { ...descriptor, value: unwrap(descriptor.value) }
+						: descriptor
+				);
+			},
+			deleteProperty(obj, key) {
+				if (Object.prototype.hasOwnProperty.call(obj, key)) recordChange(key);
+				return Reflect.deleteProperty(obj, key);
+			},
+		});
+		node.proxy = proxy;
+		if (parent) parent.children.set(object, node);
+		targets.set(proxy, object);
+		return proxy;
+	}
+
+	/**
+	 * Returns the changelog of the mutations made since the previous flush, and starts recording anew.
+	 *
+	 * @returns {Promise<Object[]>} The changelog entries, grouped by mutated path in the order the paths
+	 *          were first mutated.
+	 */
+	async function flush() {
+		const pending = [...records.entries()];
+		records.clear();
+		recordedBelow.clear();
+
+		const diffs = [];
+		for (const [path, { segments, existed, prior }] of pending) {
+			const { exists, value } = copyPath(target, segments);
+			diffs.push(
+				...(await deepCompare.compareValues(
+					existed ? prior : undefined,
+					exists ? value : undefined,
+					path
+				))
+			);
+		}
+		return diffs;
+	}
+
+	return { proxy: proxyOf(target), flush };
+}
+
+module.exports = { createTracker };
@@ -0,0 +1,246 @@
+const { computeHash } = require('./hash-compare');
+
+// The number of insertions and removals beyond which arrays are no longer aligned by content: elements
+// outside their common prefix and suffix are then paired by position.
+const MAX_ARRAY_EDITS = 1000;
+
+/**
+ * Computes the longest common subsequence between two sequences of comparable
+ * tokens using Myers' O(ND) difference algorithm. Common prefix and suffix are
+ * trimmed first, so small edits on large arrays stay cheap. Each step of the search keeps only the
+ * diagonals it reached, so the memory it takes grows as O(D²) whatever the length of the sequences.
+ *
+ * @param {string[]} a - The tokens of the prior sequence.
+ * @param {string[]} b - The tokens of the latest sequence.
+ * @param {number} [maxDistance=Infinity] - The number of insertions and removals beyond which the search gives
+ *                      up: only the common prefix and suffix are then matched, bounding the time and memory spent
+ *                      on sequences that differ widely.
+ * @returns {number[][]} The matched `[priorIndex, latestIndex]` pairs, in ascending order.
+ */
+function longestCommonSubsequence(a, b, maxDistance = Infinity) {
+	let start = 0;
+	let endA = a.length;
+	let endB = b.length;
+	const matches = [];
+
+	while (start < endA && start < endB && a[start] === b[start]) {
+		matches.push([start, start]);
+		start++;
+	}
+
+	const suffix = [];
+	while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+		endA--;
+		endB--;
+		suffix.push([endA, endB]);
+	}
+	suffix.reverse();
+
+	const n = endA - start;
+	const m = endB - start;
+	if (n > 0 && m > 0) {
+		const max = Math.min(n + m, maxDistance);
+		const offset = max + 1;
+		const v = new Array(2 * max + 3).fill(0);
+		const trace = [];
+		let found = false;
+
+		search: for (let d = 0; d <= max; d++) {
+			// The diagonals -d - 1 to d + 1, the only ones step d reads
+			trace.push(v.slice(offset - d - 1, offset + d + 2));
+			for (let k = -d; k <= d; k += 2) {
+				let x =
+					k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+						? v[offset + k + 1]
+						: v[offset + k - 1] + 1;
+				let y = x - k;
+				while (x < n && y < m && a[start + x] === b[start + y]) {
+					x++;
+					y++;
+				}
+				v[offset + k] = x;
+				if (x >= n && y >= m) {
+					found = true;
+					break search;
+				}
+			}
+		}
+		if (!found) return matches.concat(suffix);
+
+		const middle = [];
+		let x = n;
+		let y = m;
+		for (let d = trace.length - 1; d >= 0 && (x > 0 || y > 0); d--) {
+			const previous = trace[d];
+			const diagonal = (k) => previous[k + d + 1];
+			const k = x - y;
+			const prevK =
+				k === -d || (k !== d && diagonal(k - 1) < diagonal(k + 1)) ? k + 1 : k - 1;
+			const prevX = d === 0 ? 0 : diagonal(prevK);
+			const prevY = d === 0 ? 0 : prevX - prevK;
+
+			while (x > prevX && y > prevY) {
+				x--;
+				y--;
+				middle.push([start + x, start + y]);
+			}
+			x = prevX;
+			y = prevY;
+		}
+		return matches.concat(middle.reverse(), suffix);
+	}
+
+	return matches.concat(suffix);
+}
+
+/**
+ * Computes the longest increasing subsequence of a list of numbers.
+ *
+ * @param {number[]} values - The values to scan.
+ * @returns {Set<number>} The positions (inside `values`) belonging to the subsequence.
+ */
+function longestIncreasingSubsequence(values) {
+	const tails = [];
+	const previous = new Array(values.length);
+
+	values.forEach((value, i) => {
+		let low = 0;
+		let high = tails.length;
+		while (low < high) {
+			const mid = (low + high) >> 1;
+			if (values[tails[mid]] < value) low = mid + 1;
+			else high = mid;
+		}
+		previous[i] = low > 0 ? tails[low - 1] : -1;
+		tails[low] = i;
+	});
+
+	const positions = new Set();
+	for (let i = tails[tails.length - 1]; i !== undefined && i >= 0; ) {
+		positions.add(i);
+		i = previous[i];
+	}
+	return positions;
+}
+
+/**
+ * Matches removed and added elements carrying the same token, turning them into moves.
+ *
+ * @param {number[]} removed - The unmatched prior indexes.
+ * @param {number[]} added - The unmatched latest indexes.
+ * @param {string[]} priorTokens - The tokens of the prior elements.
+ * @param {string[]} latestTokens - The tokens of the latest elements.
+ * @returns {number[][]} The `[priorIndex, latestIndex]` pairs that were moved.
+ */
+function extractMoves(removed, added, priorTokens, latestTokens) {
+	const candidates = new Map();
+	removed.forEach((i) => {
+		const queue = candidates.get(priorTokens[i]) || [];
+		queue.push(i);
+		candidates.set(priorTokens[i], queue);
+	});
+
+	return added.reduce((moved, j) => {
+		const queue = candidates.get(latestTokens[j]);
+		if (queue && queue.length) moved.push([queue.shift(), j]);
+		return moved;
+	}, []);
+}
+
+/**
+ * Aligns the elements of two arrays instead of comparing them strictly by index.
+ *
+ * Without an `identify` function the elements are matched by content (LCS over their hashes);
+ * unmatched elements sharing the same gap are then paired, so that they are compared in place
+ * and reported as updates rather than as a removal plus an insertion. With an `identify` function
+ * elements are matched by the identity it returns, wherever they are in the array. Arrays differing by more
+ * than `MAX_ARRAY_EDITS` insertions and removals are only matched by their common prefix and suffix, the
+ * elements in between being paired by position.
+ * Matched elements whose relative order changed are reported as moves.
+ *
+ * @param {Array} prior - The original array.
+ * @param {Array} latest - The new array.
+ * @param {Function} [identify] - An optional function returning the identity of an element.
+ * @param {Function} [hash=computeHash] - The hash function used to match elements by content.
+ * @param {string} [path] - The path of both arrays, for hash functions tracking paths: elements are hashed
+ *                      at their own index.
+ * @returns {{ kept: number[][], moved: number[][], removed: number[], added: number[] }} The alignment,
+ *          where `kept` and `moved` hold `[priorIndex, latestIndex]` pairs of elements to compare deeply.
+ */
+function alignArrays(prior, latest, identify, hash = computeHash, path) {
+	const tokenize = (elem, i) => {
+		const identity = identify ? identify(elem) : undefined;
+		return identity === undefined
+			? `#${hash(elem, path === undefined ? undefined : `${path}[${i}]`)}`
+			: `=${typeof identity}:${String(identity)}`;
+	};
+	const priorTokens = prior.map(tokenize);
+	const latestTokens = latest.map(tokenize);
+
+	let matched;
+	if (identify) {
+		const byIdentity = new Map();
+		priorTokens.forEach((token, i) => {
+			const queue = byIdentity.get(token) || [];
+			queue.push(i);
+			byIdentity.set(token, queue);
+		});
+		matched = latestTokens.reduce((pairs, token, j) => {
+			const queue = byIdentity.get(token);
+			if (queue && queue.length) pairs.push([queue.shift(), j]);
+			return pairs;
+		}, []);
+	} else {
+		matched = longestCommonSubsequence(
+			priorTokens,
+			latestTokens,
+			MAX_ARRAY_EDITS
+		);
+	}
+
+	const stable = longestIncreasingSubsequence(matched.map(([i]) => i));
+	const kept = matched.filter((_, position) => stable.has(position));
+	const moved = matched.filter((_, position) => !stable.has(position));
+
+	const priorMatched = new Set(matched.map(([i]) => i));
+	const latestMatched = new Set(matched.map(([, j]) => j));
+	let removed = prior.map((_, i) => i).filter((i) => !priorMatched.has(i));
+	let added = latest.map((_, j) => j).filter((j) => !latestMatched.has(j));
+
+	if (!identify) {
+		const relocated = extractMoves(removed, added, priorTokens, latestTokens);
+		relocated.forEach((pair) => moved.push(pair));
+		const relocatedPrior = new Set(relocated.map(([i]) => i));
+		const relocatedLatest = new Set(relocated.map(([, j]) => j));
+		removed = removed.filter((i) => !relocatedPrior.has(i));
+		added = added.filter((j) => !relocatedLatest.has(j));
+
+		// Pair what is left inside each gap between two kept elements, walking both sorted lists once
+		const paired = [];
+		let r = 0;
+		let a = 0;
+		kept.concat([[prior.length, latest.length]]).forEach(([i, j]) => {
+			const gapRemoved = [];
+			const gapAdded = [];
+			for (; r < removed.length && removed[r] < i; r++) {
+				gapRemoved.push(removed[r]);
+			}
+			for (; a < added.length && added[a] < j; a++) gapAdded.push(added[a]);
+			const count = Math.min(gapRemoved.length, gapAdded.length);
+			for (let p = 0; p < count; p++) paired.push([gapRemoved[p], gapAdded[p]]);
+		});
+
+		const pairedPrior = new Set(paired.map(([i]) => i));
+		const pairedLatest = new Set(paired.map(([, j]) => j));
+		removed = removed.filter((i) => !pairedPrior.has(i));
+		added = added.filter((j) => !pairedLatest.has(j));
+		paired.forEach((pair) => kept.push(pair));
+		kept.sort((x, y) => x[1] - y[1]);
+	}
+
+	moved.sort((x, y) => x[1] - y[1]);
+
+	return { kept, moved, removed, added };
+}
+
+module.exports = { alignArrays, longestCommonSubsequence };
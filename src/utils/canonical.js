@@ -0,0 +1,127 @@
+const Helper = require('./helper');
+
+/**
+ * Encodes a value into a tree plain JSON can represent, tagging the values it cannot, e.g.
+ * `{ $bigint: '12' }`, `{ $map: [[key, value]] }`, `{ $set: [member] }`, `{ $regexp: '/a/g' }` or
+ * `{ $binary: 'Uint8Array', data: [1, 2] }`. Map entries and Set members are sorted, so that their
+ * insertion order does not matter. A reference back to one of its own ancestors is encoded as
+ * `{ $ref: depth }`, the depth of that ancestor (0 being the encoded value itself), so that cyclic
+ * graphs are encoded finitely. Object keys are sorted; plain JSON values are otherwise left untouched.
+ *
+ * @param {*} value - The value to encode.
+ * @param {string} key - The key of the value in its parent, passed to `toJSON` methods.
+ * @param {Object[]} ancestors - The objects being encoded above the value, outermost first.
+ * @returns {*} The encoded value.
+ */
+function encode(value, key, ancestors) {
+	const kind = Helper.kindOf(value);
+	if (kind === 'bigint') return { $bigint: value.toString() };
+	if (kind === 'regexp') return { $regexp: value.toString() };
+	if (kind === 'binary') {
+		return {
+			$binary: value.constructor.name,
+			data: Array.from(
+				new Uint8Array(value.buffer, value.byteOffset, value.byteLength)
+			),
+		};
+	}
+	if (!['array', 'map', 'set', 'object'].includes(kind)) return value;
+
+	const depth = ancestors.indexOf(value);
+	if (depth !== -1) return { $ref: depth };
+	if (kind === 'object' && typeof value.toJSON === 'function') {
+		return encode(value.toJSON(key), key, ancestors);
+	}
+
+	ancestors.push(value);
+	const encodeChild = (child, childKey) => encode(child, childKey, ancestors);
+	let encoded;
+	switch (kind) {
+		case 'array':
+			encoded = value.map((item, i) => encodeChild(item, String(i)));
+			break;
+		case 'map':
+			encoded = {
+				$map: [...value.entries()]
+					.map(([entryKey, entryValue]) => [
+						serialize(entryKey, ancestors),
+						encodeChild(entryValue, ''),
+					])
+					.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)),
+			};
+			break;
+		case 'set':
+			encoded = {
+				$set: [...value].map((member) => serialize(member, ancestors)).sort(),
+			};
+			break;
+		default: {
+			encoded = Object.keys(value)
+				.sort()
+				.reduce((result, objectKey) => {
+					result[objectKey] = encodeChild(value[objectKey], objectKey);
+					return result;
+				}, {});
+			const symbols = Object.getOwnPropertySymbols(value).filter((symbol) =>
+				Object.prototype.propertyIsEnumerable.call(value, symbol)
+			);
+			if (symbols.length) {
+				encoded.$symbols = symbols.map((symbol) => [
+					String(symbol),
+					encodeChild(value[symbol], String(symbol)),
+				]);
+			}
+		}
+	}
+	ancestors.pop();
+	return encoded;
+}
+
+/**
+ * Serializes an encoded value, falling back to `String` for values JSON cannot serialize on their own.
+ *
+ * @param {*} value - The value to serialize.
+ * @param {Object[]} ancestors - The objects being encoded above the value, outermost first.
+ * @returns {string} The serialized value.
+ */
+function serialize(value, ancestors) {
+	const serialized = JSON.stringify(encode(value, '', ancestors));
+	return serialized === undefined ? String(value) : serialized;
+}
+
+/**
+ * Serializes any comparable value into a deterministic string, used both for hashing and to label
+ * Map keys and Set members in changelog paths. Plain JSON values serialize as with `JSON.stringify`,
+ * except that object keys are sorted, and cyclic references never make it throw.
+ *
+ * @param {*} value - The value to serialize.
+ * @returns {string} The serialized value.
+ */
+function stringify(value) {
+	return serialize(value, []);
+}
+
+/**
+ * Parses a string produced by `stringify` back into a value. Primitives, BigInts, RegExps and
+ * plain JSON structures are restored; other tagged values are returned in their tagged form.
+ *
+ * @param {string} text - The serialized value.
+ * @returns {*} The value.
+ */
+function parse(text) {
+	if (text === 'undefined') return undefined;
+	return JSON.parse(text, (key, value) => {
+		if (!Helper.isObject(value)) return value;
+		if (typeof value.$bigint === 'string') return BigInt(value.$bigint);
+		if (typeof value.$regexp === 'string') {
+			const separator = value.$regexp.lastIndexOf('/');
+			return new RegExp(
+				value.$regexp.slice(1, separator),
+				value.$regexp.slice(separator + 1)
+			);
+		}
+		return value;
+	});
+}
+
+module.exports = { stringify, parse };
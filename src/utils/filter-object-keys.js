@@ -1,23 +1,68 @@
+const { DEFAULT_ROOT } = require('../constants');
+const { createPathMatcher } = require('./path-pattern');
+const { formatKey, appendKey } = require('./parse-path');
+const Helper = require('./helper');
+
 /**
- * Filters the keys of an object based on the provided list of keys to hide.
- * If the object is an array, the function is applied recursively to each item in the array.
+ * Filters the keys of an object based on the provided rules of keys to hide.
+ * If the object is an array, a Map or a Set, the function is applied recursively to each of its items.
+ * Other objects such as Dates, RegExps or typed arrays are returned untouched. References back to an
+ * object being filtered (cycles) are replaced with `{ $ref: path }`, the path where that object was
+ * first seen.
  *
  * @param {Object|Array} obj - The object or array to filter.
+ * @param {Array<string|Function>|Function} [keysToFilter] - The rules matching the keys to hide: key names,
+ *                      path patterns or predicates (see `createPathMatcher`), or an already compiled matcher.
+ * @param {string} [path='root'] - The path of the object, used to match path patterns.
+ * @param {Map<Object, string>} [ancestors] - The objects being filtered above this one, with their paths.
  * @returns {Object|Array} The filtered object or array.
  */
-function filterObjectKeys(obj, keysToFilter) {
+function filterObjectKeys(
+	obj,
+	keysToFilter,
+	path = DEFAULT_ROOT,
+	ancestors = new Map()
+) {
 	if (!obj || typeof obj !== 'object' || !keysToFilter) return obj;
+	if (ancestors.has(obj)) return { $ref: ancestors.get(obj) };
 
-	if (Array.isArray(obj)) {
-		return obj.map((item) => filterObjectKeys(item, keysToFilter));
-	} else {
-		return Object.entries(obj).reduce((formattedObj, [key, value]) => {
-			if (!keysToFilter.includes(key)) {
-				formattedObj[key] = filterObjectKeys(value, keysToFilter);
-			}
-			return formattedObj;
-		}, {});
+	const isMasked = createPathMatcher(keysToFilter);
+	const filterChild = (value, currentPath) =>
+		filterObjectKeys(value, isMasked, currentPath, ancestors);
+	let filtered;
+	ancestors.set(obj, path);
+	switch (Helper.kindOf(obj)) {
+		case 'array':
+			filtered = obj.map((item, i) => filterChild(item, `${path}[${i}]`));
+			break;
+		case 'map':
+			filtered = [...obj].reduce((formattedMap, [key, value]) => {
+				const currentPath = `${path}${formatKey(key)}`;
+				if (!isMasked(currentPath, value)) {
+					formattedMap.set(key, filterChild(value, currentPath));
+				}
+				return formattedMap;
+			}, new Map());
+			break;
+		case 'set':
+			filtered = new Set(
+				[...obj].map((member) => filterChild(member, `${path}${formatKey(member)}`))
+			);
+			break;
+		case 'object':
+			filtered = Helper.ownEntries(obj).reduce((formattedObj, [key, value]) => {
+				const currentPath = appendKey(path, key);
+				if (!isMasked(currentPath, value)) {
+					Helper.defineOwn(formattedObj, key, filterChild(value, currentPath));
+				}
+				return formattedObj;
+			}, {});
+			break;
+		default:
+			filtered = obj;
 	}
+	ancestors.delete(obj);
+	return filtered;
 }
 
 module.exports = { filterObjectKeys };
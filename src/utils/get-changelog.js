@@ -1,5 +1,6 @@
 const { DiffType } = require('../constants');
 const { filterObjectKeys } = require('./filter-object-keys');
+const Helper = require('./helper');
 
 function getChangelog(prior, latest, path, diffType, keysToFilter) {
 	const result = { path };
@@ -7,22 +8,38 @@ function getChangelog(prior, latest, path, diffType, keysToFilter) {
 		case DiffType.Deleted:
 			return {
 				...result,
-				oldVal: filterObjectKeys(prior, keysToFilter),
+				oldVal: filterObjectKeys(prior, keysToFilter, path),
 				note: DiffType.Deleted.description,
 			};
 		case DiffType.Updated:
 			return {
 				...result,
-				oldVal: filterObjectKeys(prior, keysToFilter),
-				newVal: filterObjectKeys(latest, keysToFilter),
+				oldVal: filterObjectKeys(prior, keysToFilter, path),
+				newVal: filterObjectKeys(latest, keysToFilter, path),
 				note: DiffType.Updated.description,
 			};
+		case DiffType.TypeChanged:
+			return {
+				...result,
+				oldVal: filterObjectKeys(prior, keysToFilter, path),
+				newVal: filterObjectKeys(latest, keysToFilter, path),
+				oldType: Helper.kindOf(prior),
+				newType: Helper.kindOf(latest),
+				note: DiffType.TypeChanged.description,
+			};
 		case DiffType.Added:
 			return {
 				...result,
-				newVal: filterObjectKeys(prior, keysToFilter),
+				newVal: filterObjectKeys(prior, keysToFilter, path),
 				note: DiffType.Added.description,
 			};
+		case DiffType.Moved:
+			return {
+				...result,
+				oldIndex: prior,
+				newIndex: latest,
+				note: DiffType.Moved.description,
+			};
 		default:
 			throw new Error(`Unknown diffType: ${diffType}`);
 	}
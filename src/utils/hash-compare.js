@@ -1,13 +1,347 @@
-const crypto = require('crypto');
+const { defaultDigest } = require('./runtime');
+const { stringify } = require('./canonical');
+const { formatKey, appendKey } = require('./parse-path');
+const { CONTAINER_KINDS, ArrayDiffMode } = require('../constants');
+const Helper = require('./helper');
+
+const DIGEST_LENGTH = 256;
 
 /**
- * Computes a hash for an object or array.
+ * Computes a hash for an object or array. Values plain JSON cannot represent (BigInt, Map, Set,
+ * RegExp, typed arrays, Buffers, Symbol-keyed properties) are serialized canonically beforehand,
+ * and object keys are sorted, so that their order does not matter.
  *
- * @param {Object|Array} data - The data to hash.
+ * @param {*} data - The data to hash.
  * @returns {string} The hash of the data.
  */
 function computeHash(data) {
-	return crypto.createHash('sha256').update(JSON.stringify(data)).digest('hex');
+	return defaultDigest(stringify(data));
+}
+
+/**
+ * Checks whether a value is left out of objects (and turned into `null` in arrays), as JSON does.
+ *
+ * @param {*} value - The value to check.
+ * @returns {boolean} `true` if the value is skipped.
+ */
+function isSkipped(value) {
+	return ['undefined', 'function', 'symbol'].includes(typeof value);
+}
+
+/**
+ * Serializes a value that is not a container, as part of its parent's hash. Strings, numbers, booleans
+ * and `null` are serialized directly, as they make up most of the leaves; `NaN` and infinite numbers are
+ * serialized by name, so that they hash apart.
+ *
+ * @param {*} value - The value to serialize.
+ * @param {string} kind - The kind of the value, as returned by `Helper.kindOf`.
+ * @returns {string} The serialized value, prefixed with its kind.
+ */
+function serializeLeaf(value, kind) {
+	switch (kind) {
+		case 'string':
+			return `string:${JSON.stringify(value)}`;
+		case 'number':
+			return `number:${value}`;
+		case 'boolean':
+		case 'null':
+		case 'undefined':
+			return `${kind}:${value}`;
+		default:
+			return `${kind}:${stringify(value)}`;
+	}
+}
+
+/**
+ * Creates a hash function computing structural hashes in a single bottom-up pass: the hash of an array,
+ * object, Map or Set is derived from the hashes of its children, and memoized by object identity, so that
+ * hashing a subtree after its parent costs a lookup instead of a new serialization. Object keys, Map entries
+ * and Set members are sorted, so that their order does not matter, and values of different types (such as a
+ * Date and its ISO string) never hash equal.
+ *
+ * A reference back to an ancestor is hashed as its distance up the tree, so that cyclic graphs hash finitely.
+ * Subtrees holding references to objects above them are not memoized, since their hash depends on where they
+ * are reached from. Memoized hashes assume that the hashed values are not mutated, so a hasher should not
+ * outlive a single comparison.
+ *
+ * With a `normalize` or an `arrayMode` function, the hash of a value also depends on its path: the path of
+ * each value is tracked from the one given to the hash function, and hashes are memoized per path.
+ *
+ * @param {Object} [options] - Optional settings.
+ * @param {boolean} [options.keepUndefined=false] - Whether `undefined` values are hashed as values of their own,
+ *                      rather than left out of objects and turned into `null` in arrays as JSON does.
+ * @param {Function} [options.normalize] - A function taking a value and its path, and returning the value to hash
+ *                      in its place.
+ * @param {Function} [options.arrayMode] - A function taking the path of an array and returning how it is compared
+ *                      (see `ArrayDiffMode`): arrays compared as sets hash equal whatever the order and the repetitions
+ *                      of their elements, arrays compared as multisets whatever their order.
+ * @param {Function} [options.onHash] - A function called with the serialization of each array, object, Map or Set
+ *                      hashed, memoized hashes excluded.
+ * @param {Function} [options.digest] - The function hashing a serialization into a string without `:`, SHA-256 in
+ *                      hexadecimal by default.
+ * @param {Function} [options.check] - A function called before each array, object, Map or Set is hashed, memoized
+ *                      hashes excluded, throwing to stop the hashing.
+ * @returns {Function} A function taking any value, and its path when paths are tracked, and returning its hash. Its
+ *          `peek(value, path)` method returns the memoized hash of an array, object, Map or Set without computing
+ *          it: `undefined` when it was not hashed yet. Its `equal(prior, latest, path)` method tells whether two
+ *          values hash equal, walking them side by side where it can rather than hashing them (see `walk`).
+ */
+function createHasher({
+	keepUndefined = false,
+	normalize,
+	arrayMode,
+	onHash,
+	digest: digestOf = defaultDigest,
+	check,
+} = {}) {
+	const skips = (value) =>
+		isSkipped(value) && !(keepUndefined && value === undefined);
+	const tracksPaths = Boolean(normalize || arrayMode);
+	const memo = new WeakMap();
+	const recall = (value, path) =>
+		tracksPaths ? memo.has(value) && memo.get(value).get(path) : memo.get(value);
+	const remember = (value, path, digest) => {
+		if (!tracksPaths) return memo.set(value, digest);
+		if (!memo.has(value)) memo.set(value, new Map());
+		memo.get(value).set(path, digest);
+	};
+
+	// The containers found equal, or not, while walking them, with the containers they were walked with.
+	const walkedEqual = new WeakMap();
+	const walkedUnequal = new WeakMap();
+
+	// The depth of the shallowest ancestor referenced from within the value visited last (`Infinity` if none),
+	// set by `visit` rather than returned, so that hashing a leaf allocates nothing.
+	let lastReach = Infinity;
+
+	/**
+	 * Computes the hash of a value, and sets `lastReach`.
+	 *
+	 * @param {*} value - The value to hash.
+	 * @param {string} key - The key of the value in its parent, passed to `toJSON` methods.
+	 * @param {string} path - The path of the value, when paths are tracked.
+	 * @param {Map<Object, number>} ancestors - The objects being hashed above the value, with their depth.
+	 * @returns {string} The hash.
+	 */
+	function visit(value, key, path, ancestors) {
+		if (normalize) value = normalize(value, path);
+		const kind = Helper.kindOf(value);
+		lastReach = Infinity;
+		if (!CONTAINER_KINDS.includes(kind)) return serializeLeaf(value, kind);
+		const memoized = recall(value, path);
+		if (memoized) return memoized;
+		if (ancestors.has(value)) {
+			const depth = ancestors.get(value);
+			lastReach = depth;
+			return `ref:${ancestors.size - depth}`;
+		}
+		if (kind === 'object' && typeof value.toJSON === 'function') {
+			return visit(value.toJSON(key), key, path, ancestors);
+		}
+		if (check) check();
+
+		const depth = ancestors.size;
+		let reach = Infinity;
+		const visitChild = (child, childKey, childPath) => {
+			// Primitives are serialized in place, sparing the lookups a container needs.
+			if (!normalize && (child === null || typeof child !== 'object')) {
+				return serializeLeaf(child, child === null ? 'null' : typeof child);
+			}
+			const digest = visit(child, childKey, childPath, ancestors);
+			if (lastReach < reach) reach = lastReach;
+			return digest.includes(':') ? digest : JSON.stringify(digest);
+		};
+
+		// The serialization lists the hashes of the children (`[key, hash]` pairs for objects and Maps) in
+		// brackets. Serialized children are embedded as they are, each being delimited by its own syntax, and
+		// only digests are quoted, so that nested strings are not escaped again at every level.
+		let content;
+		ancestors.set(value, depth);
+		switch (kind) {
+			case 'array': {
+				const mode = arrayMode && arrayMode(path);
+				const digests = [];
+				for (let i = 0; i < value.length; i++) {
+					const item = value[i];
+					digests.push(
+						visitChild(
+							skips(item) ? null : item,
+							String(i),
+							tracksPaths ? `${path}[${i}]` : path
+						)
+					);
+				}
+				if (mode === ArrayDiffMode.Set) {
+					content = `[${[...new Set(digests)].sort().join(',')}]`;
+				} else {
+					if (mode === ArrayDiffMode.Multiset) digests.sort();
+					content = `[${digests.join(',')}]`;
+				}
+				break;
+			}
+			case 'map':
+				content = `[${[...value]
+					.map(([mapKey, mapValue]) => [
+						stringify(mapKey),
+						visitChild(
+							mapValue,
+							'',
+							tracksPaths ? `${path}${formatKey(mapKey)}` : path
+						),
+					])
+					.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+					.map(([mapKey, digest]) => `[${mapKey},${digest}]`)
+					.join(',')}]`;
+				break;
+			case 'set':
+				content = `[${[...value]
+					.map((member) =>
+						visitChild(member, '', tracksPaths ? `${path}${formatKey(member)}` : path)
+					)
+					.sort()
+					.join(',')}]`;
+				break;
+			default: {
+				const keys = Object.keys(value).sort();
+				const symbols = Object.getOwnPropertySymbols(value);
+				if (symbols.length) {
+					symbols
+						.filter((symbol) =>
+							Object.prototype.propertyIsEnumerable.call(value, symbol)
+						)
+						.sort((a, b) => (String(a) < String(b) ? -1 : 1))
+						.forEach((symbol) => keys.push(symbol));
+				}
+				content = '';
+				for (const objectKey of keys) {
+					const child = value[objectKey];
+					if (skips(child)) continue;
+					const name = String(objectKey);
+					const digest = visitChild(
+						child,
+						name,
+						tracksPaths ? appendKey(path, objectKey) : path
+					);
+					content += `${content ? ',' : '['}[${JSON.stringify(name)},${digest}]`;
+				}
+				content = content ? `${content}]` : '[]';
+			}
+		}
+		ancestors.delete(value);
+
+		// Short contents are their own digest: digests never contain the `:` following their kind.
+		const serialized = `${kind}:${content}`;
+		if (onHash) onHash(serialized);
+		const digest =
+			serialized.length < DIGEST_LENGTH ? serialized : digestOf(serialized);
+		lastReach = reach < depth ? reach : Infinity;
+		if (reach >= depth) remember(value, path, digest);
+		return digest;
+	}
+
+	/**
+	 * Tells whether two values hash equal by walking them side by side, down the arrays and the plain objects
+	 * they share, and stopping at the first difference. Walking allocates no serialization, so values compared
+	 * once are never hashed: only the other containers met on the way, such as Maps, Sets or objects with a
+	 * `toJSON` method, are compared by their hashes. The outcome is memoized for each pair of containers walked,
+	 * so that comparing them again, once their parents are found to differ, costs a lookup. Paths are not
+	 * tracked, so the hasher must not track them.
+	 *
+	 * @param {*} prior - The first value.
+	 * @param {*} latest - The second value.
+	 * @param {Set<Object>} ancestors - The prior containers being walked above the values.
+	 * @returns {boolean|undefined} Whether the values hash equal, `undefined` when the prior value refers back
+	 *          to one of its ancestors: references are hashed by their distance up the tree, so the values
+	 *          must then be hashed whole.
+	 */
+	function walk(prior, latest, ancestors) {
+		if (prior === latest) return true;
+		if (!Helper.isObject(prior) || !Helper.isObject(latest)) {
+			const type = typeof prior;
+			if (
+				type !== typeof latest ||
+				Helper.isObject(prior) !== Helper.isObject(latest)
+			) {
+				return false;
+			}
+			// NaN is the only number not equal to itself
+			if (type === 'number') return prior !== prior && latest !== latest;
+			return (
+				(type === 'function' || type === 'symbol') &&
+				serializeLeaf(prior, type) === serializeLeaf(latest, type)
+			);
+		}
+		const kind = Helper.kindOf(prior);
+		const latestKind = Helper.kindOf(latest);
+		const converts = (value, valueKind) =>
+			valueKind === 'object' && typeof value.toJSON === 'function';
+		if (converts(prior, kind) || converts(latest, latestKind)) {
+			return hash(prior) === hash(latest);
+		}
+		if (kind !== latestKind) return false;
+		if (
+			(kind !== 'array' && kind !== 'object') ||
+			(kind === 'object' &&
+				(Object.getOwnPropertySymbols(prior).length ||
+					Object.getOwnPropertySymbols(latest).length))
+		) {
+			return hash(prior) === hash(latest);
+		}
+		if (ancestors.has(prior)) return undefined;
+		if (walkedEqual.get(prior) === latest) return true;
+		if (walkedUnequal.get(prior) === latest) return false;
+		if (check) check();
+
+		let equal = true;
+		ancestors.add(prior);
+		if (kind === 'array') {
+			if (prior.length !== latest.length) equal = false;
+			for (let i = 0; equal === true && i < prior.length; i++) {
+				const item = prior[i];
+				const other = latest[i];
+				equal = walk(
+					skips(item) ? null : item,
+					skips(other) ? null : other,
+					ancestors
+				);
+			}
+		} else {
+			// Keys holding skipped values are left out of both objects, as they are of their hashes.
+			const keys = Object.keys(prior);
+			let present = 0;
+			for (let i = 0; equal === true && i < keys.length; i++) {
+				const value = prior[keys[i]];
+				if (skips(value)) continue;
+				present++;
+				const other = Object.prototype.propertyIsEnumerable.call(latest, keys[i])
+					? latest[keys[i]]
+					: undefined;
+				equal = !skips(other) && walk(value, other, ancestors);
+			}
+			if (equal === true) {
+				const otherKeys = Object.keys(latest);
+				equal =
+					otherKeys.length === present ||
+					otherKeys.filter((key) => !skips(latest[key])).length === present;
+			}
+		}
+		ancestors.delete(prior);
+		if (equal !== undefined)
+			(equal ? walkedEqual : walkedUnequal).set(prior, latest);
+		return equal;
+	}
+
+	const hash = (value, path = '') => visit(value, '', path, new Map());
+	hash.equal = (prior, latest, path = '') => {
+		const equal = tracksPaths ? undefined : walk(prior, latest, new Set());
+		return equal === undefined ? hash(prior, path) === hash(latest, path) : equal;
+	};
+	hash.peek = (value, path = '') => {
+		const normalized = normalize ? normalize(value, path) : value;
+		if (!CONTAINER_KINDS.includes(Helper.kindOf(normalized))) return undefined;
+		return recall(normalized, path) || undefined;
+	};
+	return hash;
 }
 
 /**
@@ -19,13 +353,18 @@ function computeHash(data) {
  *
  * @param {Object|Array} priorVersion - The original or older version to compare.
  * @param {Object|Array} latestVersion - The updated or newer version to compare.
+ * @param {Function} [hash=computeHash] - The hash function to use, such as one returned by `createHasher`, whose
+ *                      `equal` method then compares the versions.
+ * @param {string} [path] - The path of both versions, for hash functions tracking paths.
  * @returns {boolean} - Returns `true` if the hashes of both versions are equal, indicating no changes; otherwise, returns `false`.
  */
-function hashCompare(priorVersion, latestVersion) {
-	return computeHash(priorVersion) === computeHash(latestVersion);
+function hashCompare(priorVersion, latestVersion, hash = computeHash, path) {
+	if (hash.equal) return hash.equal(priorVersion, latestVersion, path);
+	return hash(priorVersion, path) === hash(latestVersion, path);
 }
 
 module.exports = {
 	computeHash,
+	createHasher,
 	hashCompare,
 };
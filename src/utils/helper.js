@@ -3,17 +3,114 @@ const Helper = {
 		return value != null && typeof value === 'object';
 	},
 
+	kindOf: function (value) {
+		if (value === null) return 'null';
+		if (typeof value !== 'object') return typeof value;
+		if (Array.isArray(value)) return 'array';
+		if (value instanceof Date) return 'date';
+		if (value instanceof RegExp) return 'regexp';
+		if (value instanceof Map) return 'map';
+		if (value instanceof Set) return 'set';
+		if (ArrayBuffer.isView(value)) return 'binary';
+		return 'object';
+	},
+
+	ownEntries: function (value) {
+		return Reflect.ownKeys(value)
+			.filter((key) => Object.prototype.propertyIsEnumerable.call(value, key))
+			.map((key) => [key, value[key]]);
+	},
+
+	defineOwn: function (target, key, value) {
+		Object.defineProperty(target, key, {
+			value,
+			enumerable: true,
+			writable: true,
+			configurable: true,
+		});
+	},
+
 	areBothArrays: function (val1, val2) {
 		return Array.isArray(val1) && Array.isArray(val2);
 	},
 
 	areBothObjects: function (val1, val2) {
-		return this.isObject(val1) && this.isObject(val2);
+		return this.kindOf(val1) === 'object' && this.kindOf(val2) === 'object';
 	},
 
 	areBothDates: function (val1, val2) {
 		return val1 instanceof Date && val2 instanceof Date;
 	},
+
+	areBothRegExps: function (val1, val2) {
+		return val1 instanceof RegExp && val2 instanceof RegExp;
+	},
+
+	areBothMaps: function (val1, val2) {
+		return val1 instanceof Map && val2 instanceof Map;
+	},
+
+	areBothSets: function (val1, val2) {
+		return val1 instanceof Set && val2 instanceof Set;
+	},
+
+	areBothBinaries: function (val1, val2) {
+		return this.kindOf(val1) === 'binary' && this.kindOf(val2) === 'binary';
+	},
+
+	haveSameBytes: function (val1, val2) {
+		if (val1.constructor !== val2.constructor) return false;
+		if (val1.byteLength !== val2.byteLength) return false;
+		const bytes1 = new Uint8Array(val1.buffer, val1.byteOffset, val1.byteLength);
+		const bytes2 = new Uint8Array(val2.buffer, val2.byteOffset, val2.byteLength);
+		return bytes1.every((byte, i) => byte === bytes2[i]);
+	},
+
+	clone: function (value, clones = new Map()) {
+		if (clones.has(value)) return clones.get(value);
+		switch (this.kindOf(value)) {
+			case 'date':
+				return new Date(value.getTime());
+			case 'regexp':
+				return new RegExp(value.source, value.flags);
+			case 'binary':
+				return value instanceof DataView
+					? new DataView(
+							value.buffer.slice(value.byteOffset, value.byteOffset + value.byteLength)
+					  )
+					: Uint8Array.prototype.slice.call(value);
+			case 'array': {
+				const cloned = [];
+				clones.set(value, cloned);
+				value.forEach((item, i) => {
+					cloned[i] = this.clone(item, clones);
+				});
+				return cloned;
+			}
+			case 'map': {
+				const cloned = new Map();
+				clones.set(value, cloned);
+				value.forEach((val, key) => cloned.set(key, this.clone(val, clones)));
+				return cloned;
+			}
+			case 'set': {
+				const cloned = new Set();
+				clones.set(value, cloned);
+				value.forEach((member) => cloned.add(this.clone(member, clones)));
+				return cloned;
+			}
+			case 'object': {
+				const cloned = {};
+				clones.set(value, cloned);
+				this.ownEntries(value).forEach(([key, val]) => {
+					this.defineOwn(cloned, key, this.clone(val, clones));
+				});
+				return cloned;
+			}
+			default:
+				return value;
+		}
+	},
 };
 
 module.exports = Helper;
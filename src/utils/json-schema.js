@@ -0,0 +1,135 @@
+const { segmentsToPointer } = require('./parse-path');
+const Helper = require('./helper');
+
+/**
+ * Tells whether a value has a JSON Schema type.
+ *
+ * @param {*} value - The value.
+ * @param {string} type - The type: `null`, `boolean`, `number`, `integer`, `string`, `array` or `object`.
+ * @returns {boolean} `true` if the value has the type.
+ */
+function hasType(value, type) {
+	switch (type) {
+		case 'integer':
+			return Number.isInteger(value);
+		case 'array':
+			return Array.isArray(value);
+		case 'object':
+			return Helper.kindOf(value) === 'object';
+		case 'null':
+			return value === null;
+		default:
+			return typeof value === type;
+	}
+}
+
+/**
+ * Creates a validator of JSON documents against a JSON Schema (draft 2020-12), restricted to the keywords
+ * the schemas of this package use: `$ref` (to the `$defs` of the schema), `type`, `const`, `enum`,
+ * `properties`, `required`, `additionalProperties`, `items`, `prefixItems`, `minItems`, `maxItems`,
+ * `minimum`, `pattern`, `allOf` and `if`/`then`/`else`. Annotations are ignored.
+ *
+ * @param {Object} schema - The schema.
+ * @returns {Function} A function taking a document and returning its errors, `{ path, message }` objects
+ *          locating each error by a JSON Pointer, empty if the document is valid.
+ */
+function createSchemaValidator(schema) {
+	const resolve = (ref) => {
+		const name = ref.replace(/^#\/\$defs\//, '');
+		if (!schema.$defs || !schema.$defs[name]) {
+			throw new Error(`Unknown schema reference: ${ref}`);
+		}
+		return schema.$defs[name];
+	};
+
+	/**
+	 * Validates a value against a subschema.
+	 *
+	 * @param {Object|boolean} subschema - The subschema.
+	 * @param {*} value - The value.
+	 * @param {Array<string|number>} segments - The segments of the location of the value.
+	 * @param {Object[]} errors - The errors found so far, to which those of the value are added.
+	 */
+	function check(subschema, value, segments, errors) {
+		const fail = (message, at = segments) =>
+			errors.push({ path: segmentsToPointer(at), message });
+		if (subschema === true) return;
+		if (subschema === false) return fail('is not allowed');
+		if (subschema.$ref) check(resolve(subschema.$ref), value, segments, errors);
+
+		const { type } = subschema;
+		if (type !== undefined) {
+			const types = [].concat(type);
+			if (!types.some((name) => hasType(value, name))) {
+				return fail(`must be of type ${types.join(' or ')}`);
+			}
+		}
+		if ('const' in subschema && value !== subschema.const) {
+			return fail(`must be ${JSON.stringify(subschema.const)}`);
+		}
+		if (subschema.enum && !subschema.enum.includes(value)) {
+			return fail(
+				`must be one of ${subschema.enum
+					.map((item) => JSON.stringify(item))
+					.join(', ')}`
+			);
+		}
+		if (typeof value === 'string' && subschema.pattern !== undefined) {
+			if (!new RegExp(subschema.pattern, 'u').test(value)) {
+				fail(`must match ${subschema.pattern}`);
+			}
+		}
+		if (typeof value === 'number' && subschema.minimum !== undefined) {
+			if (value < subschema.minimum) fail(`must be at least ${subschema.minimum}`);
+		}
+		if (Array.isArray(value)) {
+			const { prefixItems = [], items, minItems, maxItems } = subschema;
+			if (minItems !== undefined && value.length < minItems) {
+				fail(`must have at least ${minItems} items`);
+			}
+			if (maxItems !== undefined && value.length > maxItems) {
+				fail(`must have at most ${maxItems} items`);
+			}
+			value.forEach((item, i) => {
+				const itemSchema = i < prefixItems.length ? prefixItems[i] : items;
+				if (itemSchema !== undefined) {
+					check(itemSchema, item, [...segments, i], errors);
+				}
+			});
+		}
+		if (hasType(value, 'object')) {
+			const { properties = {}, required = [], additionalProperties } = subschema;
+			required
+				.filter((name) => !Object.prototype.hasOwnProperty.call(value, name))
+				.forEach((name) => fail(`must have a ${name} property`));
+			Object.keys(value).forEach((name) => {
+				const propertySchema = Object.prototype.hasOwnProperty.call(
+					properties,
+					name
+				)
+					? properties[name]
+					: additionalProperties;
+				if (propertySchema !== undefined) {
+					check(propertySchema, value[name], [...segments, name], errors);
+				}
+			});
+		}
+		(subschema.allOf || []).forEach((part) =>
+			check(part, value, segments, errors)
+		);
+		if (subschema.if !== undefined) {
+			const matches = [];
+			check(subschema.if, value, segments, matches);
+			const branch = matches.length ? subschema.else : subschema.then;
+			if (branch !== undefined) check(branch, value, segments, errors);
+		}
+	}
+
+	return (document) => {
+		const errors = [];
+		check(schema, document, [], errors);
+		return errors;
+	};
+}
+
+module.exports = { createSchemaValidator };
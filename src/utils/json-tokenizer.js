@@ -0,0 +1,255 @@
+const fs = require('fs');
+const Helper = require('./helper');
+
+const WHITESPACE = /[ \t\n\r]/;
+const SCALAR = /[\w.+-]*/y;
+const NUMBER = /^-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?$/;
+const LITERALS = { true: true, false: false, null: null };
+
+/**
+ * Turns a JSON source into an async iterator of chunks. A string is read as a file path; Node.js
+ * readable streams and any other (async) iterable of strings or Buffers are read as they are.
+ *
+ * @param {string|AsyncIterable<string|Buffer>|Iterable<string|Buffer>} source - The JSON source.
+ * @returns {AsyncIterator<string|Buffer>|Iterator<string|Buffer>} The iterator of chunks.
+ * @throws {Error} If the source cannot be iterated.
+ */
+function toChunkIterator(source) {
+	if (typeof source === 'string') {
+		return fs.createReadStream(source)[Symbol.asyncIterator]();
+	}
+	if (source && typeof source[Symbol.asyncIterator] === 'function') {
+		return source[Symbol.asyncIterator]();
+	}
+	if (source && typeof source[Symbol.iterator] === 'function') {
+		return source[Symbol.iterator]();
+	}
+	throw new Error(
+		'A JSON source must be a file path, a readable stream or an iterable of chunks.'
+	);
+}
+
+/**
+ * Creates a tokenizer reading a JSON document incrementally, pulling chunks from its source only when
+ * the current ones are exhausted, so that only the chunk being read is held in memory.
+ * Tokens are `{ type }` objects, typed as `startObject`, `endObject`, `startArray`, `endArray`,
+ * `key` and `value` (both holding a `value`), then `end` once the document is complete.
+ *
+ * @param {string|AsyncIterable<string|Buffer>|Iterable<string|Buffer>} source - The JSON source
+ *                      (see `toChunkIterator`).
+ * @returns {{ peek: Function, next: Function, close: Function }} The tokenizer: `next()` resolves to the
+ *          next token and consumes it, `peek()` resolves to it without consuming it, and `close()` releases
+ *          the source (closing the file it reads, for instance).
+ * @throws {Error} Through its methods, if the document is not valid JSON.
+ */
+function createJsonTokenizer(source) {
+	const chunks = toChunkIterator(source);
+	const decoder = new TextDecoder();
+	const stack = [];
+	let text = '';
+	let offset = 0;
+	let consumed = 0;
+	let done = false;
+	let expected = 'value';
+	let peeked;
+
+	async function fill() {
+		if (done) return false;
+		const { value, done: exhausted } = await chunks.next();
+		const chunk = exhausted
+			? decoder.decode()
+			: typeof value === 'string'
+			? value
+			: decoder.decode(value, { stream: true });
+		done = exhausted;
+		consumed += offset;
+		text = text.slice(offset) + chunk;
+		offset = 0;
+		return true;
+	}
+
+	function unexpected(position = offset) {
+		return position < text.length
+			? new Error(
+					`Unexpected token ${text[position]} in JSON at position ${
+						consumed + position
+					}`
+			  )
+			: new Error('Unexpected end of JSON input');
+	}
+
+	async function peekChar() {
+		for (;;) {
+			while (offset < text.length && WHITESPACE.test(text[offset])) offset++;
+			if (offset < text.length || !(await fill())) return text[offset];
+		}
+	}
+
+	async function readString() {
+		let end = offset + 1;
+		for (;;) {
+			const quote = text.indexOf('"', end);
+			if (quote === -1) {
+				const scanned = text.length - offset;
+				if (!(await fill())) throw unexpected(text.length);
+				end = scanned;
+				continue;
+			}
+			let backslashes = 0;
+			while (text[quote - 1 - backslashes] === '\\') backslashes++;
+			if (backslashes % 2 === 0) {
+				const value = JSON.parse(text.slice(offset, quote + 1));
+				offset = quote + 1;
+				return value;
+			}
+			end = quote + 1;
+		}
+	}
+
+	async function readScalar() {
+		for (;;) {
+			SCALAR.lastIndex = offset;
+			SCALAR.exec(text);
+			if (SCALAR.lastIndex < text.length || !(await fill())) break;
+		}
+		const scalar = text.slice(offset, SCALAR.lastIndex);
+		if (Object.prototype.hasOwnProperty.call(LITERALS, scalar)) {
+			offset += scalar.length;
+			return LITERALS[scalar];
+		}
+		if (!NUMBER.test(scalar)) throw unexpected();
+		offset += scalar.length;
+		return Number(scalar);
+	}
+
+	async function read() {
+		for (;;) {
+			const char = await peekChar();
+			const context = stack[stack.length - 1];
+
+			if (expected === 'separator') {
+				if (!context) {
+					if (char === undefined) return { type: 'end' };
+					throw unexpected();
+				}
+				if (char === ',') {
+					offset++;
+					expected = context === 'object' ? 'key' : 'value';
+					continue;
+				}
+				if (char === (context === 'object' ? '}' : ']')) {
+					offset++;
+					stack.pop();
+					return { type: context === 'object' ? 'endObject' : 'endArray' };
+				}
+				throw unexpected();
+			}
+
+			if (expected === 'key' || expected === 'firstKey') {
+				if (char === '}' && expected === 'firstKey') {
+					offset++;
+					stack.pop();
+					expected = 'separator';
+					return { type: 'endObject' };
+				}
+				if (char !== '"') throw unexpected();
+				const key = await readString();
+				if ((await peekChar()) !== ':') throw unexpected();
+				offset++;
+				expected = 'value';
+				return { type: 'key', value: key };
+			}
+
+			if (char === ']' && expected === 'firstValue') {
+				offset++;
+				stack.pop();
+				expected = 'separator';
+				return { type: 'endArray' };
+			}
+			if (char === '{' || char === '[') {
+				offset++;
+				stack.push(char === '{' ? 'object' : 'array');
+				expected = char === '{' ? 'firstKey' : 'firstValue';
+				return { type: char === '{' ? 'startObject' : 'startArray' };
+			}
+			if (char === undefined) throw unexpected();
+			const value = char === '"' ? await readString() : await readScalar();
+			expected = 'separator';
+			return { type: 'value', value };
+		}
+	}
+
+	return {
+		async peek() {
+			if (!peeked) peeked = await read();
+			return peeked;
+		},
+
+		async next() {
+			const token = peeked || (await read());
+			peeked = undefined;
+			return token;
+		},
+
+		async close() {
+			if (typeof chunks.return === 'function') await chunks.return();
+		},
+	};
+}
+
+/**
+ * Reads the next value of a tokenizer whole, building it in memory.
+ *
+ * @param {{ next: Function }} tokens - The tokenizer (see `createJsonTokenizer`).
+ * @returns {Promise<*>} The value.
+ */
+async function readValue(tokens) {
+	const token = await tokens.next();
+	if (token.type === 'value') return token.value;
+
+	const root = token.type === 'startObject' ? {} : [];
+	const containers = [root];
+	let key;
+	while (containers.length) {
+		const current = await tokens.next();
+		const container = containers[containers.length - 1];
+		if (current.type === 'endObject' || current.type === 'endArray') {
+			containers.pop();
+			continue;
+		}
+		if (current.type === 'key') {
+			key = current.value;
+			continue;
+		}
+		const value =
+			current.type === 'startObject'
+				? {}
+				: current.type === 'startArray'
+				? []
+				: current.value;
+		if (Array.isArray(container)) container.push(value);
+		else if (key === '__proto__') {
+			// Keep it an own property, as JSON.parse does, rather than a prototype change
+			Helper.defineOwn(container, key, value);
+		} else container[key] = value;
+		if (current.type !== 'value') containers.push(value);
+	}
+	return root;
+}
+
+/**
+ * Skips the next value of a tokenizer without building it.
+ *
+ * @param {{ next: Function }} tokens - The tokenizer (see `createJsonTokenizer`).
+ * @returns {Promise<void>}
+ */
+async function skipValue(tokens) {
+	let depth = 0;
+	do {
+		const { type } = await tokens.next();
+		if (type === 'startObject' || type === 'startArray') depth++;
+		else if (type === 'endObject' || type === 'endArray') depth--;
+	} while (depth > 0);
+}
+
+module.exports = { createJsonTokenizer, readValue, skipValue };
@@ -0,0 +1,335 @@
+const { PathFormat } = require('../constants');
+const { stringify, parse } = require('./canonical');
+
+// Keys written after a dot in dotted paths; others are quoted in brackets, e.g. `root["a.b"]`.
+const PLAIN_KEY = /^[^.[\]<]+$/;
+// Keys written after a dot in JSONPath expressions; others are quoted in brackets, e.g. `$['a.b']`.
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+// Array indexes, as written in JSON Pointers and JSONPath expressions.
+const INDEX = /^(?:0|[1-9]\d*)$/;
+
+/**
+ * Reads the label of a Map key or Set member segment, such as `<"theme">` or `<{"id":1}>`,
+ * skipping the brackets and quotes nested inside the serialized value.
+ *
+ * @param {string} path - The path being read.
+ * @param {number} start - The index right after the opening `<`.
+ * @returns {number} The index of the closing `>`, or -1 if there is none.
+ */
+function findLabelEnd(path, start) {
+	let depth = 0;
+	let inString = false;
+	for (let i = start; i < path.length; i++) {
+		const char = path[i];
+		if (inString) {
+			if (char === '\\') i++;
+			else if (char === '"') inString = false;
+		} else if (char === '"') inString = true;
+		else if (char === '{' || char === '[') depth++;
+		else if (char === '}' || char === ']') depth--;
+		else if (char === '>' && depth === 0) return i;
+	}
+	return -1;
+}
+
+/**
+ * Splits a dotted path into raw tokens: `[...]` contents, `<...>` labels, dotted keys and the keys quoted
+ * in brackets, such as `["a.b"]`.
+ *
+ * @param {string} path - The path to split.
+ * @returns {{ type: string, value: string }[]} The tokens, typed as `index`, `label`, `key` or `quoted`
+ *          (the value of the latter being the unquoted key).
+ */
+function tokenizePath(path) {
+	const tokens = [];
+	const pattern = /\[("(?:[^"\\]|\\.)*")\]|\[([^\]]*)\]|([^.[\]<]+)|(<)/g;
+	let match;
+	while ((match = pattern.exec(path)) !== null) {
+		if (match[1] !== undefined) {
+			tokens.push({ type: 'quoted', value: JSON.parse(match[1]) });
+		} else if (match[2] !== undefined) {
+			tokens.push({ type: 'index', value: match[2] });
+		} else if (match[3] !== undefined) {
+			tokens.push({ type: 'key', value: match[3] });
+		} else {
+			const end = findLabelEnd(path, pattern.lastIndex);
+			if (end === -1) {
+				tokens.push({ type: 'key', value: path.slice(match.index) });
+				break;
+			}
+			tokens.push({
+				type: 'label',
+				value: path.slice(pattern.lastIndex, end),
+			});
+			pattern.lastIndex = end + 1;
+		}
+	}
+	return tokens;
+}
+
+/**
+ * Splits a dotted path into its segments.
+ *
+ * @param {string} path - The dotted path.
+ * @returns {Array<string|number|{ key: * }>} The segments.
+ */
+function parseDottedPath(path) {
+	return tokenizePath(path).map(({ type, value }) => {
+		if (type === 'index') {
+			return /^\d+$/.test(value) ? Number(value) : `[${value}]`;
+		}
+		return type === 'label' ? { key: parse(value) } : value;
+	});
+}
+
+/**
+ * Splits a JSONPath expression, as written by `formatPath`, into its segments: `.name` and `['name']`
+ * (or `["name"]`) keys, `[0]` indexes and `<"key">` Map keys or Set members.
+ *
+ * @param {string} path - The JSONPath expression, starting with `$`.
+ * @returns {Array<string|number|{ key: * }>} The segments, starting with `$`.
+ * @throws {Error} If the expression is not such a path.
+ */
+function parseJsonPath(path) {
+	const segments = ['$'];
+	const segment =
+		/\.([A-Za-z_][A-Za-z0-9_]*)|\[(0|[1-9]\d*)\]|\['((?:[^'\\]|\\.)*)'\]|\[("(?:[^"\\]|\\.)*")\]|(<)/y;
+	segment.lastIndex = 1;
+	while (path[0] === '$' && segment.lastIndex < path.length) {
+		const match = segment.exec(path);
+		if (!match) break;
+		if (match[5] !== undefined) {
+			const end = findLabelEnd(path, segment.lastIndex);
+			if (end === -1) break;
+			segments.push({ key: parse(path.slice(segment.lastIndex, end)) });
+			segment.lastIndex = end + 1;
+		} else if (match[1] !== undefined) segments.push(match[1]);
+		else if (match[2] !== undefined) segments.push(Number(match[2]));
+		else if (match[4] !== undefined) segments.push(JSON.parse(match[4]));
+		else {
+			// A single-quoted name escapes its quotes, but not the double quotes JSON expects escaped
+			const quoted = match[3].replace(/\\'|"/g, (char) =>
+				char === '"' ? '\\"' : char.slice(1)
+			);
+			segments.push(JSON.parse(`"${quoted}"`));
+		}
+		if (segment.lastIndex === path.length) return segments;
+	}
+	if (path === '$') return segments;
+	throw new Error(`Invalid JSONPath: ${path}`);
+}
+
+/**
+ * Escapes a reference token of a JSON Pointer: `~` as `~0` and `/` as `~1`.
+ *
+ * @param {string|number} token - The token.
+ * @returns {string} The escaped token.
+ */
+function escapeToken(token) {
+	return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Converts path segments into a JSON Pointer (RFC 6901).
+ *
+ * @param {Array<string|number>} segments - The segments of the path, root excluded.
+ * @returns {string} The JSON Pointer.
+ * @throws {Error} If a segment is a Map key or a Set member.
+ */
+function segmentsToPointer(segments) {
+	return segments
+		.map((segment) => {
+			if (typeof segment === 'object') {
+				throw new Error(
+					'Map and Set entries cannot be expressed as JSON Pointers.'
+				);
+			}
+			return `/${escapeToken(segment)}`;
+		})
+		.join('');
+}
+
+/**
+ * Splits a JSON Pointer (RFC 6901) into its unescaped reference tokens.
+ *
+ * @param {string} pointer - The JSON Pointer.
+ * @returns {string[]} The reference tokens.
+ * @throws {Error} If the pointer is not valid.
+ */
+function pointerToTokens(pointer) {
+	if (pointer === '') return [];
+	if (typeof pointer !== 'string' || !pointer.startsWith('/')) {
+		throw new Error(`Invalid JSON Pointer: ${pointer}`);
+	}
+	return pointer
+		.slice(1)
+		.split('/')
+		.map((token) => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * Tells the format of a path: `'segments'` for arrays, `'pointer'` for strings empty or starting with `/`,
+ * `'jsonpath'` for strings starting with `$` followed by `.`, `[` or nothing, `'dotted'` otherwise.
+ *
+ * @param {string|Array} path - The path.
+ * @returns {string} The format of the path (see `PathFormat`).
+ */
+function detectPathFormat(path) {
+	if (Array.isArray(path)) return PathFormat.Segments;
+	if (path === '' || path.startsWith('/')) return PathFormat.Pointer;
+	if (/^\$(?:$|[.[])/.test(path)) return PathFormat.JsonPath;
+	return PathFormat.Dotted;
+}
+
+/**
+ * Splits a changelog path such as `root.a.b[3]` into its segments. Object keys are returned as strings,
+ * array indexes as numbers and Map keys or Set members (written as `<"key">`) as `{ key }` objects.
+ * Paths in the other formats of `formatPath` are read too: JSONPath expressions, whose root is `$`, and
+ * JSON Pointers, whose root is the empty string and whose tokens made of digits are read as indexes
+ * (and those starting with `~2` as Map keys or Set members).
+ *
+ * @param {string|Array} path - The path to split.
+ * @param {string} [format] - The format of the path (see `PathFormat`), told from the path by default.
+ * @returns {Array<string|number|{ key: * }>} The segments of the path, starting with the root name.
+ * @throws {Error} If the path is not valid in its format.
+ *
+ * @example
+ * parsePath('root.items[0]["a.b"]'); // ['root', 'items', 0, 'a.b']
+ * parsePath("$.items[0]['a.b']"); // ['$', 'items', 0, 'a.b']
+ * parsePath('/items/0/a.b'); // ['', 'items', 0, 'a.b']
+ */
+function parsePath(path, format = detectPathFormat(path)) {
+	switch (format) {
+		case PathFormat.Segments:
+			return [...path];
+		case PathFormat.JsonPath:
+			return parseJsonPath(path);
+		case PathFormat.Pointer: {
+			const tokens = pointerToTokens(path);
+			const raw = path.split('/').slice(1);
+			return [
+				'',
+				...tokens.map((token, i) => {
+					// Tested before unescaping, so that a `~2` key, escaped as `~02`, stays a key
+					if (raw[i].startsWith('~2')) return { key: parse(token.slice(2)) };
+					return INDEX.test(token) ? Number(token) : token;
+				}),
+			];
+		}
+		case PathFormat.Dotted:
+			return parseDottedPath(path);
+		default:
+			throw new Error(`Unknown path format: ${format}`);
+	}
+}
+
+/**
+ * Formats the segment of a Map key or Set member.
+ *
+ * @param {*} key - The Map key or Set member.
+ * @returns {string} The path segment, such as `<"theme">`.
+ */
+function formatKey(key) {
+	return `<${stringify(key)}>`;
+}
+
+/**
+ * Appends an object key to a dotted path: after a dot, or quoted in brackets when it holds characters
+ * that would otherwise read as nesting (`.`, `[`, `]`, `<`) or is empty, e.g. `root["a.b"]`.
+ *
+ * @param {string} path - The dotted path of the object.
+ * @param {string|symbol} key - The key.
+ * @returns {string} The dotted path of the key.
+ */
+function appendKey(path, key) {
+	const name = String(key);
+	return PLAIN_KEY.test(name)
+		? `${path}.${name}`
+		: `${path}[${JSON.stringify(name)}]`;
+}
+
+/**
+ * Formats a key of a JSONPath expression: after a dot when it is an identifier, quoted in brackets
+ * otherwise, as RFC 9535 normalized paths write them.
+ *
+ * @param {string} key - The key.
+ * @returns {string} The segment, such as `.name` or `['a.b']`.
+ */
+function jsonPathKey(key) {
+	if (IDENTIFIER.test(key)) return `.${key}`;
+	const escaped = JSON.stringify(key)
+		.slice(1, -1)
+		.replace(/\\"/g, '"')
+		.replace(/'/g, (quote) => `\\${quote}`);
+	return `['${escaped}']`;
+}
+
+/**
+ * Joins segments back into a path, the reverse of `parsePath`. Dotted paths start with the root name, and
+ * quote in brackets the keys that would otherwise be ambiguous (see `appendKey`). JSONPath expressions start
+ * with `$` and JSON Pointers with nothing, whatever the root name. Neither standard can express Map keys nor
+ * Set members, so both are extended: JSONPath writes them as dotted paths do, e.g. `$.m<"k">`, and JSON
+ * Pointers as tokens starting with `~2`, an escape RFC 6901 leaves unused, e.g. `/m/~2"k"`. Segments are
+ * returned as an array copy.
+ *
+ * @param {Array<string|number|{ key: * }>} segments - The segments of the path, starting with the root name.
+ * @param {string} [format='dotted'] - The format of the path (see `PathFormat`).
+ * @returns {string|Array} The path.
+ * @throws {Error} If the format is unknown.
+ */
+function formatPath([root, ...segments], format = PathFormat.Dotted) {
+	switch (format) {
+		case PathFormat.Segments:
+			return [root, ...segments];
+		case PathFormat.Pointer:
+			return segments
+				.map((segment) =>
+					typeof segment === 'object'
+						? `/~2${escapeToken(stringify(segment.key))}`
+						: `/${escapeToken(segment)}`
+				)
+				.join('');
+		case PathFormat.JsonPath:
+			return segments.reduce((path, segment) => {
+				if (typeof segment === 'number') return `${path}[${segment}]`;
+				if (typeof segment === 'object') return `${path}${formatKey(segment.key)}`;
+				return `${path}${jsonPathKey(String(segment))}`;
+			}, '$');
+		case PathFormat.Dotted:
+			return segments.reduce((path, segment) => {
+				if (typeof segment === 'number') return `${path}[${segment}]`;
+				if (typeof segment === 'object') return `${path}${formatKey(segment.key)}`;
+				return appendKey(path, segment);
+			}, root);
+		default:
+			throw new Error(`Unknown path format: ${format}`);
+	}
+}
+
+/**
+ * Compiles the `pathFormat` option of a deep comparer into a function converting the dotted paths the
+ * comparer builds into that format.
+ *
+ * @param {string} [format='dotted'] - The format of the paths (see `PathFormat`).
+ * @returns {Function|undefined} The function converting a dotted path, `undefined` for dotted paths.
+ * @throws {Error} If the format is unknown.
+ */
+function compilePathFormat(format = PathFormat.Dotted) {
+	if (!Object.values(PathFormat).includes(format)) {
+		throw new Error(`Unknown path format: ${format}`);
+	}
+	if (format === PathFormat.Dotted) return undefined;
+	return (path) => formatPath(parseDottedPath(path), format);
+}
+
+module.exports = {
+	parsePath,
+	detectPathFormat,
+	formatPath,
+	compilePathFormat,
+	formatKey,
+	appendKey,
+	tokenizePath,
+	segmentsToPointer,
+	pointerToTokens,
+};
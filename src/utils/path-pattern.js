@@ -0,0 +1,153 @@
+const { PathFormat } = require('../constants');
+const { parsePath, tokenizePath } = require('./parse-path');
+const { stringify } = require('./canonical');
+const Helper = require('./helper');
+
+const ANY_SEGMENT = '*';
+const ANY_DEPTH = '**';
+
+/**
+ * Splits a path pattern such as `root.orders[*].meta.updatedAt` or `**.password` into tokens.
+ * `*` matches any single segment, `[*]` any index and `**` any number of segments (even none).
+ * Map keys and Set members are written as in changelog paths, e.g. `root.settings<"theme">`, and so are
+ * keys quoted in brackets, e.g. `root["a.b"]`, which match literally: `["*"]` only matches a `*` key.
+ *
+ * @param {string} pattern - The path pattern.
+ * @returns {Array<string|{ index: number|string }|{ label: string }|{ key: string }>} The tokens of the pattern.
+ */
+function parsePattern(pattern) {
+	return tokenizePath(pattern).map(({ type, value }) => {
+		if (type === 'label') return { label: value };
+		if (type === 'quoted') return { key: value };
+		if (type === 'index') {
+			return { index: value === ANY_SEGMENT ? ANY_SEGMENT : Number(value) };
+		}
+		return value;
+	});
+}
+
+/**
+ * Checks whether the segments of a path match the tokens of a pattern.
+ *
+ * @param {Array<string|Object>} tokens - The tokens of the pattern.
+ * @param {Array<string|number>} segments - The segments of the path.
+ * @returns {boolean} `true` if the path matches.
+ */
+function matchTokens(tokens, segments) {
+	const failed = new Set();
+	const match = (t, s) => {
+		if (t === tokens.length) return s === segments.length;
+		if (failed.has(t * (segments.length + 1) + s)) return false;
+
+		const token = tokens[t];
+		const segment = segments[s];
+		let result;
+		if (token === ANY_DEPTH) {
+			result = match(t + 1, s) || (s < segments.length && match(t, s + 1));
+		} else if (s === segments.length) {
+			result = false;
+		} else if (token.label !== undefined) {
+			result =
+				typeof segment === 'object' &&
+				stringify(segment.key) === token.label &&
+				match(t + 1, s + 1);
+		} else if (token.key !== undefined) {
+			result = token.key === segment && match(t + 1, s + 1);
+		} else if (typeof token === 'object') {
+			result =
+				typeof segment === 'number' &&
+				(token.index === ANY_SEGMENT || token.index === segment) &&
+				match(t + 1, s + 1);
+		} else {
+			result = (token === ANY_SEGMENT || token === segment) && match(t + 1, s + 1);
+		}
+
+		if (!result) failed.add(t * (segments.length + 1) + s);
+		return result;
+	};
+	return match(0, 0);
+}
+
+/**
+ * Compiles a single path pattern into a function testing changelog paths against it.
+ *
+ * @param {string} pattern - The path pattern, matched against the whole path (root included).
+ * @returns {Function} A function taking a path and returning `true` if it matches the pattern.
+ */
+function compilePattern(pattern) {
+	const tokens = parsePattern(pattern);
+	return (path) => matchTokens(tokens, parsePath(path, PathFormat.Dotted));
+}
+
+/**
+ * Compiles a list of rules into a single predicate. Each rule can be:
+ * - a bare key name (e.g. `updatedAt`), matching that key anywhere in the tree;
+ * - a path pattern (e.g. `root.orders[*].meta.updatedAt`, `**.password`), see `parsePattern`;
+ * - a function receiving the path and the value, returning `true` if the rule applies.
+ *
+ * Strings still match keys of that very name anywhere, as they did before path patterns, so that rules
+ * such as `a.b` or `items[0]` keep matching the keys named so, besides the paths they describe as patterns.
+ * Strings that are not valid patterns only match such keys.
+ *
+ * @param {Array<string|Function>} [rules] - The rules to compile.
+ * @returns {Function} A predicate taking a path and a value, returning `true` if any rule applies.
+ * @throws {Error} If a rule is neither a string nor a function.
+ */
+function createPathMatcher(rules) {
+	if (typeof rules === 'function') return rules;
+
+	const keys = new Set();
+	const patterns = [];
+	const predicates = [];
+	(rules || []).forEach((rule) => {
+		if (typeof rule === 'function') predicates.push(rule);
+		else if (typeof rule !== 'string') {
+			throw new Error(`Invalid path rule: ${String(rule)}`);
+		} else {
+			keys.add(rule);
+			if (/^[^.[\]*]+$/.test(rule)) return;
+			try {
+				patterns.push(parsePattern(rule));
+			} catch {
+				// Not a pattern: the rule only matches keys of that name.
+			}
+		}
+	});
+
+	if (!keys.size && !patterns.length && !predicates.length) return () => false;
+
+	return (path, value) => {
+		const segments = parsePath(path, PathFormat.Dotted);
+		const last = segments[segments.length - 1];
+		return (
+			(typeof last === 'string' && segments.length > 1 && keys.has(last)) ||
+			patterns.some((tokens) => matchTokens(tokens, segments)) ||
+			predicates.some((predicate) => predicate(path, value))
+		);
+	};
+}
+
+/**
+ * Compiles the `arrayKeys` option into a function returning the identity function of the elements of the
+ * array found at a path: the first rule whose pattern matches the path gives the key of the elements
+ * (missing from the elements that are not objects), or a function returning their identity.
+ *
+ * @param {Object<string, string|Function>} [arrayKeys] - The identity keys or functions, by path pattern.
+ * @returns {Function} A function taking the path of an array, returning the identity function of its
+ *          elements or `undefined`.
+ */
+function compileArrayKeys(arrayKeys) {
+	const rules = Object.entries(arrayKeys || {}).map(([pattern, key]) => ({
+		matches: compilePattern(pattern),
+		identify:
+			typeof key === 'function'
+				? key
+				: (elem) => (Helper.isObject(elem) ? elem[key] : undefined),
+	}));
+	return (path) => {
+		const rule = rules.find(({ matches }) => matches(path));
+		return rule && rule.identify;
+	};
+}
+
+module.exports = { createPathMatcher, compilePattern, compileArrayKeys };
@@ -0,0 +1,78 @@
+const { sha256 } = require('./sha256');
+
+/**
+ * Loads the SHA-256 function of Node.js, several times faster than the portable one. Bundlers map the
+ * `crypto` module to nothing for browsers (see the `browser` field of the package).
+ *
+ * @returns {Function|undefined} The function hashing a string, or `undefined` outside Node.js.
+ */
+function loadNodeSha256() {
+	if (
+		typeof process === 'undefined' ||
+		!process.versions ||
+		!process.versions.node
+	) {
+		return undefined;
+	}
+	try {
+		const crypto = require('crypto');
+		if (!crypto || typeof crypto.createHash !== 'function') return undefined;
+		// The one-shot `crypto.hash` (Node.js 20.12 and later) spares creating a Hash object per digest.
+		if (typeof crypto.hash === 'function') {
+			return (text) => crypto.hash('sha256', text);
+		}
+		return (text) => crypto.createHash('sha256').update(text).digest('hex');
+	} catch {
+		return undefined;
+	}
+}
+
+/**
+ * The default digest function: the SHA-256 of a string, in hexadecimal, computed by Node.js when
+ * available and by the portable implementation otherwise, both giving the same result.
+ *
+ * @type {Function}
+ */
+const defaultDigest = loadNodeSha256() || sha256;
+
+/**
+ * Returns the current time with sub-millisecond precision where the runtime offers it.
+ *
+ * @returns {number} A timestamp, in milliseconds.
+ */
+function now() {
+	return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
+
+/**
+ * Resolves once the event loop had a chance to run other tasks, such as aborting a signal.
+ *
+ * @returns {Promise<void>} A promise resolving on the next turn of the event loop.
+ */
+function yieldToEventLoop() {
+	return new Promise((resolve) =>
+		typeof setImmediate === 'function'
+			? setImmediate(resolve)
+			: setTimeout(resolve, 0)
+	);
+}
+
+/**
+ * Reports a problem that must not interrupt the code it happened in: as a process warning in Node.js,
+ * on the console elsewhere.
+ *
+ * @param {string} message - The message.
+ * @param {string} type - The name of the warning, e.g. `InstrumentationWarning`.
+ */
+function warn(message, type) {
+	if (
+		typeof process !== 'undefined' &&
+		typeof process.emitWarning === 'function'
+	) {
+		process.emitWarning(message, type);
+	} else if (typeof console !== 'undefined') {
+		console.warn(`${type}: ${message}`);
+	}
+}
+
+module.exports = { defaultDigest, now, yieldToEventLoop, warn };
@@ -0,0 +1,184 @@
+// The round constants of SHA-256.
+const K = new Int32Array([
+	0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1,
+	0x923f82a4, 0xab1c5ed5, 0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3,
+	0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174, 0xe49b69c1, 0xefbe4786,
+	0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+	0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147,
+	0x06ca6351, 0x14292967, 0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13,
+	0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85, 0xa2bfe8a1, 0xa81a664b,
+	0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+	0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a,
+	0x5b9cca4f, 0x682e6ff3, 0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208,
+	0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+]);
+// The initial hash value of SHA-256.
+const H = [
+	0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c,
+	0x1f83d9ab, 0x5be0cd19,
+];
+// Inputs up to this size are encoded into a shared buffer rather than a new one.
+const SHARED_SIZE = 64 * 1024;
+
+const encoder = new TextEncoder();
+const schedule = new Int32Array(64);
+const shared = new Uint8Array(SHARED_SIZE);
+// The hexadecimal digits of each byte.
+const HEX_BYTES = Array.from({ length: 256 }, (_, byte) =>
+	byte.toString(16).padStart(2, '0')
+);
+
+/**
+ * Formats a 32-bit word in hexadecimal.
+ *
+ * @param {number} word - The word.
+ * @returns {string} The 8 hexadecimal digits of the word.
+ */
+function toHex(word) {
+	return (
+		HEX_BYTES[(word >>> 24) & 0xff] +
+		HEX_BYTES[(word >>> 16) & 0xff] +
+		HEX_BYTES[(word >>> 8) & 0xff] +
+		HEX_BYTES[word & 0xff]
+	);
+}
+
+/**
+ * Encodes a string in UTF-8 and pads it into 64-byte blocks, as SHA-256 expects.
+ *
+ * @param {string} text - The string.
+ * @returns {{ bytes: Uint8Array, length: number }} The padded message, held in the first `length` bytes.
+ */
+function pad(text) {
+	// A UTF-16 code unit takes at most 3 bytes in UTF-8; the padding at most 72.
+	const maxLength = text.length * 3 + 72;
+	const bytes = maxLength <= SHARED_SIZE ? shared : new Uint8Array(maxLength);
+	const { written } = encoder.encodeInto(text, bytes);
+	const length = Math.ceil((written + 9) / 64) * 64;
+	bytes.fill(0, written, length);
+	bytes[written] = 0x80;
+
+	const high = Math.floor(written / 0x20000000);
+	const low = (written * 8) >>> 0;
+	for (let i = 0; i < 4; i++) {
+		bytes[length - 8 + i] = high >>> (24 - i * 8);
+		bytes[length - 4 + i] = low >>> (24 - i * 8);
+	}
+	return { bytes, length };
+}
+
+/**
+ * Computes the SHA-256 hash of a string, encoded in UTF-8, without relying on any runtime module,
+ * so that hashing works the same in Node.js, browsers, Deno and workers.
+ *
+ * @param {string} text - The string to hash.
+ * @returns {string} The hexadecimal hash.
+ */
+function sha256(text) {
+	const { bytes, length } = pad(text);
+	let h0 = H[0];
+	let h1 = H[1];
+	let h2 = H[2];
+	let h3 = H[3];
+	let h4 = H[4];
+	let h5 = H[5];
+	let h6 = H[6];
+	let h7 = H[7];
+
+	for (let offset = 0; offset < length; offset += 64) {
+		for (let i = 0; i < 16; i++) {
+			const j = offset + i * 4;
+			schedule[i] =
+				(bytes[j] << 24) |
+				(bytes[j + 1] << 16) |
+				(bytes[j + 2] << 8) |
+				bytes[j + 3];
+		}
+		for (let i = 16; i < 64; i++) {
+			const w15 = schedule[i - 15];
+			const w2 = schedule[i - 2];
+			const s0 =
+				((w15 >>> 7) | (w15 << 25)) ^ ((w15 >>> 18) | (w15 << 14)) ^ (w15 >>> 3);
+			const s1 =
+				((w2 >>> 17) | (w2 << 15)) ^ ((w2 >>> 19) | (w2 << 13)) ^ (w2 >>> 10);
+			schedule[i] = (schedule[i - 16] + s0 + schedule[i - 7] + s1) | 0;
+		}
+
+		let a = h0;
+		let b = h1;
+		let c = h2;
+		let d = h3;
+		let e = h4;
+		let f = h5;
+		let g = h6;
+		let h = h7;
+		for (let i = 0; i < 64; i++) {
+			const S1 =
+				((e >>> 6) | (e << 26)) ^
+				((e >>> 11) | (e << 21)) ^
+				((e >>> 25) | (e << 7));
+			const ch = (e & f) ^ (~e & g);
+			const t1 = (h + S1 + ch + K[i] + schedule[i]) | 0;
+			const S0 =
+				((a >>> 2) | (a << 30)) ^
+				((a >>> 13) | (a << 19)) ^
+				((a >>> 22) | (a << 10));
+			const maj = (a & b) ^ (a & c) ^ (b & c);
+			const t2 = (S0 + maj) | 0;
+			h = g;
+			g = f;
+			f = e;
+			e = (d + t1) | 0;
+			d = c;
+			c = b;
+			b = a;
+			a = (t1 + t2) | 0;
+		}
+		h0 = (h0 + a) | 0;
+		h1 = (h1 + b) | 0;
+		h2 = (h2 + c) | 0;
+		h3 = (h3 + d) | 0;
+		h4 = (h4 + e) | 0;
+		h5 = (h5 + f) | 0;
+		h6 = (h6 + g) | 0;
+		h7 = (h7 + h) | 0;
+	}
+
+	return (
+		toHex(h0) +
+		toHex(h1) +
+		toHex(h2) +
+		toHex(h3) +
+		toHex(h4) +
+		toHex(h5) +
+		toHex(h6) +
+		toHex(h7)
+	);
+}
+
+/**
+ * Counts the bytes a string takes once encoded in UTF-8.
+ *
+ * @param {string} text - The string.
+ * @returns {number} The number of bytes.
+ */
+function utf8Length(text) {
+	let length = text.length;
+	for (let i = 0; i < text.length; i++) {
+		const code = text.charCodeAt(i);
+		if (code >= 0xd800 && code <= 0xdbff && i + 1 < text.length) {
+			const next = text.charCodeAt(i + 1);
+			if (next >= 0xdc00 && next <= 0xdfff) {
+				// A surrogate pair: 4 bytes for 2 code units.
+				length += 2;
+				i++;
+				continue;
+			}
+		}
+		if (code >= 0x800) length += 2;
+		else if (code >= 0x80) length += 1;
+	}
+	return length;
+}
+
+module.exports = { sha256, utf8Length };
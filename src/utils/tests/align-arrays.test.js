@@ -0,0 +1,101 @@
+const assert = require('chai').assert;
+const { alignArrays, longestCommonSubsequence } = require('../align-arrays');
+
+describe('Align Arrays Utils', () => {
+	describe('longestCommonSubsequence()', () => {
+		it('should match the common elements in order', () => {
+			const result = longestCommonSubsequence(
+				['a', 'b', 'c', 'd'],
+				['b', 'x', 'c', 'd', 'e']
+			);
+			assert.deepEqual(result, [
+				[1, 0],
+				[2, 2],
+				[3, 3],
+			]);
+		});
+
+		it('should return no matches for disjoint sequences', () => {
+			assert.deepEqual(longestCommonSubsequence(['a'], ['b']), []);
+		});
+
+		it('should only match the common prefix and suffix beyond the maximum distance', () => {
+			const prior = ['a', 'b', 'c', 'd', 'z'];
+			const latest = ['a', 'c', 'x', 'd', 'z'];
+			assert.deepEqual(longestCommonSubsequence(prior, latest, 1), [
+				[0, 0],
+				[3, 3],
+				[4, 4],
+			]);
+			assert.deepEqual(longestCommonSubsequence(prior, latest, 4), [
+				[0, 0],
+				[2, 1],
+				[3, 3],
+				[4, 4],
+			]);
+		});
+	});
+
+	describe('alignArrays()', () => {
+		it('should detect an insertion at the front without shifting the rest', () => {
+			const result = alignArrays([1, 2, 3], [0, 1, 2, 3]);
+			assert.deepEqual(result, {
+				kept: [
+					[0, 1],
+					[1, 2],
+					[2, 3],
+				],
+				moved: [],
+				removed: [],
+				added: [0],
+			});
+		});
+
+		it('should pair changed elements sharing the same gap', () => {
+			const result = alignArrays([1, 2, 3], [1, 5, 3]);
+			assert.deepEqual(result.kept, [
+				[0, 0],
+				[1, 1],
+				[2, 2],
+			]);
+			assert.deepEqual(result.removed, []);
+			assert.deepEqual(result.added, []);
+		});
+
+		it('should detect moved elements', () => {
+			const result = alignArrays(['a', 'b', 'c'], ['c', 'a', 'b']);
+			assert.deepEqual(result.moved, [[2, 0]]);
+		});
+
+		it('should pair widely different arrays by position, keeping their common prefix and suffix', () => {
+			const size = 200000;
+			const prior = Array.from({ length: size }, (_, i) => `a${i}`);
+			const latest = Array.from({ length: size }, (_, i) => `b${i}`);
+			prior.unshift('first');
+			latest.unshift('first');
+			latest.splice(2000, 0, 'a10');
+			const result = alignArrays(prior, latest);
+			assert.strictEqual(result.kept.length, size);
+			assert.deepEqual(result.kept.slice(0, 3), [
+				[0, 0],
+				[1, 1],
+				[2, 2],
+			]);
+			assert.deepEqual(result.moved, [[11, 2000]]);
+			assert.deepEqual(result.removed, []);
+			assert.deepEqual(result.added, [size + 1]);
+		});
+
+		it('should match elements by identity when provided', () => {
+			const prior = [{ id: 1 }, { id: 2 }, { id: 3 }];
+			const latest = [{ id: 3 }, { id: 1, v: 1 }, { id: 4 }];
+			const result = alignArrays(prior, latest, (elem) => elem.id);
+			assert.deepEqual(result, {
+				kept: [[0, 1]],
+				moved: [[2, 0]],
+				removed: [1],
+				added: [2],
+			});
+		});
+	});
+});
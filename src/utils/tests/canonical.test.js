@@ -0,0 +1,38 @@
+const assert = require('chai').assert;
+const { stringify, parse } = require('../canonical');
+
+describe('Canonical Serialization Utils', () => {
+	describe('stringify()', () => {
+		it('should serialize plain JSON values as JSON.stringify does', () => {
+			const data = { a: [1, 'b', null], c: { d: true } };
+			assert.strictEqual(stringify(data), JSON.stringify(data));
+		});
+
+		it('should tag values plain JSON cannot represent', () => {
+			assert.strictEqual(stringify(12n), '{"$bigint":"12"}');
+			assert.strictEqual(stringify(/a\/b/g), '{"$regexp":"/a\\\\/b/g"}');
+			assert.strictEqual(
+				stringify(new Uint8Array([1, 2])),
+				'{"$binary":"Uint8Array","data":[1,2]}'
+			);
+			assert.strictEqual(
+				stringify(new Set(['b', 'a'])),
+				'{"$set":["\\"a\\"","\\"b\\""]}'
+			);
+		});
+
+		it('should serialize undefined', () => {
+			assert.strictEqual(stringify(undefined), 'undefined');
+		});
+	});
+
+	describe('parse()', () => {
+		it('should restore primitives, BigInts and RegExps', () => {
+			assert.strictEqual(parse(stringify('key')), 'key');
+			assert.strictEqual(parse(stringify(12n)), 12n);
+			assert.strictEqual(String(parse(stringify(/a\/b/g))), '/a\\/b/g');
+			assert.strictEqual(parse('undefined'), undefined);
+			assert.deepEqual(parse(stringify({ a: [1] })), { a: [1] });
+		});
+	});
+});
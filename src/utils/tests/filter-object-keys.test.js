@@ -45,4 +45,61 @@ describe('filterObjectKeys function', () => {
 		const result = filterObjectKeys(arr, keysToFilter);
 		assert.deepEqual(result, [{ b: 2 }, 'string', 3, { b: 5 }]);
 	});
+
+	it('should filter keys matching a path pattern only where it matches', () => {
+		const obj = {
+			user: { updatedAt: 1, name: 'a' },
+			orders: [{ meta: { updatedAt: 2 } }, { meta: { updatedAt: 3 } }],
+		};
+		const result = filterObjectKeys(obj, ['root.orders[*].meta.updatedAt']);
+		assert.deepEqual(result, {
+			user: { updatedAt: 1, name: 'a' },
+			orders: [{ meta: {} }, { meta: {} }],
+		});
+	});
+
+	it('should match patterns against the given path', () => {
+		const obj = { password: 'x', name: 'a' };
+		const result = filterObjectKeys(obj, ['root.user.password'], 'root.user');
+		assert.deepEqual(result, { name: 'a' });
+	});
+
+	it('should filter keys matched by a predicate', () => {
+		const obj = { a: 'token-1', b: 'visible', c: { d: 'token-2' } };
+		const result = filterObjectKeys(obj, [
+			(path, value) => typeof value === 'string' && value.startsWith('token'),
+		]);
+		assert.deepEqual(result, { b: 'visible', c: {} });
+	});
+
+	it('should keep symbol keys and own __proto__ keys as own properties', () => {
+		const tag = Symbol('tag');
+		const obj = JSON.parse('{"__proto__": {"secret": 1, "name": "a"}}');
+		obj[tag] = 'b';
+		const result = filterObjectKeys(obj, ['secret']);
+		assert.strictEqual(Object.getPrototypeOf(result), Object.prototype);
+		assert.deepEqual(Object.getOwnPropertyDescriptor(result, '__proto__').value, {
+			name: 'a',
+		});
+		assert.strictEqual(result[tag], 'b');
+	});
+
+	it('should keep Date instances untouched', () => {
+		const date = new Date(2020, 0, 1);
+		const result = filterObjectKeys({ a: date, b: 1 }, ['b']);
+		assert.deepEqual(result, { a: date });
+		assert.instanceOf(result.a, Date);
+	});
+
+	it('should replace circular references with references to their path', () => {
+		const obj = { a: 1, b: { c: 2 }, list: [] };
+		obj.b.parent = obj;
+		obj.list.push(obj.list, obj.b);
+		const result = filterObjectKeys(obj, ['c']);
+		assert.deepEqual(result, {
+			a: 1,
+			b: { parent: { $ref: 'root' } },
+			list: [{ $ref: 'root.list' }, { parent: { $ref: 'root' } }],
+		});
+	});
 });
@@ -1,5 +1,5 @@
 const assert = require('chai').assert;
-const { computeHash, hashCompare } = require('../hash-compare');
+const { computeHash, createHasher, hashCompare } = require('../hash-compare');
 
 describe('Hash Compare Utils', () => {
 	describe('computeHash()', () => {
@@ -18,6 +18,224 @@ describe('Hash Compare Utils', () => {
 		});
 	});
 
+	describe('computeHash() with non-JSON values', () => {
+		it('should hash BigInts without throwing', () => {
+			assert.notStrictEqual(computeHash({ n: 1n }), computeHash({ n: 2n }));
+		});
+
+		it('should tell Maps and Sets apart by their content', () => {
+			assert.notStrictEqual(
+				computeHash(new Map([['a', 1]])),
+				computeHash(new Map([['a', 2]]))
+			);
+			assert.notStrictEqual(computeHash(new Set([1])), computeHash(new Set([2])));
+		});
+
+		it('should ignore the insertion order of Maps and Sets', () => {
+			assert.strictEqual(
+				computeHash(
+					new Map([
+						['a', 1],
+						['b', 2],
+					])
+				),
+				computeHash(
+					new Map([
+						['b', 2],
+						['a', 1],
+					])
+				)
+			);
+			assert.strictEqual(
+				computeHash(new Set([1, 2])),
+				computeHash(new Set([2, 1]))
+			);
+		});
+
+		it('should tell RegExps and typed arrays apart by their content', () => {
+			assert.notStrictEqual(computeHash(/a/g), computeHash(/a/i));
+			assert.notStrictEqual(
+				computeHash(new Uint8Array([1])),
+				computeHash(new Uint8Array([2]))
+			);
+		});
+	});
+
+	describe('computeHash() with circular references', () => {
+		it('should hash cyclic graphs without throwing', () => {
+			const graph1 = { a: 1 };
+			graph1.self = graph1;
+			const graph2 = { a: 1 };
+			graph2.self = graph2;
+			assert.strictEqual(computeHash(graph1), computeHash(graph2));
+		});
+
+		it('should tell apart cycles pointing to different ancestors', () => {
+			const graph1 = { child: {} };
+			graph1.child.back = graph1;
+			const graph2 = { child: {} };
+			graph2.child.back = graph2.child;
+			assert.notStrictEqual(computeHash(graph1), computeHash(graph2));
+		});
+	});
+
+	describe('computeHash() with reordered keys', () => {
+		it('should hash objects regardless of their key order', () => {
+			assert.strictEqual(
+				computeHash({ a: 1, b: { c: 2, d: 3 } }),
+				computeHash({ b: { d: 3, c: 2 }, a: 1 })
+			);
+		});
+	});
+
+	describe('createHasher()', () => {
+		it('should hash equal structures equally, regardless of their key order', () => {
+			const hash = createHasher();
+			assert.strictEqual(
+				hash({ a: [1, { b: 'x' }], c: new Map([['k', 1]]) }),
+				hash({ c: new Map([['k', 1]]), a: [1, { b: 'x' }] })
+			);
+			assert.notStrictEqual(hash({ a: [1, 2] }), hash({ a: [2, 1] }));
+		});
+
+		it('should hash long serializations with the given digest function', () => {
+			const digested = [];
+			const serialized = [];
+			const hash = createHasher({
+				digest: (text) => {
+					digested.push(text);
+					return `#${digested.length}`;
+				},
+				onHash: (text) => serialized.push(text),
+			});
+			const long = { text: 'x'.repeat(300) };
+
+			assert.strictEqual(hash(long), '#1');
+			assert.strictEqual(hash(long), '#1');
+			assert.strictEqual(hash({ a: 1 }), 'object:[["a",number:1]]');
+			assert.deepEqual(digested, [serialized[0]]);
+			assert.lengthOf(serialized, 2);
+		});
+
+		it('should tell apart values of different types', () => {
+			const hash = createHasher();
+			const date = new Date('2024-01-01T00:00:00.000Z');
+			assert.notStrictEqual(hash({ d: date }), hash({ d: date.toISOString() }));
+			assert.notStrictEqual(hash([1]), hash(['1']));
+			assert.notStrictEqual(hash({}), hash([]));
+			assert.notStrictEqual(hash(['a', 'b']), hash(['a",string:"b']));
+			assert.notStrictEqual(hash([NaN]), hash([Infinity]));
+			assert.notStrictEqual(hash([Infinity]), hash([-Infinity]));
+			assert.strictEqual(hash([NaN]), hash([NaN]));
+		});
+
+		it('should leave out undefined values and functions, as JSON does', () => {
+			const hash = createHasher();
+			assert.strictEqual(hash({ a: 1, b: undefined }), hash({ a: 1 }));
+			assert.strictEqual(hash([undefined]), hash([null]));
+		});
+
+		it('should hash a subtree as a fresh hasher would after hashing its parent', () => {
+			const data = { nested: { deep: { list: [1, 2, { x: 'y'.repeat(100) }] } } };
+			const hash = createHasher();
+			hash(data);
+			assert.strictEqual(hash(data.nested.deep), createHasher()(data.nested.deep));
+		});
+
+		it('should hash the subtrees of cyclic graphs consistently', () => {
+			const graph = { name: 'a', child: { name: 'b' } };
+			graph.child.parent = graph;
+			const copy = { name: 'a', child: { name: 'b' } };
+			copy.child.parent = copy;
+			const hash = createHasher();
+			assert.strictEqual(hash(graph), hash(copy));
+			assert.strictEqual(hash(graph.child), hash(copy.child));
+			copy.child.name = 'c';
+			assert.notStrictEqual(
+				createHasher()(graph.child),
+				createHasher()(copy.child)
+			);
+		});
+
+		it('should hash each subtree only once', () => {
+			let reads = 0;
+			const leaf = {
+				toJSON() {
+					reads++;
+					return { value: 1 };
+				},
+			};
+			const data = { a: { b: { c: leaf } } };
+			const hash = createHasher();
+			hash(data);
+			hash(data.a);
+			hash(data.a.b);
+			assert.strictEqual(reads, 1);
+		});
+
+		it('should compare values by walking them, as their hashes would', () => {
+			const serialized = [];
+			const hash = createHasher({ onHash: (text) => serialized.push(text) });
+			const prior = { a: [1, { b: 'x', c: undefined }], d: new Date(0), n: NaN };
+			assert.isTrue(
+				hash.equal(prior, { n: NaN, d: new Date(0), a: [1, { b: 'x' }] })
+			);
+			assert.isFalse(hash.equal(prior, { ...prior, a: [1, { b: 'y' }] }));
+			assert.isFalse(hash.equal([1, 2], [1, 2, 3]));
+			assert.isTrue(hash.equal([undefined], [null]));
+			assert.deepEqual(serialized, []);
+
+			assert.isTrue(
+				hash.equal({ m: new Map([['k', 1]]) }, { m: new Map([['k', 1]]) })
+			);
+			assert.isFalse(hash.equal({ s: new Set([1]) }, { s: new Set([2]) }));
+			assert.lengthOf(serialized, 4);
+
+			const cyclic = { name: 'a' };
+			cyclic.self = cyclic;
+			const copy = { name: 'a' };
+			copy.self = copy;
+			assert.isTrue(hash.equal(cyclic, copy));
+			assert.isTrue(hashCompare(cyclic, copy, hash));
+			copy.name = 'b';
+			assert.isFalse(hash.equal(cyclic, copy));
+		});
+
+		it('should ignore the order of arrays compared as sets or multisets', () => {
+			const hash = createHasher({
+				arrayMode: (path) => ({ 'root.tags': 'set', 'root.ids': 'multiset' })[path],
+			});
+			const prior = { tags: ['a', 'b', 'b'], ids: [1, 2, 2], list: [1, 2] };
+			assert.strictEqual(
+				hash(prior, 'root'),
+				hash({ tags: ['b', 'a'], ids: [2, 1, 2], list: [1, 2] }, 'root')
+			);
+			assert.notStrictEqual(
+				hash(prior, 'root'),
+				hash({ tags: ['a', 'b'], ids: [2, 1], list: [1, 2] }, 'root')
+			);
+			assert.notStrictEqual(
+				hash(prior, 'root'),
+				hash({ tags: ['a', 'b'], ids: [1, 2, 2], list: [2, 1] }, 'root')
+			);
+		});
+
+		it('should hash normalized values, memoized per path', () => {
+			const hash = createHasher({
+				normalize: (value, path) =>
+					path.startsWith('root.tags') && typeof value === 'string'
+						? value.toLowerCase()
+						: value,
+			});
+			const tags = ['A'];
+			assert.strictEqual(hash({ tags }, 'root'), hash({ tags: ['a'] }, 'root'));
+			assert.notStrictEqual(
+				hash({ other: tags }, 'root'),
+				hash({ other: ['a'] }, 'root')
+			);
+		});
+	});
+
 	describe('hashCompare()', () => {
 		it('should return true for identical objects', () => {
 			const obj1 = { a: 1, b: 2 };
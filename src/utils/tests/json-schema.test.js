@@ -0,0 +1,53 @@
+const assert = require('chai').assert;
+const { createSchemaValidator } = require('../json-schema');
+
+describe('JSON Schema Utils', () => {
+	describe('createSchemaValidator()', () => {
+		const validate = createSchemaValidator({
+			type: 'object',
+			properties: {
+				kind: { enum: ['circle', 'square'] },
+				size: { type: 'integer', minimum: 1 },
+				tags: { type: 'array', items: { $ref: '#/$defs/tag' } },
+				point: {
+					type: 'array',
+					prefixItems: [{ type: 'number' }, { type: 'number' }],
+					minItems: 2,
+					maxItems: 2,
+				},
+			},
+			required: ['kind'],
+			additionalProperties: false,
+			if: { properties: { kind: { const: 'circle' } } },
+			then: { required: ['size'] },
+			else: { required: ['point'] },
+			$defs: { tag: { type: 'string', pattern: '^[a-z]+$' } },
+		});
+
+		it('should accept valid documents', () => {
+			assert.deepEqual(validate({ kind: 'circle', size: 2, tags: ['a'] }), []);
+			assert.deepEqual(validate({ kind: 'square', point: [0, 1.5] }), []);
+		});
+
+		it('should report each error with its location', () => {
+			assert.deepEqual(
+				validate({ kind: 'circle', size: 0.5, tags: ['a', 'B'], color: 'red' }),
+				[
+					{ path: '/size', message: 'must be of type integer' },
+					{ path: '/tags/1', message: 'must match ^[a-z]+$' },
+					{ path: '/color', message: 'is not allowed' },
+				]
+			);
+			assert.deepEqual(validate({ kind: 'square', point: [1] }), [
+				{ path: '/point', message: 'must have at least 2 items' },
+			]);
+			assert.deepEqual(validate({ kind: 'oval' }), [
+				{ path: '/kind', message: 'must be one of "circle", "square"' },
+				{ path: '', message: 'must have a point property' },
+			]);
+			assert.deepEqual(validate([]), [
+				{ path: '', message: 'must be of type object' },
+			]);
+		});
+	});
+});
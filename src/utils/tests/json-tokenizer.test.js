@@ -0,0 +1,101 @@
+const assert = require('chai').assert;
+const {
+	createJsonTokenizer,
+	readValue,
+	skipValue,
+} = require('../json-tokenizer');
+
+const toChunks = (text, size) => {
+	const bytes = Buffer.from(text);
+	const chunks = [];
+	for (let i = 0; i < bytes.length; i += size) {
+		chunks.push(bytes.subarray(i, i + size));
+	}
+	return chunks;
+};
+
+describe('JSON Tokenizer Utils', () => {
+	describe('createJsonTokenizer()', () => {
+		it('should emit the tokens of a document', async () => {
+			const tokens = createJsonTokenizer(['{"a": [1, "x"], "b": {}}']);
+			const types = [];
+			let token;
+			do {
+				token = await tokens.next();
+				types.push(token.value === undefined ? token.type : token.value);
+			} while (token.type !== 'end');
+			assert.deepEqual(types, [
+				'startObject',
+				'a',
+				'startArray',
+				1,
+				'x',
+				'endArray',
+				'b',
+				'startObject',
+				'endObject',
+				'endObject',
+				'end',
+			]);
+		});
+
+		it('should read values split across chunks at any byte', async () => {
+			const value = {
+				text: 'é😀 "quoted" \\ back',
+				numbers: [0, -1.5e-3, 1234567890],
+				flags: [true, false, null],
+			};
+			const text = JSON.stringify(value, null, 2);
+			for (const size of [1, 2, 3, 5, 64]) {
+				const tokens = createJsonTokenizer(toChunks(text, size));
+				assert.deepEqual(await readValue(tokens), value);
+				assert.strictEqual((await tokens.next()).type, 'end');
+			}
+		});
+
+		it('should let peek() look at the next token without consuming it', async () => {
+			const tokens = createJsonTokenizer(['[true]']);
+			assert.deepEqual(await tokens.peek(), { type: 'startArray' });
+			assert.deepEqual(await tokens.next(), { type: 'startArray' });
+			assert.deepEqual(await tokens.peek(), { type: 'value', value: true });
+		});
+
+		it('should reject invalid documents', async () => {
+			const cases = {
+				'{"a":1,}': 'Unexpected token } in JSON at position 7',
+				'[1 2]': 'Unexpected token 2 in JSON at position 3',
+				'[01]': 'Unexpected token 0 in JSON at position 1',
+				'{"a":1}x': 'Unexpected token x in JSON at position 7',
+				'"abc': 'Unexpected end of JSON input',
+				'': 'Unexpected end of JSON input',
+			};
+			for (const [text, message] of Object.entries(cases)) {
+				const tokens = createJsonTokenizer([text]);
+				let error;
+				try {
+					await readValue(tokens);
+					await tokens.next();
+				} catch (e) {
+					error = e;
+				}
+				assert.strictEqual(error && error.message, message, text);
+			}
+		});
+
+		it('should reject sources that are not iterable', () => {
+			assert.throws(
+				() => createJsonTokenizer(42),
+				'A JSON source must be a file path, a readable stream or an iterable of chunks.'
+			);
+		});
+	});
+
+	describe('skipValue()', () => {
+		it('should skip a whole value', async () => {
+			const tokens = createJsonTokenizer(['[{"a":[1,{"b":2}]}, 3]']);
+			await tokens.next();
+			await skipValue(tokens);
+			assert.deepEqual(await tokens.next(), { type: 'value', value: 3 });
+		});
+	});
+});
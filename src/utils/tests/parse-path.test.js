@@ -0,0 +1,123 @@
+const assert = require('chai').assert;
+const { parsePath, formatPath } = require('../parse-path');
+
+describe('Parse Path Utils', () => {
+	describe('parsePath()', () => {
+		it('should split keys and indexes', () => {
+			assert.deepEqual(parsePath('root.a.b[3].c'), ['root', 'a', 'b', 3, 'c']);
+		});
+
+		it('should read Map keys and Set members', () => {
+			assert.deepEqual(parsePath('root.m<"a.b>c">.x<{"k":[1]}>[0]'), [
+				'root',
+				'm',
+				{ key: 'a.b>c' },
+				'x',
+				{ key: { k: [1] } },
+				0,
+			]);
+			assert.deepEqual(parsePath('root<{"$bigint":"5"}>'), ['root', { key: 5n }]);
+		});
+
+		it('should read keys quoted in brackets', () => {
+			assert.deepEqual(parsePath('root["a.b"]["[0]"][""].c[1]'), [
+				'root',
+				'a.b',
+				'[0]',
+				'',
+				'c',
+				1,
+			]);
+		});
+
+		it('should read JSONPath expressions and JSON Pointers', () => {
+			assert.deepEqual(parsePath(String.raw`$.a['b.c']["d"][0]['it\'s']`), [
+				'$',
+				'a',
+				'b.c',
+				'd',
+				0,
+				String.raw`it's`,
+			]);
+			assert.deepEqual(parsePath('/a/b~1c~0/0/'), ['', 'a', 'b/c~', 0, '']);
+			assert.deepEqual(parsePath(''), ['']);
+			assert.deepEqual(parsePath('$'), ['$']);
+		});
+
+		it('should read paths in the given format', () => {
+			assert.deepEqual(parsePath('$.a', 'dotted'), ['$', 'a']);
+			assert.deepEqual(parsePath(['root', 'a']), ['root', 'a']);
+			assert.throws(() => parsePath('$.a..b'), 'Invalid JSONPath: $.a..b');
+			assert.throws(() => parsePath('a', 'pointer'), 'Invalid JSON Pointer: a');
+			assert.throws(() => parsePath('a', 'url'), 'Unknown path format: url');
+		});
+	});
+
+	describe('formatPath()', () => {
+		it('should join segments back into a path', () => {
+			const segments = ['root', 'a', 2, { key: 'k' }, { key: 3 }, 'b'];
+			assert.strictEqual(formatPath(segments), 'root.a[2]<"k"><3>.b');
+			assert.deepEqual(parsePath(formatPath(segments)), segments);
+		});
+
+		it('should round-trip any key in every format', () => {
+			const keys = [
+				'a.b',
+				'[0]',
+				'x]',
+				'<k>',
+				'',
+				String.raw`it's`,
+				'q"',
+				'\\',
+				'n\nl',
+				'~/',
+				'$',
+				'0',
+			];
+			const segments = ['root', ...keys, 4];
+			assert.strictEqual(
+				formatPath(segments),
+				'root["a.b"]["[0]"]["x]"]["<k>"][""].it\'s.q".\\.n\nl.~/.$.0[4]'
+			);
+			assert.strictEqual(
+				formatPath(segments, 'jsonpath'),
+				String.raw`$['a.b']['[0]']['x]']['<k>']['']['it\'s']['q"']['\\']['n\nl']['~/']['$']['0'][4]`
+			);
+			assert.strictEqual(
+				formatPath(segments, 'pointer'),
+				'/a.b/[0]/x]/<k>//it\'s/q"/\\/n\nl/~0~1/$/0/4'
+			);
+			['dotted', 'jsonpath', 'segments'].forEach((format) => {
+				const parsed = parsePath(formatPath(segments, format), format);
+				assert.deepEqual(parsed.slice(1), segments.slice(1), format);
+			});
+			// JSON Pointers do not tell keys made of digits from indexes
+			assert.deepEqual(parsePath(formatPath(segments, 'pointer')).slice(1), [
+				...keys.slice(0, -1),
+				0,
+				4,
+			]);
+		});
+
+		it('should write Map keys and Set members in every format', () => {
+			const segments = ['root', 'm', { key: 'a/b~' }, { key: { id: 1 } }, 0];
+			assert.deepEqual(formatPath(segments, 'segments'), segments);
+			assert.equal(formatPath(segments, 'jsonpath'), '$.m<"a/b~"><{"id":1}>[0]');
+			assert.equal(formatPath(segments, 'pointer'), '/m/~2"a~1b~0"/~2{"id":1}/0');
+			assert.deepEqual(
+				parsePath(formatPath(segments, 'jsonpath')).slice(1),
+				segments.slice(1)
+			);
+			assert.deepEqual(
+				parsePath(formatPath(segments, 'pointer')).slice(1),
+				segments.slice(1)
+			);
+			// Keys starting with `~2` are escaped as `~02`, and stay keys
+			assert.deepEqual(parsePath(formatPath(['root', '~2"k"'], 'pointer')), [
+				'',
+				'~2"k"',
+			]);
+		});
+	});
+});
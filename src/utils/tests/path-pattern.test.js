@@ -0,0 +1,105 @@
+const assert = require('chai').assert;
+const {
+	createPathMatcher,
+	compilePattern,
+	compileArrayKeys,
+} = require('../path-pattern');
+
+describe('Path Pattern Utils', () => {
+	describe('compilePattern()', () => {
+		it('should match exact paths', () => {
+			const matches = compilePattern('root.a.b[2]');
+			assert.isTrue(matches('root.a.b[2]'));
+			assert.isFalse(matches('root.a.b[3]'));
+			assert.isFalse(matches('root.a.b'));
+		});
+
+		it('should match any index with [*]', () => {
+			const matches = compilePattern('root.orders[*].meta.updatedAt');
+			assert.isTrue(matches('root.orders[0].meta.updatedAt'));
+			assert.isTrue(matches('root.orders[12].meta.updatedAt'));
+			assert.isFalse(matches('root.orders.meta.updatedAt'));
+		});
+
+		it('should match any single segment with *', () => {
+			const matches = compilePattern('root.*.id');
+			assert.isTrue(matches('root.user.id'));
+			assert.isFalse(matches('root.user.profile.id'));
+		});
+
+		it('should match any number of segments with **', () => {
+			const matches = compilePattern('**.password');
+			assert.isTrue(matches('root.password'));
+			assert.isTrue(matches('root.users[3].auth.password'));
+			assert.isFalse(matches('root.password.hint'));
+		});
+
+		it('should match keys quoted in brackets literally', () => {
+			const matches = compilePattern('root["a.b"]["*"]');
+			assert.isTrue(matches('root["a.b"]["*"]'));
+			assert.isFalse(matches('root["a.b"].c'));
+			assert.isFalse(matches('root.a.b["*"]'));
+		});
+	});
+
+	describe('createPathMatcher()', () => {
+		it('should match bare key names anywhere but not the root', () => {
+			const matches = createPathMatcher(['updatedAt']);
+			assert.isTrue(matches('root.updatedAt'));
+			assert.isTrue(matches('root.a[1].updatedAt'));
+			assert.isFalse(matches('updatedAt'));
+		});
+
+		it('should match keys named as the rules literally, patterns or not', () => {
+			const matches = createPathMatcher(['a.b', 'items[0]', 'tags[', 'root.*']);
+			assert.isTrue(matches('root["a.b"]'));
+			assert.isTrue(matches('root.list[1]["items[0]"]'));
+			assert.isTrue(matches('root["tags["]'));
+			assert.isTrue(matches('root.user'));
+			assert.isTrue(matches('root.user["root.*"]'));
+			assert.isFalse(matches('root.a.b'));
+			assert.isFalse(matches('root.items[0]'));
+		});
+
+		it('should call predicates with the path and the value', () => {
+			const calls = [];
+			const matches = createPathMatcher([
+				(path, value) => {
+					calls.push([path, value]);
+					return typeof value === 'string' && value.startsWith('secret');
+				},
+			]);
+			assert.isTrue(matches('root.a', 'secret-token'));
+			assert.isFalse(matches('root.b', 'public'));
+			assert.deepEqual(calls, [
+				['root.a', 'secret-token'],
+				['root.b', 'public'],
+			]);
+		});
+
+		it('should never match without rules', () => {
+			assert.isFalse(createPathMatcher()('root.a'));
+			assert.isFalse(createPathMatcher([])('root.a'));
+		});
+
+		it('should throw on invalid rules', () => {
+			assert.throws(() => createPathMatcher([3]), Error, 'Invalid path rule: 3');
+		});
+	});
+
+	describe('compileArrayKeys()', () => {
+		it('should return the identity of the elements of the first matching rule', () => {
+			const byName = (elem) => elem.name;
+			const getArrayIdentity = compileArrayKeys({
+				'root.users': 'id',
+				'root.teams[*].members': byName,
+			});
+			const identify = getArrayIdentity('root.users');
+			assert.strictEqual(identify({ id: 1 }), 1);
+			assert.isUndefined(identify('text'));
+			assert.strictEqual(getArrayIdentity('root.teams[0].members'), byName);
+			assert.isUndefined(getArrayIdentity('root.tags'));
+			assert.isUndefined(compileArrayKeys()('root.users'));
+		});
+	});
+});
@@ -0,0 +1,47 @@
+const assert = require('chai').assert;
+const crypto = require('crypto');
+const { sha256, utf8Length } = require('../sha256');
+
+describe('SHA-256 Utils', () => {
+	const nodeSha256 = (text) =>
+		crypto.createHash('sha256').update(text).digest('hex');
+	const samples = [
+		'',
+		'abc',
+		'a'.repeat(55),
+		'a'.repeat(56),
+		'a'.repeat(64),
+		'héllo wörld',
+		'漢字かな',
+		'emoji 😀',
+		'lone \ud800 surrogate',
+		'x'.repeat(100000),
+	];
+
+	describe('sha256()', () => {
+		it('should match the test vectors of the standard', () => {
+			assert.strictEqual(
+				sha256(''),
+				'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855'
+			);
+			assert.strictEqual(
+				sha256('abc'),
+				'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad'
+			);
+		});
+
+		it('should hash strings as Node.js does, whatever their length and characters', () => {
+			samples.forEach((text) => {
+				assert.strictEqual(sha256(text), nodeSha256(text));
+			});
+		});
+	});
+
+	describe('utf8Length()', () => {
+		it('should count the bytes of strings encoded in UTF-8', () => {
+			samples.forEach((text) => {
+				assert.strictEqual(utf8Length(text), Buffer.byteLength(text));
+			});
+		});
+	});
+});